@@ -0,0 +1,186 @@
+/**
+ * AimFilter class
+ * Per-gun smoothing pipeline for IR gun positions
+ *
+ * IR cameras jitter by a few pixels even when the gun is held still.
+ * Each report goes through:
+ *   1. Dead zone   - movements smaller than `deadZone` pixels are ignored
+ *   2. One-Euro    - adaptive low-pass: heavy smoothing when still, little lag when moving fast
+ *   3. Prediction  - optional extrapolation by `prediction` ms to hide the filter's lag
+ *
+ * The filtered position drives the cursor and aim. Shots use the raw position
+ * (or a rewound raw position) so smoothing never moves where a shot lands.
+ *
+ * Off by default: guns tuned without it would gain lag. Players turn it on per gun
+ * in Gun Setup.
+ */
+export class AimFilter {
+    static DEFAULTS = {
+        enabled: false,     // Players opt in per gun
+        minCutoff: 1.0,     // Hz - lower = smoother when still
+        beta: 0.01,         // Speed coefficient - higher = less lag when moving
+        dCutoff: 1.0,       // Hz - cutoff for the speed estimate
+        deadZone: 0,        // Pixels
+        prediction: 0,      // Milliseconds to extrapolate ahead (0 = off)
+        shotPosition: 'raw', // 'raw' (position at trigger time) or 'rewind'
+        rewindMs: 30        // How far back to look when shotPosition is 'rewind'
+    };
+
+    // Raw samples kept for rewinding
+    static HISTORY_MS = 250;
+
+    /**
+     * @param {Object} settings - Filter settings (see DEFAULTS)
+     */
+    constructor(settings = {}) {
+        this.settings = { ...AimFilter.DEFAULTS, ...settings };
+        this.xFilter = new OneEuroFilter(this.settings);
+        this.yFilter = new OneEuroFilter(this.settings);
+        this.history = [];
+        this.lastAccepted = null;
+        this.lastOutput = null;
+    }
+
+    /**
+     * Filter a new raw position
+     * @param {number} x - Raw X
+     * @param {number} y - Raw Y
+     * @param {number} timestamp - Report time in ms
+     * @returns {{x: number, y: number}} Filtered position
+     */
+    filter(x, y, timestamp) {
+        this.history.push({ x, y, timestamp });
+        while (this.history.length > 0 && timestamp - this.history[0].timestamp > AimFilter.HISTORY_MS) {
+            this.history.shift();
+        }
+
+        if (!this.settings.enabled) {
+            this.lastOutput = { x, y };
+            return this.lastOutput;
+        }
+
+        // Dead zone: hold the last accepted position until the gun moves far enough
+        const { deadZone } = this.settings;
+        if (deadZone > 0 && this.lastAccepted &&
+            Math.hypot(x - this.lastAccepted.x, y - this.lastAccepted.y) < deadZone) {
+            x = this.lastAccepted.x;
+            y = this.lastAccepted.y;
+        } else {
+            this.lastAccepted = { x, y };
+        }
+
+        let fx = this.xFilter.filter(x, timestamp);
+        let fy = this.yFilter.filter(y, timestamp);
+
+        // Prediction: extrapolate along the smoothed velocity
+        const { prediction } = this.settings;
+        if (prediction > 0) {
+            fx += this.xFilter.velocity * prediction / 1000;
+            fy += this.yFilter.velocity * prediction / 1000;
+        }
+
+        this.lastOutput = { x: fx, y: fy };
+        return this.lastOutput;
+    }
+
+    /**
+     * Get the position a shot fired now should use
+     * @returns {{x: number, y: number}|null} Raw or rewound position, null if no samples yet
+     */
+    getShotPosition() {
+        const latest = this.history[this.history.length - 1];
+        if (!latest) return null;
+
+        if (this.settings.shotPosition === 'rewind') {
+            return this.getRawAt(latest.timestamp - this.settings.rewindMs);
+        }
+        return { x: latest.x, y: latest.y };
+    }
+
+    /**
+     * Get the raw position at a past time (linear interpolation between samples)
+     * @param {number} timestamp - Time in ms
+     * @returns {{x: number, y: number}|null}
+     */
+    getRawAt(timestamp) {
+        if (this.history.length === 0) return null;
+
+        const first = this.history[0];
+        if (timestamp <= first.timestamp) return { x: first.x, y: first.y };
+
+        for (let i = this.history.length - 1; i > 0; i--) {
+            const before = this.history[i - 1];
+            const after = this.history[i];
+            if (before.timestamp <= timestamp) {
+                const span = after.timestamp - before.timestamp;
+                const t = span > 0 ? Math.min(1, (timestamp - before.timestamp) / span) : 1;
+                return {
+                    x: before.x + (after.x - before.x) * t,
+                    y: before.y + (after.y - before.y) * t
+                };
+            }
+        }
+
+        const latest = this.history[this.history.length - 1];
+        return { x: latest.x, y: latest.y };
+    }
+
+    /**
+     * Forget all state (e.g. after the gun went offscreen or settings changed)
+     */
+    reset() {
+        this.xFilter.reset();
+        this.yFilter.reset();
+        this.history = [];
+        this.lastAccepted = null;
+        this.lastOutput = null;
+    }
+}
+
+/**
+ * One-Euro filter for a single value
+ * Casiez, Roussel & Vogel, "1€ Filter" (CHI 2012)
+ */
+class OneEuroFilter {
+    constructor({ minCutoff, beta, dCutoff }) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.dCutoff = dCutoff;
+        this.reset();
+    }
+
+    reset() {
+        this.value = null;
+        this.velocity = 0;
+        this.lastTimestamp = null;
+    }
+
+    /**
+     * @param {number} value
+     * @param {number} timestamp - ms
+     * @returns {number}
+     */
+    filter(value, timestamp) {
+        if (this.value === null) {
+            this.value = value;
+            this.lastTimestamp = timestamp;
+            return value;
+        }
+
+        // Reports can share a millisecond timestamp
+        const dt = Math.max(timestamp - this.lastTimestamp, 1) / 1000;
+        this.lastTimestamp = timestamp;
+
+        const rawVelocity = (value - this.value) / dt;
+        this.velocity += OneEuroFilter.alpha(this.dCutoff, dt) * (rawVelocity - this.velocity);
+
+        const cutoff = this.minCutoff + this.beta * Math.abs(this.velocity);
+        this.value += OneEuroFilter.alpha(cutoff, dt) * (value - this.value);
+        return this.value;
+    }
+
+    static alpha(cutoff, dt) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+}
@@ -2,6 +2,8 @@ import { Settings } from '../../shared/Settings.js';
 import { SoundManager } from '../../shared/SoundManager.js';
 import { GlobalHighScores } from '../GlobalHighScores.js';
 import { GameRegistry } from './GameRegistry.js';
+import { GamePackageLoader } from './GamePackageLoader.js';
+import { SandboxHost } from './SandboxHost.js';
 import { AuthService } from '../services/AuthService.js';
 import { UserService } from '../services/UserService.js';
 import { ScoreService } from '../services/ScoreService.js';
@@ -11,17 +13,25 @@ import { ActivityService } from '../services/ActivityService.js';
 import { SessionService } from '../services/SessionService.js';
 import { StatsService } from '../services/StatsService.js';
 import { NotificationService } from '../services/NotificationService.js';
+import { GunProfileSyncService } from '../services/GunProfileSyncService.js';
 import { GunManager } from './GunManager.js';
 import { LocalPlayersManager } from './LocalPlayersManager.js';
 import { PlayerManager } from './PlayerManager.js';
 import { GunSetupMenu } from '../ui/GunSetupMenu.js';
+import { GunReconnectPrompt } from '../ui/GunReconnectPrompt.js';
 import { SettingsScreen } from '../sdk/SettingsScreen.js';
+import { OnScreenKeyboard } from '../sdk/OnScreenKeyboard.js';
+import { SindenBorder } from './SindenBorder.js';
+import { GameClock } from './GameClock.js';
+import { AssetLoader } from '../sdk/AssetLoader.js';
 import { FriendsScreen } from '../ui/FriendsScreen.js';
 import { StatsScreen } from '../ui/StatsScreen.js';
+import { GamePackagesScreen } from '../ui/GamePackagesScreen.js';
 import { ActivityFeedScreen } from '../ui/ActivityFeedScreen.js';
 import { LeaderboardScreen } from '../ui/LeaderboardScreen.js';
 import { EditProfileScreen } from '../ui/EditProfileScreen.js';
 import { ProfileViewScreen } from '../ui/ProfileViewScreen.js';
+import { escapeHTML } from '../ui/escapeHTML.js';
 
 export class ArcadeSystem {
     constructor(canvas, uiLayer) {
@@ -33,6 +43,23 @@ export class ArcadeSystem {
         this.soundManager = new SoundManager(); // Shared SoundManager for all games
         this.globalHighScores = new GlobalHighScores();
         this.registry = new GameRegistry();
+        this.assetLoaders = new Map(); // Game ID -> AssetLoader (kept so relaunches are instant)
+
+        // Third-party games installed from zips or folders
+        this.packages = new GamePackageLoader(this.registry);
+        this.packages.onPackagesChanged = (gameId) => {
+            this.assetLoaders.delete(gameId);
+            // Uninstalled - a reinstall asks for its permissions again
+            if (!this.packages.getEntryFile(gameId)) {
+                this.settings.clearSandboxPermissions(gameId);
+            }
+        };
+
+        // Engine loop timing (fixed step, time scale) - games use it as system.time
+        this.time = new GameClock();
+        this._frameHandle = null;
+        this._frame = this._frame.bind(this);
+        this._handleVisibilityChange = this._handleVisibilityChange.bind(this);
         
         // Auth and user services
         this.auth = new AuthService();
@@ -44,10 +71,19 @@ export class ArcadeSystem {
         this.sessions = new SessionService(this.auth);
         this.stats = new StatsService(this.auth);
         this.notifications = new NotificationService(this.auth);
+        this.gunProfileSync = new GunProfileSyncService(this.auth);
         
         // Gun management
         this.gunManager = new GunManager();
         this.gunSetupMenu = new GunSetupMenu(this);
+
+        // On-screen keyboard for text fields when there's no real keyboard
+        this.keyboard = new OnScreenKeyboard(this.settings, this.gunManager);
+        this.keyboard.enableAutoOpen();
+
+        // Sinden border - placement, per-game overrides, auto-contrast
+        this.sindenBorder = new SindenBorder(this.settings, this.canvas, this.gunManager);
+        this.settings.sindenBorder = this.sindenBorder;
         
         // Local multiplayer - multiple users on same device
         this.localPlayers = new LocalPlayersManager(this.auth);
@@ -55,10 +91,12 @@ export class ArcadeSystem {
         this.init();
 
         this.currentGame = null;
-        this.state = 'ARCADE_MENU'; // ARCADE_MENU, PLAYING_GAME, HIGH_SCORES, SETTINGS, PROFILE
+        this.state = 'ARCADE_MENU'; // ARCADE_MENU, LOADING_GAME, LAUNCH_ERROR, PLAYING_GAME, HIGH_SCORES, SETTINGS, PROFILE
 
         // Centralized resize handling
         this._handleResize = this._handleResize.bind(this);
+        this.sindenBorder.onInsetChange = this._handleResize;
+        this.sindenBorder.update();
         this._handleResize();
         window.addEventListener('resize', this._handleResize);
     }
@@ -76,6 +114,9 @@ export class ArcadeSystem {
                 // User logged in - initialize presence and notifications
                 await this.friends.initPresence();
                 await this.notifications.init();
+
+                // Bring this user's gun profiles to this cabinet
+                this.gunManager.syncProfiles();
             } else {
                 // User logged out - cleanup
                 this.friends.cleanupPresence();
@@ -95,6 +136,12 @@ export class ArcadeSystem {
         });
         
         await this.gunManager.init();
+
+        // Installed game packages join the built-in games registered in main.js
+        await this.packages.registerInstalled();
+
+        // Reconnect / re-pair banner, shown over any screen including games
+        this.gunReconnectPrompt = new GunReconnectPrompt(this.gunManager);
         
         // Link settings with gunManager for cursor control
         this.settings.gunManager = this.gunManager;
@@ -104,6 +151,22 @@ export class ArcadeSystem {
         
         // Apply the in-game cursor visibility setting
         this.gunManager.setShowCursorsInGame(this.settings.showGunCursors);
+        this.gunManager.setCursorRenderMode(this.settings.cursorRenderMode);
+        this.gunManager.setDwellSelect(this.settings.dwellSelect, this.settings.dwellTime);
+        this.gunManager.setOutputEnabled(this.settings.gunFeedback);
+
+        // Guns coming and going change which games the menu can offer
+        const refreshGameCards = () => this._refreshGameCards();
+        this.gunManager.on('gunReconnected', refreshGameCards);
+        this.gunManager.on('gunDisconnected', refreshGameCards);
+        this.gunManager.on('profilesChanged', refreshGameCards);
+
+        // Gamepad aim assist asks the running game where its targets are
+        this.gunManager.setAimAssistProvider(() => this.currentGame?.getAimAssistTargets?.() || []);
+
+        // Optional account sync of gun profiles
+        this.gunManager.setProfileSync(this.gunProfileSync);
+        this.gunManager.setProfileSyncEnabled(this.settings.syncGunProfiles);
         
         // Start in menu mode (not in game)
         this.gunManager.setInGame(false);
@@ -134,8 +197,10 @@ export class ArcadeSystem {
      * Internal resize handler - routes to game if active.
      */
     _handleResize() {
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+        // An outer Sinden border takes space from every edge
+        const inset = this.sindenBorder ? this.sindenBorder.getInset() : 0;
+        const width = window.innerWidth - inset * 2;
+        const height = window.innerHeight - inset * 2;
 
         // Always update canvas size
         this.canvas.width = width;
@@ -155,11 +220,24 @@ export class ArcadeSystem {
     }
 
     /**
-     * Registers a game class with the system.
-     * @param {class} GameClass 
+     * Registers a game with the system.
+     * @param {class|Object} entry - Game class, or { manifest, load } to load its code on launch
      */
-    registerGame(GameClass) {
-        this.registry.register(GameClass);
+    registerGame(entry) {
+        this.registry.register(entry);
+    }
+
+    /**
+     * Get a game's asset loader (shared by the loading screen and the game)
+     * @param {string} gameId
+     * @returns {AssetLoader}
+     */
+    getAssetLoader(gameId) {
+        if (!this.assetLoaders.has(gameId)) {
+            // Package games resolve relative asset paths inside their package
+            this.assetLoaders.set(gameId, new AssetLoader(this.packages.getAssetOptions(gameId) || {}));
+        }
+        return this.assetLoaders.get(gameId);
     }
 
     showArcadeMenu() {
@@ -168,7 +246,6 @@ export class ArcadeSystem {
         
         // Not in game - cursors always visible
         this.gunManager.setInGame(false);
-        const games = this.registry.getAllGames();
         const user = this.auth.getCurrentUser();
 
         this.uiLayer.innerHTML = `
@@ -189,18 +266,8 @@ export class ArcadeSystem {
                     ${this._renderPlayerSlotsBar()}
                 </div>
                 
-                <div class="game-grid">
-                    ${games.map(game => `
-                        <div class="game-card ${game.isAvailable ? '' : 'locked'}" 
-                             data-game-id="${game.id}">
-                            <div class="game-icon">
-                                ${game.isAvailable ? '🎯' : '🔒'}
-                            </div>
-                            <h3>${game.name}</h3>
-                            <p>${game.description}</p>
-                            ${!game.isAvailable ? '<span class="coming-soon">COMING SOON</span>' : ''}
-                        </div>
-                    `).join('')}
+                <div class="game-grid" id="game-grid">
+                    ${this._renderGameCards()}
                 </div>
                 
                 <div class="arcade-buttons">
@@ -208,26 +275,20 @@ export class ArcadeSystem {
                     <button id="btn-activity">ACTIVITY</button>
                     <button id="btn-arcade-highscores">LOCAL SCORES</button>
                     <button id="btn-arcade-settings">SETTINGS</button>
+                    <button id="btn-game-packages">INSTALL GAMES</button>
                     <button id="btn-gun-setup" class="btn-primary">GUN SETUP</button>
                 </div>
             </div>
         `;
 
         // Add event listeners
-        document.querySelectorAll('.game-card').forEach(card => {
-            const gameId = card.dataset.gameId;
-            const game = this.registry.getGame(gameId);
-
-            if (game && game.isAvailable) {
-                card.onclick = () => this.launchGame(gameId);
-                card.style.cursor = 'pointer';
-            }
-        });
+        this._bindGameCards();
 
         document.getElementById('btn-leaderboards').onclick = () => this.showLeaderboards();
         document.getElementById('btn-activity').onclick = () => this.showActivityFeed();
         document.getElementById('btn-arcade-highscores').onclick = () => this.showGlobalHighScores();
         document.getElementById('btn-arcade-settings').onclick = () => this.showSettings();
+        document.getElementById('btn-game-packages').onclick = () => this.showGamePackages();
         document.getElementById('btn-profile').onclick = () => this.showProfile();
         document.getElementById('btn-gun-setup').onclick = () => this.showGunSetup();
         
@@ -235,6 +296,97 @@ export class ArcadeSystem {
         this._bindPlayerSlotButtons();
     }
     
+    /**
+     * Describe the current setup for GameRegistry.getUnavailableReason
+     * @returns {{guns: number, lightguns: number, reloadableLightguns: number, webHID: boolean}}
+     */
+    getSetupCapabilities() {
+        const connected = this.gunManager.guns.filter(gun => gun.isAssigned() && gun.state.isConnected);
+        const lightguns = connected.filter(gun => gun.config.hidDeviceId && !gun.config.virtualDevice);
+        const reloadable = lightguns.filter(gun => {
+            const { reloadMode, buttons } = gun.config;
+            if (reloadMode === 'offscreen') return true;
+            if (reloadMode === 'pedal') return buttons.pedal !== null;
+            return buttons.reload !== null;
+        });
+
+        return {
+            guns: connected.length,
+            lightguns: lightguns.length,
+            reloadableLightguns: reloadable.length,
+            webHID: this.gunManager.shouldUseWebHID()
+        };
+    }
+
+    /**
+     * Render the arcade menu's game cards
+     * Games the current setup can't run are greyed out with the reason.
+     * @private
+     */
+    _renderGameCards() {
+        const setup = this.getSetupCapabilities();
+
+        return this.registry.getAllGames().map(game => {
+            const reason = game.isAvailable ? this.registry.getUnavailableReason(game.id, setup) : null;
+            const state = !game.isAvailable ? 'locked' : (reason ? 'unsupported' : '');
+
+            return `
+                <div class="game-card ${state}" 
+                     data-game-id="${game.id}">
+                    <div class="game-icon">
+                        ${!game.isAvailable ? '🔒' : (reason ? '🚫' : '🎯')}
+                    </div>
+                    <h3 class="game-card-name"></h3>
+                    <p class="game-card-description"></p>
+                    ${!game.isAvailable ? '<span class="coming-soon">COMING SOON</span>' : ''}
+                    ${reason ? '<span class="unsupported-reason"></span>' : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Bind the game cards' click handlers and fill in unsupported reasons
+     * @private
+     */
+    _bindGameCards() {
+        const setup = this.getSetupCapabilities();
+
+        document.querySelectorAll('.game-card').forEach(card => {
+            const gameId = card.dataset.gameId;
+            const game = this.registry.getGame(gameId);
+
+            // Installed packages supply their own name and description, so they go in as text
+            if (game) {
+                card.querySelector('.game-card-name').textContent = game.name;
+                card.querySelector('.game-card-description').textContent = game.description;
+            }
+
+            // Reasons can quote manifest text, so they go in as text
+            const reasonEl = card.querySelector('.unsupported-reason');
+            if (reasonEl) {
+                reasonEl.textContent = this.registry.getUnavailableReason(gameId, setup);
+            }
+
+            if (game && game.isAvailable && !reasonEl) {
+                card.onclick = () => this.launchGame(gameId);
+                card.style.cursor = 'pointer';
+            }
+        });
+    }
+
+    /**
+     * Re-check which games can run (guns came or went) while the menu is showing
+     * @private
+     */
+    _refreshGameCards() {
+        const grid = document.getElementById('game-grid');
+        if (this.state !== 'ARCADE_MENU' || !grid) return;
+
+        grid.innerHTML = this._renderGameCards();
+        this._bindGameCards();
+    }
+
     /**
      * Render the player slots bar for the arcade menu
      * @private
@@ -443,34 +595,176 @@ export class ArcadeSystem {
         }
     }
 
-    async launchGame(gameId) {
+    async launchGame(gameId, { skipMissingAssets = false } = {}) {
         const gameRegistration = this.registry.getGame(gameId);
-        if (!gameRegistration || !gameRegistration.isAvailable) return;
+        if (!gameRegistration || !gameRegistration.isAvailable || this.state === 'LOADING_GAME') return;
+
+        const reason = this.registry.getUnavailableReason(gameId, this.getSetupCapabilities());
+        if (reason) {
+            console.warn(`Can't launch ${gameRegistration.name}: ${reason}`);
+            return;
+        }
+
+        // Installed packages always run isolated (see SandboxHost), so their code is never loaded here.
+        // VITE_UNSANDBOXED_PACKAGES=true runs them in-page for debugging, in the dev server only.
+        const sandboxed = gameRegistration.source === 'package'
+            && !(import.meta.env.DEV && import.meta.env.VITE_UNSANDBOXED_PACKAGES === 'true');
+
+        // Download the game's code and preload its assets
+        let GameClass;
+        try {
+            this.state = 'LOADING_GAME';
+            this._showLoadingScreen(gameRegistration);
+
+            if (!sandboxed) {
+                GameClass = await this.registry.loadGame(gameId);
+            }
+
+            if (gameRegistration.assets) {
+                const { failed } = await this.getAssetLoader(gameId).preload(gameRegistration.assets, (loaded, total) => {
+                    this._updateLoadingProgress(loaded, total);
+                });
+                if (failed.length > 0 && !skipMissingAssets) {
+                    const error = new Error(`${failed.length} file(s) could not be downloaded: ${failed.join(', ')}`);
+                    error.missingAssets = failed;
+                    throw error;
+                }
+            }
+        } catch (error) {
+            console.error(`Failed to load game '${gameId}':`, error);
+            this._showLaunchError(gameRegistration, error);
+            return;
+        }
 
         try {
             this.state = 'PLAYING_GAME';
+            this.time.reset();
             
             // In game - cursor visibility controlled by setting
             this.gunManager.setInGame(true);
+
+            // Border follows the game's manifest overrides
+            this.sindenBorder.setGameActive(true, gameRegistration.sinden);
             
             // Update presence to show playing this game
             this.friends.updateCurrentGame(gameId, gameRegistration.name);
             
             // Instantiate the game class
-            this.currentGame = new gameRegistration.GameClass(this.canvas, this.uiLayer, this);
+            this.currentGame = sandboxed
+                ? new SandboxHost(this.canvas, this.uiLayer, this, gameRegistration)
+                : new GameClass(this.canvas, this.uiLayer, this);
 
             // Initialize the game
             await this.currentGame.init();
 
         } catch (error) {
             console.error("Failed to launch game:", error);
+            if (this.currentGame) {
+                try {
+                    this.currentGame._cleanup();
+                } catch (cleanupError) {
+                    console.error("Failed to clean up game:", cleanupError);
+                }
+                this.currentGame = null;
+            }
             this.friends.updateCurrentGame(null); // Clear game presence on error
-            this.showArcadeMenu(); // Fallback to menu on error
-            // TODO: Show error notification to user
+            this.gunManager.setInGame(false);
+            this.sindenBorder.setGameActive(false);
+            this._showLaunchError(gameRegistration, error);
+        }
+    }
+
+    /**
+     * Show the loading screen while a game's code and assets download
+     * @private
+     */
+    _showLoadingScreen(game) {
+        this.gunManager.setInGame(false);
+        this.uiLayer.innerHTML = `
+            <div class="screen game-loading-screen">
+                <h1>LOADING...</h1>
+                <h2 id="game-loading-name"></h2>
+                <div class="game-loading-bar"><div class="game-loading-fill" id="game-loading-fill"></div></div>
+                <p id="game-loading-status">Downloading game</p>
+            </div>
+        `;
+        document.getElementById('game-loading-name').textContent = game.name;
+    }
+
+    /**
+     * Update the loading screen's progress bar
+     * @private
+     */
+    _updateLoadingProgress(loaded, total) {
+        const fill = document.getElementById('game-loading-fill');
+        const status = document.getElementById('game-loading-status');
+        if (fill) fill.style.width = `${Math.round(loaded / total * 100)}%`;
+        if (status) status.textContent = `Loading assets ${loaded}/${total}`;
+    }
+
+    /**
+     * Show why a game couldn't start, with retry and back options
+     * @private
+     */
+    _showLaunchError(game, error) {
+        this.state = 'LAUNCH_ERROR';
+        this.gunManager.setInGame(false);
+
+        const message = error.missingAssets
+            ? 'Some of the game\'s files could not be downloaded.'
+            : error.crashed
+                ? 'The game stopped with an error.'
+                : /dynamically imported module|importing a module script|Loading chunk/i.test(error.message)
+                    ? 'The game could not be downloaded. Check your connection and try again.'
+                    : 'The game failed to start.';
+
+        this.uiLayer.innerHTML = `
+            <div class="screen game-loading-screen">
+                <h1>COULDN'T START GAME</h1>
+                <h2 id="launch-error-name"></h2>
+                <div class="error-message">
+                    <p>${message}</p>
+                    <p class="game-loading-detail" id="launch-error-detail"></p>
+                </div>
+                <button id="btn-launch-retry" class="btn-primary">RETRY</button>
+                ${error.missingAssets ? '<button id="btn-launch-anyway">PLAY ANYWAY</button>' : ''}
+                <button id="btn-launch-back">BACK</button>
+            </div>
+        `;
+
+        document.getElementById('launch-error-name').textContent = game.name;
+        document.getElementById('launch-error-detail').textContent = error.message;
+
+        document.getElementById('btn-launch-retry').onclick = () => this.launchGame(game.id);
+        document.getElementById('btn-launch-back').onclick = () => this.showArcadeMenu();
+        const anyway = document.getElementById('btn-launch-anyway');
+        if (anyway) {
+            anyway.onclick = () => this.launchGame(game.id, { skipMissingAssets: true });
         }
     }
 
     returnToArcade() {
+        this._exitGame();
+        this.showArcadeMenu();
+    }
+
+    /**
+     * Stop a game that crashed while running and show the error
+     * @param {Object} game - The game's registry entry
+     * @param {Error} error
+     */
+    abortGame(game, error) {
+        console.error(`Game '${game.id}' crashed:`, error);
+        error.crashed = true;
+        this._exitGame();
+        this._showLaunchError(game, error);
+    }
+
+    /**
+     * Clean up the running game and leave gameplay mode
+     * @private
+     */
+    _exitGame() {
         if (this.currentGame) {
             // Use SDK cleanup which calls destroy() internally
             if (typeof this.currentGame._cleanup === 'function') {
@@ -483,10 +777,11 @@ export class ArcadeSystem {
         
         // Clear game presence
         this.friends.updateCurrentGame(null);
+        this.time.reset();
         
         // Leaving game - cursors always visible in menus
         this.gunManager.setInGame(false);
-        this.showArcadeMenu();
+        this.sindenBorder.setGameActive(false);
     }
 
     showProfile() {
@@ -788,6 +1083,20 @@ export class ArcadeSystem {
         screen.show();
     }
 
+    /**
+     * Show the game package install screen
+     */
+    showGamePackages() {
+        this.state = 'GAME_PACKAGES';
+
+        const screen = new GamePackagesScreen(this.uiLayer, {
+            packageLoader: this.packages,
+            onBack: () => this.showArcadeMenu()
+        });
+
+        screen.show();
+    }
+
     /**
      * Show friends screen
      */
@@ -889,16 +1198,16 @@ export class ArcadeSystem {
             scoresHTML = '<div class="highscore-table">';
             allScores.forEach((score, index) => {
                 const game = games.find(g => g.id === score.game);
-                const gameName = game ? game.name : score.game;
+                const gameName = escapeHTML(game ? game.name : score.game);
                 const diffBadge = score.difficulty ? score.difficulty.charAt(0).toUpperCase() : '-';
 
                 scoresHTML += `
                     <div class="score-row ${index < 3 ? 'top-three' : ''}">
                         <span class="rank">${index + 1}</span>
-                        <span class="name" style="flex: 2; text-align: left;">${score.name}</span>
+                        <span class="name" style="flex: 2; text-align: left;">${escapeHTML(score.name)}</span>
                         <span class="game-name" style="flex: 2; text-align: left; font-size: 0.9rem; color: #aaa;">${gameName}</span>
                         <span class="score">${score.score}</span>
-                        <span class="diff-badge">${diffBadge}</span>
+                        <span class="diff-badge">${escapeHTML(diffBadge)}</span>
                     </div>
                 `;
             });
@@ -953,17 +1262,71 @@ export class ArcadeSystem {
         }
     }
 
+    /**
+     * Start the engine loop
+     */
+    start() {
+        if (this._frameHandle !== null) return;
+        document.addEventListener('visibilitychange', this._handleVisibilityChange);
+        this._frameHandle = requestAnimationFrame(this._frame);
+    }
+
+    /**
+     * Stop the engine loop
+     */
+    stop() {
+        if (this._frameHandle === null) return;
+        cancelAnimationFrame(this._frameHandle);
+        this._frameHandle = null;
+        document.removeEventListener('visibilitychange', this._handleVisibilityChange);
+    }
+
+    /**
+     * One animation frame: fixed-step updates, then one draw
+     * @private
+     */
+    _frame(now) {
+        this._frameHandle = requestAnimationFrame(this._frame);
+        this.time.tick(now, dt => this.update(dt));
+        this.draw(this.time.alpha);
+    }
+
+    /**
+     * Pause the clock while the arcade is hidden (tab switch, minimized window)
+     * @private
+     */
+    _handleVisibilityChange() {
+        if (document.hidden) {
+            this.time.pause('hidden');
+            if (this.currentGame && this.state === 'PLAYING_GAME') {
+                this.currentGame.onHidden?.();
+            }
+        } else {
+            this.time.resume('hidden');
+        }
+    }
+
     update(dt) {
         if (this.currentGame && this.state === 'PLAYING_GAME') {
+            // Auto-fire repeats run on the game clock (hidden, time scale) and stop
+            // while the game is paused (pause menu, gun disconnected)
+            if (!this.currentGame.isPaused?.()) {
+                this.currentGame.input?.update?.(dt);
+            }
             this.currentGame.update(dt);
         }
     }
 
-    draw() {
+    /**
+     * @param {number} [alpha] - Fraction of a step since the last update, for interpolation
+     */
+    draw(alpha = 1) {
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
 
         if (this.currentGame && this.state === 'PLAYING_GAME') {
-            this.currentGame.draw(this.ctx);
+            this.currentGame.draw(this.ctx, alpha);
+            // Canvas cursor mode: cursors go on top of the game's frame
+            this.gunManager.drawCursors(this.ctx);
         }
     }
 }
@@ -0,0 +1,162 @@
+/**
+ * Crosshair class
+ * Reticle shapes and per-gun crosshair style, drawn either as SVG (DOM cursors)
+ * or straight onto a canvas (canvas cursor mode)
+ *
+ * Shapes are lists of primitives in a 40x40 box centered on (20, 20):
+ *   { circle: [cx, cy, r], fill?: true, opacity? }
+ *   { line: [x1, y1, x2, y2] }
+ * so both renderers draw exactly the same reticle.
+ */
+export class Crosshair {
+    static DEFAULTS = {
+        shape: 'classic',
+        size: 40,           // px
+        color: '',          // '#rrggbb', or '' for the gun's color
+        trail: false,       // Fading trail behind the cursor
+        hitMarker: true     // Flash an X where a shot hits (games report hits with markHit())
+    };
+
+    static SIZE_MIN = 20;
+    static SIZE_MAX = 80;
+
+    static SHAPES = {
+        classic: {
+            label: 'CLASSIC',
+            parts: [
+                { circle: [20, 20, 15], opacity: 0.8 },
+                { circle: [20, 20, 3], fill: true },
+                { line: [20, 0, 20, 12] },
+                { line: [20, 28, 20, 40] },
+                { line: [0, 20, 12, 20] },
+                { line: [28, 20, 40, 20] }
+            ]
+        },
+        cross: {
+            label: 'CROSS',
+            parts: [
+                { line: [20, 4, 20, 16] },
+                { line: [20, 24, 20, 36] },
+                { line: [4, 20, 16, 20] },
+                { line: [24, 20, 36, 20] }
+            ]
+        },
+        circle: {
+            label: 'CIRCLE',
+            parts: [
+                { circle: [20, 20, 15] },
+                { circle: [20, 20, 1.5], fill: true }
+            ]
+        },
+        dot: {
+            label: 'DOT',
+            parts: [
+                { circle: [20, 20, 4], fill: true },
+                { circle: [20, 20, 7], opacity: 0.5 }
+            ]
+        },
+        brackets: {
+            label: 'BRACKETS',
+            parts: [
+                { line: [6, 6, 14, 6] }, { line: [6, 6, 6, 14] },
+                { line: [34, 6, 26, 6] }, { line: [34, 6, 34, 14] },
+                { line: [6, 34, 14, 34] }, { line: [6, 34, 6, 26] },
+                { line: [34, 34, 26, 34] }, { line: [34, 34, 34, 26] },
+                { circle: [20, 20, 2], fill: true }
+            ]
+        }
+    };
+
+    // Hit marker: an X drawn with the same primitives
+    static HIT_MARKER = [
+        { line: [8, 8, 16, 16] },
+        { line: [32, 8, 24, 16] },
+        { line: [8, 32, 16, 24] },
+        { line: [32, 32, 24, 24] }
+    ];
+
+    /**
+     * Get a gun's crosshair style with defaults filled in
+     * @param {Gun} gun
+     * @returns {Object}
+     */
+    static getStyle(gun) {
+        const style = { ...Crosshair.DEFAULTS, ...(gun.config.crosshair || {}) };
+        if (!Crosshair.SHAPES[style.shape]) {
+            style.shape = Crosshair.DEFAULTS.shape;
+        }
+        style.size = Math.max(Crosshair.SIZE_MIN, Math.min(Crosshair.SIZE_MAX, style.size));
+        return style;
+    }
+
+    /**
+     * Get the color a gun's crosshair is drawn in
+     * @param {Gun} gun
+     * @returns {string}
+     */
+    static getColor(gun) {
+        return gun.config.crosshair?.color || gun.color;
+    }
+
+    /**
+     * Build an SVG for a list of primitives
+     * @param {Array<Object>} parts - Primitives (see class comment)
+     * @param {number} size - Rendered size (px)
+     * @param {string} color
+     * @returns {string} SVG markup
+     */
+    static toSVG(parts, size, color) {
+        const elements = parts.map(part => {
+            const opacity = part.opacity !== undefined ? ` opacity="${part.opacity}"` : '';
+            if (part.circle) {
+                const [cx, cy, r] = part.circle;
+                return part.fill
+                    ? `<circle cx="${cx}" cy="${cy}" r="${r}" fill="${color}"${opacity}/>`
+                    : `<circle cx="${cx}" cy="${cy}" r="${r}" fill="none" stroke="${color}" stroke-width="2"${opacity}/>`;
+            }
+            const [x1, y1, x2, y2] = part.line;
+            return `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${color}" stroke-width="2"${opacity}/>`;
+        });
+        return `<svg width="${size}" height="${size}" viewBox="0 0 40 40">${elements.join('')}</svg>`;
+    }
+
+    /**
+     * Draw a list of primitives onto a canvas, centered on (x, y)
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Array<Object>} parts - Primitives (see class comment)
+     * @param {number} x
+     * @param {number} y
+     * @param {number} size - Rendered size (canvas px)
+     * @param {string} color
+     * @param {number} [alpha]
+     */
+    static draw(ctx, parts, x, y, size, color, alpha = 1) {
+        const scale = size / 40;
+        ctx.save();
+        ctx.translate(x - size / 2, y - size / 2);
+        ctx.scale(scale, scale);
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 2;
+
+        for (const part of parts) {
+            ctx.globalAlpha = alpha * (part.opacity ?? 1);
+            ctx.beginPath();
+            if (part.circle) {
+                const [cx, cy, r] = part.circle;
+                ctx.arc(cx, cy, r, 0, Math.PI * 2);
+                if (part.fill) {
+                    ctx.fill();
+                } else {
+                    ctx.stroke();
+                }
+            } else {
+                const [x1, y1, x2, y2] = part.line;
+                ctx.moveTo(x1, y1);
+                ctx.lineTo(x2, y2);
+                ctx.stroke();
+            }
+        }
+        ctx.restore();
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * FakeHID class
+ * Stand-in for navigator.hid, so the WebHID code paths run headless (Node, test
+ * browsers without WebHID) with MockHIDDevice instead of real guns
+ *
+ * Install it before creating the GunManager - HIDDeviceManager checks for
+ * navigator.hid when it is constructed:
+ *
+ *   const hid = FakeHID.install();
+ *   const gun = new MockHIDDevice();
+ *   hid.connect(gun);                       // Plugged in and already granted
+ *   const gunManager = new GunManager();
+ *   await gunManager.init();                // Finds and opens the mock gun
+ *   gun.emitInputReport(7, [...]);
+ */
+export class FakeHID {
+    constructor() {
+        this.devices = [];          // Plugged-in devices
+        this.granted = new Set();   // Devices the page has permission for
+        this.listeners = new Map();
+    }
+
+    /**
+     * Put a FakeHID on navigator.hid (creating navigator if the environment has none)
+     * @returns {FakeHID}
+     */
+    static install() {
+        if (typeof globalThis.navigator === 'undefined') {
+            globalThis.navigator = {};
+        }
+        const hid = new FakeHID();
+        Object.defineProperty(globalThis.navigator, 'hid', { value: hid, configurable: true });
+        return hid;
+    }
+
+    /**
+     * Plug a device in
+     * @param {MockHIDDevice} device
+     * @param {Object} [options]
+     * @param {boolean} [options.granted] - Already granted (default), or needs requestDevice()
+     */
+    connect(device, { granted = true } = {}) {
+        if (!this.devices.includes(device)) {
+            this.devices.push(device);
+        }
+        if (granted) {
+            this.granted.add(device);
+            this.dispatch('connect', device);
+        }
+    }
+
+    /**
+     * Unplug a device
+     * @param {MockHIDDevice} device
+     */
+    disconnect(device) {
+        this.devices = this.devices.filter(d => d !== device);
+        device.opened = false;
+        if (this.granted.has(device)) {
+            this.dispatch('disconnect', device);
+        }
+    }
+
+    async getDevices() {
+        return this.devices.filter(device => this.granted.has(device));
+    }
+
+    /**
+     * Grant every plugged-in device that matches the filters (there is no picker to choose from)
+     */
+    async requestDevice({ filters = [] } = {}) {
+        const matches = this.devices.filter(device => filters.length === 0 || filters.some(filter =>
+            (filter.vendorId === undefined || filter.vendorId === device.vendorId) &&
+            (filter.productId === undefined || filter.productId === device.productId) &&
+            (filter.usagePage === undefined || (device.collections || []).some(c =>
+                c.usagePage === filter.usagePage && (filter.usage === undefined || c.usage === filter.usage)))
+        ));
+        matches.forEach(device => this.granted.add(device));
+        return matches;
+    }
+
+    addEventListener(type, listener) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners.get(type)?.delete(listener);
+    }
+
+    dispatch(type, device) {
+        for (const listener of this.listeners.get(type) || []) {
+            listener({ type, device });
+        }
+    }
+}
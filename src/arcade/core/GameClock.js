@@ -0,0 +1,147 @@
+/**
+ * GameClock class
+ * Fixed-timestep timing for the arcade loop, available to games as system.time
+ *
+ * Frame time is clamped (a tab switch or GC pause can't send a huge dt into a game)
+ * and split into fixed steps, so games update at the same rate on every display.
+ * Leftover time is exposed as alpha for games that interpolate their drawing.
+ *
+ * The time scale slows or freezes the simulation: each step passes STEP * scale
+ * to update(), so slow motion stays smooth. Timed scales (hit-stop, short
+ * bullet-time) end by themselves and return to the base scale:
+ *
+ *   system.time.setScale(0.3);        // Bullet time until set back
+ *   system.time.setScale(0, 80);      // Freeze for 80ms of real time
+ */
+export class GameClock {
+    static STEP = 1 / 120;          // Seconds of real time per update
+    static MAX_FRAME_TIME = 0.25;   // Longest frame simulated (seconds); anything longer is dropped
+    // Updates per frame before the backlog is dropped - enough to simulate a whole
+    // MAX_FRAME_TIME, so slow frames (down to 4fps) catch up instead of running in slow motion
+    static MAX_STEPS = Math.round(GameClock.MAX_FRAME_TIME / GameClock.STEP);
+    static MAX_SCALE = 4;
+
+    constructor() {
+        this.baseScale = 1;
+        this.timedScale = 1;
+        this.timedScaleUntil = 0;  // realTime the timed scale ends
+
+        this.elapsed = 0;          // Simulated seconds (scaled)
+        this.realTime = 0;         // Unpaused real seconds
+        this.steps = 0;            // Updates run so far
+        this.alpha = 0;            // How far (0-1) the current frame is between the last update and the next
+
+        this.lastTime = null;      // performance.now() of the last frame
+        this.accumulator = 0;      // Real seconds waiting to be simulated
+        this.pauseReasons = new Set();
+    }
+
+    /**
+     * Current time scale (1 = normal, 0 = frozen)
+     * @returns {number}
+     */
+    get scale() {
+        return this.timedScaleUntil > this.realTime ? this.timedScale : this.baseScale;
+    }
+
+    /**
+     * Check if the clock is paused
+     * @returns {boolean}
+     */
+    get paused() {
+        return this.pauseReasons.size > 0;
+    }
+
+    /**
+     * Set the time scale
+     * @param {number} scale - 1 = normal, 0.5 = half speed, 0 = frozen
+     * @param {number} [durationMs] - Go back to the base scale after this much real time (0 = until changed)
+     */
+    setScale(scale, durationMs = 0) {
+        if (!Number.isFinite(scale)) {
+            console.warn(`Invalid time scale: ${scale}`);
+            return;
+        }
+        scale = Math.max(0, Math.min(GameClock.MAX_SCALE, scale));
+
+        if (durationMs > 0) {
+            this.timedScale = scale;
+            this.timedScaleUntil = this.realTime + durationMs / 1000;
+        } else {
+            this.baseScale = scale;
+            this.timedScaleUntil = 0;
+        }
+    }
+
+    /**
+     * Freeze the simulation briefly (impact feedback)
+     * @param {number} [durationMs]
+     */
+    hitStop(durationMs = 60) {
+        this.setScale(0, durationMs);
+    }
+
+    /**
+     * Pause the clock - no updates run until every reason is resumed
+     * @param {string} [reason] - e.g. 'hidden'
+     */
+    pause(reason = 'manual') {
+        this.pauseReasons.add(reason);
+    }
+
+    /**
+     * Resume after pause(reason)
+     * @param {string} [reason]
+     */
+    resume(reason = 'manual') {
+        this.pauseReasons.delete(reason);
+        if (!this.paused) {
+            // Don't simulate the time spent paused
+            this.lastTime = null;
+            this.accumulator = 0;
+        }
+    }
+
+    /**
+     * Back to normal speed (called when a game starts or exits)
+     */
+    reset() {
+        this.baseScale = 1;
+        this.timedScaleUntil = 0;
+        this.accumulator = 0;
+        this.alpha = 0;
+    }
+
+    /**
+     * Advance by one animation frame, running the updates that are due
+     * @param {number} now - Frame timestamp (performance.now() clock)
+     * @param {function(number): void} update - Called once per step with the scaled dt (seconds)
+     * @returns {number} Number of updates run
+     */
+    tick(now, update) {
+        const frameTime = this.lastTime === null ? 0 : (now - this.lastTime) / 1000;
+        this.lastTime = now;
+        if (this.paused) return 0;
+
+        this.accumulator += Math.min(Math.max(frameTime, 0), GameClock.MAX_FRAME_TIME);
+
+        let steps = 0;
+        while (this.accumulator >= GameClock.STEP && steps < GameClock.MAX_STEPS) {
+            const dt = GameClock.STEP * this.scale;
+            this.accumulator -= GameClock.STEP;
+            this.realTime += GameClock.STEP;
+            this.elapsed += dt;
+            this.steps++;
+            steps++;
+            update(dt);
+        }
+
+        // Too slow to keep up - drop the backlog rather than spiral
+        if (steps === GameClock.MAX_STEPS) {
+            this.accumulator = Math.min(this.accumulator, GameClock.STEP);
+        }
+
+        this.alpha = this.accumulator / GameClock.STEP;
+        return steps;
+    }
+}
@@ -0,0 +1,355 @@
+/**
+ * GamePackageLoader class
+ * Installs third-party game packages (a zip or a local folder) into IndexedDB and
+ * registers them with the GameRegistry, so games can be shared without touching
+ * the arcade source.
+ *
+ * Package layout:
+ *
+ *   my-game/
+ *     manifest.json    - The game manifest (see ManifestSchema), plus "entry" if it isn't game.js
+ *     game.js          - ES module exporting the game (one bundled file - it can't import siblings)
+ *     assets/...       - Anything the game loads through this.assets with a relative path
+ *
+ * The entry module can't import the SDK by path, so it exports a factory that
+ * receives it:
+ *
+ *   export default (sdk, manifest) => class MyGame extends sdk.BaseGame {
+ *       static getManifest() { return manifest; }
+ *   };
+ *
+ * Exporting the class itself (as Game or default) also works for games bundled
+ * together with their own copy of the SDK.
+ */
+import { ManifestSchema } from './ManifestSchema.js';
+import { GamePackageStore } from './GamePackageStore.js';
+import { ZipReader } from './ZipReader.js';
+
+export class GamePackageLoader {
+    static MANIFEST_FILE = 'manifest.json';
+    static DEFAULT_ENTRY = 'game.js';
+    static MAX_SIZE = 256 * 1024 * 1024;  // bytes, unpacked
+
+    // Zip entries carry no type, and blob URLs need one (import() refuses untyped scripts)
+    static MIME_TYPES = {
+        js: 'text/javascript',
+        mjs: 'text/javascript',
+        json: 'application/json',
+        png: 'image/png',
+        jpg: 'image/jpeg',
+        jpeg: 'image/jpeg',
+        gif: 'image/gif',
+        webp: 'image/webp',
+        svg: 'image/svg+xml',
+        mp3: 'audio/mpeg',
+        ogg: 'audio/ogg',
+        wav: 'audio/wav',
+        m4a: 'audio/mp4',
+        css: 'text/css',
+        txt: 'text/plain'
+    };
+
+    // OS clutter that ends up in zips and folders
+    static IGNORED_FILES = /(^|\/)(__MACOSX\/|\.DS_Store$|Thumbs\.db$|desktop\.ini$)/;
+
+    /**
+     * @param {GameRegistry} registry
+     * @param {GamePackageStore} [store]
+     */
+    constructor(registry, store = new GamePackageStore()) {
+        this.registry = registry;
+        this.store = store;
+        this.installed = new Map();  // Game ID -> { id, name, version, size, installedAt, basePath, urls, entryFile }
+
+        this.onPackagesChanged = null;  // Called with the game ID after an install or uninstall
+    }
+
+    /**
+     * Check if packages can be installed in this browser
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return GamePackageStore.isSupported();
+    }
+
+    /**
+     * Register every installed package (call once at startup)
+     * @returns {Promise<number>} Number of packages registered
+     */
+    async registerInstalled() {
+        if (!GamePackageLoader.isSupported()) return 0;
+
+        let records;
+        try {
+            records = await this.store.getAll();
+        } catch (e) {
+            console.warn('Could not read installed game packages:', e);
+            return 0;
+        }
+
+        let count = 0;
+        for (const record of records) {
+            // An arcade update may have added a built-in game with the same ID
+            const existing = this.registry.getGame(record.id);
+            if (existing && existing.source !== 'package') {
+                console.warn(`Skipping game package '${record.id}' - a built-in game uses that ID`);
+                continue;
+            }
+            this._register(record);
+            count++;
+        }
+        return count;
+    }
+
+    /**
+     * Install a package, replacing any installed version of the same game
+     * @param {File|FileList|Array<File>} source - A .zip file, or the files of a folder (input with webkitdirectory)
+     * @returns {Promise<Object>} The installed package's info (see getInstalled)
+     * @throws {Error} If the package is invalid (error.errors lists every problem)
+     */
+    async install(source) {
+        if (!GamePackageLoader.isSupported()) {
+            throw new Error('This browser has no IndexedDB, so games can\'t be installed');
+        }
+
+        const files = source instanceof Blob
+            ? await ZipReader.read(source, { maxSize: GamePackageLoader.MAX_SIZE })
+            : GamePackageLoader.readFolder(source);
+        const record = await GamePackageLoader.createRecord(files);
+
+        const existing = this.registry.getGame(record.id);
+        if (existing && existing.source !== 'package') {
+            throw new Error(`A built-in game already uses the ID '${record.id}'`);
+        }
+
+        await this.store.put(record);
+        this._unregister(record.id);
+        this._register(record);
+        console.log(`Installed game package: ${record.manifest.name} (${record.id}) v${record.manifest.version || '1.0.0'}`);
+
+        if (this.onPackagesChanged) {
+            this.onPackagesChanged(record.id);
+        }
+        return this.getInstalled().find(info => info.id === record.id);
+    }
+
+    /**
+     * Uninstall a package
+     * @param {string} id - Game ID
+     * @returns {Promise<boolean>} True if it was installed
+     */
+    async uninstall(id) {
+        if (!this.installed.has(id)) return false;
+
+        await this.store.delete(id);
+        this._unregister(id);
+        console.log(`Uninstalled game package: ${id}`);
+
+        if (this.onPackagesChanged) {
+            this.onPackagesChanged(id);
+        }
+        return true;
+    }
+
+    /**
+     * List installed packages
+     * @returns {Array<{id: string, name: string, version: string, size: number, installedAt: number}>}
+     */
+    getInstalled() {
+        return Array.from(this.installed.values()).map(({ id, name, version, size, installedAt }) =>
+            ({ id, name, version, size, installedAt }));
+    }
+
+    /**
+     * AssetLoader options for a game, so its relative asset paths load from its package
+     * @param {string} id - Game ID
+     * @returns {{basePath: string, files: Map<string, string>}|null} Null for games that aren't packages
+     */
+    getAssetOptions(id) {
+        const info = this.installed.get(id);
+        return info ? { basePath: info.basePath, files: info.urls } : null;
+    }
+
+    /**
+     * A package's entry module, for running it outside this page (see SandboxHost)
+     * @param {string} id - Game ID
+     * @returns {Blob|null} Null for games that aren't packages
+     */
+    getEntryFile(id) {
+        return this.installed.get(id)?.entryFile || null;
+    }
+
+    /**
+     * Make blob URLs for a package's files and register the game
+     * @param {Object} record - Stored package
+     * @private
+     */
+    _register(record) {
+        const basePath = `packages/${record.id}/`;
+        const urls = new Map();
+        for (const [path, blob] of Object.entries(record.files)) {
+            urls.set(basePath + path, URL.createObjectURL(blob));
+        }
+        const entryUrl = urls.get(basePath + record.entry);
+        const manifest = record.manifest;
+
+        this.registry.register({
+            manifest,
+            source: 'package',
+            load: async () => {
+                const module = await import(/* @vite-ignore */ entryUrl);
+                const exported = module.Game || module.default;
+
+                // A factory, rather than the class itself
+                if (typeof exported === 'function' && typeof exported.getManifest !== 'function') {
+                    const sdk = await import('../sdk/index.js');
+                    return exported(sdk, manifest);
+                }
+                return module;
+            }
+        });
+
+        this.installed.set(record.id, {
+            id: record.id,
+            name: manifest.name,
+            version: manifest.version || '1.0.0',
+            size: record.size,
+            installedAt: record.installedAt,
+            basePath,
+            urls,
+            entryFile: record.files[record.entry]
+        });
+    }
+
+    /**
+     * Remove a package's game and free its blob URLs
+     * @param {string} id - Game ID
+     * @private
+     */
+    _unregister(id) {
+        const info = this.installed.get(id);
+        if (!info) return;
+
+        for (const url of info.urls.values()) {
+            URL.revokeObjectURL(url);
+        }
+        this.installed.delete(id);
+        this.registry.unregister(id);
+    }
+
+    /**
+     * Collect a folder's files by path
+     * @param {FileList|Array<File>} fileList - Files with webkitRelativePath set
+     * @returns {Map<string, Blob>}
+     */
+    static readFolder(fileList) {
+        const files = new Map();
+        for (const file of Array.from(fileList || [])) {
+            files.set(file.webkitRelativePath || file.name, file);
+        }
+        return files;
+    }
+
+    /**
+     * Check a package's files and build the record that is stored
+     * @param {Map<string, Blob>} rawFiles - Path -> contents, as read from the zip or folder
+     * @returns {Promise<Object>} { id, manifest, entry, files, size, installedAt }
+     * @throws {Error} If the package is invalid (error.errors lists every problem)
+     */
+    static async createRecord(rawFiles) {
+        const files = GamePackageLoader.normalizePaths(rawFiles);
+
+        const manifestFile = files.get(GamePackageLoader.MANIFEST_FILE);
+        if (!manifestFile) {
+            throw new Error(`No ${GamePackageLoader.MANIFEST_FILE} found - it must be at the top of the package`);
+        }
+
+        let raw;
+        try {
+            raw = JSON.parse(await manifestFile.text());
+        } catch (e) {
+            throw new Error(`${GamePackageLoader.MANIFEST_FILE} is not valid JSON: ${e.message}`);
+        }
+
+        // "entry" is package-only - the rest is a normal game manifest
+        const { entry = GamePackageLoader.DEFAULT_ENTRY, ...manifest } = raw || {};
+        const errors = ManifestSchema.validate(manifest);
+
+        if (typeof entry !== 'string' || !/\.m?js$/.test(entry)) {
+            errors.push('entry: must be the path of a .js file');
+        } else if (!files.has(entry)) {
+            errors.push(`entry: ${entry} is not in the package`);
+        }
+
+        // Every file the manifest names must be in the package (absolute paths come from the arcade)
+        const referenced = [
+            ...['images', 'audio', 'json'].flatMap(type =>
+                (Array.isArray(manifest.assets?.[type]) ? manifest.assets[type] : []).map((path, i) => [`assets.${type}[${i}]`, path])),
+            ['thumbnail', manifest.thumbnail],
+            ['banner', manifest.banner]
+        ];
+        for (const [field, path] of referenced) {
+            if (typeof path === 'string' && !/^([a-z][a-z0-9+.-]*:|\/)/i.test(path) && !files.has(path.replace(/^\.\//, ''))) {
+                errors.push(`${field}: ${path} is not in the package`);
+            }
+        }
+
+        let size = 0;
+        for (const blob of files.values()) {
+            size += blob.size;
+        }
+        if (size > GamePackageLoader.MAX_SIZE) {
+            errors.push(`package: ${Math.round(size / 1024 / 1024)}MB unpacked - the limit is ${GamePackageLoader.MAX_SIZE / 1024 / 1024}MB`);
+        }
+
+        if (errors.length > 0) {
+            const error = new Error(`Invalid game package:\n  ${errors.join('\n  ')}`);
+            error.errors = errors;
+            throw error;
+        }
+
+        // Store every file with its type, so blob URLs work for scripts, images and audio
+        const typed = {};
+        for (const [path, blob] of files) {
+            const type = GamePackageLoader.MIME_TYPES[path.split('.').pop().toLowerCase()] || blob.type || '';
+            typed[path] = blob.type === type ? blob : new Blob([blob], { type });
+        }
+
+        return {
+            id: manifest.id,
+            manifest,
+            entry,
+            files: typed,
+            size,
+            installedAt: Date.now()
+        };
+    }
+
+    /**
+     * Clean up package paths: '/' separators, no OS clutter, and no single top-level
+     * folder (zipping a folder usually wraps everything in one)
+     * @param {Map<string, Blob>} rawFiles
+     * @returns {Map<string, Blob>}
+     * @throws {Error} If a path tries to leave the package
+     */
+    static normalizePaths(rawFiles) {
+        const entries = [];
+        for (const [rawPath, blob] of rawFiles) {
+            const path = rawPath.replace(/\\/g, '/').replace(/^\.\//, '');
+            if (GamePackageLoader.IGNORED_FILES.test(path)) continue;
+            if (path.startsWith('/') || path.split('/').includes('..')) {
+                throw new Error(`Unsafe path in package: ${rawPath}`);
+            }
+            entries.push([path, blob]);
+        }
+        if (entries.length === 0) {
+            throw new Error('The package is empty');
+        }
+
+        const hasTopLevelManifest = entries.some(([path]) => path === GamePackageLoader.MANIFEST_FILE);
+        const top = entries[0][0].split('/')[0];
+        const wrapped = !hasTopLevelManifest && entries.every(([path]) => path.startsWith(`${top}/`));
+
+        return new Map(entries.map(([path, blob]) => [wrapped ? path.slice(top.length + 1) : path, blob]));
+    }
+}
@@ -0,0 +1,96 @@
+/**
+ * GamePackageStore class
+ * IndexedDB storage for installed game packages (see GamePackageLoader)
+ *
+ * One record per game:
+ *   { id, manifest, entry, files: { 'path/in/package': Blob }, size, installedAt }
+ * Files are kept as Blobs, so big packages don't have to fit in localStorage.
+ */
+export class GamePackageStore {
+    static DB_NAME = 'pbs_game_packages';
+    static DB_VERSION = 1;
+    static STORE = 'packages';
+
+    constructor() {
+        this._db = null;
+    }
+
+    /**
+     * Check if this browser can store packages
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open the database (once)
+     * @returns {Promise<IDBDatabase>}
+     */
+    _open() {
+        if (!this._db) {
+            this._db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(GamePackageStore.DB_NAME, GamePackageStore.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(GamePackageStore.STORE, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    this._db = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return this._db;
+    }
+
+    /**
+     * Run one request in a transaction
+     * @param {IDBTransactionMode} mode
+     * @param {function(IDBObjectStore): IDBRequest} makeRequest
+     * @returns {Promise<*>} The request's result, once the transaction completes
+     */
+    async _run(mode, makeRequest) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(GamePackageStore.STORE, mode);
+            const request = makeRequest(transaction.objectStore(GamePackageStore.STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Storage transaction aborted'));
+        });
+    }
+
+    /**
+     * Get every installed package
+     * @returns {Promise<Array<Object>>}
+     */
+    async getAll() {
+        return this._run('readonly', store => store.getAll());
+    }
+
+    /**
+     * Get one package
+     * @param {string} id - Game ID
+     * @returns {Promise<Object|undefined>}
+     */
+    async get(id) {
+        return this._run('readonly', store => store.get(id));
+    }
+
+    /**
+     * Save a package (replacing any older version)
+     * @param {Object} record
+     */
+    async put(record) {
+        await this._run('readwrite', store => store.put(record));
+    }
+
+    /**
+     * Delete a package
+     * @param {string} id - Game ID
+     */
+    async delete(id) {
+        await this._run('readwrite', store => store.delete(id));
+    }
+}
@@ -1,12 +1,25 @@
 /**
  * Manages the registration and retrieval of games in the arcade.
+ *
+ * Games register either as a class, or as a lightweight entry whose code is
+ * only downloaded when the game is launched:
+ *
+ *   registry.register({ manifest, load: () => import('./games/my-game/MyGame.js') });
+ *
+ * Manifests are checked against ManifestSchema when they register. A game with
+ * a bad manifest is still listed (so its author can see why) but can't launch,
+ * and neither can a game the current setup can't run - see getUnavailableReason().
  */
+import { ManifestSchema } from './ManifestSchema.js';
+import { SDK_VERSION } from '../sdk/version.js';
+
 export class GameRegistry {
     /**
      * Default manifest values for optional fields
      */
     static MANIFEST_DEFAULTS = {
         version: '1.0.0',
+        sdkVersion: '1.0.0',        // Arcade SDK the game was built against (see SDK_VERSION)
         author: 'Unknown',
         description: '',
         isAvailable: true,
@@ -20,31 +33,51 @@ export class GameRegistry {
         },
         difficulties: ['normal'],
         modes: ['arcade'],
+        // Files to preload (with a progress bar) before the game starts - see AssetLoader.preload
+        assets: null,               // { images: [], audio: [], json: [] }
         features: {
             requiresReload: false,
             hasAchievements: false,
-            hasPowerUps: false
+            hasPowerUps: false,
+            autoFireRate: null,     // triggerHeld events per second (null = InputManager default)
+            cursorPolicy: null      // In-game cursors: 'default' | 'hidden' | 'miss' | 'mouse' (null = default)
+        },
+        // Sinden border overrides (null = use the player's setting)
+        sinden: {
+            minThickness: null,     // Border is at least this thick (px) while the game runs
+            autoContrast: null,     // Force auto-contrast on/off
+            placement: null,        // 'inner' | 'outer'
+            visibility: null        // 'always' | 'in-game'
+        },
+        // Sandbox permissions the game may ask for (see SandboxProtocol.PERMISSIONS)
+        permissions: [],
+        // What the game needs from the player's setup (the menu greys out games that can't run)
+        capabilities: {
+            minGuns: 0,             // Guns that must be connected to start
+            requiresWebHID: false,  // Needs WebHID, e.g. to talk to the guns directly
+            supportsMouse: true     // false = needs a real lightgun (mouse, touch and gamepad don't count)
         }
     };
 
     constructor() {
         this.games = new Map();
+        this.loading = new Map(); // id -> Promise of the game class
     }
 
     /**
      * Validates and normalizes a game manifest
      * @param {Object} manifest - Raw manifest from game
-     * @returns {Object} Normalized manifest with defaults applied
+     * @returns {Object} Normalized manifest with defaults applied, and manifestErrors
+     * @throws {Error} If the manifest has no usable id or name
      */
     _normalizeManifest(manifest) {
         const defaults = GameRegistry.MANIFEST_DEFAULTS;
+        const errors = ManifestSchema.validate(manifest);
 
-        // Required fields
-        if (!manifest.id) {
-            throw new Error('Manifest missing required field: id');
-        }
-        if (!manifest.name) {
-            throw new Error('Manifest missing required field: name');
+        // Without an id and name the game can't even be listed
+        const fatal = errors.filter(error => /^(manifest|id|name):/.test(error));
+        if (fatal.length > 0) {
+            throw new Error(`Invalid manifest - ${fatal.join('; ')}`);
         }
 
         // Apply defaults for optional fields
@@ -52,6 +85,7 @@ export class GameRegistry {
             id: manifest.id,
             name: manifest.name,
             version: manifest.version || defaults.version,
+            sdkVersion: manifest.sdkVersion || defaults.sdkVersion,
             author: manifest.author || defaults.author,
             description: manifest.description || defaults.description,
             isAvailable: manifest.isAvailable !== undefined ? manifest.isAvailable : defaults.isAvailable,
@@ -59,6 +93,12 @@ export class GameRegistry {
             banner: manifest.banner || defaults.banner,
             difficulties: manifest.difficulties || defaults.difficulties,
             modes: manifest.modes || defaults.modes,
+            permissions: manifest.permissions || defaults.permissions,
+            assets: manifest.assets ? {
+                images: manifest.assets.images || [],
+                audio: manifest.assets.audio || [],
+                json: manifest.assets.json || []
+            } : defaults.assets,
             
             // Deep merge multiplayer config
             multiplayer: {
@@ -70,20 +110,42 @@ export class GameRegistry {
             features: {
                 ...defaults.features,
                 ...(manifest.features || {})
-            }
+            },
+
+            // Deep merge Sinden border overrides
+            sinden: {
+                ...defaults.sinden,
+                ...(manifest.sinden || {})
+            },
+
+            // Deep merge setup requirements
+            capabilities: {
+                ...defaults.capabilities,
+                ...(manifest.capabilities || {})
+            },
+
+            manifestErrors: errors
         };
 
         return normalized;
     }
 
     /**
-     * Registers a game class.
-     * @param {class} GameClass - The class of the game to register (must extend BaseGame)
+     * Registers a game.
+     * @param {class|Object} entry - The game class (must extend BaseGame), or a lazy entry:
+     * @param {Object} entry.manifest - The game's manifest
+     * @param {Function} entry.load - Returns a Promise of the game module (or class), e.g. () => import(...)
+     * @param {string} [entry.source] - 'builtin' (default), or 'package' for installed game packages
      */
-    register(GameClass) {
+    register(entry) {
         try {
-            const rawManifest = GameClass.getManifest();
-            const manifest = this._normalizeManifest(rawManifest);
+            const isClass = typeof entry === 'function';
+            if (!isClass && typeof entry?.load !== 'function') {
+                throw new Error('Expected a game class or { manifest, load }');
+            }
+
+            const rawManifest = isClass ? entry.getManifest() : entry.manifest;
+            const manifest = this._normalizeManifest(rawManifest || {});
 
             if (this.games.has(manifest.id)) {
                 console.warn(`Game with ID '${manifest.id}' is already registered. Overwriting.`);
@@ -91,15 +153,67 @@ export class GameRegistry {
 
             this.games.set(manifest.id, {
                 ...manifest,
-                GameClass: GameClass
+                GameClass: isClass ? entry : null,  // Set once a lazy game has loaded
+                load: isClass ? null : entry.load,
+                source: (!isClass && entry.source) || 'builtin'
             });
 
-            console.log(`Registered game: ${manifest.name} (${manifest.id}) v${manifest.version}`);
+            console.log(`Registered game: ${manifest.name} (${manifest.id}) v${manifest.version}${isClass ? '' : ' (lazy)'}`);
+            if (manifest.manifestErrors.length > 0) {
+                console.warn(`Manifest errors in ${manifest.id} - it won't launch until they are fixed:\n  ${manifest.manifestErrors.join('\n  ')}`);
+            }
         } catch (e) {
             console.error("Failed to register game:", e);
         }
     }
 
+    /**
+     * Removes a game (e.g. an uninstalled package).
+     * @param {string} id - Game ID
+     * @returns {boolean} True if the game was registered
+     */
+    unregister(id) {
+        this.loading.delete(id);
+        return this.games.delete(id);
+    }
+
+    /**
+     * Loads a game's code (lazy games download it the first time).
+     * @param {string} id - Game ID
+     * @returns {Promise<class>} The game class
+     * @throws {Error} If the game is unknown or its code fails to load
+     */
+    async loadGame(id) {
+        const game = this.games.get(id);
+        if (!game) {
+            throw new Error(`Unknown game: ${id}`);
+        }
+        if (game.GameClass) {
+            return game.GameClass;
+        }
+
+        if (!this.loading.has(id)) {
+            const promise = Promise.resolve()
+                .then(() => game.load())
+                .then(module => {
+                    // Accept the class itself, or a module exporting it as Game or default
+                    const GameClass = typeof module === 'function' ? module : (module?.Game || module?.default);
+                    if (typeof GameClass?.getManifest !== 'function') {
+                        throw new Error(`${game.name} did not export a game class`);
+                    }
+                    const loadedId = GameClass.getManifest().id;
+                    if (loadedId !== id) {
+                        throw new Error(`${game.name} loaded the wrong game ('${loadedId}')`);
+                    }
+                    game.GameClass = GameClass;
+                    return GameClass;
+                })
+                .finally(() => this.loading.delete(id));
+            this.loading.set(id, promise);
+        }
+        return this.loading.get(id);
+    }
+
     /**
      * Returns a list of all registered game manifests.
      * @returns {Array} Array of game manifests
@@ -116,4 +230,45 @@ export class GameRegistry {
     getGame(id) {
         return this.games.get(id);
     }
+
+    /**
+     * Checks whether a game can run on the current setup.
+     * @param {string} id - Game ID
+     * @param {Object} setup - What the arcade has right now (see ArcadeSystem.getSetupCapabilities)
+     * @param {number} setup.guns - Connected guns of any kind
+     * @param {number} setup.lightguns - Connected lightguns (not mouse, touch, keyboard or gamepad)
+     * @param {number} setup.reloadableLightguns - Connected lightguns with a way to reload
+     * @param {boolean} setup.webHID - WebHID is available
+     * @returns {string|null} Why the game can't run, or null if it can
+     */
+    getUnavailableReason(id, setup) {
+        const game = this.games.get(id);
+        if (!game) {
+            return 'Not installed';
+        }
+        if (game.manifestErrors.length > 0) {
+            return `Broken manifest: ${game.manifestErrors[0]}`;
+        }
+        if (ManifestSchema.compareVersions(game.sdkVersion, SDK_VERSION) > 0) {
+            return `Needs arcade SDK ${game.sdkVersion} (this arcade has ${SDK_VERSION})`;
+        }
+
+        const { minGuns, requiresWebHID, supportsMouse } = game.capabilities;
+        if (requiresWebHID && !setup.webHID) {
+            return 'Needs a browser with WebHID (Chrome or Edge)';
+        }
+        if (!supportsMouse && setup.lightguns === 0) {
+            return 'Needs a lightgun - mouse, touch and gamepad aren\'t supported';
+        }
+
+        const guns = supportsMouse ? setup.guns : setup.lightguns;
+        if (guns < minGuns) {
+            return `Needs ${minGuns} ${supportsMouse ? 'guns' : 'lightguns'} connected (${guns} now)`;
+        }
+        // A mouse can always reload (right click), a lightgun needs a reload button, pedal or offscreen shot
+        if (game.features.requiresReload && !supportsMouse && setup.reloadableLightguns === 0) {
+            return 'Needs a lightgun with a reload button, pedal or offscreen reload';
+        }
+        return null;
+    }
 }
@@ -0,0 +1,112 @@
+/**
+ * GamepadAim class
+ * Turns analog stick deflection into crosshair movement for a gamepad gun
+ *
+ * Each frame the stick goes through:
+ *   1. Dead zone     - deflection below `deadZone` is ignored (radial)
+ *   2. Curve         - the rest is squared so small movements give fine control
+ *   3. Speed         - `sensitivity` scales BASE_SPEED; holding the stick at full tilt
+ *                      ramps up to `1 + acceleration` times that speed
+ *   4. Aim assist    - optional: near a target the crosshair slows down and is pulled
+ *                      gently towards its center (only while the stick is moving)
+ *
+ * Aim assist only ever applies to gamepads - lightguns, mouse, touch and keyboard
+ * aim directly.
+ */
+export class GamepadAim {
+    static DEFAULTS = {
+        sensitivity: 1.0,   // Multiplier on BASE_SPEED
+        acceleration: 1.0,  // Extra speed at full tilt after ACCELERATION_TIME (0 = off)
+        deadZone: 0.15,     // Stick deflection (0-1) ignored around center
+        invertY: false,
+        aimAssist: false
+    };
+
+    // Crosshair speed (px/s) at full tilt with sensitivity 1
+    static BASE_SPEED = 900;
+
+    // Exponent applied to deflection past the dead zone
+    static RESPONSE_CURVE = 2;
+
+    // Seconds at full tilt before acceleration is fully applied
+    static ACCELERATION_TIME = 0.6;
+
+    // Aim assist: range (px) around a target's radius, maximum slowdown, and pull per second
+    static ASSIST_RANGE = 80;
+    static ASSIST_FRICTION = 0.6;
+    static ASSIST_PULL = 4;
+
+    constructor() {
+        this.fullTiltTime = 0;
+    }
+
+    /**
+     * Move a crosshair by one frame of stick input
+     * @param {{x: number, y: number}} position - Current crosshair position
+     * @param {number} stickX - Stick X (-1 to 1)
+     * @param {number} stickY - Stick Y (-1 to 1, down is positive)
+     * @param {number} dt - Frame time in seconds
+     * @param {Object} settings - Aim settings (see DEFAULTS)
+     * @param {Array<{x: number, y: number, radius: number}>} [targets] - Aim assist targets (same space as position)
+     * @returns {{x: number, y: number}} New position
+     */
+    update(position, stickX, stickY, dt, settings, targets = []) {
+        const s = { ...GamepadAim.DEFAULTS, ...settings };
+        const magnitude = Math.hypot(stickX, stickY);
+
+        if (magnitude <= s.deadZone) {
+            this.fullTiltTime = 0;
+            return position;
+        }
+
+        const amount = Math.min(1, (magnitude - s.deadZone) / (1 - s.deadZone));
+        this.fullTiltTime = amount > 0.95 ? this.fullTiltTime + dt : 0;
+        const ramp = Math.min(1, this.fullTiltTime / GamepadAim.ACCELERATION_TIME);
+
+        let speed = GamepadAim.BASE_SPEED * s.sensitivity *
+            Math.pow(amount, GamepadAim.RESPONSE_CURVE) * (1 + s.acceleration * ramp);
+
+        const assist = s.aimAssist ? GamepadAim.findAssistTarget(position, targets) : null;
+        if (assist) {
+            speed *= 1 - GamepadAim.ASSIST_FRICTION * assist.strength;
+        }
+
+        let x = position.x + (stickX / magnitude) * speed * dt;
+        let y = position.y + (stickY / magnitude) * (s.invertY ? -1 : 1) * speed * dt;
+
+        if (assist) {
+            const pull = Math.min(1, GamepadAim.ASSIST_PULL * dt) * assist.strength;
+            x += (assist.target.x - x) * pull;
+            y += (assist.target.y - y) * pull;
+        }
+
+        return { x, y };
+    }
+
+    /**
+     * Find the target whose assist range the crosshair is in
+     * @param {{x: number, y: number}} position
+     * @param {Array<{x: number, y: number, radius: number}>} targets
+     * @returns {{target: Object, strength: number}|null} strength is 1 on the target, 0 at the edge of the range
+     */
+    static findAssistTarget(position, targets) {
+        let best = null;
+        for (const target of targets) {
+            const distance = Math.hypot(target.x - position.x, target.y - position.y) - (target.radius || 0);
+            if (distance >= GamepadAim.ASSIST_RANGE) continue;
+
+            const strength = distance <= 0 ? 1 : 1 - distance / GamepadAim.ASSIST_RANGE;
+            if (!best || strength > best.strength) {
+                best = { target, strength };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Forget acceleration (stick released, gamepad reassigned)
+     */
+    reset() {
+        this.fullTiltTime = 0;
+    }
+}
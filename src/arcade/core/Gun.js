@@ -2,7 +2,42 @@
  * Gun class
  * Represents a single lightgun device configuration and state
  */
+import { Homography } from './Homography.js';
+import { AimFilter } from './AimFilter.js';
+import { GamepadAim } from './GamepadAim.js';
+import { Crosshair } from './Crosshair.js';
+
 export class Gun {
+    /**
+     * Logical actions a physical button can be mapped to.
+     * `required` actions are always prompted for during button mapping.
+     */
+    static ACTIONS = [
+        { id: 'trigger', label: 'TRIGGER', required: true },
+        { id: 'reload', label: 'RELOAD (or Side Button)', required: true },
+        { id: 'start', label: 'START', required: true },
+        { id: 'pedal', label: 'PEDAL' },
+        { id: 'bomb', label: 'BOMB / SECOND TRIGGER' },
+        { id: 'pause', label: 'PAUSE' },
+        { id: 'back', label: 'MENU BACK' },
+        { id: 'dpadUp', label: 'D-PAD UP' },
+        { id: 'dpadDown', label: 'D-PAD DOWN' },
+        { id: 'dpadLeft', label: 'D-PAD LEFT' },
+        { id: 'dpadRight', label: 'D-PAD RIGHT' }
+    ];
+
+    /**
+     * How a gun reloads
+     * - button: press the mapped reload button
+     * - offscreen: pull the trigger while aiming off screen
+     * - pedal: hold the pedal (released = ready to fire again)
+     */
+    static RELOAD_MODES = [
+        { id: 'button', label: 'BUTTON' },
+        { id: 'offscreen', label: 'OFFSCREEN SHOT' },
+        { id: 'pedal', label: 'PEDAL HOLD' }
+    ];
+
     constructor(id, index) {
         this.id = id; // Unique ID (e.g., from pointerId or generated)
         this.index = index; // Player index (0-3)
@@ -13,29 +48,50 @@ export class Gun {
         this.config = {
             pointerId: null,      // The browser pointerId assigned to this gun (legacy/fallback)
             hidDeviceId: null,    // WebHID device ID for distinguishing multiple guns
-            deviceType: 'mouse',  // 'mouse', 'sinden', 'gun4ir', etc.
+            virtualDevice: null,  // 'mouse', 'touch:N', 'keyboard' or 'gamepad:N' (see VirtualGunDevices)
+            deviceType: 'mouse',  // 'mouse', 'touch', 'keyboard', 'gamepad', 'sinden', 'gun4ir', etc.
             deviceName: '',       // Human-readable device name
+            deviceFingerprint: null, // Model + report layout hash, used to re-identify guns without a serial number
             showCursor: true,     // Whether to show cursor for this gun
             buttons: {
                 trigger: 0,         // Button index for trigger
                 reload: 2,          // Button index for reload (or 'offscreen')
                 start: 1,           // Button index for start/pause
+                pedal: null,        // Optional actions - null when unmapped
+                bomb: null,
+                pause: null,
+                back: null,
+                dpadUp: null,
+                dpadDown: null,
+                dpadLeft: null,
+                dpadRight: null,
             },
             calibration: {
                 enabled: false,
-                points: []          // Calibration points
+                points: [],         // Calibration points: {rawX, rawY, x, y}
+                homography: null    // Solved 3x3 transform (row-major), derived from points
             },
-            reloadMode: 'button', // 'button', 'offscreen', 'gesture'
+            reloadMode: 'button', // See Gun.RELOAD_MODES
+            filter: { ...AimFilter.DEFAULTS }, // Aim smoothing (see AimFilter)
+            gamepad: { ...GamepadAim.DEFAULTS }, // Stick aim for gamepad devices (see GamepadAim)
+            crosshair: { ...Crosshair.DEFAULTS }, // Cursor reticle and effects (see Crosshair)
+            latencyOffset: 0,     // ms - games judge hits against targets this far in the past
         };
 
         // Runtime state
         this.state = {
-            x: 0,
+            x: 0,                 // Filtered position (cursor / aim)
             y: 0,
+            rawX: 0,              // Unfiltered calibrated position
+            rawY: 0,
             isTriggerDown: false,
-            isReloading: false,
+            isFiring: false,      // Trigger press was sent to the game (cleared on release)
+            isReloading: false,   // Pedal held in 'pedal' reload mode
+            offscreen: false,     // Last aim position was outside the screen
+            buttons: [],          // Pressed state per physical button index
             isConnected: false,
-            lastActive: Date.now()
+            lastActive: Date.now(),
+            lastReportTime: 0     // performance.now() time of the last HID report
         };
     }
 
@@ -54,6 +110,37 @@ export class Gun {
         return colors[index] || '#FFFFFF';
     }
 
+    /**
+     * Check whether a device (lightgun, pointer or virtual device) is assigned to this slot
+     * @returns {boolean}
+     */
+    isAssigned() {
+        return this.config.hidDeviceId !== null || this.config.pointerId !== null ||
+            !!this.config.virtualDevice;
+    }
+
+    /**
+     * Get the logical actions mapped to a physical button
+     * @param {number} buttonIndex
+     * @returns {Array<string>} Action IDs
+     */
+    getActionsForButton(buttonIndex) {
+        return Object.entries(this.config.buttons)
+            .filter(([, mapped]) => mapped === buttonIndex)
+            .map(([action]) => action);
+    }
+
+    /**
+     * Check whether a logical action's button is currently held
+     * @param {string} action - Action ID (e.g. 'trigger', 'pedal')
+     * @returns {boolean}
+     */
+    isActionDown(action) {
+        const buttonIndex = this.config.buttons[action];
+        if (buttonIndex === null || buttonIndex === undefined) return false;
+        return this.state.buttons[buttonIndex] || false;
+    }
+
     /**
      * Update gun state from pointer event
      * @param {PointerEvent} event 
@@ -67,14 +154,34 @@ export class Gun {
         if (this.config.calibration.enabled) {
             this.applyCalibration();
         }
+
+        // Pointer input is not filtered
+        this.state.rawX = this.state.x;
+        this.state.rawY = this.state.y;
     }
 
     /**
      * Apply calibration transform to current coordinates
      */
     applyCalibration() {
-        // TODO: Implement 4-point calibration transform
-        // For now, pass through raw coordinates
+        const calibration = this.config.calibration;
+
+        // Solve lazily from captured points (needs at least 4 for a perspective fit)
+        if (!calibration.homography && calibration.points.length >= 4) {
+            calibration.homography = Homography.solve(calibration.points.map(p => ({
+                srcX: p.rawX,
+                srcY: p.rawY,
+                dstX: p.x,
+                dstY: p.y
+            })));
+        }
+
+        // Not enough points - pass through raw coordinates
+        if (!calibration.homography) return;
+
+        const mapped = Homography.apply(calibration.homography, this.state.x, this.state.y);
+        this.state.x = mapped.x;
+        this.state.y = mapped.y;
     }
 
     /**
@@ -100,6 +207,14 @@ export class Gun {
         this.index = data.index;
         this.name = data.name;
         this.color = data.color;
-        this.config = { ...this.config, ...data.config };
+        this.config = {
+            ...this.config,
+            ...data.config,
+            // Merge so profiles saved before new actions existed pick up the defaults
+            buttons: { ...this.config.buttons, ...(data.config?.buttons || {}) },
+            filter: { ...this.config.filter, ...(data.config?.filter || {}) },
+            gamepad: { ...this.config.gamepad, ...(data.config?.gamepad || {}) },
+            crosshair: { ...this.config.crosshair, ...(data.config?.crosshair || {}) }
+        };
     }
 }
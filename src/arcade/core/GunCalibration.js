@@ -13,12 +13,36 @@
  * - Any canvas position changes
  */
 import { Storage } from '../../platform/storage.js';
+import { Homography } from './Homography.js';
 
 export class GunCalibration {
+    /**
+     * Supported wizard modes
+     * - 2point: legacy top-left/bottom-right linear fit (per-axis scale/offset)
+     * - 4point: four corners, exact perspective (homography) fit
+     * - 9point: 3x3 grid, least-squares homography fit
+     */
+    static MODES = {
+        '2point': { label: '2-POINT', model: 'linear' },
+        '4point': { label: '4-POINT', model: 'homography' },
+        '9point': { label: '9-POINT', model: 'homography' }
+    };
+
+    // Mean accuracy-test error (px) above which recalibration is suggested
+    static ACCURACY_THRESHOLD = 20;
+
+    // Accuracy test results kept per device for drift monitoring
+    static ACCURACY_HISTORY_SIZE = 20;
+
     constructor() {
         // Calibration data per device
-        // Key: deviceId, Value: { rawXMin, rawXMax, rawYMin, rawYMax, axisSwapped, xInverted, yInverted, screenWidth, screenHeight }
+        // Key: deviceId
+        // Linear (legacy 2-point): { scaleX, offsetX, scaleY, offsetY, axisSwapped, screenWidth, screenHeight }
+        // Homography (4/9-point): { model: 'homography', homography, axisSwapped, residuals, meanError, maxError, ... }
         this.calibrationData = new Map();
+
+        // Called after calibration data is saved (GunManager uses it for account sync)
+        this.onSave = null;
         
         // Reference to the target canvas element
         this.targetCanvas = null;
@@ -59,6 +83,7 @@ export class GunCalibration {
             data[deviceId] = calibration;
         }
         await Storage.set('gun-calibration', data);
+        if (this.onSave) this.onSave();
     }
 
     /**
@@ -92,7 +117,7 @@ export class GunCalibration {
     }
 
     /**
-     * Transform raw gun coordinates to canvas-relative coordinates
+     * Transform raw gun coordinates to viewport coordinates (same space as mouse clientX/clientY)
      * @param {string} deviceId - Device ID
      * @param {number} rawAxis1 - First raw axis value (bytes 4-5)
      * @param {number} rawAxis2 - Second raw axis value (bytes 6-7)
@@ -106,18 +131,9 @@ export class GunCalibration {
             return this.defaultTransform(rawAxis1, rawAxis2);
         }
 
-        const { scaleX, offsetX, scaleY, offsetY, axisSwapped } = calibration;
+        // Map raw axes to physical screen pixel coordinates
+        const { x: screenX, y: screenY } = this.rawToScreen(calibration, rawAxis1, rawAxis2);
 
-        // Apply axis swap if needed (for Gun4IR: axis1 = X, axis2 = Y)
-        const rawX = axisSwapped ? rawAxis1 : rawAxis2;
-        const rawY = axisSwapped ? rawAxis2 : rawAxis1;
-
-        // Apply linear mapping: screen = raw * scale + offset
-        // This directly gives us screen pixel coordinates
-        const screenX = rawX * scaleX + offsetX;
-        const screenY = rawY * scaleY + offsetY;
-
-        // Now convert from screen coordinates to canvas-relative coordinates
         // Get the canvas bounding rect (position relative to viewport)
         let canvasRect;
         if (this.targetCanvas) {
@@ -131,19 +147,19 @@ export class GunCalibration {
         const windowScreenX = window.screenX || window.screenLeft || 0;
         const windowScreenY = window.screenY || window.screenTop || 0;
 
-        // Canvas position on screen = window position + canvas position in viewport
-        const canvasScreenX = windowScreenX + canvasRect.left;
-        const canvasScreenY = windowScreenY + canvasRect.top;
-
-        // Convert screen coordinates to canvas-relative coordinates
-        const x = screenX - canvasScreenX;
-        const y = screenY - canvasScreenY;
+        // Convert screen coordinates to viewport coordinates
+        // (cursors, UI hit tests and InputManager.toCanvasCoords all work in this space,
+        // so the canvas may be inset, e.g. inside an outer Sinden border)
+        const x = screenX - windowScreenX;
+        const y = screenY - windowScreenY;
 
         // Check if offscreen (outside canvas bounds with margin)
+        const canvasX = x - canvasRect.left;
+        const canvasY = y - canvasRect.top;
         const marginX = canvasRect.width * 0.1;
         const marginY = canvasRect.height * 0.1;
-        const offscreen = x < -marginX || x > canvasRect.width + marginX || 
-                          y < -marginY || y > canvasRect.height + marginY;
+        const offscreen = canvasX < -marginX || canvasX > canvasRect.width + marginX || 
+                          canvasY < -marginY || canvasY > canvasRect.height + marginY;
 
         return { 
             x, 
@@ -154,6 +170,119 @@ export class GunCalibration {
         };
     }
 
+    /**
+     * Map raw axis values to screen coordinates using a stored calibration.
+     * Profiles without a `model` field are legacy 2-point linear profiles.
+     * @param {Object} calibration - Calibration data
+     * @param {number} rawAxis1 - First raw axis value
+     * @param {number} rawAxis2 - Second raw axis value
+     * @returns {{x: number, y: number}} Screen coordinates
+     */
+    rawToScreen(calibration, rawAxis1, rawAxis2) {
+        const { axisSwapped } = calibration;
+
+        // Apply axis swap if needed (for Gun4IR: axis1 = X, axis2 = Y)
+        const rawX = axisSwapped ? rawAxis1 : rawAxis2;
+        const rawY = axisSwapped ? rawAxis2 : rawAxis1;
+
+        let point;
+        if (calibration.model === 'homography' && calibration.homography) {
+            point = Homography.apply(calibration.homography, rawX, rawY);
+        } else {
+            // Apply linear mapping: screen = raw * scale + offset
+            // This directly gives us screen pixel coordinates
+            const { scaleX, offsetX, scaleY, offsetY } = calibration;
+            point = {
+                x: rawX * scaleX + offsetX,
+                y: rawY * scaleY + offsetY
+            };
+        }
+
+        // Offset correction saved from an accuracy test
+        if (calibration.correction) {
+            point.x += calibration.correction.x;
+            point.y += calibration.correction.y;
+        }
+        return point;
+    }
+
+    /**
+     * Summarize an accuracy test
+     * @param {Array<{name: string, label: string, targetX: number, targetY: number, x: number, y: number}>} samples
+     *        Target and hit positions (viewport coordinates)
+     * @returns {{samples: Array, meanError: number, maxError: number, offsetX: number, offsetY: number,
+     *           correctedMeanError: number, needsRecalibration: boolean}}
+     *          offsetX/Y is the average error vector; correctedMeanError is what's left once it is removed
+     */
+    analyzeAccuracy(samples) {
+        const results = samples.map(sample => {
+            const dx = sample.x - sample.targetX;
+            const dy = sample.y - sample.targetY;
+            return { ...sample, dx, dy, error: Math.hypot(dx, dy) };
+        });
+
+        const count = results.length || 1;
+        const offsetX = results.reduce((sum, r) => sum + r.dx, 0) / count;
+        const offsetY = results.reduce((sum, r) => sum + r.dy, 0) / count;
+        const meanError = results.reduce((sum, r) => sum + r.error, 0) / count;
+        const maxError = results.length ? Math.max(...results.map(r => r.error)) : 0;
+        const correctedMeanError = results.reduce((sum, r) => sum + Math.hypot(r.dx - offsetX, r.dy - offsetY), 0) / count;
+
+        return {
+            samples: results,
+            meanError,
+            maxError,
+            offsetX,
+            offsetY,
+            correctedMeanError,
+            // An offset can't fix errors that vary across the screen
+            needsRecalibration: correctedMeanError > GunCalibration.ACCURACY_THRESHOLD
+        };
+    }
+
+    /**
+     * Store an accuracy test result for drift monitoring
+     * @param {string} deviceId
+     * @param {Object} result - From analyzeAccuracy()
+     * @returns {Object|null} The previous test result, if any
+     */
+    recordAccuracyTest(deviceId, result) {
+        const calibration = this.calibrationData.get(deviceId);
+        if (!calibration) return null;
+
+        const history = calibration.accuracyHistory || [];
+        const previous = history[history.length - 1] || null;
+        history.push({
+            testedAt: Date.now(),
+            meanError: result.meanError,
+            maxError: result.maxError,
+            offsetX: result.offsetX,
+            offsetY: result.offsetY
+        });
+        calibration.accuracyHistory = history.slice(-GunCalibration.ACCURACY_HISTORY_SIZE);
+        this.save();
+        return previous;
+    }
+
+    /**
+     * Shift a device's mapping to cancel a measured average error
+     * @param {string} deviceId
+     * @param {number} offsetX - Average error to remove (hit - target), in pixels
+     * @param {number} offsetY
+     */
+    applyOffsetCorrection(deviceId, offsetX, offsetY) {
+        const calibration = this.calibrationData.get(deviceId);
+        if (!calibration) return;
+
+        const current = calibration.correction || { x: 0, y: 0 };
+        calibration.correction = {
+            x: current.x - offsetX,
+            y: current.y - offsetY
+        };
+        console.log(`Offset correction for ${deviceId}:`, calibration.correction);
+        this.save();
+    }
+
     /**
      * Default transform without calibration
      */
@@ -166,15 +295,69 @@ export class GunCalibration {
         return { x, y, offscreen: false };
     }
 
+    /**
+     * Get target layout for a calibration mode, in window coordinates
+     * @param {string} mode - '2point', '4point' or '9point'
+     * @param {number} margin - Distance of edge targets from the window edge
+     * @returns {Array<{name: string, x: number, y: number, label: string, text: string}>}
+     */
+    getCalibrationPoints(mode, margin = 60) {
+        const left = margin;
+        const top = margin;
+        const right = window.innerWidth - margin;
+        const bottom = window.innerHeight - margin;
+        const centerX = window.innerWidth / 2;
+        const centerY = window.innerHeight / 2;
+
+        const point = (name, x, y, label) => ({
+            name, x, y, label,
+            text: `Aim at the ${label} target and pull trigger`
+        });
+
+        if (mode === '4point') {
+            return [
+                point('topLeft', left, top, 'TOP-LEFT'),
+                point('topRight', right, top, 'TOP-RIGHT'),
+                point('bottomRight', right, bottom, 'BOTTOM-RIGHT'),
+                point('bottomLeft', left, bottom, 'BOTTOM-LEFT')
+            ];
+        }
+
+        if (mode === '9point') {
+            const rows = [[top, 'TOP'], [centerY, 'MIDDLE'], [bottom, 'BOTTOM']];
+            const cols = [[left, 'LEFT'], [centerX, 'CENTER'], [right, 'RIGHT']];
+            const points = [];
+            rows.forEach(([y, rowLabel], row) => {
+                cols.forEach(([x, colLabel], col) => {
+                    const label = row === 1 && col === 1 ? 'CENTER' : `${rowLabel}-${colLabel}`;
+                    points.push(point(`r${row}c${col}`, x, y, label));
+                });
+            });
+            return points;
+        }
+
+        // Legacy 2-point: top-left and bottom-right
+        return [
+            point('topLeft', left, top, 'TOP-LEFT'),
+            point('bottomRight', right, bottom, 'BOTTOM-RIGHT')
+        ];
+    }
+
     /**
      * Create calibration wizard UI
-     * Simple 2-point calibration: top-left and bottom-right corners
+     * Captures 2 points (linear), 4 corners or a 3x3 grid (perspective)
      * @param {string} deviceId - Device ID to calibrate
      * @param {function} onRawInput - Callback that receives raw input: (rawAxis1, rawAxis2, buttons)
      * @param {function} onComplete - Callback when calibration is complete
      * @param {function} onCancel - Callback when calibration is cancelled
+     * @param {string} mode - '2point', '4point' or '9point' (default: '2point')
      */
-    startCalibrationWizard(deviceId, onRawInput, onComplete, onCancel) {
+    startCalibrationWizard(deviceId, onRawInput, onComplete, onCancel, mode = '2point') {
+        if (!GunCalibration.MODES[mode]) {
+            console.warn(`Unknown calibration mode '${mode}', using 2point`);
+            mode = '2point';
+        }
+
         const overlay = document.createElement('div');
         overlay.id = 'calibration-overlay';
         overlay.innerHTML = `
@@ -273,10 +456,7 @@ export class GunCalibration {
             <div class="calibration-instructions">
                 <h2>GUN CALIBRATION</h2>
                 <div class="calibration-step" id="cal-step-text">Aim at the TOP-LEFT target and pull trigger</div>
-                <div class="calibration-progress">
-                    <div class="calibration-dot active" data-step="0"></div>
-                    <div class="calibration-dot" data-step="1"></div>
-                </div>
+                <div class="calibration-progress" id="cal-progress"></div>
                 <div class="calibration-hint">Calibration works for any window size once complete</div>
             </div>
             <div class="calibration-target" id="cal-target">
@@ -294,37 +474,21 @@ export class GunCalibration {
         `;
         document.body.appendChild(overlay);
 
-        // Simple 2-point calibration: top-left and bottom-right
         // Use screen coordinates for the targets (not window coordinates)
         // This accounts for window position on screen
-        const margin = 60;
         const windowX = window.screenX || window.screenLeft || 0;
         const windowY = window.screenY || window.screenTop || 0;
-        
-        // Target positions in SCREEN coordinates
-        const screenTopLeftX = windowX + margin;
-        const screenTopLeftY = windowY + margin;
-        const screenBottomRightX = windowX + window.innerWidth - margin;
-        const screenBottomRightY = windowY + window.innerHeight - margin;
-        
-        const points = [
-            { 
-                name: 'topLeft', 
-                x: margin, 
-                y: margin, 
-                screenX: screenTopLeftX,
-                screenY: screenTopLeftY,
-                text: 'Aim at the TOP-LEFT target and pull trigger' 
-            },
-            { 
-                name: 'bottomRight', 
-                x: window.innerWidth - margin, 
-                y: window.innerHeight - margin,
-                screenX: screenBottomRightX,
-                screenY: screenBottomRightY,
-                text: 'Aim at the BOTTOM-RIGHT target and pull trigger' 
-            }
-        ];
+
+        const points = this.getCalibrationPoints(mode).map(point => ({
+            ...point,
+            screenX: windowX + point.x,
+            screenY: windowY + point.y
+        }));
+
+        // One progress dot per target
+        overlay.querySelector('#cal-progress').innerHTML = points
+            .map((_, i) => `<div class="calibration-dot" data-step="${i}"></div>`)
+            .join('');
 
         let currentStep = 0;
         const rawCaptures = [];
@@ -361,6 +525,7 @@ export class GunCalibration {
                 const point = points[currentStep];
                 rawCaptures.push({
                     name: point.name,
+                    label: point.label,
                     rawAxis1,
                     rawAxis2,
                     screenX: point.screenX,
@@ -375,7 +540,7 @@ export class GunCalibration {
                     unsubscribe();
                     
                     // Analyze and save
-                    const calibrationResult = this.analyzeCalibration(rawCaptures);
+                    const calibrationResult = this.analyzeCalibration(rawCaptures, mode);
                     this.setCalibration(deviceId, calibrationResult);
                     
                     overlay.remove();
@@ -404,14 +569,88 @@ export class GunCalibration {
     }
 
     /**
-     * Analyze calibration captures to determine axis mapping and create linear mapping
+     * Analyze calibration captures and build a calibration model
      * @param {Array} captures - Array of {name, rawAxis1, rawAxis2, screenX, screenY}
-     * @returns {Object} Calibration data
+     * @param {string} mode - Wizard mode the captures came from (default: '2point')
+     * @returns {Object} Calibration data, including a per-point residual report
      */
-    analyzeCalibration(captures) {
-        const topLeft = captures.find(c => c.name === 'topLeft');
-        const bottomRight = captures.find(c => c.name === 'bottomRight');
+    analyzeCalibration(captures, mode = '2point') {
+        const modeInfo = GunCalibration.MODES[mode] || GunCalibration.MODES['2point'];
+
+        let result = null;
+        if (modeInfo.model === 'homography') {
+            result = this.analyzeHomography(captures);
+            if (!result) {
+                console.warn('Homography fit failed (degenerate captures), falling back to linear');
+            }
+        }
+        if (!result) {
+            result = this.analyzeLinear(captures);
+        }
 
+        result.mode = mode;
+        Object.assign(result, this.computeResiduals(result, captures));
+
+        console.log('Calibration result:', result);
+        console.log('Screen dimensions:', window.screen.width, 'x', window.screen.height);
+        return result;
+    }
+
+    /**
+     * Fit a full perspective transform (homography) from 4 or more captures
+     * @param {Array} captures - Array of {name, rawAxis1, rawAxis2, screenX, screenY}
+     * @returns {Object|null} Calibration data, or null if the captures are degenerate
+     */
+    analyzeHomography(captures) {
+        // axis1 = X, axis2 = Y for Gun4IR (see analyzeLinear)
+        const homography = Homography.solve(captures.map(c => ({
+            srcX: c.rawAxis1,
+            srcY: c.rawAxis2,
+            dstX: c.screenX,
+            dstY: c.screenY
+        })));
+
+        if (!homography) return null;
+
+        return {
+            model: 'homography',
+            homography,
+            axisSwapped: true, // axis1 = X, axis2 = Y
+            screenWidth: window.screen.width,
+            screenHeight: window.screen.height
+        };
+    }
+
+    /**
+     * Compute per-point residual error (in screen pixels) for a calibration
+     * @param {Object} calibration - Calibration data
+     * @param {Array} captures - Array of {name, rawAxis1, rawAxis2, screenX, screenY}
+     * @returns {{residuals: Array<{name: string, label: string, dx: number, dy: number, error: number}>, meanError: number, maxError: number}}
+     */
+    computeResiduals(calibration, captures) {
+        const residuals = captures.map(c => {
+            const mapped = this.rawToScreen(calibration, c.rawAxis1, c.rawAxis2);
+            const dx = mapped.x - c.screenX;
+            const dy = mapped.y - c.screenY;
+            return { name: c.name, label: c.label || c.name, dx, dy, error: Math.hypot(dx, dy) };
+        });
+
+        const errors = residuals.map(r => r.error);
+        const meanError = errors.length ? errors.reduce((sum, e) => sum + e, 0) / errors.length : 0;
+        const maxError = errors.length ? Math.max(...errors) : 0;
+
+        return { residuals, meanError, maxError };
+    }
+
+    /**
+     * Analyze 2-point captures to determine axis mapping and create linear mapping
+     * @param {Array} captures - Array of {name, rawAxis1, rawAxis2, screenX, screenY}
+     * @returns {Object} Calibration data
+     */
+    analyzeLinear(captures) {
+        // Use the two outermost captures (top-left and bottom-right) when available
+        const topLeft = captures.find(c => c.name === 'topLeft') || captures.find(c => c.name === 'r0c0');
+        const bottomRight = captures.find(c => c.name === 'bottomRight') || captures.find(c => c.name === 'r2c2');
         console.log('Calibration captures:', { topLeft, bottomRight });
 
         // We have two points with known screen coordinates and raw values
@@ -455,8 +694,6 @@ export class GunCalibration {
             screenHeight: window.screen.height
         };
 
-        console.log('Calibration result:', result);
-        console.log('Screen dimensions:', window.screen.width, 'x', window.screen.height);
         return result;
     }
 }
@@ -1,17 +1,46 @@
+import { UINavigator } from './UINavigator.js';
+import { Crosshair } from './Crosshair.js';
+import { VirtualGunDevices } from './VirtualGunDevices.js';
+
 /**
  * GunCursorManager class
  * Renders virtual cursors for WebHID lightguns and handles cursor-based UI interaction
+ * (hover, snapping, dwell and focus navigation live in UINavigator)
+ *
+ * Each gun's reticle, size, color, trail and hit markers come from its crosshair
+ * style (see Crosshair). Cursors are DOM elements, or - in canvas mode, during
+ * gameplay only - drawn onto the game canvas after the game's draw(), which avoids
+ * per-report style and layout work. Games can restrict in-game cursors with a
+ * cursor policy (see CURSOR_POLICIES).
  */
 export class GunCursorManager {
+    /**
+     * In-game cursor policies (menus always show cursors):
+     * - default: show cursors (subject to the player's settings)
+     * - hidden:  never show cursors in game
+     * - miss:    show a gun's cursor briefly after it misses (games report misses with markMiss())
+     * - mouse:   only for players who can't see where they aim without one (mouse, keyboard, gamepad)
+     */
+    static CURSOR_POLICIES = ['default', 'hidden', 'miss', 'mouse'];
+
+    // Devices that aim indirectly and need a cursor under the 'mouse' policy
+    static INDIRECT_AIM_DEVICES = ['mouse', 'keyboard', 'gamepad'];
+
+    static TRAIL_LENGTH = 8;         // Positions kept for the trail
+    static HIT_MARKER_TIME = 250;    // ms
+    static MISS_REVEAL_TIME = 600;   // ms the 'miss' policy shows a cursor
+
     constructor(gunManager) {
         this.gunManager = gunManager;
         this.cursorsEnabled = true;
         this.cursorElements = new Map(); // Map of gunIndex -> DOM element
+        this.trailElements = new Map();  // Map of gunIndex -> trail dot elements
         this.container = null;
         
         // Cursor settings
-        this.cursorSize = 40;
         this.showCrosshair = true;
+        this.renderMode = 'dom';          // 'dom' or 'canvas' (canvas applies during gameplay only)
+        this.cursorPolicy = 'default';    // Set by the running game, see CURSOR_POLICIES
         
         // Context tracking - cursors always show in menus, setting only affects gameplay
         this.inGame = false;
@@ -19,6 +48,15 @@ export class GunCursorManager {
         
         // Track forced hidden state per gun (for single player mode)
         this.forcedHiddenGuns = new Set();
+
+        // Effects
+        this.trails = new Map();         // gunIndex -> recent {x, y} positions (newest last)
+        this.missReveals = new Map();    // gunIndex -> time the 'miss' policy hides the cursor again
+        this.canvasHitMarkers = [];      // Hit markers waiting to be drawn in canvas mode
+        this._missRevealTimer = null;
+
+        // Gun-friendly menu navigation
+        this.navigator = new UINavigator(this);
     }
 
     /**
@@ -43,7 +81,8 @@ export class GunCursorManager {
         this.gunManager.guns.forEach((gun, index) => {
             this.createCursor(index);
         });
-        
+
+        this.navigator.init();
     }
 
     /**
@@ -53,48 +92,99 @@ export class GunCursorManager {
         const gun = this.gunManager.guns[gunIndex];
         if (!gun) return;
 
+        const style = Crosshair.getStyle(gun);
+        const color = Crosshair.getColor(gun);
+
         const cursor = document.createElement('div');
         cursor.className = 'gun-cursor';
         cursor.dataset.gunIndex = gunIndex;
         cursor.style.cssText = `
             position: absolute;
-            width: ${this.cursorSize}px;
-            height: ${this.cursorSize}px;
+            width: ${style.size}px;
+            height: ${style.size}px;
             transform: translate(-50%, -50%);
             pointer-events: none;
             display: none;
             z-index: 9999;
         `;
 
-        // Create crosshair SVG
         cursor.innerHTML = `
-            <svg width="${this.cursorSize}" height="${this.cursorSize}" viewBox="0 0 40 40">
-                <circle cx="20" cy="20" r="15" fill="none" stroke="${gun.color}" stroke-width="2" opacity="0.8"/>
-                <circle cx="20" cy="20" r="3" fill="${gun.color}"/>
-                <line x1="20" y1="0" x2="20" y2="12" stroke="${gun.color}" stroke-width="2"/>
-                <line x1="20" y1="28" x2="20" y2="40" stroke="${gun.color}" stroke-width="2"/>
-                <line x1="0" y1="20" x2="12" y2="20" stroke="${gun.color}" stroke-width="2"/>
-                <line x1="28" y1="20" x2="40" y2="20" stroke="${gun.color}" stroke-width="2"/>
-            </svg>
+            ${Crosshair.toSVG(Crosshair.SHAPES[style.shape].parts, style.size, color)}
             <div style="
                 position: absolute;
                 bottom: -20px;
                 left: 50%;
                 transform: translateX(-50%);
                 font-size: 12px;
-                color: ${gun.color};
+                color: ${color};
                 text-shadow: 1px 1px 0 #000;
                 white-space: nowrap;
             ">P${gunIndex + 1}</div>
         `;
 
-        // Initialize forced hidden state
-        cursor.dataset.forcedHidden = 'false';
-        
         this.container.appendChild(cursor);
         this.cursorElements.set(gunIndex, cursor);
     }
 
+    /**
+     * Rebuild a gun's cursor after its crosshair style changed
+     * @param {number} gunIndex
+     */
+    refreshCursor(gunIndex) {
+        this.cursorElements.get(gunIndex)?.remove();
+        this.cursorElements.delete(gunIndex);
+        (this.trailElements.get(gunIndex) || []).forEach(dot => dot.remove());
+        this.trailElements.delete(gunIndex);
+        this.trails.delete(gunIndex);
+
+        if (this.container) {
+            this.createCursor(gunIndex);
+            this.updateAllCursorVisibility();
+        }
+    }
+
+    /**
+     * Check if a gun's cursor should be visible right now
+     * - Gun must be connected
+     * - In menus (not in game): always show cursor (ignore forced hidden)
+     * - In game: the player's settings, the per-gun setting, forced hidden (single player)
+     *   and the game's cursor policy must all allow it
+     * @param {number} gunIndex
+     * @returns {boolean}
+     */
+    shouldShowCursor(gunIndex) {
+        const gun = this.gunManager.guns[gunIndex];
+        if (!gun || !gun.state.isConnected) return false;
+        if (!this.inGame) return true;
+
+        const gunCursorEnabled = gun.config.showCursor !== false; // Default to true
+        if (!this.showCursorsInGame || !gunCursorEnabled || this.forcedHiddenGuns.has(gunIndex)) {
+            return false;
+        }
+
+        switch (this.cursorPolicy) {
+            case 'hidden':
+                return false;
+            case 'miss':
+                return (this.missReveals.get(gunIndex) || 0) > performance.now();
+            case 'mouse': {
+                const device = gun.config.virtualDevice;
+                const type = device ? VirtualGunDevices.getType(device) : (gun.config.pointerId !== null ? 'mouse' : null);
+                return GunCursorManager.INDIRECT_AIM_DEVICES.includes(type);
+            }
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Check if cursors are currently drawn on the game canvas instead of the DOM
+     * @returns {boolean}
+     */
+    usesCanvas() {
+        return this.renderMode === 'canvas' && this.inGame;
+    }
+
     /**
      * Update cursor position for a gun
      */
@@ -110,30 +200,92 @@ export class GunCursorManager {
         if (!cursor) return;
 
         const gun = this.gunManager.guns[gunIndex];
-        
-        // Determine if cursor should be visible:
-        // - Gun must be connected
-        // - In menus (not in game): always show cursor (ignore forced hidden)
-        // - In game: check per-gun showCursor setting AND forced hidden state
-        const isConnected = gun && gun.state.isConnected;
-        const gunCursorEnabled = gun?.config?.showCursor !== false; // Default to true
-        const forcedHidden = this.forcedHiddenGuns.has(gunIndex) || cursor.dataset.forcedHidden === 'true';
-        
-        let shouldShow = false;
-        if (isConnected) {
-            if (this.inGame) {
-                // In game: respect per-gun setting AND forced hidden (single player)
-                shouldShow = gunCursorEnabled && !forcedHidden;
-            } else {
-                // In menus: always show (ignore forced hidden)
-                shouldShow = true;
+        const shouldShow = this.shouldShowCursor(gunIndex);
+        this.recordTrail(gunIndex, x, y);
+
+        if (this.usesCanvas()) {
+            // Drawn by drawOnCanvas() - keep the DOM untouched
+            if (cursor.style.display !== 'none') {
+                cursor.style.display = 'none';
+                this.updateTrail(gunIndex, false);
             }
+        } else {
+            // Always update position, visibility is separate
+            cursor.style.left = `${x}px`;
+            cursor.style.top = `${y}px`;
+            cursor.style.display = shouldShow ? 'block' : 'none';
+            this.updateTrail(gunIndex, shouldShow);
         }
-        
-        // Always update position, visibility is separate
-        cursor.style.left = `${x}px`;
-        cursor.style.top = `${y}px`;
-        cursor.style.display = shouldShow ? 'block' : 'none';
+
+        // Highlight whatever the gun is pointing at in menus
+        this.navigator.updateHover(gunIndex, shouldShow && !gun.state.offscreen ? { x, y } : null);
+    }
+
+    /**
+     * Remember a gun's recent positions (only if its crosshair has a trail)
+     * @param {number} gunIndex
+     * @param {number} x
+     * @param {number} y
+     */
+    recordTrail(gunIndex, x, y) {
+        const gun = this.gunManager.guns[gunIndex];
+        if (!gun || !Crosshair.getStyle(gun).trail) return;
+
+        const trail = this.trails.get(gunIndex) || [];
+        const last = trail[trail.length - 1];
+        if (last && last.x === x && last.y === y) return;
+
+        trail.push({ x, y });
+        if (trail.length > GunCursorManager.TRAIL_LENGTH) {
+            trail.shift();
+        }
+        this.trails.set(gunIndex, trail);
+    }
+
+    /**
+     * Position the DOM trail dots behind a cursor
+     * @param {number} gunIndex
+     * @param {boolean} visible
+     */
+    updateTrail(gunIndex, visible) {
+        const trail = this.trails.get(gunIndex);
+        if (!trail) return;
+
+        let dots = this.trailElements.get(gunIndex);
+        if (!dots) {
+            const color = Crosshair.getColor(this.gunManager.guns[gunIndex]);
+            dots = Array.from({ length: GunCursorManager.TRAIL_LENGTH - 1 }, () => {
+                const dot = document.createElement('div');
+                dot.className = 'gun-cursor-trail';
+                dot.style.cssText = `
+                    position: absolute;
+                    width: 6px;
+                    height: 6px;
+                    border-radius: 50%;
+                    background: ${color};
+                    transform: translate(-50%, -50%);
+                    pointer-events: none;
+                    display: none;
+                `;
+                this.container.appendChild(dot);
+                return dot;
+            });
+            this.trailElements.set(gunIndex, dots);
+        }
+
+        // Oldest positions are faintest; the newest is under the cursor itself
+        const points = trail.slice(0, -1);
+        dots.forEach((dot, i) => {
+            const point = points[points.length - dots.length + i];
+            if (!visible || !point) {
+                dot.style.display = 'none';
+                return;
+            }
+            dot.style.left = `${point.x}px`;
+            dot.style.top = `${point.y}px`;
+            dot.style.opacity = ((i + 1) / (dots.length + 1) * 0.6).toFixed(2);
+            dot.style.display = 'block';
+        });
     }
 
     /**
@@ -144,6 +296,7 @@ export class GunCursorManager {
         if (cursor) {
             cursor.style.display = 'none';
         }
+        this.updateTrail(gunIndex, false);
     }
 
     /**
@@ -151,6 +304,9 @@ export class GunCursorManager {
      */
     setInGame(inGame) {
         this.inGame = inGame;
+        if (inGame) {
+            this.navigator.clearAllHovers();
+        }
         this.updateAllCursorVisibility();
     }
 
@@ -162,26 +318,38 @@ export class GunCursorManager {
         this.updateAllCursorVisibility();
     }
 
+    /**
+     * Draw cursors as DOM elements or on the game canvas during gameplay (user setting)
+     * @param {string} mode - 'dom' or 'canvas'
+     */
+    setRenderMode(mode) {
+        this.renderMode = mode === 'canvas' ? 'canvas' : 'dom';
+        this.canvasHitMarkers = [];
+        this.updateAllCursorVisibility();
+    }
+
+    /**
+     * Set the running game's cursor policy (see CURSOR_POLICIES)
+     * @param {string} policy
+     */
+    setCursorPolicy(policy) {
+        if (!GunCursorManager.CURSOR_POLICIES.includes(policy)) {
+            console.warn(`Unknown cursor policy '${policy}', using 'default'`);
+            policy = 'default';
+        }
+        this.cursorPolicy = policy;
+        this.missReveals.clear();
+        this.updateAllCursorVisibility();
+    }
+
     /**
      * Update visibility of all cursors based on current state
      */
     updateAllCursorVisibility() {
+        const canvasMode = this.usesCanvas();
         this.cursorElements.forEach((cursor, gunIndex) => {
             const gun = this.gunManager.guns[gunIndex];
-            const isConnected = gun && gun.state.isConnected;
-            const gunCursorEnabled = gun?.config?.showCursor !== false;
-            const forcedHidden = this.forcedHiddenGuns.has(gunIndex) || cursor.dataset.forcedHidden === 'true';
-            
-            let shouldShow = false;
-            if (isConnected) {
-                if (this.inGame) {
-                    // In game: respect per-gun setting AND forced hidden (single player)
-                    shouldShow = gunCursorEnabled && !forcedHidden;
-                } else {
-                    // In menus: always show (ignore forced hidden)
-                    shouldShow = true;
-                }
-            }
+            const shouldShow = this.shouldShowCursor(gunIndex) && !canvasMode;
             
             if (shouldShow) {
                 cursor.style.display = 'block';
@@ -193,6 +361,7 @@ export class GunCursorManager {
             } else {
                 cursor.style.display = 'none';
             }
+            this.updateTrail(gunIndex, shouldShow);
         });
     }
 
@@ -202,8 +371,9 @@ export class GunCursorManager {
     setCursorsEnabled(enabled) {
         this.cursorsEnabled = enabled;
         if (!enabled) {
-            this.cursorElements.forEach(cursor => {
+            this.cursorElements.forEach((cursor, gunIndex) => {
                 cursor.style.display = 'none';
+                this.updateTrail(gunIndex, false);
             });
         }
     }
@@ -219,15 +389,7 @@ export class GunCursorManager {
             this.forcedHiddenGuns.delete(gunIndex);
         } else {
             this.forcedHiddenGuns.add(gunIndex);
-        }
-        
-        // Also update DOM element if it exists
-        const cursor = this.cursorElements.get(gunIndex);
-        if (cursor) {
-            cursor.dataset.forcedHidden = visible ? 'false' : 'true';
-            if (!visible) {
-                cursor.style.display = 'none';
-            }
+            this.hideCursor(gunIndex);
         }
     }
     
@@ -235,16 +397,121 @@ export class GunCursorManager {
      * Reset all cursor visibility overrides (call when returning to menu or multiplayer)
      */
     resetCursorVisibility() {
-        // Clear the forced hidden Set
         this.forcedHiddenGuns.clear();
-        
-        // Also clear DOM attributes
-        this.cursorElements.forEach((cursor) => {
-            cursor.dataset.forcedHidden = 'false';
-        });
         this.updateAllCursorVisibility();
     }
 
+    /**
+     * Flash a hit marker where a gun's shot landed (if its crosshair has hit markers on)
+     * @param {number} gunIndex
+     * @param {number} x - Screen X
+     * @param {number} y - Screen Y
+     */
+    showHitMarker(gunIndex, x, y) {
+        const gun = this.gunManager.guns[gunIndex];
+        if (!gun || !this.container) return;
+
+        const style = Crosshair.getStyle(gun);
+        if (!style.hitMarker) return;
+        const color = Crosshair.getColor(gun);
+
+        if (this.usesCanvas()) {
+            this.canvasHitMarkers.push({ x, y, color, size: style.size, start: performance.now() });
+            return;
+        }
+
+        const marker = document.createElement('div');
+        marker.style.cssText = `
+            position: absolute;
+            left: ${x}px;
+            top: ${y}px;
+            width: ${style.size}px;
+            height: ${style.size}px;
+            transform: translate(-50%, -50%);
+            pointer-events: none;
+            animation: hitMarker ${GunCursorManager.HIT_MARKER_TIME}ms ease-out forwards;
+        `;
+        marker.innerHTML = Crosshair.toSVG(Crosshair.HIT_MARKER, style.size, color);
+        this.container.appendChild(marker);
+
+        setTimeout(() => marker.remove(), GunCursorManager.HIT_MARKER_TIME);
+    }
+
+    /**
+     * A gun missed - under the 'miss' policy, show its cursor for a moment
+     * @param {number} gunIndex
+     */
+    revealOnMiss(gunIndex) {
+        if (this.cursorPolicy !== 'miss') return;
+
+        this.missReveals.set(gunIndex, performance.now() + GunCursorManager.MISS_REVEAL_TIME);
+        this.updateAllCursorVisibility();
+
+        clearTimeout(this._missRevealTimer);
+        this._missRevealTimer = setTimeout(() => this.updateAllCursorVisibility(), GunCursorManager.MISS_REVEAL_TIME);
+    }
+
+    /**
+     * Draw cursors, trails and hit markers onto the game canvas (canvas mode, during gameplay)
+     * Called by ArcadeSystem after the game has drawn its frame.
+     * @param {CanvasRenderingContext2D} ctx
+     */
+    drawOnCanvas(ctx) {
+        if (!this.usesCanvas()) return;
+
+        const canvas = ctx.canvas;
+        const rect = canvas.getBoundingClientRect();
+        if (!rect.width || !rect.height) return;
+
+        // Cursor positions are screen coordinates
+        const scaleX = canvas.width / rect.width;
+        const scaleY = canvas.height / rect.height;
+        const toCanvas = (x, y) => [(x - rect.left) * scaleX, (y - rect.top) * scaleY];
+
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+        for (const gun of this.gunManager.guns) {
+            if (!this.shouldShowCursor(gun.index) || gun.state.x === undefined) continue;
+
+            const style = Crosshair.getStyle(gun);
+            const color = Crosshair.getColor(gun);
+            const size = style.size * scaleX;
+
+            const trail = style.trail ? (this.trails.get(gun.index) || []).slice(0, -1) : [];
+            ctx.fillStyle = color;
+            trail.forEach((point, i) => {
+                const [tx, ty] = toCanvas(point.x, point.y);
+                ctx.globalAlpha = (i + 1) / (trail.length + 1) * 0.6;
+                ctx.beginPath();
+                ctx.arc(tx, ty, 3 * scaleX, 0, Math.PI * 2);
+                ctx.fill();
+            });
+            ctx.globalAlpha = 1;
+
+            const [x, y] = toCanvas(gun.state.x, gun.state.y);
+            Crosshair.draw(ctx, Crosshair.SHAPES[style.shape].parts, x, y, size, color);
+
+            ctx.font = `${Math.round(12 * scaleX)}px sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.fillStyle = '#000';
+            ctx.fillText(`P${gun.index + 1}`, x + scaleX, y + size / 2 + 15 * scaleY);
+            ctx.fillStyle = color;
+            ctx.fillText(`P${gun.index + 1}`, x, y + size / 2 + 14 * scaleY);
+        }
+
+        // Hit markers grow and fade out
+        const now = performance.now();
+        this.canvasHitMarkers = this.canvasHitMarkers.filter(marker => now - marker.start < GunCursorManager.HIT_MARKER_TIME);
+        for (const marker of this.canvasHitMarkers) {
+            const progress = (now - marker.start) / GunCursorManager.HIT_MARKER_TIME;
+            const [x, y] = toCanvas(marker.x, marker.y);
+            Crosshair.draw(ctx, Crosshair.HIT_MARKER, x, y, marker.size * scaleX * (1 + progress * 0.5), marker.color, 1 - progress);
+        }
+
+        ctx.restore();
+    }
+
     /**
      * Check if a point is over a clickable element
      */
@@ -280,82 +547,22 @@ export class GunCursorManager {
         const x = gun.state.x;
         const y = gun.state.y;
 
-        const element = this.getElementAtPoint(x, y);
-        
-        if (!element) {
-            console.log('Gun click: no element at', x, y);
-            return false;
+        // Menus snap to the nearest element; during gameplay only a direct hit counts,
+        // so shots near a HUD button still reach the game
+        let target;
+        if (this.navigator.isActive()) {
+            target = this.navigator.resolveTarget(x, y);
+        } else {
+            const element = this.getElementAtPoint(x, y);
+            target = element ? UINavigator.findClickable(element) : null;
         }
 
-        // Find clickable element (button, link, or element with onclick/click handler)
-        const clickTarget = element.closest('button') || 
-                           element.closest('a') || 
-                           element.closest('[onclick]') ||
-                           element.closest('.clickable') ||
-                           element.closest('.game-card') ||
-                           element.closest('.menu-item');
-        
-        // Also check if the element itself is clickable
-        const isClickable = element.tagName === 'BUTTON' || 
-                           element.tagName === 'A' || 
-                           element.tagName === 'INPUT' ||
-                           element.onclick ||
-                           clickTarget;
-
-        if (isClickable) {
-            const target = clickTarget || element;
-            
-            console.log('Gun click: clicking', target.tagName, target.className || target.id);
-            
-            // Visual feedback
-            this.showClickEffect(x, y, gun.color);
-            
-            // For fullscreen button, handle it directly here
-            // We can't use synthetic events for fullscreen API, but we CAN toggle it
-            // if we're already in fullscreen (exiting doesn't require trusted gesture)
-            // For entering fullscreen, we show a prompt to use mouse/keyboard
-            if (target.id === 'btn-fullscreen') {
-                if (document.fullscreenElement) {
-                    // Exiting fullscreen works with any event
-                    document.exitFullscreen().then(() => {
-                        target.classList.remove('active');
-                        target.textContent = 'OFF';
-                    }).catch(err => {
-                        console.warn('Exit fullscreen failed:', err);
-                    });
-                } else {
-                    // Entering fullscreen requires trusted gesture - try anyway
-                    // Some browsers may allow it, others won't
-                    document.documentElement.requestFullscreen().then(() => {
-                        target.classList.add('active');
-                        target.textContent = 'ON';
-                    }).catch(err => {
-                        console.warn('Fullscreen requires mouse/keyboard click:', err);
-                        // Flash the button to indicate it didn't work
-                        target.style.background = '#ff4444';
-                        setTimeout(() => {
-                            target.style.background = '';
-                        }, 200);
-                    });
-                }
-                return true;
-            }
-            
-            // Dispatch a proper mouse event for better compatibility
-            const clickEvent = new MouseEvent('click', {
-                bubbles: true,
-                cancelable: true,
-                view: window,
-                clientX: x,
-                clientY: y
-            });
-            target.dispatchEvent(clickEvent);
-            
-            return true;
+        if (!target) {
+            console.log('Gun click: nothing clickable at', x, y);
+            return false;
         }
-        
-        console.log('Gun click: element not clickable:', element.tagName, element.className);
-        return false;
+
+        return this.navigator.activate(target, { x, y, color: gun.color });
     }
 
     /**
@@ -385,10 +592,13 @@ export class GunCursorManager {
      * Clean up
      */
     destroy() {
+        this.navigator.destroy();
+        clearTimeout(this._missRevealTimer);
         if (this.container) {
             this.container.remove();
         }
         this.cursorElements.clear();
+        this.trailElements.clear();
     }
 }
 
@@ -405,5 +615,15 @@ style.textContent = `
             opacity: 0;
         }
     }
+    @keyframes hitMarker {
+        0% {
+            transform: translate(-50%, -50%) scale(1);
+            opacity: 1;
+        }
+        100% {
+            transform: translate(-50%, -50%) scale(1.5);
+            opacity: 0;
+        }
+    }
 `;
 document.head.appendChild(style);
@@ -5,12 +5,21 @@
  * Supports two detection modes:
  * 1. WebHID mode (preferred): Distinguishes individual Gun4IR/Sinden devices
  * 2. Pointer mode (fallback): Uses browser pointer events (limited to 1 device on Windows)
+ *
+ * Slots can also be given a virtual device (mouse, a touch column or the keyboard,
+ * see VirtualGunDevices) whose input goes through the same pipeline as a lightgun.
  */
 import { Gun } from './Gun.js';
 import { Storage } from '../../platform/storage.js';
 import { HIDDeviceManager } from './HIDDeviceManager.js';
 import { GunCursorManager } from './GunCursorManager.js';
 import { GunCalibration } from './GunCalibration.js';
+import { AimFilter } from './AimFilter.js';
+import { GunProfileBundle } from './GunProfileBundle.js';
+import { VirtualGunDevices } from './VirtualGunDevices.js';
+import { GunOutput } from './GunOutput.js';
+import { InputRecorder } from './InputRecorder.js';
+import { InputPlayer } from './InputPlayer.js';
 
 export class GunManager {
     constructor() {
@@ -25,7 +34,32 @@ export class GunManager {
         
         // Calibration system
         this.calibration = new GunCalibration();
+
+        // Aim smoothing filters (gun index -> AimFilter)
+        this.aimFilters = new Map();
+
+        // Re-pairing identical guns: gun indices waiting for a trigger pull, and the
+        // unidentified devices that could belong to them
+        this.repairQueue = [];
+        this.repairDeviceIds = new Set();
         
+        // Account sync of gun profiles (GunProfileSyncService, set by ArcadeSystem)
+        this.profileSync = null;
+        this.profileSyncEnabled = false;
+        this.syncedBundles = [];      // Last bundles fetched from the account
+        this._syncPushTimer = null;
+        this.calibration.onSave = () => this.queueProfilePush();
+
+        // Mouse, touch and keyboard as gun devices
+        this.virtualDevices = new VirtualGunDevices(this);
+
+        // Recoil, rumble and LED output
+        this.output = new GunOutput(this);
+
+        // Input recording and replay (debugging away from the cabinet)
+        this.recorder = new InputRecorder(this);
+        this.replay = null;  // InputPlayer while a recording is replaying
+
         // Cursor manager for virtual cursors
         this.cursorManager = null;
         
@@ -36,7 +70,7 @@ export class GunManager {
         this.lastTriggerGunIndex = -1; // -1 = mouse/none, 0+ = gun index
         
         // Callbacks for game integration
-        this.onShoot = null; // Called when trigger is pressed: (gunIndex, x, y) => {}
+        this.onShoot = null; // Called when trigger is pressed: (gunIndex, x, y, offscreen) => {}
         
         // Event listeners
         this.eventListeners = new Map();
@@ -75,6 +109,9 @@ export class GunManager {
         }
         
         await this.loadProfiles();
+
+        // Bind devices that were already granted and opened before profiles loaded
+        this.reconcileHIDDevices();
         
         // Load calibration data
         await this.calibration.load();
@@ -82,6 +119,8 @@ export class GunManager {
         // Initialize cursor manager
         this.cursorManager = new GunCursorManager(this);
         this.cursorManager.init();
+
+        this.virtualDevices.init();
         
         console.log('GunManager initialized', { 
             guns: this.guns, 
@@ -91,7 +130,19 @@ export class GunManager {
 
     /**
      * Register an event listener
-     * @param {string} event - Event name ('startButton', etc.)
+     * Events:
+     * - 'startButton' (gunIndex)
+     * - 'buttonDown' (gunIndex, action, buttonIndex) - a mapped action's button was pressed
+     * - 'buttonUp' (gunIndex, action, buttonIndex) - a mapped action's button was released
+     * - 'triggerDown' (gunIndex, x, y, offscreen) - trigger pulled and sent to the game (not a UI click)
+     * - 'triggerUp' (gunIndex, x, y, offscreen) - trigger released after a 'triggerDown'
+     * - 'aim' (gunIndex, x, y, offscreen) - gun moved (screen coordinates)
+     * - 'gunDisconnected' (gunIndex) / 'gunReconnected' (gunIndex) - an assigned gun's device dropped / came back
+     * - 'repairNeeded' (gunIndices) - identical guns reconnected; pull each trigger to confirm which is which
+     * - 'repairComplete' () - every gun waiting for re-pairing has been identified
+     * - 'reload' (gunIndex, method) - gun reloaded; method is 'button', 'offscreen' or 'pedal'
+     * - 'profilesChanged' () - gun profiles were replaced by an import or an account sync
+     * @param {string} event - Event name
      * @param {function} callback - Callback function
      */
     on(event, callback) {
@@ -147,6 +198,25 @@ export class GunManager {
         }
     }
 
+    /**
+     * Check whether a game is in active gameplay (see setInGame)
+     * @returns {boolean}
+     */
+    isInGame() {
+        return !!this.cursorManager?.inGame;
+    }
+
+    /**
+     * Enable/disable dwell-to-select in menus (user setting)
+     * @param {boolean} enabled
+     * @param {number} [dwellTime] - Milliseconds the aim must rest on an element
+     */
+    setDwellSelect(enabled, dwellTime) {
+        if (this.cursorManager) {
+            this.cursorManager.navigator.setDwell(enabled, dwellTime);
+        }
+    }
+
     /**
      * Set whether cursors should show during gameplay (user setting)
      */
@@ -156,12 +226,65 @@ export class GunManager {
         }
     }
 
+    /**
+     * Draw cursors as DOM elements or on the game canvas during gameplay (user setting)
+     * @param {string} mode - 'dom' or 'canvas'
+     */
+    setCursorRenderMode(mode) {
+        if (this.cursorManager) {
+            this.cursorManager.setRenderMode(mode);
+        }
+    }
+
+    /**
+     * Set the running game's cursor policy
+     * @param {string} policy - One of GunCursorManager.CURSOR_POLICIES
+     */
+    setCursorPolicy(policy) {
+        if (this.cursorManager) {
+            this.cursorManager.setCursorPolicy(policy);
+        }
+    }
+
+    /**
+     * Draw cursors onto the game canvas (does nothing unless canvas cursors are in use)
+     * @param {CanvasRenderingContext2D} ctx
+     */
+    drawCursors(ctx) {
+        if (this.cursorManager) {
+            this.cursorManager.drawOnCanvas(ctx);
+        }
+    }
+
+    /**
+     * Show a gun's hit marker
+     * @param {number} gunIndex
+     * @param {number} x - Screen X
+     * @param {number} y - Screen Y
+     */
+    showHitMarker(gunIndex, x, y) {
+        if (this.cursorManager) {
+            this.cursorManager.showHitMarker(gunIndex, x, y);
+        }
+    }
+
+    /**
+     * Report a gun's miss (reveals its cursor under the 'miss' cursor policy)
+     * @param {number} gunIndex
+     */
+    revealCursorOnMiss(gunIndex) {
+        if (this.cursorManager) {
+            this.cursorManager.revealOnMiss(gunIndex);
+        }
+    }
+
     /**
      * Set the target canvas for coordinate mapping
      * This is needed so the gun knows where the play area is on screen
      */
     setTargetCanvas(canvas) {
         this.calibration.setTargetCanvas(canvas);
+        this.virtualDevices.setTargetCanvas(canvas);
     }
 
     /**
@@ -169,8 +292,9 @@ export class GunManager {
      * @param {number} gunIndex - Index of gun to calibrate
      * @param {function} onComplete - Callback when calibration completes
      * @param {function} onCancel - Callback when calibration is cancelled
+     * @param {string} mode - '2point', '4point' or '9point' (default: '2point')
      */
-    startCalibration(gunIndex, onComplete, onCancel) {
+    startCalibration(gunIndex, onComplete, onCancel, mode = '2point') {
         const gun = this.guns[gunIndex];
         if (!gun || !gun.config.hidDeviceId) {
             console.error('Cannot calibrate: Gun not connected via HID');
@@ -219,7 +343,8 @@ export class GunManager {
                     this.cursorManager.setCursorsEnabled(true);
                 }
                 onCancel();
-            }
+            },
+            mode
         );
     }
 
@@ -242,6 +367,31 @@ export class GunManager {
         }
     }
 
+    /**
+     * Analyze an accuracy test and store it in the gun's calibration history
+     * @param {number} gunIndex
+     * @param {Array} samples - See GunCalibration.analyzeAccuracy()
+     * @returns {{result: Object, previous: Object|null}|null} Null if the gun isn't calibrated
+     */
+    recordGunAccuracy(gunIndex, samples) {
+        if (!this.isGunCalibrated(gunIndex)) return null;
+        const deviceId = this.guns[gunIndex].config.hidDeviceId;
+        const result = this.calibration.analyzeAccuracy(samples);
+        const previous = this.calibration.recordAccuracyTest(deviceId, result);
+        return { result, previous };
+    }
+
+    /**
+     * Save an offset correction into a gun's calibration
+     * @param {number} gunIndex
+     * @param {number} offsetX - Average error to remove (hit - target), in pixels
+     * @param {number} offsetY
+     */
+    applyGunOffsetCorrection(gunIndex, offsetX, offsetY) {
+        if (!this.isGunCalibrated(gunIndex)) return;
+        this.calibration.applyOffsetCorrection(this.guns[gunIndex].config.hidDeviceId, offsetX, offsetY);
+    }
+
     /**
      * Load gun profiles from storage
      */
@@ -250,12 +400,15 @@ export class GunManager {
         if (profiles && Array.isArray(profiles)) {
             profiles.forEach((profile, index) => {
                 if (this.guns[index]) {
-                    this.guns[index].fromJSON(profile);
-                    // Check if gun has either a pointerId or hidDeviceId
-                    if (this.guns[index].config.pointerId !== null || 
-                        this.guns[index].config.hidDeviceId !== null) {
+                    const gun = this.guns[index];
+                    gun.fromJSON(profile);
+                    if (gun.isAssigned()) {
                         this.activeGunCount++;
                     }
+                    // Mouse, touch and keyboard are always there; gamepads connect on first input
+                    if (gun.config.virtualDevice) {
+                        gun.state.isConnected = VirtualGunDevices.isAlwaysPresent(gun.config.virtualDevice);
+                    }
                 }
             });
         }
@@ -267,6 +420,230 @@ export class GunManager {
     async saveProfiles() {
         const profiles = this.guns.map(gun => gun.toJSON());
         await Storage.set('gun-profiles', profiles);
+        this.queueProfilePush();
+    }
+
+    /**
+     * Export every gun slot and its calibration as a versioned bundle
+     * @returns {Object} GunProfileBundle (JSON-serializable)
+     */
+    exportProfiles() {
+        return GunProfileBundle.create(this.guns, this.calibration);
+    }
+
+    /**
+     * Replace the gun setup with an exported bundle
+     * Older bundle versions are migrated; invalid bundles change nothing.
+     * @param {Object|string} input - Bundle object or JSON string
+     * @returns {Promise<number>} Number of gun slots imported
+     * @throws {Error} If the bundle is invalid or from a newer version
+     */
+    async importProfiles(input) {
+        const bundle = GunProfileBundle.parse(input);
+
+        const imported = bundle.guns.filter(entry => entry.index < this.maxGuns);
+        this.guns.forEach(gun => {
+            // Start each slot from defaults so nothing from the old setup leaks through
+            const defaults = new Gun(`gun-${gun.index}`, gun.index);
+            gun.id = defaults.id;
+            gun.name = defaults.name;
+            gun.color = defaults.color;
+            gun.config = defaults.config;
+            gun.state.isConnected = false;
+
+            const entry = imported.find(e => e.index === gun.index);
+            if (entry) {
+                gun.fromJSON(entry);
+                gun.state.isConnected = !!gun.config.virtualDevice &&
+                    VirtualGunDevices.isAlwaysPresent(gun.config.virtualDevice);
+            }
+        });
+
+        for (const [deviceId, data] of Object.entries(bundle.calibrations)) {
+            this.calibration.calibrationData.set(deviceId, data);
+        }
+
+        this.aimFilters.clear();
+        this.repairQueue = [];
+        this.repairDeviceIds.clear();
+        this.activeGunCount = this.guns.filter(g => g.isAssigned()).length;
+        this.guns.forEach(gun => this.cursorManager?.refreshCursor(gun.index));
+
+        await this.calibration.save();
+        await this.saveProfiles();
+
+        // Bind already connected devices to the imported assignments
+        this.reconcileHIDDevices();
+
+        console.log(`Imported ${imported.length} gun profile(s) from version ${bundle.version} bundle`);
+        this.emit('profilesChanged');
+        return imported.length;
+    }
+
+    // =========================================================================
+    // ACCOUNT SYNC
+    // =========================================================================
+
+    /**
+     * Set the service used to sync profiles to the user's account
+     * @param {GunProfileSyncService} service
+     */
+    setProfileSync(service) {
+        this.profileSync = service;
+    }
+
+    /**
+     * Enable or disable account sync (pulls and applies synced profiles when enabled)
+     * @param {boolean} enabled
+     * @returns {Promise<{applied: number, error: Error}>}
+     */
+    async setProfileSyncEnabled(enabled) {
+        this.profileSyncEnabled = enabled;
+        if (!enabled) {
+            clearTimeout(this._syncPushTimer);
+            this.syncedBundles = [];
+            return { applied: 0, error: null };
+        }
+        return this.syncProfiles();
+    }
+
+    /**
+     * Check if account sync is on and possible right now
+     * @returns {boolean}
+     */
+    isProfileSyncActive() {
+        return this.profileSyncEnabled && !!this.profileSync?.isAvailable();
+    }
+
+    /**
+     * Pull profiles from the account, apply them to matching guns, then push
+     * the merged result back
+     * @returns {Promise<{applied: number, error: Error}>}
+     */
+    async syncProfiles() {
+        if (!this.isProfileSyncActive()) {
+            return { applied: 0, error: null };
+        }
+
+        const { profiles, error } = await this.profileSync.fetchProfiles();
+        if (error) {
+            console.warn('Gun profile sync failed:', error);
+            return { applied: 0, error };
+        }
+
+        this.syncedBundles = [];
+        for (const { fingerprint, bundle } of profiles) {
+            try {
+                this.syncedBundles.push(GunProfileBundle.parse(bundle));
+            } catch (e) {
+                console.warn(`Ignoring synced profile for ${fingerprint}:`, e.message);
+            }
+        }
+
+        const applied = this.applySyncedProfiles(this.guns);
+        if (applied > 0) {
+            await this.calibration.save();
+            await this.saveProfiles();
+            this.emit('profilesChanged');
+        }
+        await this.pushProfiles();
+
+        console.log(`Gun profile sync: applied ${applied} profile(s) from account`);
+        return { applied, error: null };
+    }
+
+    /**
+     * Apply synced settings and calibration to guns with a matching device
+     *
+     * Entries match a gun with the same device ID first; otherwise guns with the
+     * same fingerprint are paired by slot, then in order (identical guns without
+     * serial numbers get different IDs on every cabinet). Only settings are
+     * applied - which slot a device is assigned to stays local.
+     * @param {Array<Gun>} guns - Guns to update
+     * @returns {number} Number of guns updated
+     */
+    applySyncedProfiles(guns) {
+        const entries = [];
+        for (const bundle of this.syncedBundles) {
+            for (const entry of bundle.guns) {
+                if (entry.config?.deviceFingerprint) {
+                    entries.push({ entry, calibration: bundle.calibrations[entry.config.hidDeviceId] });
+                }
+            }
+        }
+
+        const pending = guns.filter(gun => gun.config.hidDeviceId && gun.config.deviceFingerprint);
+        const pairs = [];
+        const take = (match) => {
+            for (const gun of [...pending]) {
+                const index = entries.findIndex(item => match(gun, item.entry));
+                if (index === -1) continue;
+                pairs.push([gun, entries.splice(index, 1)[0]]);
+                pending.splice(pending.indexOf(gun), 1);
+            }
+        };
+        const sameDevice = (gun, entry) => entry.config.hidDeviceId === gun.config.hidDeviceId;
+        const sameModel = (gun, entry) => entry.config.deviceFingerprint === gun.config.deviceFingerprint;
+
+        take(sameDevice);
+        take((gun, entry) => sameModel(gun, entry) && entry.index === gun.index);
+        take(sameModel);
+
+        for (const [gun, { entry, calibration }] of pairs) {
+            const { buttons, reloadMode, filter, latencyOffset, showCursor, crosshair } = entry.config;
+            gun.config.buttons = { ...gun.config.buttons, ...(buttons || {}) };
+            gun.config.filter = { ...gun.config.filter, ...(filter || {}) };
+            gun.config.crosshair = { ...gun.config.crosshair, ...(crosshair || {}) };
+            if (reloadMode !== undefined) gun.config.reloadMode = reloadMode;
+            if (latencyOffset !== undefined) gun.config.latencyOffset = latencyOffset;
+            if (showCursor !== undefined) gun.config.showCursor = showCursor;
+            if (calibration) {
+                this.calibration.calibrationData.set(gun.config.hidDeviceId, calibration);
+            }
+            this.aimFilters.delete(gun.index);
+            this.cursorManager?.refreshCursor(gun.index);
+            console.log(`Applied synced profile to ${gun.name}`);
+        }
+        return pairs.length;
+    }
+
+    /**
+     * Push profiles to the account shortly after the last change
+     */
+    queueProfilePush() {
+        if (!this.isProfileSyncActive()) return;
+        clearTimeout(this._syncPushTimer);
+        this._syncPushTimer = setTimeout(() => this.pushProfiles(), 2000);
+    }
+
+    /**
+     * Save the assigned guns to the account, one bundle per device fingerprint
+     * @returns {Promise<{error: Error}>}
+     */
+    async pushProfiles() {
+        if (!this.isProfileSyncActive()) {
+            return { error: null };
+        }
+        clearTimeout(this._syncPushTimer);
+
+        const byFingerprint = {};
+        for (const gun of this.guns) {
+            const fingerprint = gun.config.deviceFingerprint;
+            if (!gun.config.hidDeviceId || !fingerprint) continue;
+            if (!byFingerprint[fingerprint]) byFingerprint[fingerprint] = [];
+            byFingerprint[fingerprint].push(gun);
+        }
+
+        const bundles = {};
+        for (const [fingerprint, guns] of Object.entries(byFingerprint)) {
+            bundles[fingerprint] = GunProfileBundle.create(guns, this.calibration);
+        }
+
+        const { error } = await this.profileSync.saveProfiles(bundles);
+        if (error) {
+            console.warn('Gun profile push failed:', error);
+        }
+        return { error };
     }
 
     /**
@@ -338,9 +715,7 @@ export class GunManager {
      * @returns {Gun|null}
      */
     getNextAvailableSlot() {
-        return this.guns.find(gun => 
-            gun.config.pointerId === null && gun.config.hidDeviceId === null
-        );
+        return this.guns.find(gun => !gun.isAssigned());
     }
 
     /**
@@ -392,23 +767,38 @@ export class GunManager {
             return false;
         }
 
+        // Devices without a serial number get a permanent ID for this gun, since
+        // their session ID says nothing about which physical unit they are
+        let deviceId = deviceInfo.id;
+        if (!deviceInfo.hasSerial) {
+            deviceId = `${deviceInfo.fingerprint}:${Math.random().toString(16).slice(2, 10)}`;
+            this.hidManager.rekeyDevice(deviceInfo.id, deviceId);
+        }
+        this.repairDeviceIds.delete(deviceInfo.id);
+        this.repairQueue = this.repairQueue.filter(index => index !== playerIndex);
+
         // Assign device to gun
-        gun.config.hidDeviceId = deviceInfo.id;
+        gun.config.hidDeviceId = deviceId;
+        gun.config.deviceFingerprint = deviceInfo.fingerprint;
         gun.config.deviceType = deviceInfo.type.toLowerCase();
         gun.config.deviceName = deviceInfo.productName;
         gun.state.isConnected = true;
         
-        // Clear any pointer ID since we're using HID
+        // Clear any pointer ID or virtual device since we're using HID
         gun.config.pointerId = null;
+        gun.config.virtualDevice = null;
+
+        // A gun already set up on another cabinet brings its settings along
+        if (this.applySyncedProfiles([gun]) > 0) {
+            await this.calibration.save();
+        }
 
-        this.activeGunCount = this.guns.filter(g => 
-            g.config.hidDeviceId !== null || g.config.pointerId !== null
-        ).length;
+        this.activeGunCount = this.guns.filter(g => g.isAssigned()).length;
 
         await this.saveProfiles();
 
         console.log(`Assigned HID device to ${gun.name}:`, {
-            deviceId: deviceInfo.id,
+            deviceId,
             productName: deviceInfo.productName,
             storedInGun: gun.config.hidDeviceId
         });
@@ -420,26 +810,418 @@ export class GunManager {
         return true;
     }
 
+    // ==================== Virtual Devices ====================
+
+    /**
+     * Get gun by virtual device ID
+     * @param {string} deviceId - 'mouse', 'touch:N' or 'keyboard'
+     * @returns {Gun|null}
+     */
+    getGunByVirtualDevice(deviceId) {
+        return this.guns.find(gun => gun.config.virtualDevice === deviceId);
+    }
+
+    /**
+     * Get virtual devices not assigned to any gun
+     * @returns {Array<{id: string, type: string, label: string}>}
+     */
+    getAvailableVirtualDevices() {
+        return VirtualGunDevices.getDevices().filter(device => !this.getGunByVirtualDevice(device.id));
+    }
+
+    /**
+     * Assign the mouse, a touch column, the keyboard or a gamepad to a player slot
+     * @param {string} deviceId - Virtual device ID (see VirtualGunDevices.getDevices)
+     * @param {number} playerIndex - Player slot (0-3)
+     * @returns {Promise<boolean>}
+     */
+    async assignVirtualDevice(deviceId, playerIndex) {
+        const gun = this.guns[playerIndex];
+        const device = VirtualGunDevices.getDevices().find(d => d.id === deviceId);
+        if (!gun || !device) {
+            console.error('Invalid virtual device assignment:', deviceId, playerIndex);
+            return false;
+        }
+
+        const existingGun = this.getGunByVirtualDevice(deviceId);
+        if (existingGun && existingGun.index !== playerIndex) {
+            console.warn(`${device.label} already assigned to ${existingGun.name}`);
+            return false;
+        }
+
+        gun.config.virtualDevice = deviceId;
+        gun.config.hidDeviceId = null;
+        gun.config.pointerId = null;
+        gun.config.deviceFingerprint = null;
+        gun.config.deviceType = device.type;
+        gun.config.deviceName = device.label;
+
+        // Default button layout, no offscreen reload and no smoothing - these aim exactly already
+        const defaults = new Gun(gun.id, gun.index).config;
+        gun.config.buttons = device.type === 'gamepad'
+            ? { ...defaults.buttons, ...VirtualGunDevices.GAMEPAD_BUTTONS }
+            : defaults.buttons;
+        gun.config.reloadMode = 'button';
+        gun.config.filter = { ...defaults.filter, enabled: false };
+        gun.config.latencyOffset = 0;
+        this.aimFilters.delete(gun.index);
+
+        gun.state.isConnected = true;
+        this.repairQueue = this.repairQueue.filter(index => index !== playerIndex);
+        this.activeGunCount = this.guns.filter(g => g.isAssigned()).length;
+
+        await this.saveProfiles();
+        console.log(`Assigned ${device.label} to ${gun.name}`);
+
+        if (this.onGunAssigned) {
+            this.onGunAssigned(gun);
+        }
+
+        return true;
+    }
+
+    /**
+     * Handle a virtual device going away (a gamepad was unplugged)
+     * @param {string} deviceId
+     */
+    handleVirtualDeviceDisconnected(deviceId) {
+        const gun = this.getGunByVirtualDevice(deviceId);
+        if (gun) {
+            this.disconnectGun(gun);
+        }
+    }
+
+    /**
+     * Set where gamepad aim assist gets its targets
+     * @param {function(): Array<{x: number, y: number, radius: number}>|null} provider - Targets in canvas coordinates
+     */
+    setAimAssistProvider(provider) {
+        this.virtualDevices.aimAssistProvider = provider;
+    }
+
+    /**
+     * Update a gamepad gun's stick settings and save them to its profile
+     * @param {number} gunIndex
+     * @param {Object} settings - Partial GamepadAim settings
+     */
+    async setGunGamepad(gunIndex, settings) {
+        const gun = this.guns[gunIndex];
+        if (!gun) return;
+
+        gun.config.gamepad = { ...gun.config.gamepad, ...settings };
+        await this.saveProfiles();
+    }
+
+    /**
+     * Update a gun's crosshair and save it to its profile
+     * @param {number} gunIndex
+     * @param {Object} settings - Partial Crosshair settings
+     */
+    async setGunCrosshair(gunIndex, settings) {
+        const gun = this.guns[gunIndex];
+        if (!gun) return;
+
+        gun.config.crosshair = { ...gun.config.crosshair, ...settings };
+        this.cursorManager?.refreshCursor(gunIndex);
+        await this.saveProfiles();
+    }
+
+    /**
+     * Play a recoil pattern on a gun (solenoid, rumble motor or gamepad rumble)
+     * @param {number} gunIndex
+     * @param {string|Array<Object>} [pattern] - Name from GunOutput.PATTERNS or a list of pulses
+     * @returns {boolean} True if the gun has force feedback
+     */
+    recoil(gunIndex, pattern = 'single') {
+        return this.output.recoil(gunIndex, pattern);
+    }
+
+    /**
+     * Set a gun's LED color (HID guns whose profile defines an LED command)
+     * @param {number} gunIndex
+     * @param {string} color - '#rrggbb'
+     * @returns {boolean} True if the gun has an LED
+     */
+    setLED(gunIndex, color) {
+        return this.output.setLED(gunIndex, color);
+    }
+
+    /**
+     * Turn recoil, rumble and LEDs on or off (user setting)
+     * @param {boolean} enabled
+     */
+    setOutputEnabled(enabled) {
+        this.output.setEnabled(enabled);
+    }
+
+    /**
+     * Stop all feedback and set LEDs back to each gun's color
+     */
+    resetOutputs() {
+        this.output.reset();
+    }
+
+    /**
+     * Start recording raw gun reports and mouse/keyboard input
+     * @returns {boolean} False if a replay is running
+     */
+    startRecording() {
+        if (this.replay) return false;
+        this.recorder.start();
+        return true;
+    }
+
+    /**
+     * Stop recording
+     * @returns {Object|null} The recording (save it as JSON)
+     */
+    stopRecording() {
+        return this.recorder.stop();
+    }
+
+    /**
+     * Replay a recording in real time through the normal input path
+     * The recorded devices are connected as mock devices until the replay ends.
+     * @param {Object|string} recording - Recording object or JSON string
+     * @param {Object} [options]
+     * @param {number} [options.speed] - Playback speed
+     * @param {boolean} [options.useRecordedProfiles] - Load the recording's gun setup and calibration first
+     * @returns {Promise<InputPlayer>} Resolves when the replay ends or is stopped
+     * @throws {Error} If the recording is invalid or can't be attached
+     */
+    async replayRecording(recording, { speed = 1, useRecordedProfiles = false } = {}) {
+        if (this.recorder.isRecording) {
+            throw new Error('Stop recording before replaying');
+        }
+        this.stopReplay();
+
+        const player = new InputPlayer(this, recording);
+        this.replay = player;
+        try {
+            if (useRecordedProfiles) {
+                await player.applyProfiles();
+            }
+            await player.play({ speed });
+        } finally {
+            player.detach();
+            if (this.replay === player) {
+                this.replay = null;
+            }
+        }
+        return player;
+    }
+
+    /**
+     * Stop a running replay
+     */
+    stopReplay() {
+        if (this.replay) {
+            this.replay.stop();
+        }
+    }
+
     /**
      * Handle HID device connected event
      */
     handleHIDDeviceConnected(deviceInfo) {
-        // Check if this device was previously assigned
-        const gun = this.getGunByHIDDeviceId(deviceInfo.id);
-        if (gun) {
-            gun.state.isConnected = true;
-            console.log(`Reconnected ${deviceInfo.productName} to ${gun.name}`);
+        this.reconcileHIDDevices();
+    }
+
+    /**
+     * Match connected HID devices to guns
+     *
+     * - Devices with a serial number match their gun's stored ID exactly.
+     * - Devices without one are matched by fingerprint (model + report layout).
+     *   If exactly one gun and one device share a fingerprint they are bound
+     *   straight away; otherwise the guns are queued for re-pairing and the
+     *   player confirms each one by pulling its trigger (see 'repairNeeded').
+     */
+    reconcileHIDDevices() {
+        if (!this.useWebHID) return;
+
+        const devices = this.hidManager.getDevices();
+        const unbound = [];
+
+        for (const info of devices) {
+            const gun = this.getGunByHIDDeviceId(info.id);
+            if (gun) {
+                this.markGunConnected(gun);
+            } else if (!info.hasSerial) {
+                unbound.push(info);
+            }
+        }
+
+        // Group unidentified devices by fingerprint
+        const groups = new Map();
+        for (const info of unbound) {
+            if (!groups.has(info.fingerprint)) groups.set(info.fingerprint, []);
+            groups.get(info.fingerprint).push(info);
+        }
+
+        let queueChanged = false;
+        for (const [fingerprint, groupDevices] of groups) {
+            const candidates = this.guns.filter(gun =>
+                !this.isGunDevicePresent(gun) && this.matchesFingerprint(gun, fingerprint)
+            );
+            if (candidates.length === 0) continue;
+
+            if (candidates.length === 1 && groupDevices.length === 1) {
+                this.bindDeviceToGun(groupDevices[0], candidates[0]);
+                continue;
+            }
+
+            // Ambiguous - ask the player
+            candidates.forEach(gun => {
+                if (!this.repairQueue.includes(gun.index)) {
+                    this.repairQueue.push(gun.index);
+                    queueChanged = true;
+                }
+            });
+            groupDevices.forEach(info => this.repairDeviceIds.add(info.id));
         }
+
+        if (queueChanged) {
+            this.repairQueue.sort((a, b) => a - b);
+            console.log('Identical guns need re-pairing:', this.repairQueue);
+            this.emit('repairNeeded', [...this.repairQueue]);
+        }
+    }
+
+    /**
+     * Check whether a gun's stored device could be this fingerprint
+     * Profiles saved before fingerprints existed fall back to vendor:product.
+     * @param {Gun} gun
+     * @param {string} fingerprint
+     * @returns {boolean}
+     */
+    matchesFingerprint(gun, fingerprint) {
+        if (!gun.config.hidDeviceId) return false;
+        if (gun.config.deviceFingerprint) {
+            return gun.config.deviceFingerprint === fingerprint;
+        }
+        const vendorProduct = fingerprint.split(':').slice(0, 2).join(':');
+        return gun.config.hidDeviceId.startsWith(`${vendorProduct}:`);
+    }
+
+    /**
+     * Check whether a gun's device is currently connected and bound
+     * @param {Gun} gun
+     * @returns {boolean}
+     */
+    isGunDevicePresent(gun) {
+        return !!gun.config.hidDeviceId && this.hidManager.devices.has(gun.config.hidDeviceId);
+    }
+
+    /**
+     * Bind an unidentified device to a gun, re-keying it to the gun's stored ID
+     * so calibration and settings follow the physical gun
+     * @param {Object} deviceInfo
+     * @param {Gun} gun
+     */
+    bindDeviceToGun(deviceInfo, gun) {
+        if (!gun.config.hidDeviceId || !this.hidManager.rekeyDevice(deviceInfo.id, gun.config.hidDeviceId)) {
+            console.warn(`Could not bind ${deviceInfo.id} to ${gun.name}`);
+            return;
+        }
+
+        this.repairDeviceIds.delete(deviceInfo.id);
+        this.repairQueue = this.repairQueue.filter(index => index !== gun.index);
+
+        if (gun.config.deviceFingerprint !== deviceInfo.fingerprint) {
+            gun.config.deviceFingerprint = deviceInfo.fingerprint;
+            this.saveProfiles();
+        }
+
+        console.log(`Bound ${deviceInfo.productName} to ${gun.name}`);
+        this.markGunConnected(gun);
+    }
+
+    /**
+     * Mark a gun as connected, notifying listeners if it had dropped
+     * @param {Gun} gun
+     */
+    markGunConnected(gun) {
+        if (gun.state.isConnected) return;
+        gun.state.isConnected = true;
+        this.aimFilters.delete(gun.index);
+        console.log(`Reconnected ${gun.name}`);
+        this.output.restoreLED(gun.index);
+        this.emit('gunReconnected', gun.index);
+    }
+
+    /**
+     * Handle a button press from a device waiting to be re-paired:
+     * it belongs to the first gun in the queue
+     * @param {string} deviceId
+     */
+    handleRepairInput(deviceId) {
+        const gun = this.guns[this.repairQueue[0]];
+        const deviceInfo = this.hidManager.getDevice(deviceId);
+        if (!gun || !deviceInfo) return;
+
+        this.bindDeviceToGun(deviceInfo, gun);
+        this.finishRepairIfResolved();
+    }
+
+    /**
+     * Bind the last device automatically, and announce when re-pairing is done
+     */
+    finishRepairIfResolved() {
+        if (this.repairQueue.length === 1 && this.repairDeviceIds.size === 1) {
+            const [deviceId] = this.repairDeviceIds;
+            const deviceInfo = this.hidManager.getDevice(deviceId);
+            if (deviceInfo) this.bindDeviceToGun(deviceInfo, this.guns[this.repairQueue[0]]);
+        }
+
+        if (this.repairQueue.length === 0 || this.repairDeviceIds.size === 0) {
+            this.repairQueue = [];
+            this.repairDeviceIds.clear();
+            this.emit('repairComplete');
+        }
+    }
+
+    /**
+     * Skip re-pairing and bind the waiting devices in connection order
+     */
+    skipRepair() {
+        const deviceIds = [...this.repairDeviceIds];
+        const gunIndices = [...this.repairQueue];
+        deviceIds.forEach((deviceId, i) => {
+            const deviceInfo = this.hidManager.getDevice(deviceId);
+            const gun = this.guns[gunIndices[i]];
+            if (deviceInfo && gun) this.bindDeviceToGun(deviceInfo, gun);
+        });
+        this.finishRepairIfResolved();
     }
 
     /**
      * Handle HID device disconnected event
      */
     handleHIDDeviceDisconnected(deviceInfo) {
+        // An unidentified device going away may leave nothing to re-pair
+        if (this.repairDeviceIds.delete(deviceInfo.id)) {
+            this.finishRepairIfResolved();
+        }
+
         const gun = this.getGunByHIDDeviceId(deviceInfo.id);
         if (gun) {
-            gun.state.isConnected = false;
             console.log(`Disconnected ${deviceInfo.productName} from ${gun.name}`);
+            this.disconnectGun(gun);
+        }
+    }
+
+    /**
+     * Mark an assigned gun's device as gone and notify listeners
+     * @param {Gun} gun
+     */
+    disconnectGun(gun) {
+        gun.state.isConnected = false;
+        this.emit('gunDisconnected', gun.index);
+
+        // A held trigger will never see its release report
+        if (gun.state.isFiring) {
+            gun.state.isFiring = false;
+            this.emit('triggerUp', gun.index, gun.state.x, gun.state.y, !!gun.state.offscreen);
         }
     }
 
@@ -447,8 +1229,11 @@ export class GunManager {
      * Handle HID input from a device
      */
     handleHIDInput(inputData) {
+        const pressedButtons = inputData.buttons.pressed || [];
+        const releasedButtons = inputData.buttons.released || [];
+
         // Log ALL button presses for debugging
-        if (inputData.buttons.leftPressed || inputData.buttons.rightPressed || inputData.buttons.middlePressed) {
+        if (pressedButtons.length > 0) {
             console.log('HID Button press:', {
                 deviceId: inputData.deviceId,
                 buttons: inputData.buttons,
@@ -456,12 +1241,13 @@ export class GunManager {
             });
         }
         
-        // Check for pending button mapping first
-        if (this._pendingButtonMap) {
+        // Check for pending button mapping first (virtual devices only map to their own gun)
+        const pendingMap = this._pendingButtonMap;
+        if (pendingMap && (!inputData.virtual || inputData.deviceId === pendingMap.targetDeviceId)) {
             const { targetDeviceId, acceptAnyDevice, callback } = this._pendingButtonMap;
             
             // Log for debugging
-            if (inputData.buttons.leftPressed || inputData.buttons.rightPressed || inputData.buttons.middlePressed) {
+            if (pressedButtons.length > 0) {
                 console.log('Button press during mapping:', {
                     received: inputData.deviceId,
                     expected: targetDeviceId,
@@ -474,102 +1260,110 @@ export class GunManager {
             // Accept input from target device OR any device if acceptAnyDevice is true
             const deviceMatches = inputData.deviceId === targetDeviceId || acceptAnyDevice;
             
-            if (deviceMatches) {
-                // Determine which button was just pressed
-                let buttonIndex = -1;
-                if (inputData.buttons.leftPressed) buttonIndex = 0;
-                else if (inputData.buttons.rightPressed) buttonIndex = 1;
-                else if (inputData.buttons.middlePressed) buttonIndex = 2;
-
-                if (buttonIndex >= 0) {
-                    callback(buttonIndex, inputData.deviceId);
-                    return; // Don't process further
-                }
+            if (deviceMatches && pressedButtons.length > 0) {
+                // Use the lowest button index that was just pressed
+                callback(pressedButtons[0], inputData.deviceId);
+                return; // Don't process further
             }
         }
         
-        let gun = this.getGunByHIDDeviceId(inputData.deviceId);
+        const gun = inputData.virtual
+            ? this.getGunByVirtualDevice(inputData.deviceId)
+            : this.getGunByHIDDeviceId(inputData.deviceId);
         
-        // If gun not found by exact ID, try to find by similar device (same vendor/product)
-        // This handles the case where device ID changes between sessions
+        // Unbound device: either a gun being re-paired, or a new gun during detection
         if (!gun) {
-            // Check if any gun has a similar device ID (same vendor:product prefix)
-            const devicePrefix = inputData.deviceId.split(':').slice(0, 2).join(':');
-            gun = this.guns.find(g => {
-                if (!g.config.hidDeviceId) return false;
-                const gunPrefix = g.config.hidDeviceId.split(':').slice(0, 2).join(':');
-                return gunPrefix === devicePrefix;
-            });
-            
-            if (gun) {
-                // Update the gun's device ID to the new one
-                console.log(`Updating gun ${gun.index} device ID: ${gun.config.hidDeviceId} -> ${inputData.deviceId}`);
-                gun.config.hidDeviceId = inputData.deviceId;
-                this.saveProfiles();
+            if (pressedButtons.length > 0) {
+                if (this.repairDeviceIds.has(inputData.deviceId)) {
+                    this.handleRepairInput(inputData.deviceId);
+                } else if (this.isDetecting && this.pendingHIDCallback) {
+                    this.pendingHIDCallback(inputData);
+                }
             }
+            return;
         }
-        
-        if (!gun) return;
 
         // Update gun state based on HID input
         gun.state.lastActive = inputData.timestamp;
+        gun.state.lastReportTime = inputData.reportTime;
         
         // Mark as connected when we receive input (handles reconnection after page reload)
-        if (!gun.state.isConnected) {
-            gun.state.isConnected = true;
-            console.log(`Gun ${gun.index} connected via HID input`);
-        }
+        this.markGunConnected(gun);
         
         // Update position if absolute coordinates are available
         if (inputData.position && inputData.position.isAbsolute) {
             const { rawAxis1, rawAxis2 } = inputData.position;
             
-            // Transform using calibration
-            const transformed = this.calibration.transform(
-                inputData.deviceId, 
-                rawAxis1, 
-                rawAxis2
-            );
+            // Transform using calibration (virtual devices report viewport coordinates)
+            const transformed = inputData.virtual
+                ? { x: inputData.position.x, y: inputData.position.y, offscreen: false }
+                : this.calibration.transform(inputData.deviceId, rawAxis1, rawAxis2);
             
-            gun.state.x = transformed.x;
-            gun.state.y = transformed.y;
+            gun.state.rawX = transformed.x;
+            gun.state.rawY = transformed.y;
             gun.state.offscreen = transformed.offscreen;
+
+            // Smooth the cursor/aim position; offscreen positions restart the filter
+            const filter = this.getAimFilter(gun);
+            if (transformed.offscreen) {
+                filter.reset();
+                gun.state.x = transformed.x;
+                gun.state.y = transformed.y;
+            } else {
+                const filtered = filter.filter(transformed.x, transformed.y, inputData.reportTime);
+                gun.state.x = filtered.x;
+                gun.state.y = filtered.y;
+            }
             
             // Update cursor position - always, regardless of game state
             if (this.cursorManager) {
                 this.cursorManager.updateCursor(gun.index, gun.state.x, gun.state.y);
             }
+
+            this.emit('aim', gun.index, gun.state.x, gun.state.y, !!gun.state.offscreen);
         }
 
         // Handle button presses
-        const triggerBtn = gun.config.buttons.trigger;
-        const reloadBtn = gun.config.buttons.reload;
-        const startBtn = gun.config.buttons.start;
-
-        // Map HID buttons to configured gun buttons
-        // Standard HID: left=0, right=1, middle=2
-        const leftPressed = inputData.buttons.leftPressed;
-        const rightPressed = inputData.buttons.rightPressed;
-        const middlePressed = inputData.buttons.middlePressed;
-        
-        // Check if trigger was pressed
-        const triggerPressed = (triggerBtn === 0 && leftPressed) ||
-                               (triggerBtn === 1 && rightPressed) ||
-                               (triggerBtn === 2 && middlePressed);
-        
-        // Check if start button was pressed
-        const startPressed = (startBtn === 0 && leftPressed) ||
-                             (startBtn === 1 && rightPressed) ||
-                             (startBtn === 2 && middlePressed);
-        
+        // Track per-button state, then map physical buttons to logical actions
+        const states = inputData.buttons.states || [];
+        gun.state.buttons = states.slice();
+
         // Update trigger state
-        gun.state.isTriggerDown = (triggerBtn === 0 && inputData.buttons.left) ||
-                                  (triggerBtn === 1 && inputData.buttons.right) ||
-                                  (triggerBtn === 2 && inputData.buttons.middle);
-        
-        // Fire start button event if pressed (for pause/menu)
-        if (startPressed) {
-            this.emit('startButton', gun.index);
+        gun.state.isTriggerDown = gun.isActionDown('trigger');
+
+        const reloadMode = gun.config.reloadMode;
+        let triggerPressed = false;
+        let triggerReleased = false;
+        for (const buttonIndex of pressedButtons) {
+            for (const action of gun.getActionsForButton(buttonIndex)) {
+                if (action === 'trigger') triggerPressed = true;
+                this.emit('buttonDown', gun.index, action, buttonIndex);
+                
+                // Fire start button event if pressed (for pause/menu)
+                if (action === 'start') {
+                    this.emit('startButton', gun.index);
+                }
+
+                // The reload button always reloads, whatever the reload mode
+                if (action === 'reload') {
+                    this.emit('reload', gun.index, 'button');
+                }
+
+                if (action === 'pedal' && reloadMode === 'pedal') {
+                    gun.state.isReloading = true;
+                    this.emit('reload', gun.index, 'pedal');
+                }
+            }
+        }
+        for (const buttonIndex of releasedButtons) {
+            for (const action of gun.getActionsForButton(buttonIndex)) {
+                this.emit('buttonUp', gun.index, action, buttonIndex);
+
+                if (action === 'trigger') triggerReleased = true;
+                if (action === 'pedal') {
+                    gun.state.isReloading = false;
+                }
+            }
         }
         
         // Fire shoot event if trigger was just pressed
@@ -577,26 +1371,105 @@ export class GunManager {
             // Track last gun that fired (for single player game start)
             this.lastTriggerGunIndex = gun.index;
             
-            // Try to click UI element first
-            let clickedUI = false;
-            if (this.cursorManager) {
-                clickedUI = this.cursorManager.simulateClick(gun.index);
-            }
-            
-            // If no UI was clicked, fire shoot event for game
-            if (!clickedUI && this.onShoot) {
-                this.onShoot(gun.index, gun.state.x, gun.state.y);
+            if (gun.state.offscreen) {
+                // Offscreen shots never click UI - in menus they mean "back",
+                // otherwise they either reload or go to the game flagged as offscreen
+                if (this.cursorManager?.navigator.back()) {
+                    console.log(`${gun.name}: offscreen shot - back`);
+                } else if (reloadMode === 'offscreen') {
+                    this.emit('reload', gun.index, 'offscreen');
+                } else {
+                    this.fireTrigger(gun, true);
+                }
+            } else if (!gun.state.isReloading) {
+                // Try to click UI element first (the browser already clicks for real pointers)
+                let clickedUI = false;
+                if (this.cursorManager && !inputData.nativePointer) {
+                    clickedUI = this.cursorManager.simulateClick(gun.index);
+                }
+                
+                // If no UI was clicked, fire shoot event for game
+                if (!clickedUI) {
+                    this.fireTrigger(gun, false);
+                }
             }
         }
 
-        // If we're in detection mode and waiting for this device
-        if (this.isDetecting && this.pendingHIDCallback) {
-            if (inputData.buttons.leftPressed || inputData.buttons.rightPressed) {
-                this.pendingHIDCallback(inputData);
-            }
+        // Only report a release for presses that reached the game
+        if (triggerReleased && gun.state.isFiring) {
+            gun.state.isFiring = false;
+            this.emit('triggerUp', gun.index, gun.state.x, gun.state.y, !!gun.state.offscreen);
         }
     }
 
+    /**
+     * Send a trigger pull to the game: the shoot callback plus a 'triggerDown' event
+     * @param {Gun} gun
+     * @param {boolean} offscreen - Whether the gun is aimed outside the screen
+     */
+    fireTrigger(gun, offscreen) {
+        gun.state.isFiring = true;
+
+        // Shots land on the unfiltered (or rewound) position, never the smoothed one
+        const shot = this.getAimFilter(gun).getShotPosition() || { x: gun.state.rawX, y: gun.state.rawY };
+        if (this.onShoot) {
+            this.onShoot(gun.index, shot.x, shot.y, offscreen);
+        }
+        this.emit('triggerDown', gun.index, shot.x, shot.y, offscreen);
+    }
+
+    /**
+     * Get (or create) the aim filter for a gun
+     * @param {Gun} gun
+     * @returns {AimFilter}
+     */
+    getAimFilter(gun) {
+        let filter = this.aimFilters.get(gun.index);
+        if (!filter) {
+            filter = new AimFilter(gun.config.filter);
+            this.aimFilters.set(gun.index, filter);
+        }
+        return filter;
+    }
+
+    /**
+     * Update a gun's filter settings and save them to its profile
+     * @param {number} gunIndex
+     * @param {Object} settings - Partial AimFilter settings
+     */
+    async setGunFilter(gunIndex, settings) {
+        const gun = this.guns[gunIndex];
+        if (!gun) return;
+
+        gun.config.filter = { ...gun.config.filter, ...settings };
+        this.aimFilters.delete(gunIndex); // Rebuilt with the new settings on next report
+        await this.saveProfiles();
+    }
+
+    /**
+     * Set a gun's latency offset and save it to its profile
+     * @param {number} gunIndex
+     * @param {number} offsetMs - How far back in time games should judge this gun's hits
+     */
+    async setGunLatencyOffset(gunIndex, offsetMs) {
+        const gun = this.guns[gunIndex];
+        if (!gun) return;
+
+        gun.config.latencyOffset = Math.max(0, Math.round(offsetMs));
+        await this.saveProfiles();
+    }
+
+    /**
+     * Get report timing statistics for a gun's HID device
+     * @param {number} gunIndex
+     * @returns {Object|null} See LatencyStats.getStats()
+     */
+    getLatencyStats(gunIndex) {
+        const gun = this.guns[gunIndex];
+        if (!gun || !gun.config.hidDeviceId) return null;
+        return this.hidManager.latencyStats.getStats(gun.config.hidDeviceId);
+    }
+
     /**
      * Start HID-based detection mode
      * Listens for trigger pulls from unassigned HID devices
@@ -643,7 +1516,7 @@ export class GunManager {
      * Listen for the next button press from a specific gun
      * Works with both HID and pointer-based guns
      * @param {number} gunIndex - Index of the gun to listen for
-     * @param {function} callback - Called with (buttonIndex)
+     * @param {function} callback - Called with (buttonIndex) - any button the device profile defines
      * @returns {function} Cleanup function to stop listening
      */
     listenForButton(gunIndex, callback) {
@@ -653,6 +1526,28 @@ export class GunManager {
             return () => { };
         }
         
+        const virtualType = gun.config.virtualDevice && VirtualGunDevices.getType(gun.config.virtualDevice);
+        if (virtualType && virtualType !== 'gamepad') {
+            console.error('Cannot listen for button: Mouse, touch and keyboard use a fixed button layout');
+            return () => { };
+        }
+
+        // Gamepad: the next button pressed on that gamepad
+        if (virtualType === 'gamepad') {
+            this._pendingButtonMap = {
+                gunIndex,
+                targetDeviceId: gun.config.virtualDevice,
+                acceptAnyDevice: false,
+                callback: (buttonIndex) => {
+                    this._pendingButtonMap = null;
+                    callback(buttonIndex);
+                }
+            };
+            return () => {
+                this._pendingButtonMap = null;
+            };
+        }
+
         // Allow mapping even if not marked as connected - HID device may be assigned but no input received yet
         if (!gun.config.hidDeviceId && !gun.config.pointerId) {
             console.error('Cannot listen for button: No device assigned');
@@ -726,11 +1621,15 @@ export class GunManager {
         this.guns.forEach(gun => {
             gun.config.pointerId = null;
             gun.config.hidDeviceId = null;
+            gun.config.virtualDevice = null;
+            gun.config.deviceFingerprint = null;
             gun.config.deviceType = 'mouse';
             gun.config.deviceName = '';
             gun.state.isConnected = false;
         });
         this.activeGunCount = 0;
+        this.repairQueue = [];
+        this.repairDeviceIds.clear();
         await this.saveProfiles();
     }
 
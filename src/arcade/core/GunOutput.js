@@ -0,0 +1,217 @@
+/**
+ * GunOutput class
+ * Force feedback (solenoid recoil, rumble) and LED color for guns that support it
+ *
+ * HID guns are driven through the output commands of their device profile
+ * (see data/deviceProfiles.js); a gun without a recoil command falls back to
+ * rumble and vice versa. Gamepad guns use the Gamepad API's dual-rumble effect.
+ * Mouse, touch and keyboard guns have no outputs - calls are ignored.
+ *
+ * Recoil patterns are lists of pulses: { at (ms from start), strength (0-255),
+ * duration (ms), rumble (prefer the rumble motor) }.
+ */
+import { VirtualGunDevices } from './VirtualGunDevices.js';
+
+export class GunOutput {
+    static PATTERNS = {
+        single: [{ at: 0, strength: 255, duration: 40 }],
+        light: [{ at: 0, strength: 140, duration: 25 }],
+        double: [{ at: 0, strength: 255, duration: 40 }, { at: 90, strength: 255, duration: 40 }],
+        burst: [
+            { at: 0, strength: 220, duration: 35 },
+            { at: 70, strength: 220, duration: 35 },
+            { at: 140, strength: 220, duration: 35 }
+        ],
+        heavy: [{ at: 0, strength: 255, duration: 90 }],
+        hit: [{ at: 0, strength: 200, duration: 150, rumble: true }],
+        rumble: [{ at: 0, strength: 160, duration: 300, rumble: true }]
+    };
+
+    constructor(gunManager) {
+        this.gunManager = gunManager;
+        this.enabled = true;
+        this.timers = new Map();     // gun index -> pending pulse timeouts
+        this.ledColors = new Map();  // gun index -> last requested '#rrggbb'
+    }
+
+    /**
+     * Play a recoil pattern on a gun
+     * @param {number} gunIndex
+     * @param {string|Array<Object>} [pattern] - Name from PATTERNS or a list of pulses
+     * @returns {boolean} True if the gun has an output to play it on
+     */
+    recoil(gunIndex, pattern = 'single') {
+        const gun = this.gunManager.guns[gunIndex];
+        const pulses = typeof pattern === 'string' ? GunOutput.PATTERNS[pattern] : pattern;
+        if (!pulses) {
+            console.warn(`Unknown recoil pattern: ${pattern}`);
+            return false;
+        }
+        if (!this.enabled || !gun || !this.hasFeedback(gun)) return false;
+
+        this.clearTimers(gunIndex);
+        const timers = pulses.map(pulse => setTimeout(() => this.pulse(gun, pulse), pulse.at || 0));
+        this.timers.set(gunIndex, timers);
+        return true;
+    }
+
+    /**
+     * Fire one pulse on a gun's device
+     * @param {Gun} gun
+     * @param {Object} pulse
+     */
+    pulse(gun, pulse) {
+        const params = { strength: pulse.strength ?? 255, duration: pulse.duration ?? 40 };
+
+        const deviceId = gun.config.hidDeviceId;
+        if (deviceId) {
+            const hid = this.gunManager.hidManager;
+            const order = pulse.rumble ? ['rumble', 'recoil'] : ['recoil', 'rumble'];
+            const command = order.find(c => hid.supportsOutput(deviceId, c));
+            if (command) {
+                hid.sendOutput(deviceId, command, params);
+            }
+            return;
+        }
+
+        const actuator = this.getGamepadActuator(gun);
+        if (actuator) {
+            // Recoil feels best as a short kick on the strong motor; rumble uses both
+            const magnitude = params.strength / 255;
+            actuator.playEffect('dual-rumble', {
+                duration: params.duration,
+                strongMagnitude: magnitude,
+                weakMagnitude: pulse.rumble ? magnitude : magnitude * 0.3
+            }).catch(() => {});
+        }
+    }
+
+    /**
+     * Set a gun's LED color
+     * @param {number} gunIndex
+     * @param {string} color - '#rrggbb' ('#000000' turns the LED off)
+     * @returns {boolean} True if the gun has an LED
+     */
+    setLED(gunIndex, color) {
+        const gun = this.gunManager.guns[gunIndex];
+        const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color || '');
+        if (!gun || !match) return false;
+
+        this.ledColors.set(gunIndex, color);
+        const deviceId = gun.config.hidDeviceId;
+        if (!this.enabled || !deviceId || !this.gunManager.hidManager.supportsOutput(deviceId, 'led')) {
+            return false;
+        }
+
+        const [r, g, b] = match.slice(1).map(hex => parseInt(hex, 16));
+        this.gunManager.hidManager.sendOutput(deviceId, 'led', { r, g, b });
+        return true;
+    }
+
+    /**
+     * Check if a gun has anything to recoil or rumble with
+     * @param {Gun} gun
+     * @returns {boolean}
+     */
+    hasFeedback(gun) {
+        const deviceId = gun.config.hidDeviceId;
+        if (deviceId) {
+            const hid = this.gunManager.hidManager;
+            return hid.supportsOutput(deviceId, 'recoil') || hid.supportsOutput(deviceId, 'rumble');
+        }
+        return !!this.getGamepadActuator(gun);
+    }
+
+    /**
+     * Get the rumble actuator of a gamepad gun
+     * @param {Gun} gun
+     * @returns {GamepadHapticActuator|null}
+     */
+    getGamepadActuator(gun) {
+        const deviceId = gun.config.virtualDevice;
+        if (!deviceId || VirtualGunDevices.getType(deviceId) !== 'gamepad') return null;
+
+        const index = parseInt(deviceId.split(':')[1], 10);
+        const gamepad = VirtualGunDevices.getGamepads().find(g => g.index === index);
+        return gamepad?.vibrationActuator || null;
+    }
+
+    /**
+     * Stop any recoil or rumble on a gun
+     * @param {number} gunIndex
+     */
+    stop(gunIndex) {
+        this.clearTimers(gunIndex);
+        const gun = this.gunManager.guns[gunIndex];
+        if (!gun) return;
+
+        const deviceId = gun.config.hidDeviceId;
+        if (deviceId && this.gunManager.hidManager.supportsOutput(deviceId, 'stop')) {
+            this.gunManager.hidManager.sendOutput(deviceId, 'stop');
+        }
+        this.getGamepadActuator(gun)?.reset?.().catch(() => {});
+    }
+
+    /**
+     * Cancel a gun's pending pulses
+     * @param {number} gunIndex
+     */
+    clearTimers(gunIndex) {
+        for (const timer of this.timers.get(gunIndex) || []) {
+            clearTimeout(timer);
+        }
+        this.timers.delete(gunIndex);
+    }
+
+    /**
+     * Turn all outputs on or off (user setting)
+     * Turning off stops feedback and switches LEDs off; turning on restores the LED colors.
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        if (this.enabled === enabled) return;
+
+        if (!enabled) {
+            const hid = this.gunManager.hidManager;
+            for (const gun of this.gunManager.guns) {
+                this.stop(gun.index);
+                const deviceId = gun.config.hidDeviceId;
+                if (deviceId && this.ledColors.has(gun.index) && hid.supportsOutput(deviceId, 'led')) {
+                    hid.sendOutput(deviceId, 'led', { r: 0, g: 0, b: 0 });
+                }
+            }
+        }
+
+        this.enabled = enabled;
+
+        if (enabled) {
+            for (const [gunIndex, color] of this.ledColors) {
+                this.setLED(gunIndex, color);
+            }
+        }
+    }
+
+    /**
+     * Send a gun's last LED color again (after its device reconnects)
+     * @param {number} gunIndex
+     */
+    restoreLED(gunIndex) {
+        const color = this.ledColors.get(gunIndex);
+        if (color) {
+            this.setLED(gunIndex, color);
+        }
+    }
+
+    /**
+     * Stop all feedback and set each gun's LED back to its own color
+     * (called when a game exits)
+     */
+    reset() {
+        for (const gun of this.gunManager.guns) {
+            this.stop(gun.index);
+            if (gun.config.hidDeviceId) {
+                this.setLED(gun.index, gun.color);
+            }
+        }
+    }
+}
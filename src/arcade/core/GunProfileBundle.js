@@ -0,0 +1,266 @@
+/**
+ * GunProfileBundle class
+ * Versioned JSON format for moving a cabinet's gun setup between machines
+ *
+ * A bundle holds every gun slot (device assignment, button map, reload mode,
+ * aim filter, latency offset) plus the calibration data of each assigned device.
+ * Bundles from older versions are migrated on import; invalid bundles are
+ * rejected with a list of errors, the same way HIDDeviceProfiles handles
+ * imported device profiles.
+ */
+import { Gun } from './Gun.js';
+import { AimFilter } from './AimFilter.js';
+import { GamepadAim } from './GamepadAim.js';
+import { Crosshair } from './Crosshair.js';
+
+export class GunProfileBundle {
+    static FORMAT = 'pbs-gun-profiles';
+    static VERSION = 1;
+
+    /**
+     * Upgrade steps: MIGRATIONS[n] turns a version n bundle into version n + 1.
+     * Version 0 is the raw localStorage data (array of Gun.toJSON() + calibration map).
+     */
+    static MIGRATIONS = {
+        0: (data) => ({
+            format: GunProfileBundle.FORMAT,
+            version: 1,
+            exportedAt: null,
+            guns: (Array.isArray(data) ? data : data.guns || []).map(entry => {
+                const config = { ...(entry?.config || {}) };
+                // Very old profiles stored offscreen reload as the reload "button"
+                if (config.buttons?.reload === 'offscreen') {
+                    config.buttons = { ...config.buttons, reload: null };
+                    config.reloadMode = 'offscreen';
+                }
+                return { ...entry, config };
+            }),
+            calibrations: (!Array.isArray(data) && data.calibrations) || {}
+        })
+    };
+
+    /**
+     * Build a bundle from the current gun setup
+     * @param {Array<Gun>} guns - Gun slots
+     * @param {GunCalibration} calibration - Calibration store
+     * @returns {Object}
+     */
+    static create(guns, calibration) {
+        const calibrations = {};
+        const entries = guns.map(gun => {
+            const data = JSON.parse(JSON.stringify(gun.toJSON()));
+            // Pointer IDs only mean something for this browser session
+            data.config.pointerId = null;
+
+            const deviceId = gun.config.hidDeviceId;
+            if (deviceId && calibration.isCalibrated(deviceId)) {
+                calibrations[deviceId] = calibration.getCalibration(deviceId);
+            }
+            return data;
+        });
+
+        return {
+            format: GunProfileBundle.FORMAT,
+            version: GunProfileBundle.VERSION,
+            exportedAt: new Date().toISOString(),
+            guns: entries,
+            calibrations
+        };
+    }
+
+    /**
+     * Parse, migrate and validate a bundle
+     * @param {Object|string} input - Bundle object or JSON string
+     * @returns {Object} Bundle at the current version
+     * @throws {Error} If the bundle is unreadable, from a newer version, or invalid
+     */
+    static parse(input) {
+        let data = input;
+        if (typeof data === 'string') {
+            try {
+                data = JSON.parse(data);
+            } catch (e) {
+                throw new Error(`Gun profiles are not valid JSON: ${e.message}`);
+            }
+        }
+
+        const bundle = GunProfileBundle.migrate(data);
+        const errors = GunProfileBundle.validate(bundle);
+        if (errors.length > 0) {
+            throw new Error(`Invalid gun profiles:\n${errors.join('\n')}`);
+        }
+        return bundle;
+    }
+
+    /**
+     * Bring a bundle up to the current version
+     * @param {Object|Array} data
+     * @returns {Object}
+     * @throws {Error} If the bundle was written by a newer version
+     */
+    static migrate(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Gun profiles must be an object');
+        }
+
+        let version = Array.isArray(data) || data.format !== GunProfileBundle.FORMAT ? 0 : data.version;
+        if (!Number.isInteger(version)) {
+            throw new Error('Gun profiles: version must be an integer');
+        }
+        if (version > GunProfileBundle.VERSION) {
+            throw new Error(`Gun profiles are from a newer version (${version}) - update the arcade first`);
+        }
+
+        let bundle = data;
+        while (version < GunProfileBundle.VERSION) {
+            bundle = GunProfileBundle.MIGRATIONS[version](bundle);
+            version++;
+            console.log(`Migrated gun profiles to version ${version}`);
+        }
+        return bundle;
+    }
+
+    /**
+     * Validate a bundle at the current version
+     * @param {Object} bundle
+     * @returns {Array<string>} Validation errors (empty if valid)
+     */
+    static validate(bundle) {
+        const errors = [];
+
+        if (bundle.format !== GunProfileBundle.FORMAT) {
+            errors.push(`format: must be '${GunProfileBundle.FORMAT}'`);
+        }
+        if (!Array.isArray(bundle.guns)) {
+            errors.push('guns: required array');
+        } else {
+            const seen = new Set();
+            bundle.guns.forEach((entry, i) => {
+                GunProfileBundle.validateGun(entry, `guns[${i}]`, errors);
+                if (seen.has(entry?.index)) {
+                    errors.push(`guns[${i}].index: slot ${entry.index} appears twice`);
+                }
+                seen.add(entry?.index);
+            });
+        }
+
+        if (!bundle.calibrations || typeof bundle.calibrations !== 'object' || Array.isArray(bundle.calibrations)) {
+            errors.push('calibrations: required object');
+        } else {
+            for (const [deviceId, data] of Object.entries(bundle.calibrations)) {
+                GunProfileBundle.validateCalibration(data, `calibrations['${deviceId}']`, errors);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate one gun slot entry
+     * @param {Object} entry
+     * @param {string} path - Prefix for error messages
+     * @param {Array<string>} errors - Errors are appended here
+     */
+    static validateGun(entry, path, errors) {
+        if (!entry || typeof entry !== 'object') {
+            errors.push(`${path}: must be an object`);
+            return;
+        }
+        if (!Number.isInteger(entry.index) || entry.index < 0) {
+            errors.push(`${path}.index: must be a slot number`);
+        }
+        if (entry.name !== undefined && typeof entry.name !== 'string') {
+            errors.push(`${path}.name: must be a string`);
+        }
+        if (entry.color !== undefined && !/^#[0-9a-f]{6}$/i.test(entry.color)) {
+            errors.push(`${path}.color: must be a #rrggbb color`);
+        }
+
+        const config = entry.config;
+        if (!config || typeof config !== 'object') {
+            errors.push(`${path}.config: required object`);
+            return;
+        }
+        if (config.hidDeviceId !== null && config.hidDeviceId !== undefined && typeof config.hidDeviceId !== 'string') {
+            errors.push(`${path}.config.hidDeviceId: must be a string or null`);
+        }
+        if (config.virtualDevice !== null && config.virtualDevice !== undefined &&
+            !/^(mouse|keyboard|touch:\d+|gamepad:\d+)$/.test(config.virtualDevice)) {
+            errors.push(`${path}.config.virtualDevice: must be 'mouse', 'keyboard', 'touch:N', 'gamepad:N' or null`);
+        }
+
+        const actions = Gun.ACTIONS.map(action => action.id);
+        for (const [action, button] of Object.entries(config.buttons || {})) {
+            if (!actions.includes(action)) {
+                errors.push(`${path}.config.buttons.${action}: unknown action`);
+            } else if (button !== null && !(Number.isInteger(button) && button >= 0)) {
+                errors.push(`${path}.config.buttons.${action}: must be a button index or null`);
+            }
+        }
+
+        if (config.reloadMode !== undefined && !Gun.RELOAD_MODES.some(mode => mode.id === config.reloadMode)) {
+            errors.push(`${path}.config.reloadMode: must be one of ${Gun.RELOAD_MODES.map(m => m.id).join(', ')}`);
+        }
+
+        GunProfileBundle.validateSettings(config.filter, AimFilter.DEFAULTS, `${path}.config.filter`, errors);
+        GunProfileBundle.validateSettings(config.gamepad, GamepadAim.DEFAULTS, `${path}.config.gamepad`, errors);
+        GunProfileBundle.validateSettings(config.crosshair, Crosshair.DEFAULTS, `${path}.config.crosshair`, errors);
+        if (config.crosshair?.shape !== undefined && !Crosshair.SHAPES[config.crosshair.shape]) {
+            errors.push(`${path}.config.crosshair.shape: must be one of ${Object.keys(Crosshair.SHAPES).join(', ')}`);
+        }
+        if (typeof config.crosshair?.color === 'string' && !/^(#[0-9a-f]{6})?$/i.test(config.crosshair.color)) {
+            errors.push(`${path}.config.crosshair.color: must be '#rrggbb' or ''`);
+        }
+
+        if (config.latencyOffset !== undefined && !Number.isFinite(config.latencyOffset)) {
+            errors.push(`${path}.config.latencyOffset: must be a number`);
+        }
+    }
+
+    /**
+     * Validate a settings object against its defaults (known keys, matching types)
+     * @param {Object} [settings]
+     * @param {Object} defaults
+     * @param {string} path - Prefix for error messages
+     * @param {Array<string>} errors - Errors are appended here
+     */
+    static validateSettings(settings, defaults, path, errors) {
+        for (const [key, value] of Object.entries(settings || {})) {
+            const expected = typeof defaults[key];
+            if (!(key in defaults)) {
+                errors.push(`${path}.${key}: unknown setting`);
+            } else if (typeof value !== expected || (expected === 'number' && !Number.isFinite(value))) {
+                errors.push(`${path}.${key}: must be a ${expected}`);
+            }
+        }
+    }
+
+    /**
+     * Validate one device's calibration data
+     * @param {Object} data
+     * @param {string} path - Prefix for error messages
+     * @param {Array<string>} errors - Errors are appended here
+     */
+    static validateCalibration(data, path, errors) {
+        if (!data || typeof data !== 'object') {
+            errors.push(`${path}: must be an object`);
+            return;
+        }
+        if (data.model === 'homography') {
+            if (!Array.isArray(data.homography) || data.homography.length !== 9 ||
+                !data.homography.every(Number.isFinite)) {
+                errors.push(`${path}.homography: must be 9 numbers`);
+            }
+        } else {
+            for (const key of ['scaleX', 'offsetX', 'scaleY', 'offsetY']) {
+                if (!Number.isFinite(data[key])) {
+                    errors.push(`${path}.${key}: must be a number`);
+                }
+            }
+        }
+        if (data.correction !== undefined &&
+            !(Number.isFinite(data.correction?.x) && Number.isFinite(data.correction?.y))) {
+            errors.push(`${path}.correction: must have numeric x and y`);
+        }
+    }
+}
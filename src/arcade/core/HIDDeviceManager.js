@@ -4,38 +4,27 @@
  * 
  * This solves the Windows limitation where all pointing devices share
  * a single system cursor and pointerId.
+ *
+ * Device recognition and report parsing are data-driven - see HIDDeviceProfiles.
  */
 
-// Known lightgun device identifiers
-const KNOWN_DEVICES = {
-    // Gun4IR devices (Arduino-based)
-    GUN4IR: {
-        vendorId: 0x2341,  // Arduino SA
-        productIds: [
-            0x8042,  // GUN4IR Pro Micro P1
-            0x8043,  // GUN4IR Pro Micro P2
-            0x8036,  // Arduino Leonardo (common for DIY)
-            0x8037,  // Arduino Micro
-        ],
-        name: 'Gun4IR'
-    },
-    // Sinden Lightgun
-    SINDEN: {
-        vendorId: 0x2341,  // Also Arduino-based
-        productIds: [0x8036, 0x8037],
-        name: 'Sinden'
-    }
-};
+import { HIDDeviceProfiles } from './HIDDeviceProfiles.js';
+import { LatencyStats } from './LatencyStats.js';
+import { MockHIDDevice } from './MockHIDDevice.js';
 
 export class HIDDeviceManager {
     constructor() {
         this.devices = new Map();  // Map of deviceId -> HIDDevice
         this.deviceInputHandlers = new Map();  // Map of deviceId -> callback
         this.deviceButtonStates = new Map();  // Map of deviceId -> {left, right, middle}
+        this.deviceProfileMap = new Map();  // Map of deviceId -> device profile
+        this.profiles = new HIDDeviceProfiles();
+        this.latencyStats = new LatencyStats();
         this.isSupported = 'hid' in navigator;
         this.onDeviceConnected = null;
         this.onDeviceDisconnected = null;
         this.onDeviceInput = null;
+        this.onRawReport = null;  // (deviceId, reportId, data, reportTime) - every report before parsing (InputRecorder)
     }
 
     /**
@@ -49,6 +38,9 @@ export class HIDDeviceManager {
      * Initialize and set up connection listeners
      */
     async init() {
+        // Load user device profiles (needed even before devices connect)
+        await this.profiles.load();
+
         if (!this.isSupported) {
             console.warn('WebHID not supported in this browser');
             return false;
@@ -103,16 +95,8 @@ export class HIDDeviceManager {
             throw new Error('WebHID not supported');
         }
 
-        // Build filter for known lightgun devices
-        const filters = [];
-        
-        // Add Gun4IR filters
-        for (const productId of KNOWN_DEVICES.GUN4IR.productIds) {
-            filters.push({
-                vendorId: KNOWN_DEVICES.GUN4IR.vendorId,
-                productId: productId
-            });
-        }
+        // Build filter from all known device profiles
+        const filters = this.profiles.getRequestFilters();
 
         try {
             // Request devices - this shows a browser picker dialog
@@ -140,38 +124,46 @@ export class HIDDeviceManager {
      * Check if a device is a known lightgun
      */
     isLightgunDevice(device) {
-        for (const type of Object.values(KNOWN_DEVICES)) {
-            if (device.vendorId === type.vendorId && 
-                type.productIds.includes(device.productId)) {
-                return true;
-            }
-        }
-        return false;
+        return this.profiles.findProfile(device) !== null;
     }
 
     /**
      * Get device type name
      */
     getDeviceType(device) {
-        for (const [key, type] of Object.entries(KNOWN_DEVICES)) {
-            if (device.vendorId === type.vendorId && 
-                type.productIds.includes(device.productId)) {
-                return type.name;
-            }
+        const profile = this.profiles.findProfile(device);
+        return profile ? profile.name : 'Unknown';
+    }
+
+    /**
+     * Add a user device profile and re-check granted devices that now match
+     * @param {Object|string} profile - Profile object or JSON string
+     * @returns {Promise<Object>} The stored profile
+     */
+    async addDeviceProfile(profile) {
+        const stored = await this.profiles.addProfile(profile);
+
+        // Re-resolve profiles for open devices in case the new one takes precedence
+        for (const [deviceId, device] of this.devices) {
+            this.deviceProfileMap.set(deviceId, this.profiles.findProfile(device));
         }
-        return 'Unknown';
+
+        await this.checkExistingDevices();
+        return stored;
     }
 
     /**
      * Generate unique device ID
+     *
+     * Devices with a serial number get a stable vendor:product:serial ID.
+     * Without a serial, identical guns can't be told apart by the browser, so the
+     * device gets a temporary fingerprint:tmpN ID until GunManager binds it to a
+     * gun (automatically when unambiguous, otherwise by asking the player to pull
+     * its trigger) and re-keys it to that gun's stored ID - see rekeyDevice().
      */
     getDeviceId(device) {
         // Use vendor:product:serialNumber if available
-        // If no serial, use a combination of properties to try to make it unique
         const serial = device.serialNumber || '';
-        const productName = device.productName || '';
-        
-        // If we have a serial number, use it
         if (serial) {
             return `${device.vendorId.toString(16)}:${device.productId.toString(16)}:${serial}`;
         }
@@ -184,17 +176,75 @@ export class HIDDeviceManager {
             }
         }
         
-        // Generate a new unique ID based on count of similar devices
-        const baseId = `${device.vendorId.toString(16)}:${device.productId.toString(16)}`;
+        // Generate a temporary ID based on count of identical devices
+        const baseId = this.getDeviceFingerprint(device);
         let counter = 0;
-        let candidateId = `${baseId}:${counter}`;
+        let candidateId = `${baseId}:tmp${counter}`;
         while (this.devices.has(candidateId)) {
             counter++;
-            candidateId = `${baseId}:${counter}`;
+            candidateId = `${baseId}:tmp${counter}`;
         }
         return candidateId;
     }
 
+    /**
+     * Get a fingerprint shared by all units of the same gun model and firmware
+     * Combines vendor/product IDs with a hash of the product name and report layout.
+     * @param {HIDDevice} device
+     * @returns {string} e.g. "2341:8042:1a2b3c4d"
+     */
+    getDeviceFingerprint(device) {
+        const shape = (device.collections || []).map(collection => {
+            const reports = (collection.inputReports || []).map(report => {
+                const bits = (report.items || []).reduce((sum, item) => sum + item.reportSize * item.reportCount, 0);
+                return `${report.reportId}:${bits}`;
+            });
+            return `${collection.usagePage}/${collection.usage}[${reports.join(',')}]`;
+        }).join(';');
+
+        const hash = HIDDeviceManager.hashString(`${device.productName || ''}|${shape}`);
+        return `${device.vendorId.toString(16)}:${device.productId.toString(16)}:${hash}`;
+    }
+
+    /**
+     * Short stable hash (32-bit FNV-1a) as 8 hex characters
+     * @param {string} text
+     * @returns {string}
+     */
+    static hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Give a registered device a new ID (used when binding it to a gun's stored ID)
+     * @param {string} oldId
+     * @param {string} newId
+     * @returns {boolean} True if the device was re-keyed
+     */
+    rekeyDevice(oldId, newId) {
+        if (oldId === newId) return true;
+        const device = this.devices.get(oldId);
+        if (!device || this.devices.has(newId)) return false;
+
+        const maps = [this.devices, this.deviceInputHandlers, this.deviceButtonStates, this.deviceProfileMap];
+        for (const map of maps) {
+            if (map.has(oldId)) {
+                map.set(newId, map.get(oldId));
+                map.delete(oldId);
+            }
+        }
+        this.latencyStats.reset(oldId);
+        device._assignedId = newId;
+
+        console.log(`Device re-keyed: ${oldId} -> ${newId}`);
+        return true;
+    }
+
     /**
      * Register a device and open connection
      */
@@ -227,11 +277,12 @@ export class HIDDeviceManager {
             // Store the assigned ID on the device object for consistent lookup
             device._assignedId = deviceId;
             this.devices.set(deviceId, device);
+            this.deviceProfileMap.set(deviceId, this.profiles.findProfile(device));
 
-            // Set up input report listener - use the captured deviceId
+            // Set up input report listener - read the ID at event time since rekeyDevice() can change it
             console.log(`Setting up input listener for device: ${deviceId}`);
             device.addEventListener('inputreport', (event) => {
-                this.handleInputReport(deviceId, event);
+                this.handleInputReport(device._assignedId, event);
             });
 
             const info = this.getDeviceInfo(device, deviceId);
@@ -256,13 +307,17 @@ export class HIDDeviceManager {
     getDeviceInfo(device, knownId = null) {
         // Use the assigned ID if available, or the known ID, or calculate it
         const id = knownId || device._assignedId || this.getDeviceId(device);
+        const profile = this.deviceProfileMap.get(id) || this.profiles.findProfile(device);
         return {
             id,
             vendorId: device.vendorId,
             productId: device.productId,
             productName: device.productName || 'Unknown Device',
             serialNumber: device.serialNumber || '',
-            type: this.getDeviceType(device),
+            hasSerial: !!device.serialNumber,
+            fingerprint: this.getDeviceFingerprint(device),
+            type: profile ? profile.name : 'Unknown',
+            profileId: profile ? profile.id : null,
             device: device
         };
     }
@@ -291,6 +346,7 @@ export class HIDDeviceManager {
             if (this.onDeviceDisconnected) {
                 this.onDeviceDisconnected(this.getDeviceInfo(device, deviceId));
             }
+            this.deviceProfileMap.delete(deviceId);
         }
     }
 
@@ -299,6 +355,14 @@ export class HIDDeviceManager {
      */
     handleInputReport(deviceId, event) {
         const { data, device, reportId } = event;
+
+        // High-resolution arrival time (performance.now() clock) for latency tracking
+        const reportTime = event.timeStamp || performance.now();
+        this.latencyStats.recordReport(deviceId, reportTime);
+
+        if (this.onRawReport) {
+            this.onRawReport(deviceId, reportId, data, reportTime);
+        }
         
         // Debug: Log raw data for first few reports or when buttons change
         const prevState = this.deviceButtonStates.get(deviceId) || { left: false, right: false, middle: false, raw: 0 };
@@ -312,68 +376,48 @@ export class HIDDeviceManager {
             console.log(`HID Report [${deviceId}]: bytes=[${rawByte0}, ${rawByte1}, ${rawByte2}, ${rawByte3}] len=${data.byteLength} reportId=${reportId}`);
         }
         
-        // Gun4IR in joystick mode has buttons in different positions
-        // Try to detect the format based on data length and report ID
-        let buttons, leftButton, rightButton, middleButton;
-        
-        if (data.byteLength >= 8) {
-            // Gun4IR joystick mode (reportId 7 for 15-byte reports)
-            // Byte 0: Buttons (trigger=bit0, A=bit1, B=bit2, etc.)
-            buttons = rawByte0;
-            leftButton = (buttons & 0x01) !== 0;
-            rightButton = (buttons & 0x02) !== 0;
-            middleButton = (buttons & 0x04) !== 0;
-            
-            // Also check if buttons might be in a different byte (some Gun4IR configs)
-            // If byte 0 is always 0 but byte 1 has button data
-            if (buttons === 0 && rawByte1 !== 0) {
-                buttons = rawByte1;
-                leftButton = (buttons & 0x01) !== 0;
-                rightButton = (buttons & 0x02) !== 0;
-                middleButton = (buttons & 0x04) !== 0;
+        // Decode the report using the device's profile
+        const profile = this.deviceProfileMap.get(deviceId);
+        const parsed = profile ? HIDDeviceProfiles.parseReport(profile, reportId, data) : null;
+        if (!parsed) {
+            if (!prevState.warnedUnparsed) {
+                console.warn(`No report layout for [${deviceId}] reportId=${reportId} len=${data.byteLength}`);
+                this.deviceButtonStates.set(deviceId, { ...prevState, warnedUnparsed: true });
             }
-        } else {
-            // Standard HID mouse report format:
-            // Byte 0: Button state (bit 0 = left, bit 1 = right, bit 2 = middle)
-            buttons = rawByte0;
-            leftButton = (buttons & 0x01) !== 0;
-            rightButton = (buttons & 0x02) !== 0;
-            middleButton = (buttons & 0x04) !== 0;
+            return;
         }
+
+        const buttons = parsed.raw;
+        const states = parsed.states;
+        const prevStates = prevState.states || [];
+        const leftButton = states[0] || false;
+        const rightButton = states[1] || false;
+        const middleButton = states[2] || false;
         
         // Detect button press events (transition from false to true)
         const leftPressed = leftButton && !prevState.left;
         const rightPressed = rightButton && !prevState.right;
         const middlePressed = middleButton && !prevState.middle;
+
+        // Press/release transitions for every button the profile defines
+        const pressed = [];
+        const released = [];
+        states.forEach((isDown, index) => {
+            const wasDown = prevStates[index] || false;
+            if (isDown && !wasDown) pressed.push(index);
+            if (!isDown && wasDown) released.push(index);
+        });
         
         // Update stored state (include raw bytes for debug logging comparison)
-        this.deviceButtonStates.set(deviceId, { left: leftButton, right: rightButton, middle: middleButton, raw: rawByte0, rawByte1, rawByte2 });
+        this.deviceButtonStates.set(deviceId, { left: leftButton, right: rightButton, middle: middleButton, states, raw: rawByte0, rawByte1, rawByte2 });
         
-        // Parse X/Y coordinates
-        let x = 0, y = 0;
-        let isAbsolute = false;
-        
-        // Raw axis values for calibration
-        let rawAxis1 = 0, rawAxis2 = 0;
-        
-        if (data.byteLength >= 8) {
-            // Gun4IR joystick mode (15 bytes):
-            // Byte 0: Buttons
-            // Bytes 1-3: Padding (00 00 00)
-            // Bytes 4-5: First axis (little-endian 16-bit)
-            // Bytes 6-7: Second axis (little-endian 16-bit)
-            rawAxis1 = data.getUint8(4) | (data.getUint8(5) << 8);
-            rawAxis2 = data.getUint8(6) | (data.getUint8(7) << 8);
-            
-            // Calibration will handle the actual transformation
-            // For now, pass raw values - GunManager will transform using calibration
-            isAbsolute = true;
-        } else if (data.byteLength >= 3) {
-            // Standard HID mouse: relative movements
-            x = data.getInt8(1);
-            y = data.getInt8(2);
-            isAbsolute = false;
-        }
+        // Absolute devices report raw axis values - GunManager transforms them using calibration
+        // Relative devices report signed deltas
+        const isAbsolute = parsed.isAbsolute;
+        const rawAxis1 = isAbsolute ? parsed.axis1 : 0;
+        const rawAxis2 = isAbsolute ? parsed.axis2 : 0;
+        const x = isAbsolute ? 0 : parsed.axis1;
+        const y = isAbsolute ? 0 : parsed.axis2;
 
         const inputData = {
             deviceId,
@@ -383,14 +427,19 @@ export class HIDDeviceManager {
                 right: rightButton,
                 middle: middleButton,
                 raw: buttons,
+                states,
                 // Press events (just became true this frame)
                 leftPressed,
                 rightPressed,
-                middlePressed
+                middlePressed,
+                // Button indices that were pressed/released in this report
+                pressed,
+                released
             },
             position: { x, y, isAbsolute, rawAxis1, rawAxis2 },
             rawData: data,
-            timestamp: Date.now()
+            timestamp: Date.now(),
+            reportTime
         };
 
         // Call device-specific handler if registered
@@ -436,6 +485,51 @@ export class HIDDeviceManager {
         return device ? this.getDeviceInfo(device) : null;
     }
 
+    /**
+     * Check if a device's profile defines an output command
+     * @param {string} deviceId
+     * @param {string} command - 'recoil', 'rumble', 'led' or 'stop'
+     * @returns {boolean}
+     */
+    supportsOutput(deviceId, command) {
+        return !!this.deviceProfileMap.get(deviceId)?.output?.[command];
+    }
+
+    /**
+     * Send an output command (recoil, rumble, LED) to a device
+     * The report is built from the device profile's output template.
+     * @param {string} deviceId
+     * @param {string} command - 'recoil', 'rumble', 'led' or 'stop'
+     * @param {Object} [params] - Template parameters (strength, duration, r, g, b)
+     * @returns {Promise<boolean>} True if the report was sent
+     */
+    async sendOutput(deviceId, command, params = {}) {
+        const device = this.devices.get(deviceId);
+        const report = HIDDeviceProfiles.buildOutputReport(this.deviceProfileMap.get(deviceId), command, params);
+        if (!device || !device.opened || !report) return false;
+
+        try {
+            if (report.type === 'feature') {
+                await device.sendFeatureReport(report.reportId, report.data);
+            } else {
+                await device.sendReport(report.reportId, report.data);
+            }
+            return true;
+        } catch (error) {
+            console.warn(`Output '${command}' to [${deviceId}] failed:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Register a mock device (no hardware needed) - see MockHIDDevice
+     * @param {Object} [options] - MockHIDDevice options
+     * @returns {Promise<Object|null>} Device info; info.device is the MockHIDDevice
+     */
+    async addMockDevice(options = {}) {
+        return this.registerDevice(new MockHIDDevice(options));
+    }
+
     /**
      * Close all device connections
      */
@@ -449,5 +543,6 @@ export class HIDDeviceManager {
         }
         this.devices.clear();
         this.deviceInputHandlers.clear();
+        this.deviceProfileMap.clear();
     }
 }
@@ -0,0 +1,401 @@
+/**
+ * HIDDeviceProfiles class
+ * Matches WebHID devices to data-driven profiles, decodes their input reports
+ * and builds their output reports (recoil, rumble, LEDs)
+ *
+ * Built-in profiles live in data/deviceProfiles.js. User profiles are imported
+ * as JSON, persisted in storage, and take precedence over built-ins so a new
+ * gun (or a firmware with a different report layout) needs no code changes.
+ */
+import { Storage } from '../../platform/storage.js';
+import { BUILT_IN_DEVICE_PROFILES } from '../data/deviceProfiles.js';
+
+export class HIDDeviceProfiles {
+    // Output commands a profile can define, and the parameters their bytes can use
+    static OUTPUT_COMMANDS = ['recoil', 'rumble', 'led', 'stop'];
+    static OUTPUT_PARAMS = ['strength', 'duration', 'r', 'g', 'b'];
+
+    constructor() {
+        this.userProfiles = [];
+        this.storageKey = 'hid-device-profiles';
+    }
+
+    /**
+     * Load user profiles from storage
+     */
+    async load() {
+        const saved = await Storage.get(this.storageKey);
+        if (Array.isArray(saved)) {
+            this.userProfiles = saved.filter(profile => {
+                const errors = HIDDeviceProfiles.validate(profile);
+                if (errors.length > 0) {
+                    console.warn(`Ignoring invalid device profile '${profile?.id}':`, errors);
+                    return false;
+                }
+                return true;
+            });
+        }
+        console.log('Loaded user device profiles:', this.userProfiles.map(p => p.id));
+    }
+
+    /**
+     * Save user profiles to storage
+     */
+    async save() {
+        await Storage.set(this.storageKey, this.userProfiles);
+    }
+
+    /**
+     * Get all profiles in match order (user profiles first)
+     * @returns {Array<Object>}
+     */
+    getProfiles() {
+        return [...this.userProfiles, ...BUILT_IN_DEVICE_PROFILES];
+    }
+
+    /**
+     * Get a profile by ID
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    getProfile(id) {
+        return this.getProfiles().find(p => p.id === id) || null;
+    }
+
+    /**
+     * Check whether a profile is a built-in one
+     * @param {string} id
+     * @returns {boolean}
+     */
+    isBuiltIn(id) {
+        return BUILT_IN_DEVICE_PROFILES.some(p => p.id === id);
+    }
+
+    /**
+     * Add or replace a user profile
+     * @param {Object|string} profile - Profile object or JSON string
+     * @returns {Promise<Object>} The stored profile
+     * @throws {Error} If the profile is invalid
+     */
+    async addProfile(profile) {
+        if (typeof profile === 'string') {
+            try {
+                profile = JSON.parse(profile);
+            } catch (e) {
+                throw new Error(`Device profile is not valid JSON: ${e.message}`);
+            }
+        }
+
+        const errors = HIDDeviceProfiles.validate(profile);
+        if (errors.length > 0) {
+            throw new Error(`Invalid device profile:\n${errors.join('\n')}`);
+        }
+
+        this.userProfiles = this.userProfiles.filter(p => p.id !== profile.id);
+        this.userProfiles.unshift(profile);
+        await this.save();
+
+        console.log(`Added device profile: ${profile.name} (${profile.id})`);
+        return profile;
+    }
+
+    /**
+     * Remove a user profile (built-in profiles cannot be removed)
+     * @param {string} id
+     */
+    async removeProfile(id) {
+        this.userProfiles = this.userProfiles.filter(p => p.id !== id);
+        await this.save();
+    }
+
+    /**
+     * Find the profile for a device
+     * @param {HIDDevice} device
+     * @returns {Object|null}
+     */
+    findProfile(device) {
+        return this.getProfiles().find(profile =>
+            profile.match.some(entry => HIDDeviceProfiles.matchesEntry(device, entry))
+        ) || null;
+    }
+
+    /**
+     * Build requestDevice() filters from all profiles
+     * @returns {Array<Object>} WebHID filters
+     */
+    getRequestFilters() {
+        const filters = [];
+        for (const profile of this.getProfiles()) {
+            for (const entry of profile.match) {
+                if (entry.vendorId !== undefined) {
+                    if (entry.productIds && entry.productIds.length > 0) {
+                        for (const productId of entry.productIds) {
+                            filters.push({ vendorId: entry.vendorId, productId });
+                        }
+                    } else {
+                        filters.push({ vendorId: entry.vendorId });
+                    }
+                } else if (entry.usagePage !== undefined) {
+                    const filter = { usagePage: entry.usagePage };
+                    if (entry.usage !== undefined) filter.usage = entry.usage;
+                    filters.push(filter);
+                }
+            }
+        }
+        return filters;
+    }
+
+    /**
+     * Check whether a device matches a single match entry
+     * @param {HIDDevice} device
+     * @param {Object} entry - { vendorId, productIds } or { usagePage, usage }
+     * @returns {boolean}
+     */
+    static matchesEntry(device, entry) {
+        if (entry.vendorId !== undefined) {
+            if (device.vendorId !== entry.vendorId) return false;
+            return !entry.productIds || entry.productIds.length === 0 ||
+                   entry.productIds.includes(device.productId);
+        }
+
+        if (entry.usagePage !== undefined) {
+            return (device.collections || []).some(collection =>
+                collection.usagePage === entry.usagePage &&
+                (entry.usage === undefined || collection.usage === entry.usage)
+            );
+        }
+
+        return false;
+    }
+
+    /**
+     * Validate a profile
+     * @param {Object} profile
+     * @returns {Array<string>} Validation errors (empty if valid)
+     */
+    static validate(profile) {
+        const errors = [];
+
+        if (!profile || typeof profile !== 'object') {
+            return ['Profile must be an object'];
+        }
+        if (!profile.id || typeof profile.id !== 'string') {
+            errors.push('id: required string');
+        }
+        if (!profile.name || typeof profile.name !== 'string') {
+            errors.push('name: required string');
+        }
+
+        if (!Array.isArray(profile.match) || profile.match.length === 0) {
+            errors.push('match: required non-empty array');
+        } else {
+            profile.match.forEach((entry, i) => {
+                const hasVendor = Number.isInteger(entry?.vendorId);
+                const hasUsage = Number.isInteger(entry?.usagePage);
+                if (!hasVendor && !hasUsage) {
+                    errors.push(`match[${i}]: needs vendorId or usagePage`);
+                }
+                if (entry?.productIds !== undefined &&
+                    (!Array.isArray(entry.productIds) || !entry.productIds.every(Number.isInteger))) {
+                    errors.push(`match[${i}].productIds: must be an array of integers`);
+                }
+            });
+        }
+
+        if (!Array.isArray(profile.reports) || profile.reports.length === 0) {
+            errors.push('reports: required non-empty array');
+        } else {
+            profile.reports.forEach((layout, i) => {
+                const path = `reports[${i}]`;
+                if (!['absolute', 'relative'].includes(layout?.mode)) {
+                    errors.push(`${path}.mode: must be 'absolute' or 'relative'`);
+                }
+                const buttons = layout?.buttons;
+                if (!buttons || !Array.isArray(buttons.bytes) || !buttons.bytes.every(Number.isInteger)) {
+                    errors.push(`${path}.buttons.bytes: must be an array of byte offsets`);
+                }
+                if (!buttons || !Array.isArray(buttons.masks) ||
+                    !buttons.masks.every(mask => Number.isInteger(mask) && mask > 0 && mask <= 0xffffffff)) {
+                    errors.push(`${path}.buttons.masks: must be an array of bit masks (1 to 0xFFFFFFFF)`);
+                }
+                if (buttons?.size !== undefined && ![1, 2, 4].includes(buttons.size)) {
+                    errors.push(`${path}.buttons.size: must be 1, 2 or 4`);
+                }
+                if (!Array.isArray(layout?.axes) || layout.axes.length !== 2) {
+                    errors.push(`${path}.axes: must have exactly 2 axes`);
+                } else {
+                    layout.axes.forEach((axis, a) => {
+                        if (!Number.isInteger(axis?.offset) || axis.offset < 0) {
+                            errors.push(`${path}.axes[${a}].offset: must be a byte offset`);
+                        }
+                        if (![8, 16, 32].includes(axis?.bits)) {
+                            errors.push(`${path}.axes[${a}].bits: must be 8, 16 or 32`);
+                        }
+                        if (axis?.endian !== undefined && !['little', 'big'].includes(axis.endian)) {
+                            errors.push(`${path}.axes[${a}].endian: must be 'little' or 'big'`);
+                        }
+                    });
+                }
+            });
+        }
+
+        if (profile.output !== undefined) {
+            HIDDeviceProfiles.validateOutput(profile.output, errors);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate a profile's output commands
+     * @param {Object} output
+     * @param {Array<string>} errors - Errors are appended here
+     */
+    static validateOutput(output, errors) {
+        if (!output || typeof output !== 'object' || Array.isArray(output)) {
+            errors.push('output: must be an object');
+            return;
+        }
+
+        for (const [command, spec] of Object.entries(output)) {
+            const path = `output.${command}`;
+            if (!HIDDeviceProfiles.OUTPUT_COMMANDS.includes(command)) {
+                errors.push(`${path}: unknown command (expected ${HIDDeviceProfiles.OUTPUT_COMMANDS.join(', ')})`);
+                continue;
+            }
+            if (!Number.isInteger(spec?.reportId) || spec.reportId < 0 || spec.reportId > 255) {
+                errors.push(`${path}.reportId: must be 0-255`);
+            }
+            if (spec?.type !== undefined && !['output', 'feature'].includes(spec.type)) {
+                errors.push(`${path}.type: must be 'output' or 'feature'`);
+            }
+            if (spec?.length !== undefined && !(Number.isInteger(spec.length) && spec.length > 0)) {
+                errors.push(`${path}.length: must be a positive integer`);
+            }
+            if (!Array.isArray(spec?.bytes)) {
+                errors.push(`${path}.bytes: required array`);
+                continue;
+            }
+            spec.bytes.forEach((entry, i) => {
+                const param = typeof entry === 'object' && entry !== null ? entry.param : entry;
+                if (Number.isInteger(entry)) {
+                    if (entry < 0 || entry > 255) errors.push(`${path}.bytes[${i}]: must be 0-255`);
+                } else if (!HIDDeviceProfiles.OUTPUT_PARAMS.includes(param)) {
+                    errors.push(`${path}.bytes[${i}]: must be a byte or one of ${HIDDeviceProfiles.OUTPUT_PARAMS.join(', ')}`);
+                } else if (typeof entry === 'object') {
+                    if (entry.scale !== undefined && !Number.isFinite(entry.scale)) {
+                        errors.push(`${path}.bytes[${i}].scale: must be a number`);
+                    }
+                    if (entry.bits !== undefined && ![8, 16].includes(entry.bits)) {
+                        errors.push(`${path}.bytes[${i}].bits: must be 8 or 16`);
+                    }
+                }
+            });
+        }
+    }
+
+    /**
+     * Build an output report from a profile's command template
+     * @param {Object} profile
+     * @param {string} command - 'recoil', 'rumble', 'led' or 'stop'
+     * @param {Object} [params] - Values for the template parameters
+     * @returns {{reportId: number, type: string, data: Uint8Array}|null} Null if the profile lacks the command
+     */
+    static buildOutputReport(profile, command, params = {}) {
+        const spec = profile?.output?.[command];
+        if (!spec) return null;
+
+        const bytes = [];
+        for (const entry of spec.bytes) {
+            if (Number.isInteger(entry)) {
+                bytes.push(entry);
+                continue;
+            }
+
+            const { param, scale = 1, bits = 8 } = typeof entry === 'object' ? entry : { param: entry };
+            const max = bits === 16 ? 0xffff : 0xff;
+            const value = Math.max(0, Math.min(max, Math.round((params[param] || 0) * scale)));
+            bytes.push(value & 0xff);
+            if (bits === 16) bytes.push(value >> 8);
+        }
+
+        const data = new Uint8Array(Math.max(bytes.length, spec.length || 0));
+        data.set(bytes);
+        return { reportId: spec.reportId, type: spec.type || 'output', data };
+    }
+
+    /**
+     * Pick the report layout for an input report
+     * @param {Object} profile
+     * @param {number} reportId
+     * @param {DataView} data
+     * @returns {Object|null}
+     */
+    static getLayout(profile, reportId, data) {
+        return profile.reports.find(layout =>
+            (layout.reportId === undefined || layout.reportId === reportId) &&
+            data.byteLength >= (layout.minLength || 0)
+        ) || null;
+    }
+
+    /**
+     * Decode an input report using a profile
+     * @param {Object} profile
+     * @param {number} reportId
+     * @param {DataView} data
+     * @returns {{raw: number, states: Array<boolean>, isAbsolute: boolean, axis1: number, axis2: number}|null}
+     */
+    static parseReport(profile, reportId, data) {
+        const layout = HIDDeviceProfiles.getLayout(profile, reportId, data);
+        if (!layout) return null;
+
+        // Use the first non-zero candidate field for buttons
+        // Fields are 1 byte by default, or `size` bytes little-endian for more than 8 buttons
+        const size = layout.buttons.size || 1;
+        let raw = 0;
+        for (const offset of layout.buttons.bytes) {
+            if (offset + size <= data.byteLength) {
+                raw = 0;
+                for (let i = 0; i < size; i++) {
+                    raw += data.getUint8(offset + i) * 2 ** (8 * i);
+                }
+                if (raw !== 0) break;
+            }
+        }
+        // A button is down when any bit of its mask is set (fields are at most 32 bits)
+        const states = layout.buttons.masks.map(mask => (raw & mask) !== 0);
+
+        const [axis1, axis2] = layout.axes.map(axis => HIDDeviceProfiles.readAxis(data, axis));
+
+        return {
+            raw,
+            states,
+            isAbsolute: layout.mode === 'absolute',
+            axis1,
+            axis2
+        };
+    }
+
+    /**
+     * Read an axis value from report data
+     * @param {DataView} data
+     * @param {{offset: number, bits: number, endian: string, signed: boolean}} axis
+     * @returns {number}
+     */
+    static readAxis(data, axis) {
+        const bytes = axis.bits / 8;
+        if (axis.offset + bytes > data.byteLength) return 0;
+
+        const littleEndian = axis.endian !== 'big';
+        switch (axis.bits) {
+            case 8:
+                return axis.signed ? data.getInt8(axis.offset) : data.getUint8(axis.offset);
+            case 16:
+                return axis.signed ? data.getInt16(axis.offset, littleEndian) : data.getUint16(axis.offset, littleEndian);
+            case 32:
+                return axis.signed ? data.getInt32(axis.offset, littleEndian) : data.getUint32(axis.offset, littleEndian);
+            default:
+                return 0;
+        }
+    }
+}
@@ -0,0 +1,196 @@
+/**
+ * Homography utilities
+ * Solves and applies 3x3 perspective transforms for gun calibration
+ *
+ * A homography maps a plane onto another plane and absorbs scale, offset,
+ * rotation, shear and keystone in one model. This is what we need when the
+ * gun isn't square to the screen (CRTs, projectors, off-axis cabinets).
+ *
+ * Matrices are stored as flat row-major arrays of 9 numbers.
+ */
+export const Homography = {
+    /**
+     * Solve a homography from point correspondences.
+     * 4 points give an exact fit, more points give a least-squares fit.
+     * @param {Array<{srcX: number, srcY: number, dstX: number, dstY: number}>} pairs
+     * @returns {Array<number>|null} Row-major 3x3 matrix, or null if degenerate
+     */
+    solve(pairs) {
+        if (!pairs || pairs.length < 4) return null;
+
+        // Normalize both point sets for numerical stability (Hartley normalization).
+        // Raw gun axes run up to ~32k while screen pixels run to a few thousand.
+        const srcNorm = this._normalization(pairs.map(p => [p.srcX, p.srcY]));
+        const dstNorm = this._normalization(pairs.map(p => [p.dstX, p.dstY]));
+        if (!srcNorm || !dstNorm) return null;
+
+        // Build normal equations (A^T A) h = A^T b with h33 fixed to 1
+        const ata = Array.from({ length: 8 }, () => new Array(8).fill(0));
+        const atb = new Array(8).fill(0);
+
+        const addRow = (row, rhs) => {
+            for (let i = 0; i < 8; i++) {
+                atb[i] += row[i] * rhs;
+                for (let j = 0; j < 8; j++) {
+                    ata[i][j] += row[i] * row[j];
+                }
+            }
+        };
+
+        for (const p of pairs) {
+            const [x, y] = this._applyMatrix(srcNorm.matrix, p.srcX, p.srcY);
+            const [u, v] = this._applyMatrix(dstNorm.matrix, p.dstX, p.dstY);
+            addRow([x, y, 1, 0, 0, 0, -u * x, -u * y], u);
+            addRow([0, 0, 0, x, y, 1, -v * x, -v * y], v);
+        }
+
+        const h = this._solveLinear(ata, atb);
+        if (!h) return null;
+
+        const normalized = [...h, 1];
+
+        // Denormalize: H = Tdst^-1 * Hn * Tsrc
+        const dstInverse = this.invert(dstNorm.matrix);
+        if (!dstInverse) return null;
+        const result = this.multiply(dstInverse, this.multiply(normalized, srcNorm.matrix));
+
+        // Scale so h33 = 1 for readability when stored
+        if (Math.abs(result[8]) < 1e-12) return null;
+        return result.map(value => value / result[8]);
+    },
+
+    /**
+     * Apply a homography to a point
+     * @param {Array<number>} matrix - Row-major 3x3 matrix
+     * @param {number} x
+     * @param {number} y
+     * @returns {{x: number, y: number}}
+     */
+    apply(matrix, x, y) {
+        const [px, py] = this._applyMatrix(matrix, x, y);
+        return { x: px, y: py };
+    },
+
+    /**
+     * Multiply two 3x3 matrices
+     * @param {Array<number>} a
+     * @param {Array<number>} b
+     * @returns {Array<number>}
+     */
+    multiply(a, b) {
+        const out = new Array(9).fill(0);
+        for (let row = 0; row < 3; row++) {
+            for (let col = 0; col < 3; col++) {
+                for (let k = 0; k < 3; k++) {
+                    out[row * 3 + col] += a[row * 3 + k] * b[k * 3 + col];
+                }
+            }
+        }
+        return out;
+    },
+
+    /**
+     * Invert a 3x3 matrix
+     * @param {Array<number>} m
+     * @returns {Array<number>|null} Inverse, or null if singular
+     */
+    invert(m) {
+        const [a, b, c, d, e, f, g, h, i] = m;
+        const A = e * i - f * h;
+        const B = -(d * i - f * g);
+        const C = d * h - e * g;
+        const det = a * A + b * B + c * C;
+        if (Math.abs(det) < 1e-12) return null;
+
+        return [
+            A / det, -(b * i - c * h) / det, (b * f - c * e) / det,
+            B / det, (a * i - c * g) / det, -(a * f - c * d) / det,
+            C / det, -(a * h - b * g) / det, (a * e - b * d) / det
+        ];
+    },
+
+    /**
+     * Build a similarity transform that moves the centroid to the origin
+     * and scales the mean distance to sqrt(2)
+     * @private
+     */
+    _normalization(points) {
+        const n = points.length;
+        let cx = 0, cy = 0;
+        for (const [x, y] of points) {
+            cx += x;
+            cy += y;
+        }
+        cx /= n;
+        cy /= n;
+
+        let meanDist = 0;
+        for (const [x, y] of points) {
+            meanDist += Math.hypot(x - cx, y - cy);
+        }
+        meanDist /= n;
+        if (meanDist < 1e-9) return null;
+
+        const s = Math.SQRT2 / meanDist;
+        return {
+            matrix: [
+                s, 0, -s * cx,
+                0, s, -s * cy,
+                0, 0, 1
+            ]
+        };
+    },
+
+    /**
+     * Apply a 3x3 matrix to a point with perspective divide
+     * @private
+     */
+    _applyMatrix(m, x, y) {
+        const w = m[6] * x + m[7] * y + m[8];
+        const safeW = Math.abs(w) < 1e-12 ? 1e-12 : w;
+        return [
+            (m[0] * x + m[1] * y + m[2]) / safeW,
+            (m[3] * x + m[4] * y + m[5]) / safeW
+        ];
+    },
+
+    /**
+     * Solve a square linear system using Gaussian elimination with partial pivoting
+     * @private
+     */
+    _solveLinear(matrix, rhs) {
+        const n = rhs.length;
+        const a = matrix.map((row, i) => [...row, rhs[i]]);
+
+        for (let col = 0; col < n; col++) {
+            // Find pivot
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) {
+                    pivot = row;
+                }
+            }
+            if (Math.abs(a[pivot][col]) < 1e-12) return null;
+            [a[col], a[pivot]] = [a[pivot], a[col]];
+
+            // Eliminate below
+            for (let row = col + 1; row < n; row++) {
+                const factor = a[row][col] / a[col][col];
+                for (let k = col; k <= n; k++) {
+                    a[row][k] -= factor * a[col][k];
+                }
+            }
+        }
+
+        // Back substitution
+        const x = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = a[row][n];
+            for (let k = row + 1; k < n; k++) {
+                sum -= a[row][k] * x[k];
+            }
+            x[row] = sum / a[row][row];
+        }
+        return x;
+    }
+};
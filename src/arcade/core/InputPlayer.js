@@ -0,0 +1,270 @@
+/**
+ * InputPlayer class
+ * Replays an InputRecorder recording through the normal input path
+ *
+ * Each recorded HID device is recreated as a MockHIDDevice with the same ID and
+ * report layout, so replayed reports go through profile parsing, button mapping,
+ * calibration and aim filtering exactly like live input. Mouse and keyboard events
+ * are dispatched as synthetic DOM events at their recorded positions (skipped when
+ * there is no DOM, e.g. in Node).
+ *
+ * Two ways to play:
+ * - play()          - in real time (or faster/slower), for watching a bug happen
+ * - runUntil(time)  - synchronously, with recorded timestamps - deterministic, for tests:
+ *
+ *   const player = new InputPlayer(gunManager, json);
+ *   await player.attach();
+ *   player.runAll();
+ *   player.detach();
+ */
+import { InputRecorder } from './InputRecorder.js';
+import { MockHIDDevice } from './MockHIDDevice.js';
+
+export class InputPlayer {
+    /**
+     * @param {GunManager} gunManager
+     * @param {Object|string} recording - Recording object or JSON string
+     * @throws {Error} If the recording is invalid
+     */
+    constructor(gunManager, recording) {
+        this.gunManager = gunManager;
+        this.recording = InputRecorder.parse(recording);
+        this.devices = new Map();  // recorded device ID -> MockHIDDevice
+        this.index = 0;            // Next event to dispatch
+        this.position = 0;         // Recording time (ms) played so far
+        this.isPlaying = false;
+        this.speed = 1;
+        this.timeOrigin = null;    // performance.now() at recording time 0 (runUntil timestamps)
+        this.skippedDomEvents = 0;
+
+        this._timer = null;
+        this._startTime = 0;
+        this._resolve = null;
+    }
+
+    /**
+     * Length of the recording
+     * @returns {number} ms
+     */
+    getDuration() {
+        const events = this.recording.events;
+        return this.recording.duration ?? (events.length > 0 ? events[events.length - 1].t : 0);
+    }
+
+    /**
+     * Check whether mouse positions will line up with the recording
+     * @returns {string|null} A warning, or null if the window matches
+     */
+    checkViewport() {
+        const recorded = this.recording.viewport;
+        if (!recorded || typeof window === 'undefined') return null;
+        if (recorded.width === window.innerWidth && recorded.height === window.innerHeight) return null;
+        return `Recorded at ${recorded.width}x${recorded.height}, window is ${window.innerWidth}x${window.innerHeight} - mouse positions may be off`;
+    }
+
+    /**
+     * Replace the gun setup and calibration with the ones saved in the recording
+     * @returns {Promise<number>} Number of gun slots imported
+     */
+    async applyProfiles() {
+        return this.gunManager.importProfiles(this.recording.profiles);
+    }
+
+    /**
+     * Connect a mock device for every recorded device
+     * @throws {Error} If WebHID is unavailable or a recorded device is really connected
+     */
+    async attach() {
+        const hid = this.gunManager.hidManager;
+        const deviceIds = Object.keys(this.recording.devices);
+
+        if (deviceIds.length > 0 && !this.gunManager.shouldUseWebHID()) {
+            throw new Error('WebHID is not available - for headless runs, call FakeHID.install() before creating the GunManager');
+        }
+
+        // Check everything first so a failed attach changes nothing
+        for (const deviceId of deviceIds) {
+            const existing = hid.devices.get(deviceId);
+            if (existing && !(existing instanceof MockHIDDevice)) {
+                throw new Error(`${existing.productName || deviceId} is connected - unplug it to replay this recording`);
+            }
+        }
+
+        for (const deviceId of deviceIds) {
+            if (this.devices.has(deviceId)) continue;
+
+            // Reuse a mock left connected by an earlier replay
+            let device = hid.devices.get(deviceId);
+            if (!device) {
+                device = new MockHIDDevice(this.recording.devices[deviceId]);
+                if (!await hid.registerDevice(device)) {
+                    throw new Error(`Could not connect a stand-in for ${deviceId}`);
+                }
+                // Serial-less devices get a temporary ID - give it the recorded one
+                if (device._assignedId !== deviceId && hid.rekeyDevice(device._assignedId, deviceId)) {
+                    this.gunManager.reconcileHIDDevices();
+                }
+            }
+            this.devices.set(deviceId, device);
+        }
+    }
+
+    /**
+     * Disconnect the mock devices
+     */
+    detach() {
+        this.stop();
+        const hid = this.gunManager.hidManager;
+        for (const device of this.devices.values()) {
+            hid.handleDeviceDisconnected(device);
+            device.close();
+        }
+        this.devices.clear();
+    }
+
+    /**
+     * Play from the current position in real time
+     * @param {Object} [options]
+     * @param {number} [options.speed] - Playback speed (2 = twice as fast)
+     * @returns {Promise<void>} Resolves when the recording ends or stop() is called
+     */
+    async play({ speed = 1 } = {}) {
+        if (this.isPlaying) return;
+        await this.attach();
+
+        this.speed = speed;
+        this.isPlaying = true;
+        this._startTime = performance.now() - this.position / speed;
+
+        return new Promise(resolve => {
+            this._resolve = resolve;
+            this._tick();
+        });
+    }
+
+    /**
+     * Dispatch the events that are due and wait for the next one
+     * @private
+     */
+    _tick() {
+        if (!this.isPlaying) return;
+
+        const now = (performance.now() - this._startTime) * this.speed;
+        const events = this.recording.events;
+        while (this.index < events.length && events[this.index].t <= now) {
+            this.dispatch(events[this.index], performance.now());
+            this.index++;
+        }
+        this.position = now;
+
+        if (this.index >= events.length) {
+            this.position = this.getDuration();
+            this.stop();
+            return;
+        }
+
+        const wait = (events[this.index].t - now) / this.speed;
+        this._timer = setTimeout(() => this._tick(), Math.max(0, wait));
+    }
+
+    /**
+     * Stop real-time playback (the position is kept, so play() resumes)
+     */
+    stop() {
+        this.isPlaying = false;
+        clearTimeout(this._timer);
+        this._timer = null;
+
+        if (this._resolve) {
+            const resolve = this._resolve;
+            this._resolve = null;
+            resolve();
+        }
+    }
+
+    /**
+     * Dispatch every event up to a recording time, synchronously
+     * Reports carry their recorded timestamps, so results don't depend on timers.
+     * Call attach() first.
+     * @param {number} time - Recording time (ms)
+     * @returns {number} Number of events dispatched
+     */
+    runUntil(time) {
+        if (this.timeOrigin === null) {
+            this.timeOrigin = performance.now();
+        }
+
+        const events = this.recording.events;
+        const start = this.index;
+        while (this.index < events.length && events[this.index].t <= time) {
+            const event = events[this.index];
+            this.dispatch(event, this.timeOrigin + event.t);
+            this.index++;
+        }
+        this.position = Math.max(this.position, Math.min(time, this.getDuration()));
+        return this.index - start;
+    }
+
+    /**
+     * Dispatch the rest of the recording synchronously
+     * @returns {number} Number of events dispatched
+     */
+    runAll() {
+        return this.runUntil(Infinity);
+    }
+
+    /**
+     * Go back to the start
+     */
+    rewind() {
+        this.stop();
+        this.index = 0;
+        this.position = 0;
+        this.timeOrigin = null;
+    }
+
+    /**
+     * Dispatch one recorded event
+     * @param {Object} event
+     * @param {number} timeStamp - performance.now() clock
+     */
+    dispatch(event, timeStamp) {
+        if (event.kind === 'hid') {
+            const device = this.devices.get(event.deviceId);
+            if (!device) {
+                throw new Error(`Device ${event.deviceId} is not attached - call attach() first`);
+            }
+            device.emitInputReport(event.reportId, InputRecorder.fromHex(event.data), timeStamp);
+            return;
+        }
+
+        if (typeof window === 'undefined') {
+            this.skippedDomEvents++;
+            return;
+        }
+
+        const domEvent = InputPlayer.createDomEvent(event);
+        const target = event.type.startsWith('key')
+            ? document.activeElement || document.body
+            : document.elementFromPoint(event.clientX, event.clientY) || document.body;
+        target.dispatchEvent(domEvent);
+    }
+
+    /**
+     * Build a synthetic DOM event from a recorded one
+     * @param {Object} event
+     * @returns {Event}
+     */
+    static createDomEvent(event) {
+        const { t, kind, type, ...props } = event;
+        const init = { bubbles: true, cancelable: true, composed: true, view: window, ...props };
+
+        if (type.startsWith('key')) {
+            return new KeyboardEvent(type, init);
+        }
+        if (type.startsWith('pointer') && typeof PointerEvent !== 'undefined') {
+            return new PointerEvent(type, init);
+        }
+        return new MouseEvent(type, init);
+    }
+}
@@ -0,0 +1,311 @@
+/**
+ * InputRecorder class
+ * Records gun and mouse/keyboard input to a file, for reproducing bugs away from the cabinet
+ *
+ * A recording holds:
+ * - Every raw HID report HIDDeviceManager receives (bytes + arrival time), before parsing
+ * - The devices that sent them (IDs, vendor/product, serial, report layout)
+ * - Real mouse, pointer and keyboard events (synthetic clicks from gun cursors are left
+ *   out - they are recreated when the HID reports are replayed)
+ * - The gun setup and calibration at the start, so a replay can use the same mapping
+ *
+ * Recordings are replayed with InputPlayer.
+ */
+export class InputRecorder {
+    static FORMAT = 'pbs-input-recording';
+    static VERSION = 1;
+
+    static DOM_EVENTS = [
+        'pointerdown', 'pointermove', 'pointerup', 'pointercancel',
+        'mousedown', 'mousemove', 'mouseup', 'click', 'contextmenu',
+        'keydown', 'keyup'
+    ];
+
+    // Recording stops by itself after this many events (about 30 minutes of a busy 4-gun session)
+    static MAX_EVENTS = 500000;
+
+    constructor(gunManager) {
+        this.gunManager = gunManager;
+        this.isRecording = false;
+        this.recording = null;
+        this.startTime = 0;
+        this.onStop = null;  // (recording) - called when recording stops, including at MAX_EVENTS
+
+        this.handleDomEvent = this.handleDomEvent.bind(this);
+    }
+
+    /**
+     * Start recording
+     */
+    start() {
+        if (this.isRecording) return;
+
+        this.startTime = performance.now();
+        this.recording = {
+            format: InputRecorder.FORMAT,
+            version: InputRecorder.VERSION,
+            recordedAt: new Date().toISOString(),
+            userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : '',
+            viewport: typeof window !== 'undefined'
+                ? { width: window.innerWidth, height: window.innerHeight, devicePixelRatio: window.devicePixelRatio }
+                : null,
+            profiles: this.gunManager.exportProfiles(),
+            devices: {},
+            events: []
+        };
+
+        const hid = this.gunManager.hidManager;
+        for (const [deviceId, device] of hid.devices) {
+            this.recording.devices[deviceId] = InputRecorder.describeDevice(device);
+        }
+        hid.onRawReport = (deviceId, reportId, data, reportTime) => {
+            this.recordReport(deviceId, reportId, data, reportTime);
+        };
+
+        if (typeof window !== 'undefined') {
+            for (const type of InputRecorder.DOM_EVENTS) {
+                window.addEventListener(type, this.handleDomEvent, true);
+            }
+        }
+
+        this.isRecording = true;
+        console.log('Input recording started');
+    }
+
+    /**
+     * Stop recording
+     * @returns {Object|null} The recording
+     */
+    stop() {
+        if (!this.isRecording) return this.recording;
+
+        this.isRecording = false;
+        this.gunManager.hidManager.onRawReport = null;
+        if (typeof window !== 'undefined') {
+            for (const type of InputRecorder.DOM_EVENTS) {
+                window.removeEventListener(type, this.handleDomEvent, true);
+            }
+        }
+
+        // DOM and HID timestamps can arrive slightly out of order
+        this.recording.events.sort((a, b) => a.t - b.t);
+        this.recording.duration = Math.round(performance.now() - this.startTime);
+        console.log(`Input recording stopped: ${this.recording.events.length} events, ${this.recording.duration}ms`);
+
+        if (this.onStop) {
+            this.onStop(this.recording);
+        }
+        return this.recording;
+    }
+
+    /**
+     * Get the time since recording started, rounded to 0.01ms
+     * @param {number} time - performance.now() clock
+     * @returns {number}
+     */
+    elapsed(time) {
+        return Math.round((time - this.startTime) * 100) / 100;
+    }
+
+    /**
+     * Add an event, stopping if the recording is full
+     * @param {Object} event
+     */
+    push(event) {
+        this.recording.events.push(event);
+        if (this.recording.events.length >= InputRecorder.MAX_EVENTS) {
+            console.warn('Input recording is full - stopping');
+            this.stop();
+        }
+    }
+
+    /**
+     * Record a raw HID report (HIDDeviceManager.onRawReport)
+     * @param {string} deviceId
+     * @param {number} reportId
+     * @param {DataView} data
+     * @param {number} reportTime
+     */
+    recordReport(deviceId, reportId, data, reportTime) {
+        if (!this.isRecording) return;
+
+        // Devices that connect (or are re-keyed) mid-recording
+        if (!this.recording.devices[deviceId]) {
+            const device = this.gunManager.hidManager.devices.get(deviceId);
+            if (device) {
+                this.recording.devices[deviceId] = InputRecorder.describeDevice(device);
+            }
+        }
+
+        this.push({
+            t: this.elapsed(reportTime),
+            kind: 'hid',
+            deviceId,
+            reportId,
+            data: InputRecorder.toHex(new Uint8Array(data.buffer, data.byteOffset, data.byteLength))
+        });
+    }
+
+    /**
+     * Record a mouse, pointer or keyboard event
+     * @param {Event} e
+     */
+    handleDomEvent(e) {
+        if (!this.isRecording || !e.isTrusted) return;
+
+        const event = {
+            t: this.elapsed(e.timeStamp || performance.now()),
+            kind: 'dom',
+            type: e.type,
+            shiftKey: e.shiftKey,
+            ctrlKey: e.ctrlKey,
+            altKey: e.altKey,
+            metaKey: e.metaKey
+        };
+
+        if (e.type.startsWith('key')) {
+            Object.assign(event, { key: e.key, code: e.code, repeat: e.repeat });
+        } else {
+            Object.assign(event, { clientX: e.clientX, clientY: e.clientY, button: e.button, buttons: e.buttons });
+            if (e.type.startsWith('pointer')) {
+                Object.assign(event, { pointerId: e.pointerId, pointerType: e.pointerType, isPrimary: e.isPrimary });
+            }
+        }
+
+        this.push(event);
+    }
+
+    /**
+     * Describe a HID device well enough to recreate it with MockHIDDevice
+     * (including the report layout its fingerprint is built from)
+     * @param {HIDDevice} device
+     * @returns {Object}
+     */
+    static describeDevice(device) {
+        return {
+            vendorId: device.vendorId,
+            productId: device.productId,
+            productName: device.productName || '',
+            serialNumber: device.serialNumber || '',
+            collections: (device.collections || []).map(collection => ({
+                usagePage: collection.usagePage,
+                usage: collection.usage,
+                inputReports: (collection.inputReports || []).map(report => ({
+                    reportId: report.reportId,
+                    items: (report.items || []).map(item => ({
+                        reportSize: item.reportSize,
+                        reportCount: item.reportCount
+                    }))
+                }))
+            }))
+        };
+    }
+
+    /**
+     * Encode bytes as a hex string
+     * @param {Uint8Array} bytes
+     * @returns {string}
+     */
+    static toHex(bytes) {
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Decode a hex string
+     * @param {string} hex
+     * @returns {Uint8Array}
+     */
+    static fromHex(hex) {
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    /**
+     * Parse and validate a recording
+     * @param {Object|string} input - Recording object or JSON string
+     * @returns {Object}
+     * @throws {Error} If the recording is unreadable, from a newer version, or invalid
+     */
+    static parse(input) {
+        let data = input;
+        if (typeof data === 'string') {
+            try {
+                data = JSON.parse(data);
+            } catch (e) {
+                throw new Error(`Input recording is not valid JSON: ${e.message}`);
+            }
+        }
+
+        if (data?.format === InputRecorder.FORMAT && data.version > InputRecorder.VERSION) {
+            throw new Error(`Input recording is from a newer version (${data.version}) - update the arcade first`);
+        }
+
+        const errors = InputRecorder.validate(data);
+        if (errors.length > 0) {
+            throw new Error(`Invalid input recording:\n${errors.slice(0, 10).join('\n')}`);
+        }
+        return data;
+    }
+
+    /**
+     * Validate a recording
+     * @param {Object} recording
+     * @returns {Array<string>} Validation errors (empty if valid)
+     */
+    static validate(recording) {
+        const errors = [];
+
+        if (!recording || typeof recording !== 'object') {
+            return ['recording: must be an object'];
+        }
+        if (recording.format !== InputRecorder.FORMAT) {
+            errors.push(`format: must be '${InputRecorder.FORMAT}'`);
+        }
+        if (!recording.devices || typeof recording.devices !== 'object' || Array.isArray(recording.devices)) {
+            errors.push('devices: required object');
+        } else {
+            for (const [deviceId, device] of Object.entries(recording.devices)) {
+                if (!Number.isInteger(device?.vendorId) || !Number.isInteger(device?.productId)) {
+                    errors.push(`devices['${deviceId}']: vendorId and productId must be integers`);
+                }
+            }
+        }
+        if (!Array.isArray(recording.events)) {
+            errors.push('events: required array');
+            return errors;
+        }
+
+        let lastTime = 0;
+        recording.events.forEach((event, i) => {
+            const path = `events[${i}]`;
+            if (!Number.isFinite(event?.t) || event.t < lastTime) {
+                errors.push(`${path}.t: must be a time no earlier than the previous event`);
+            } else {
+                lastTime = event.t;
+            }
+
+            if (event?.kind === 'hid') {
+                if (!recording.devices?.[event.deviceId]) {
+                    errors.push(`${path}.deviceId: unknown device '${event.deviceId}'`);
+                }
+                if (!Number.isInteger(event.reportId)) {
+                    errors.push(`${path}.reportId: must be an integer`);
+                }
+                if (typeof event.data !== 'string' || !/^([0-9a-f]{2})*$/i.test(event.data)) {
+                    errors.push(`${path}.data: must be a hex string`);
+                }
+            } else if (event?.kind === 'dom') {
+                if (!InputRecorder.DOM_EVENTS.includes(event.type)) {
+                    errors.push(`${path}.type: unsupported event type '${event.type}'`);
+                }
+            } else {
+                errors.push(`${path}.kind: must be 'hid' or 'dom'`);
+            }
+        });
+
+        return errors;
+    }
+}
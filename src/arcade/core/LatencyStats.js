@@ -0,0 +1,100 @@
+/**
+ * LatencyStats class
+ * Per-device input timing statistics for the latency diagnostic
+ *
+ * Tracks, over a sliding window of recent reports:
+ * - report rate and inter-report jitter (how steady the device's USB polling is)
+ * - report-to-frame delay (how long a report waits before the next rendered frame)
+ *
+ * All times are high-resolution milliseconds on the performance.now() clock.
+ */
+export class LatencyStats {
+    // Number of recent samples kept per device
+    static WINDOW = 200;
+
+    constructor() {
+        this.devices = new Map(); // deviceId -> { lastReport, intervals, frameDelays, framePending }
+        this.trackFrames = false;
+    }
+
+    /**
+     * Record an input report
+     * @param {string} deviceId
+     * @param {number} reportTime - performance.now() time the report arrived
+     */
+    recordReport(deviceId, reportTime) {
+        let entry = this.devices.get(deviceId);
+        if (!entry) {
+            entry = { lastReport: null, intervals: [], frameDelays: [], framePending: false };
+            this.devices.set(deviceId, entry);
+        }
+
+        if (entry.lastReport !== null) {
+            LatencyStats._push(entry.intervals, reportTime - entry.lastReport);
+        }
+        entry.lastReport = reportTime;
+
+        // Measure how long until this report can be drawn (one probe per frame)
+        if (this.trackFrames && !entry.framePending) {
+            entry.framePending = true;
+            requestAnimationFrame(frameTime => {
+                entry.framePending = false;
+                LatencyStats._push(entry.frameDelays, Math.max(0, frameTime - reportTime));
+            });
+        }
+    }
+
+    /**
+     * Turn report-to-frame measurement on or off (costs one rAF per device per frame)
+     * @param {boolean} enabled
+     */
+    setFrameTracking(enabled) {
+        this.trackFrames = enabled;
+    }
+
+    /**
+     * Get timing statistics for a device
+     * @param {string} deviceId
+     * @returns {{samples: number, reportRate: number, meanInterval: number, jitter: number,
+     *           maxInterval: number, frameDelay: number|null, maxFrameDelay: number|null}|null}
+     */
+    getStats(deviceId) {
+        const entry = this.devices.get(deviceId);
+        if (!entry || entry.intervals.length === 0) return null;
+
+        const intervals = entry.intervals;
+        const meanInterval = LatencyStats._mean(intervals);
+        const variance = LatencyStats._mean(intervals.map(i => (i - meanInterval) ** 2));
+
+        return {
+            samples: intervals.length,
+            reportRate: meanInterval > 0 ? 1000 / meanInterval : 0,
+            meanInterval,
+            jitter: Math.sqrt(variance),
+            maxInterval: Math.max(...intervals),
+            frameDelay: entry.frameDelays.length > 0 ? LatencyStats._mean(entry.frameDelays) : null,
+            maxFrameDelay: entry.frameDelays.length > 0 ? Math.max(...entry.frameDelays) : null
+        };
+    }
+
+    /**
+     * Clear samples for one device, or all devices
+     * @param {string} [deviceId]
+     */
+    reset(deviceId) {
+        if (deviceId) {
+            this.devices.delete(deviceId);
+        } else {
+            this.devices.clear();
+        }
+    }
+
+    static _push(list, value) {
+        list.push(value);
+        if (list.length > LatencyStats.WINDOW) list.shift();
+    }
+
+    static _mean(list) {
+        return list.reduce((sum, value) => sum + value, 0) / list.length;
+    }
+}
@@ -0,0 +1,296 @@
+/**
+ * ManifestSchema class
+ * The game manifest format, with detailed validation errors and semver helpers
+ *
+ * FIELDS describes every manifest field; validate() reports unknown fields
+ * (usually typos), wrong types and bad values with their path, e.g.
+ * "multiplayer.supportedModes[1].type: must be one of cooperative, competitive".
+ *
+ * Field specs: { type, required?, nullable?, ... } where type is one of
+ *   'string', 'boolean', 'semver', 'id'
+ *   'integer' / 'number' with optional min, max
+ *   'enum' with values
+ *   'list' - non-empty array of unique strings
+ *   'array' with items (a field spec)
+ *   'object' with fields (a FIELDS-style map)
+ *   'data' - plain JSON data (objects, arrays, strings, finite numbers, booleans, null)
+ *
+ * No DOM or arcade dependencies, so manifests can be checked anywhere.
+ */
+
+export class ManifestSchema {
+    static SEMVER = /^(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+    static MODE_FIELDS = {
+        id: { type: 'string', required: true },
+        name: { type: 'string', required: true },
+        type: { type: 'enum', values: ['cooperative', 'competitive'], required: true },
+        simultaneous: { type: 'boolean' }
+    };
+
+    static FIELDS = {
+        id: { type: 'id', required: true },
+        name: { type: 'string', required: true },
+        version: { type: 'semver' },
+        sdkVersion: { type: 'semver' },
+        author: { type: 'string' },
+        description: { type: 'string' },
+        isAvailable: { type: 'boolean' },
+        thumbnail: { type: 'string', nullable: true },
+        banner: { type: 'string', nullable: true },
+        modes: { type: 'list' },
+        difficulties: { type: 'list' },
+        multiplayer: {
+            type: 'object',
+            fields: {
+                minPlayers: { type: 'integer', min: 1, max: 4 },
+                maxPlayers: { type: 'integer', min: 1, max: 4 },
+                defaultPlayers: { type: 'integer', min: 1, max: 4 },
+                supportedModes: { type: 'array', items: { type: 'object', fields: ManifestSchema.MODE_FIELDS } },
+                defaultMode: { type: 'string', nullable: true }
+            }
+        },
+        assets: {
+            type: 'object',
+            nullable: true,
+            fields: {
+                images: { type: 'array', items: { type: 'string' } },
+                audio: { type: 'array', items: { type: 'string' } },
+                json: { type: 'array', items: { type: 'string' } }
+            }
+        },
+        features: {
+            type: 'object',
+            fields: {
+                requiresReload: { type: 'boolean' },
+                hasAchievements: { type: 'boolean' },
+                hasPowerUps: { type: 'boolean' },
+                autoFireRate: { type: 'number', min: 0, nullable: true },
+                // Same list as GunCursorManager.CURSOR_POLICIES
+                cursorPolicy: { type: 'enum', values: ['default', 'hidden', 'miss', 'mouse'], nullable: true }
+            }
+        },
+        // Sandbox permissions the game may ask the player for (same list as SandboxProtocol.PERMISSIONS)
+        permissions: {
+            type: 'array',
+            items: { type: 'enum', values: ['playerName', 'leaderboards', 'activity', 'gunOutput'] }
+        },
+        capabilities: {
+            type: 'object',
+            fields: {
+                minGuns: { type: 'integer', min: 0, max: 4 },
+                requiresWebHID: { type: 'boolean' },
+                supportsMouse: { type: 'boolean' }
+            }
+        },
+        sinden: {
+            type: 'object',
+            fields: {
+                minThickness: { type: 'number', min: 0, nullable: true },
+                autoContrast: { type: 'boolean', nullable: true },
+                placement: { type: 'enum', values: ['inner', 'outer'], nullable: true },
+                visibility: { type: 'enum', values: ['always', 'in-game'], nullable: true }
+            }
+        }
+    };
+
+    /**
+     * Validate a manifest
+     * @param {Object} manifest
+     * @returns {Array<string>} Validation errors (empty if valid)
+     */
+    static validate(manifest) {
+        const errors = [];
+        if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+            return ['manifest: must be an object'];
+        }
+
+        ManifestSchema.validateFields(manifest, ManifestSchema.FIELDS, '', errors);
+
+        // Rules that involve more than one field
+        const mp = manifest.multiplayer;
+        if (mp && typeof mp === 'object') {
+            const min = mp.minPlayers ?? 1;
+            const max = mp.maxPlayers ?? 1;
+            if (Number.isInteger(min) && Number.isInteger(max) && max < min) {
+                errors.push('multiplayer.maxPlayers: must be at least minPlayers');
+            }
+            if (Number.isInteger(mp.defaultPlayers) && (mp.defaultPlayers < min || mp.defaultPlayers > max)) {
+                errors.push('multiplayer.defaultPlayers: must be between minPlayers and maxPlayers');
+            }
+
+            const modeIds = Array.isArray(mp.supportedModes) ? mp.supportedModes.map(mode => mode?.id) : [];
+            modeIds.forEach((id, i) => {
+                if (id !== undefined && modeIds.indexOf(id) !== i) {
+                    errors.push(`multiplayer.supportedModes[${i}].id: duplicate mode '${id}'`);
+                }
+            });
+            if (typeof mp.defaultMode === 'string' && !modeIds.includes(mp.defaultMode)) {
+                errors.push(`multiplayer.defaultMode: '${mp.defaultMode}' is not in supportedModes`);
+            }
+        }
+
+        const minGuns = manifest.capabilities?.minGuns;
+        if (Number.isInteger(minGuns) && Number.isInteger(mp?.maxPlayers) && minGuns > mp.maxPlayers) {
+            errors.push('capabilities.minGuns: can\'t be more than multiplayer.maxPlayers');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate an object against a field map (unknown fields are errors)
+     * @param {Object} object
+     * @param {Object} fields - Field specs by name
+     * @param {string} path - Prefix for error messages ('' at the top level)
+     * @param {Array<string>} errors - Errors are appended here
+     */
+    static validateFields(object, fields, path, errors) {
+        const prefix = path ? `${path}.` : '';
+
+        for (const key of Object.keys(object)) {
+            if (!(key in fields)) {
+                errors.push(`${prefix}${key}: unknown field`);
+            }
+        }
+        for (const [key, spec] of Object.entries(fields)) {
+            ManifestSchema.validateField(object[key], spec, `${prefix}${key}`, errors);
+        }
+    }
+
+    /**
+     * Validate one value against a field spec
+     * @param {*} value
+     * @param {Object} spec
+     * @param {string} path - Prefix for error messages
+     * @param {Array<string>} errors - Errors are appended here
+     */
+    static validateField(value, spec, path, errors) {
+        if (value === undefined) {
+            if (spec.required) errors.push(`${path}: required`);
+            return;
+        }
+        if (value === null) {
+            if (!spec.nullable) errors.push(`${path}: can't be null`);
+            return;
+        }
+
+        switch (spec.type) {
+            case 'string':
+                if (typeof value !== 'string' || (spec.required && !value.trim())) {
+                    errors.push(`${path}: must be a ${spec.required ? 'non-empty ' : ''}string`);
+                }
+                break;
+            case 'boolean':
+                if (typeof value !== 'boolean') errors.push(`${path}: must be true or false`);
+                break;
+            case 'id':
+                if (typeof value !== 'string' || !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(value)) {
+                    errors.push(`${path}: must be lowercase letters, digits and dashes (e.g. 'my-game')`);
+                }
+                break;
+            case 'semver':
+                if (!ManifestSchema.parseVersion(value)) {
+                    errors.push(`${path}: must be a semantic version like '1.2.0'`);
+                }
+                break;
+            case 'integer':
+            case 'number': {
+                const valid = spec.type === 'integer' ? Number.isInteger(value) : Number.isFinite(value);
+                if (!valid) {
+                    errors.push(`${path}: must be ${spec.type === 'integer' ? 'an integer' : 'a number'}`);
+                } else if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+                    errors.push(`${path}: must be ${spec.max !== undefined ? `between ${spec.min} and ${spec.max}` : `at least ${spec.min}`}`);
+                }
+                break;
+            }
+            case 'enum':
+                if (!spec.values.includes(value)) {
+                    errors.push(`${path}: must be one of ${spec.values.join(', ')}`);
+                }
+                break;
+            case 'list':
+                if (!Array.isArray(value) || value.length === 0 || !value.every(item => typeof item === 'string' && item)) {
+                    errors.push(`${path}: must be a non-empty array of strings`);
+                } else if (new Set(value).size !== value.length) {
+                    errors.push(`${path}: has duplicate entries`);
+                }
+                break;
+            case 'array':
+                if (!Array.isArray(value)) {
+                    errors.push(`${path}: must be an array`);
+                } else {
+                    value.forEach((item, i) => ManifestSchema.validateField(item, { ...spec.items, required: true }, `${path}[${i}]`, errors));
+                }
+                break;
+            case 'object':
+                if (typeof value !== 'object' || Array.isArray(value)) {
+                    errors.push(`${path}: must be an object`);
+                } else {
+                    ManifestSchema.validateFields(value, spec.fields, path, errors);
+                }
+                break;
+            case 'data':
+                if (!ManifestSchema.isPlainData(value)) {
+                    errors.push(`${path}: must be plain data (objects, arrays, strings, numbers, booleans)`);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Check that a value is plain JSON data
+     * @param {*} value
+     * @param {number} [depth] - Nesting allowed below this value
+     * @returns {boolean}
+     */
+    static isPlainData(value, depth = 8) {
+        if (value === null || typeof value === 'string' || typeof value === 'boolean') return true;
+        if (typeof value === 'number') return Number.isFinite(value);
+        if (depth === 0 || typeof value !== 'object') return false;
+        if (Array.isArray(value)) {
+            return value.every(item => ManifestSchema.isPlainData(item, depth - 1));
+        }
+        if (Object.getPrototypeOf(value) !== Object.prototype) return false;
+        return Object.values(value).every(item => ManifestSchema.isPlainData(item, depth - 1));
+    }
+
+    /**
+     * Parse a semantic version
+     * @param {string} version
+     * @returns {{major: number, minor: number, patch: number, prerelease: string|null}|null} Null if invalid
+     */
+    static parseVersion(version) {
+        const match = typeof version === 'string' ? ManifestSchema.SEMVER.exec(version) : null;
+        if (!match) return null;
+        return {
+            major: parseInt(match[1], 10),
+            minor: parseInt(match[2], 10),
+            patch: parseInt(match[3], 10),
+            prerelease: match[4] || null
+        };
+    }
+
+    /**
+     * Compare two semantic versions
+     * @param {string} a
+     * @param {string} b
+     * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+     */
+    static compareVersions(a, b) {
+        const va = ManifestSchema.parseVersion(a);
+        const vb = ManifestSchema.parseVersion(b);
+        if (!va || !vb) {
+            throw new Error(`Invalid version: ${!va ? a : b}`);
+        }
+
+        for (const part of ['major', 'minor', 'patch']) {
+            if (va[part] !== vb[part]) return va[part] - vb[part];
+        }
+        // A prerelease comes before its release
+        if (va.prerelease === vb.prerelease) return 0;
+        if (!va.prerelease) return 1;
+        if (!vb.prerelease) return -1;
+        return va.prerelease < vb.prerelease ? -1 : 1;
+    }
+}
@@ -0,0 +1,96 @@
+/**
+ * MockHIDDevice class
+ * Stand-in for a WebHID HIDDevice, for trying guns and output profiles without hardware
+ *
+ * Register one with hidDeviceManager.addMockDevice(). Input reports are injected
+ * with emitInputReport() and go through the normal profile parsing path; output
+ * and feature reports sent to the device are recorded in `sentReports`.
+ *
+ * Example:
+ *   const info = await gunManager.hidManager.addMockDevice();
+ *   info.device.emitInputReport(7, [0x01, 0, 0, 0, 0x00, 0x80, 0x00, 0x80]);  // trigger, center
+ *   gunManager.recoil(0);
+ *   info.device.sentReports;  // [{type: 'output', reportId: 1, data: [1, 255, ...]}]
+ */
+export class MockHIDDevice {
+    static nextSerial = 1;
+
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.vendorId] - Defaults to a Gun4IR Pro Micro
+     * @param {number} [options.productId]
+     * @param {string} [options.productName]
+     * @param {string} [options.serialNumber] - Pass '' to test serial-less devices
+     * @param {Array<Object>} [options.collections] - HID collections (defaults to one joystick collection)
+     */
+    constructor(options = {}) {
+        this.vendorId = options.vendorId ?? 0x2341;
+        this.productId = options.productId ?? 0x8042;
+        this.productName = options.productName ?? 'Mock Lightgun';
+        this.serialNumber = options.serialNumber ?? `MOCK${MockHIDDevice.nextSerial++}`;
+        this.collections = options.collections ?? [
+            { usagePage: 0x01, usage: 0x04, inputReports: [], outputReports: [], featureReports: [] }
+        ];
+        this.opened = false;
+        this.sentReports = [];
+        this.listeners = new Map();
+    }
+
+    async open() {
+        this.opened = true;
+    }
+
+    async close() {
+        this.opened = false;
+    }
+
+    async sendReport(reportId, data) {
+        this.recordReport('output', reportId, data);
+    }
+
+    async sendFeatureReport(reportId, data) {
+        this.recordReport('feature', reportId, data);
+    }
+
+    /**
+     * Record a report sent to the device
+     */
+    recordReport(type, reportId, data) {
+        if (!this.opened) {
+            throw new Error('Device is not open');
+        }
+        this.sentReports.push({ type, reportId, data: Array.from(data), timestamp: performance.now() });
+    }
+
+    addEventListener(type, listener) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners.get(type)?.delete(listener);
+    }
+
+    /**
+     * Deliver an input report as if the device had sent it
+     * @param {number} reportId
+     * @param {Array<number>|Uint8Array} bytes - Report data (without the report ID)
+     * @param {number} [timeStamp] - Arrival time (performance.now() clock)
+     */
+    emitInputReport(reportId, bytes, timeStamp = performance.now()) {
+        if (!this.opened) return;
+
+        const event = {
+            type: 'inputreport',
+            device: this,
+            reportId,
+            data: new DataView(Uint8Array.from(bytes).buffer),
+            timeStamp
+        };
+        for (const listener of this.listeners.get('inputreport') || []) {
+            listener(event);
+        }
+    }
+}
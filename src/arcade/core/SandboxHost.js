@@ -0,0 +1,545 @@
+/**
+ * SandboxHost class
+ * Runs an installed game package in a sandboxed iframe and stands in for it as
+ * ArcadeSystem's currentGame.
+ *
+ * The game never gets the ArcadeSystem, the DOM or the arcade's origin. It draws
+ * on an OffscreenCanvas transferred from a canvas laid over the game canvas, and
+ * everything else goes through SandboxProtocol messages: input events in, and
+ * sound, assets, scores (GameServices, always under the game's own ID) and
+ * cursor/time calls out. Anything beyond that needs a permission the game
+ * declares in its manifest and the player allows.
+ */
+import { InputManager } from '../../shared/InputManager.js';
+import { GameServices } from '../sdk/GameServices.js';
+import { SandboxRuntime } from '../sdk/SandboxRuntime.js';
+import { SDK_VERSION } from '../sdk/version.js';
+import { SandboxPermissionPrompt } from '../ui/SandboxPermissionPrompt.js';
+import { GameClock } from './GameClock.js';
+import { GunOutput } from './GunOutput.js';
+import { SandboxProtocol } from './SandboxProtocol.js';
+
+export class SandboxHost {
+    static READY_TIMEOUT = 10000;  // ms for the sandbox page to start
+    static MAX_STEPS = GameClock.MAX_STEPS;  // Steps sent in one frame message - no catch-up bursts
+
+    /**
+     * @param {HTMLCanvasElement} canvas - The arcade's game canvas (only used for input and layout)
+     * @param {HTMLElement} uiLayer
+     * @param {ArcadeSystem} system
+     * @param {Object} game - The game's registry entry
+     */
+    constructor(canvas, uiLayer, system, game) {
+        this.canvas = canvas;
+        this.uiLayer = uiLayer;
+        this.system = system;
+        this.game = game;
+
+        const { GameClass, load, source, manifestErrors, ...manifest } = game;
+        this.manifest = manifest;  // Plain data - this is what the game sees
+
+        this.services = new GameServices(system);
+        this.input = null;
+        this.frameCanvas = null;   // Shows the game's OffscreenCanvas
+        this.iframe = null;
+
+        this._initialized = false;
+        this._destroyed = false;
+        this._inGame = true;
+        this._steps = [];
+        this._aimAssistTargets = [];
+        this._permissionPrompts = new Map();  // Permission -> Promise<boolean> while the player decides
+        this._activePrompts = new Set();
+        this._listeners = [];                 // [target, event, handler] to remove on cleanup
+        this._initPromise = null;             // { resolve, reject } until the game has initialized
+
+        this._handleMessage = this._handleMessage.bind(this);
+    }
+
+    /**
+     * Start the sandbox and the game in it
+     * @returns {Promise<void>} Resolves once the game's init() has finished
+     */
+    async init() {
+        this.uiLayer.innerHTML = '';
+
+        // Canvas cursors would be drawn under the game's frame
+        this.system.gunManager.setCursorRenderMode('dom');
+        this.system.gunManager.setCursorPolicy(this.manifest.features?.cursorPolicy || 'default');
+
+        this.frameCanvas = document.createElement('canvas');
+        this.frameCanvas.className = 'sandbox-canvas';
+        this.frameCanvas.width = this.canvas.width;
+        this.frameCanvas.height = this.canvas.height;
+
+        // Kept visible over the game area - browsers throttle hidden frames
+        this.iframe = document.createElement('iframe');
+        this.iframe.className = 'sandbox-frame';
+        this.iframe.setAttribute('sandbox', 'allow-scripts');
+        this.iframe.title = this.manifest.name;
+        this.iframe.srcdoc = SandboxRuntime.getDocument();
+
+        this.canvas.after(this.frameCanvas, this.iframe);
+        this._layout();
+
+        // Sent with init once the sandbox page says it is ready
+        this._offscreen = this.frameCanvas.transferControlToOffscreen();
+
+        const initialized = new Promise((resolve, reject) => {
+            this._initPromise = { resolve, reject };
+        });
+        this._readyTimeout = setTimeout(() => {
+            this._initPromise?.reject(new Error('The game sandbox did not start'));
+        }, SandboxHost.READY_TIMEOUT);
+        this._listen(window, 'message', this._handleMessage);
+
+        try {
+            await initialized;
+        } finally {
+            clearTimeout(this._readyTimeout);
+            this._initPromise = null;
+        }
+
+        this._initialized = true;
+        this._bindInput();
+    }
+
+    /**
+     * Send the game its code, canvas and preloaded assets
+     * @private
+     */
+    async _sendInit() {
+        if (!this._offscreen) return;  // Already sent
+        clearTimeout(this._readyTimeout);
+
+        const entry = this.system.packages.getEntryFile(this.game.id);
+        if (!entry) {
+            throw new Error('The game package is missing its code - try reinstalling it');
+        }
+
+        // The loading screen already preloaded these in this page
+        const assets = this.system.getAssetLoader(this.game.id);
+        const images = [];
+        for (const path of this.manifest.assets?.images || []) {
+            const image = assets.getImage(path);
+            if (image) {
+                images.push([path, await createImageBitmap(image)]);
+            }
+        }
+        const json = (this.manifest.assets?.json || [])
+            .filter(path => assets.getJSON(path) !== null)
+            .map(path => [path, assets.getJSON(path)]);
+
+        const canvas = this._offscreen;
+        this._offscreen = null;
+        if (this._destroyed) return;
+        this._post('init', {
+            manifest: this.manifest,
+            sdkVersion: SDK_VERSION,
+            sounds: SandboxProtocol.SOUNDS,
+            entry,
+            canvas,
+            width: this.canvas.width,
+            height: this.canvas.height,
+            images,
+            json,
+            user: this._permissionState('playerName') === true ? this._getPlayer() : null
+        }, [canvas, ...images.map(([, bitmap]) => bitmap)]);
+    }
+
+    /**
+     * Forward input to the game
+     * @private
+     */
+    _bindInput() {
+        this.input = new InputManager(this.canvas, this.system.gunManager);
+        if (typeof this.manifest.features?.autoFireRate === 'number') {
+            this.input.setAutoFireRate(this.manifest.features.autoFireRate);
+        }
+        this.input.setRightClickReload(this.manifest.features?.requiresReload === true);
+        SandboxProtocol.INPUT_EVENTS
+            .filter(event => !['startButton', 'keydown', 'keyup'].includes(event))
+            .forEach(event => this.input.on(event, data => this._sendInput(event, data)));
+
+        this._startButtonHandler = (gunIndex) => this._sendInput('startButton', { gunIndex });
+        this.system.gunManager.on('startButton', this._startButtonHandler);
+
+        const keyData = (e) => ({
+            key: e.key, code: e.code, repeat: e.repeat,
+            shiftKey: e.shiftKey, ctrlKey: e.ctrlKey, altKey: e.altKey, metaKey: e.metaKey
+        });
+        this._listen(window, 'keydown', e => this._sendInput('keydown', keyData(e)));
+        this._listen(window, 'keyup', e => this._sendInput('keyup', keyData(e)));
+    }
+
+    _sendInput(event, data) {
+        // The game doesn't see input aimed at a permission prompt
+        if (this._activePrompts.size > 0) return;
+        this._post('input', { event, data });
+    }
+
+    // =========================================================================
+    // ArcadeSystem's side of the game interface
+    // =========================================================================
+
+    update(dt) {
+        // Steps taken while the game starts up are dropped, like GameClock drops a backlog
+        if (!this._initialized || this._steps.length >= SandboxHost.MAX_STEPS) return;
+        this._steps.push(dt);
+    }
+
+    draw(ctx, alpha) {
+        if (!this._initialized) return;
+        this._post('frame', { steps: this._steps, alpha });
+        this._steps = [];
+    }
+
+    onResize(width, height) {
+        this._layout();
+        this._post('resize', { width, height });
+    }
+
+    onHidden() {
+        this._post('hidden');
+    }
+
+    getAimAssistTargets() {
+        return this._aimAssistTargets;
+    }
+
+    /**
+     * Stop the game and remove the sandbox (called by ArcadeSystem)
+     */
+    _cleanup() {
+        if (this._destroyed) return;
+        this._post('destroy');
+        this._destroyed = true;
+
+        clearTimeout(this._readyTimeout);
+        this._activePrompts.forEach(prompt => prompt.close(false));
+        this._listeners.forEach(([target, event, handler]) => target.removeEventListener(event, handler));
+        this._listeners = [];
+
+        if (this.input) {
+            this.input.destroy();
+        }
+        if (this._startButtonHandler) {
+            this.system.gunManager.off('startButton', this._startButtonHandler);
+        }
+
+        this.iframe?.remove();
+        this.frameCanvas?.remove();
+        this.iframe = null;
+        this.frameCanvas = null;
+
+        this.system.time.resume('permission');
+        this.system.gunManager.resetOutputs();
+        this.system.gunManager.setCursorPolicy('default');
+        this.system.gunManager.setCursorRenderMode(this.system.settings.cursorRenderMode);
+    }
+
+    // =========================================================================
+    // Messages
+    // =========================================================================
+
+    _post(type, payload = {}, transfer = []) {
+        if (this._destroyed || !this.iframe?.contentWindow) return;
+        // The sandbox has an opaque origin, so '*' is the only target that reaches it
+        this.iframe.contentWindow.postMessage(SandboxProtocol.message(type, payload), '*', transfer);
+    }
+
+    _respond(id, ok, resultOrError) {
+        this._post('response', ok
+            ? { id, ok, result: resultOrError }
+            : { id, ok, error: resultOrError });
+    }
+
+    /**
+     * @param {MessageEvent} event
+     * @private
+     */
+    _handleMessage(event) {
+        if (this._destroyed || !this.iframe || event.source !== this.iframe.contentWindow) return;
+
+        const message = event.data;
+        const error = SandboxProtocol.validate(message);
+        if (error) {
+            console.warn(`Sandboxed game '${this.game.id}' sent a bad message - ${error}`);
+            if (Number.isInteger(message?.id)) {
+                this._respond(message.id, false, `Bad message: ${error}`);
+            }
+            return;
+        }
+
+        const spec = SandboxProtocol.GAME_MESSAGES[message.type];
+        const payload = message.payload || {};
+
+        if (spec.request) {
+            this._handleRequest(message.type, payload, spec)
+                .then(({ result, transfer }) => this._post('response', { id: message.id, ok: true, result }, transfer))
+                .catch(e => this._respond(message.id, false, e.message || String(e)));
+            return;
+        }
+
+        // Fire-and-forget calls that need a permission are dropped until it is granted
+        if (spec.permission) {
+            const state = this._permissionState(spec.permission);
+            if (state !== true) {
+                if (state === undefined) this._requestPermission(spec.permission);
+                return;
+            }
+        }
+
+        try {
+            this._handleEvent(message.type, payload);
+        } catch (e) {
+            console.error(`Sandboxed game '${this.game.id}': ${message.type} failed:`, e);
+        }
+    }
+
+    /**
+     * Messages that don't expect a response
+     * @private
+     */
+    _handleEvent(type, payload) {
+        const gunManager = this.system.gunManager;
+
+        switch (type) {
+            case 'ready':
+                this._sendInit().catch(e => this._fail(e));
+                break;
+            case 'initialized':
+                this._initPromise?.resolve();
+                break;
+            case 'error': {
+                const error = new Error(payload.message);
+                console.error(`Sandboxed game '${this.game.id}' error:`, payload.stack || payload.message);
+                this._fail(error);
+                break;
+            }
+            case 'aimAssistTargets':
+                this._aimAssistTargets = payload.targets;
+                break;
+            case 'sound.play':
+                this.system.soundManager[payload.name]();
+                break;
+            case 'sound.playFile': {
+                const audio = this.system.getAssetLoader(this.game.id).getAudio(payload.path);
+                if (audio) {
+                    audio.cloneNode().play().catch(() => {});
+                }
+                break;
+            }
+            case 'game.exit':
+                this.system.returnToArcade();
+                break;
+            case 'game.setInGame':
+                this._inGame = payload.inGame;
+                if (this._activePrompts.size === 0) gunManager.setInGame(payload.inGame);
+                break;
+            case 'game.setCursorPolicy':
+                gunManager.setCursorPolicy(payload.policy);
+                break;
+            case 'game.markHit':
+                if (payload.gunIndex >= 0) {
+                    const rect = this.canvas.getBoundingClientRect();
+                    const scale = this.canvas.width > 0 ? rect.width / this.canvas.width : 1;
+                    gunManager.showHitMarker(payload.gunIndex, rect.left + payload.x * scale, rect.top + payload.y * scale);
+                }
+                break;
+            case 'game.markMiss':
+                if (payload.gunIndex >= 0) gunManager.revealCursorOnMiss(payload.gunIndex);
+                break;
+            case 'time.setScale':
+                this.system.time.setScale(payload.scale, payload.durationMs || 0);
+                break;
+            case 'gun.recoil': {
+                const pattern = payload.pattern || 'single';
+                if (Object.hasOwn(GunOutput.PATTERNS, pattern)) gunManager.recoil(payload.gunIndex, pattern);
+                break;
+            }
+            case 'gun.setLED':
+                if (/^#[0-9a-f]{6}$/i.test(payload.color)) gunManager.setLED(payload.gunIndex, payload.color);
+                break;
+        }
+    }
+
+    /**
+     * Messages that expect a response
+     * @returns {Promise<{result: *, transfer?: Array}>}
+     * @private
+     */
+    async _handleRequest(type, payload, spec) {
+        if (spec.permission && !(await this._requestPermission(spec.permission))) {
+            throw new Error(`Permission '${spec.permission}' was not granted`);
+        }
+
+        const gameId = this.game.id;
+        switch (type) {
+            case 'assets.load':
+                return this._loadAsset(payload.type, payload.path);
+            case 'score.submit':
+                return { result: this._toData(await this.services.submitScore(gameId, payload.score, payload.options || {})) };
+            case 'score.complete':
+                return { result: this._toData(await this.services.completeGame(gameId, payload.score, payload.options || {})) };
+            case 'session.start':
+                return { result: this._toData(await this.services.startSession(gameId, payload.options || {})) };
+            case 'session.end':
+                return { result: this._toData(await this.services.endSession(payload.results || {})) };
+            case 'permission.request': {
+                const granted = await this._requestPermission(payload.permission);
+                if (granted && payload.permission === 'playerName') {
+                    this._post('player', { user: this._getPlayer() });
+                }
+                return { result: granted };
+            }
+            case 'leaderboard.get':
+                return { result: this._toData(await this.services.getLeaderboard(gameId, payload.options || {})) };
+            case 'activity.post':
+                // Always about this game, with the player's default visibility
+                return {
+                    result: this._toData(await this.services.postActivity(payload.type, {
+                        gameId,
+                        metadata: payload.data?.metadata
+                    }))
+                };
+            default:
+                throw new Error(`Unhandled request '${type}'`);
+        }
+    }
+
+    /**
+     * Load a package or arcade asset for the game
+     * @private
+     */
+    async _loadAsset(type, path) {
+        // Only the game's own files and the arcade's - never other origins or blob URLs
+        if (/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(path) || path.split('/').includes('..')) {
+            throw new Error(`Can't load ${path} - use a path inside the package`);
+        }
+
+        const assets = this.system.getAssetLoader(this.game.id);
+        if (type === 'image') {
+            const bitmap = await createImageBitmap(await assets.loadImage(path));
+            return { result: bitmap, transfer: [bitmap] };
+        }
+        if (type === 'json') {
+            return { result: this._toData(await assets.loadJSON(path)) };
+        }
+        await assets.loadAudio(path);
+        return { result: null };
+    }
+
+    /**
+     * Copy a service result to plain data (drops anything that can't cross the bridge)
+     * @private
+     */
+    _toData(value) {
+        return value === undefined ? null : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Stop a game that crashed
+     * @private
+     */
+    _fail(error) {
+        if (this._initPromise) {
+            this._initPromise.reject(error);
+        } else if (!this._destroyed) {
+            this.system.abortGame(this.game, error);
+        }
+    }
+
+    // =========================================================================
+    // Permissions
+    // =========================================================================
+
+    /**
+     * @param {string} permission
+     * @returns {boolean|undefined} The player's answer, or undefined if they haven't been asked
+     * @private
+     */
+    _permissionState(permission) {
+        if (!this.manifest.permissions.includes(permission)) return false;
+        const answer = this.system.settings.sandboxPermissions[this.game.id]?.[permission];
+        return typeof answer === 'boolean' ? answer : undefined;
+    }
+
+    /**
+     * Get a permission, asking the player if they haven't answered yet
+     * @param {string} permission
+     * @returns {Promise<boolean>}
+     * @private
+     */
+    _requestPermission(permission) {
+        const state = this._permissionState(permission);
+        if (state !== undefined) return Promise.resolve(state);
+
+        if (!this._permissionPrompts.has(permission)) {
+            this._permissionPrompts.set(permission, this._prompt(permission).finally(() => {
+                this._permissionPrompts.delete(permission);
+            }));
+        }
+        return this._permissionPrompts.get(permission);
+    }
+
+    /**
+     * Pause the game and ask the player
+     * @private
+     */
+    async _prompt(permission) {
+        const gunManager = this.system.gunManager;
+        const prompt = new SandboxPermissionPrompt(this.manifest.name, SandboxProtocol.PERMISSIONS[permission]);
+
+        this._activePrompts.add(prompt);
+        this.system.time.pause('permission');
+        gunManager.setInGame(false);  // Cursors for the buttons
+
+        const allowed = await prompt.show();
+        this._activePrompts.delete(prompt);
+        if (this._destroyed) return false;
+
+        this.system.settings.setSandboxPermission(this.game.id, permission, allowed);
+        if (this._activePrompts.size === 0) {
+            gunManager.setInGame(this._inGame);
+            this.system.time.resume('permission');
+        }
+        return allowed;
+    }
+
+    /**
+     * What a game with the playerName permission sees of the player
+     * @private
+     */
+    _getPlayer() {
+        const user = this.system.auth.getCurrentUser();
+        return {
+            name: user ? (user.display_name || user.username || 'Player') : 'Player',
+            isGuest: this.system.auth.isGuest()
+        };
+    }
+
+    // =========================================================================
+    // Helpers
+    // =========================================================================
+
+    /**
+     * Lay the frame canvas and iframe over the game canvas
+     * @private
+     */
+    _layout() {
+        const { offsetLeft, offsetTop, offsetWidth, offsetHeight } = this.canvas;
+        [this.frameCanvas, this.iframe].forEach(element => {
+            if (!element) return;
+            element.style.left = `${offsetLeft}px`;
+            element.style.top = `${offsetTop}px`;
+            element.style.width = `${offsetWidth}px`;
+            element.style.height = `${offsetHeight}px`;
+        });
+    }
+
+    _listen(target, event, handler) {
+        target.addEventListener(event, handler);
+        this._listeners.push([target, event, handler]);
+    }
+}
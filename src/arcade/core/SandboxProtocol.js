@@ -0,0 +1,190 @@
+/**
+ * SandboxProtocol class
+ * The messages a sandboxed game and the arcade exchange (see SandboxHost and SandboxRuntime)
+ *
+ * Every message is { channel: CHANNEL, type, payload, id? }. Messages with an id
+ * are requests and get a 'response' { id, ok, result | error } back.
+ *
+ * Arcade -> game (trusted, not validated):
+ *   init { manifest, entry, canvas, width, height, images, json, user }
+ *   frame { steps: [dt, ...], alpha }     input { event, data }
+ *   resize { width, height }              hidden {}
+ *   player { user }                       response { id, ok, result, error }
+ *   destroy {}
+ *
+ * Game -> arcade: GAME_MESSAGES below. The game is untrusted, so the host checks each
+ * message against its spec and drops anything else. Messages with a permission
+ * need the game to declare it in manifest.permissions and the player to allow it.
+ */
+import { ManifestSchema } from './ManifestSchema.js';
+
+export class SandboxProtocol {
+    static CHANNEL = 'pbs-sandbox';
+
+    // Things beyond input, sound, assets and scores - each needs the player's OK (shown in the prompt)
+    static PERMISSIONS = {
+        playerName: 'See your player name',
+        leaderboards: 'Read this game\'s leaderboards',
+        activity: 'Post to your activity feed',
+        gunOutput: 'Use gun recoil and lights'
+    };
+
+    // SoundManager effects a game can play by name
+    static SOUNDS = [
+        'playShoot', 'playHit', 'playGameOver', 'playGameClear', 'playTick', 'playQuack', 'playWingFlap',
+        'playDogLaugh', 'playShatter', 'playMiss', 'playReload', 'playEmpty', 'playCombo'
+    ];
+
+    // Input the arcade forwards to the game
+    static INPUT_EVENTS = [
+        'shoot', 'reload', 'triggerDown', 'triggerHeld', 'triggerUp', 'aim', 'buttonDown', 'buttonUp',
+        'startButton', 'keydown', 'keyup'
+    ];
+
+    // Mode and difficulty show up in other players' feeds and leaderboards, so they must be
+    // plain IDs; the name on a score is always the signed-in player's
+    static SCORE_OPTIONS = {
+        type: 'object',
+        fields: {
+            mode: { type: 'id' },
+            difficulty: { type: 'id' },
+            metadata: { type: 'data' }
+        }
+    };
+
+    /**
+     * Messages a game may send
+     * { fields, request?: expects a response, permission?: see PERMISSIONS }
+     */
+    static GAME_MESSAGES = {
+        ready: { fields: {} },
+        initialized: { fields: {} },
+        error: {
+            fields: {
+                message: { type: 'string', required: true },
+                stack: { type: 'string' }
+            }
+        },
+        aimAssistTargets: {
+            fields: {
+                targets: {
+                    type: 'array',
+                    required: true,
+                    items: {
+                        type: 'object',
+                        fields: {
+                            x: { type: 'number', required: true },
+                            y: { type: 'number', required: true },
+                            radius: { type: 'number', min: 0, required: true }
+                        }
+                    }
+                }
+            }
+        },
+
+        'sound.play': { fields: { name: { type: 'enum', values: SandboxProtocol.SOUNDS, required: true } } },
+        'sound.playFile': { fields: { path: { type: 'string', required: true } } },
+        'assets.load': {
+            request: true,
+            fields: {
+                type: { type: 'enum', values: ['image', 'json', 'audio'], required: true },
+                path: { type: 'string', required: true }
+            }
+        },
+
+        'game.exit': { fields: {} },
+        'game.setInGame': { fields: { inGame: { type: 'boolean', required: true } } },
+        'game.setCursorPolicy': {
+            fields: { policy: { type: 'enum', values: ['default', 'hidden', 'miss', 'mouse'], required: true } }
+        },
+        'game.markHit': {
+            fields: {
+                gunIndex: { type: 'integer', min: -1, max: 3, required: true },
+                x: { type: 'number', required: true },
+                y: { type: 'number', required: true }
+            }
+        },
+        'game.markMiss': { fields: { gunIndex: { type: 'integer', min: -1, max: 3, required: true } } },
+        'time.setScale': {
+            fields: {
+                scale: { type: 'number', min: 0, required: true },
+                durationMs: { type: 'number', min: 0 }
+            }
+        },
+
+        'score.submit': {
+            request: true,
+            fields: { score: { type: 'number', required: true }, options: SandboxProtocol.SCORE_OPTIONS }
+        },
+        'score.complete': {
+            request: true,
+            fields: { score: { type: 'number', required: true }, options: SandboxProtocol.SCORE_OPTIONS }
+        },
+        'session.start': { request: true, fields: { options: SandboxProtocol.SCORE_OPTIONS } },
+        'session.end': { request: true, fields: { results: { type: 'data' } } },
+
+        'permission.request': {
+            request: true,
+            fields: { permission: { type: 'enum', values: Object.keys(SandboxProtocol.PERMISSIONS), required: true } }
+        },
+        'leaderboard.get': { request: true, permission: 'leaderboards', fields: { options: { type: 'data' } } },
+        'activity.post': {
+            request: true,
+            permission: 'activity',
+            fields: { type: { type: 'string', required: true }, data: { type: 'data' } }
+        },
+        'gun.recoil': {
+            permission: 'gunOutput',
+            fields: {
+                gunIndex: { type: 'integer', min: 0, max: 3, required: true },
+                pattern: { type: 'string' }
+            }
+        },
+        'gun.setLED': {
+            permission: 'gunOutput',
+            fields: {
+                gunIndex: { type: 'integer', min: 0, max: 3, required: true },
+                color: { type: 'string', required: true }
+            }
+        }
+    };
+
+    /**
+     * Build a message
+     * @param {string} type
+     * @param {Object} [payload]
+     * @param {number} [id] - Request ID
+     * @returns {Object}
+     */
+    static message(type, payload = {}, id = undefined) {
+        return id === undefined
+            ? { channel: SandboxProtocol.CHANNEL, type, payload }
+            : { channel: SandboxProtocol.CHANNEL, type, payload, id };
+    }
+
+    /**
+     * Check a message from a game
+     * @param {*} message
+     * @returns {string|null} What is wrong with it, or null if it is valid
+     */
+    static validate(message) {
+        if (!message || typeof message !== 'object' || message.channel !== SandboxProtocol.CHANNEL) {
+            return 'not a sandbox message';
+        }
+
+        const spec = Object.hasOwn(SandboxProtocol.GAME_MESSAGES, message.type)
+            ? SandboxProtocol.GAME_MESSAGES[message.type]
+            : null;
+        if (!spec) {
+            return `unknown message type '${message.type}'`;
+        }
+        if (spec.request && !Number.isInteger(message.id)) {
+            return `${message.type}: requests need an integer id`;
+        }
+
+        const errors = [];
+        const payloadSpec = { type: 'object', fields: spec.fields, required: true };
+        ManifestSchema.validateField(message.payload ?? {}, payloadSpec, message.type, errors);
+        return errors[0] || null;
+    }
+}
@@ -0,0 +1,318 @@
+/**
+ * SindenBorder class
+ * Draws the screen border Sinden lightguns track, and keeps it trackable
+ *
+ * - Placement: 'inner' draws over the edge of the game, 'outer' shrinks the game
+ *   (canvas and UI) so the border sits around it
+ * - Visibility: 'always', or 'in-game' (only while a game is running)
+ * - Auto-contrast: samples the canvas just inside the border and picks white or black,
+ *   whichever stands out against the scene
+ * - Thickness requests: games can ask for a thicker border for a while (dark scenes);
+ *   the thickest active request wins. In outer placement extra thickness grows
+ *   inwards so the game never resizes mid-play
+ * - Shots and flashes: every trigger pull briefly thickens the border so recoil
+ *   doesn't lose tracking, and flash() draws screen flashes underneath the border
+ *   with the border switched to contrast against the flash
+ *
+ * Per-game overrides come from the manifest's `sinden` block (see GameRegistry).
+ */
+export class SindenBorder {
+    // How often auto-contrast samples the canvas (ms)
+    static SAMPLE_INTERVAL = 250;
+
+    // Width (px) of the strip sampled along each edge
+    static SAMPLE_DEPTH = 6;
+
+    // Extra thickness (fraction of the base) and duration (ms) after each trigger pull
+    static SHOT_BOOST = 0.5;
+    static SHOT_BOOST_MS = 150;
+
+    /**
+     * @param {Settings} settings - User settings (sindenEnabled, sindenColor, sindenThickness, ...)
+     * @param {HTMLCanvasElement} canvas - Game canvas (sampled for auto-contrast)
+     * @param {GunManager} gunManager - Trigger pulls boost the border
+     */
+    constructor(settings, canvas, gunManager) {
+        this.settings = settings;
+        this.canvas = canvas;
+        this.gunManager = gunManager;
+
+        this.element = document.getElementById('sinden-border');
+        this.flashElement = null;
+
+        this.gameActive = false;
+        this.gameOverrides = {};
+
+        this.requests = new Map(); // requestId -> thickness
+        this.nextRequestId = 1;
+
+        this.contrastColor = '#ffffff';
+        this.flashColor = null;
+        this._flashTimer = null;
+        this._sampleTimer = null;
+        this._inset = 0;
+
+        // Called when the outer inset changes so the game area can be resized
+        this.onInsetChange = null;
+
+        this._handleShot = this._handleShot.bind(this);
+        this.gunManager?.on('triggerDown', this._handleShot);
+    }
+
+    // =========================================================================
+    // CONFIGURATION
+    // =========================================================================
+
+    /**
+     * Effective border config: user settings with the running game's overrides applied
+     * @returns {{enabled: boolean, color: string, thickness: number, placement: string,
+     *           visibility: string, autoContrast: boolean}}
+     */
+    getConfig() {
+        const settings = this.settings;
+        const overrides = this.gameOverrides;
+
+        return {
+            enabled: settings.sindenEnabled,
+            color: settings.sindenColor,
+            thickness: Math.max(settings.sindenThickness, overrides.minThickness || 0),
+            placement: overrides.placement || settings.sindenPlacement,
+            visibility: overrides.visibility || settings.sindenVisibility,
+            autoContrast: overrides.autoContrast ?? settings.sindenAutoContrast
+        };
+    }
+
+    /**
+     * Check if the border is currently drawn
+     * @returns {boolean}
+     */
+    isVisible() {
+        const config = this.getConfig();
+        if (!config.enabled) return false;
+        return config.visibility !== 'in-game' || this.gameActive;
+    }
+
+    /**
+     * Space (px) reserved around the game area for an outer border
+     * @returns {number}
+     */
+    getInset() {
+        return this._inset;
+    }
+
+    /**
+     * Tell the border a game started or stopped
+     * @param {boolean} active
+     * @param {Object} [overrides] - The game manifest's `sinden` block
+     */
+    setGameActive(active, overrides = null) {
+        this.gameActive = active;
+        this.gameOverrides = active && overrides ? overrides : {};
+        if (!active) {
+            // Requests belong to the game that made them
+            this.requests.clear();
+        }
+        this.update();
+    }
+
+    // =========================================================================
+    // THICKNESS REQUESTS
+    // =========================================================================
+
+    /**
+     * Ask for a thicker border (e.g. for a dark scene)
+     * @param {number} thickness - Minimum thickness in px
+     * @param {number} [durationMs] - Release automatically after this long
+     * @returns {Function} Call to release the request
+     */
+    requestThickness(thickness, durationMs = 0) {
+        const id = this.nextRequestId++;
+        this.requests.set(id, thickness);
+        this.update();
+
+        const release = () => {
+            if (this.requests.delete(id)) {
+                this.update();
+            }
+        };
+
+        if (durationMs > 0) {
+            setTimeout(release, durationMs);
+        }
+        return release;
+    }
+
+    /**
+     * Briefly thicken the border on each shot so recoil doesn't lose tracking
+     * @private
+     */
+    _handleShot() {
+        if (!this.isVisible()) return;
+        const base = this.getConfig().thickness;
+        this.requestThickness(Math.round(base * (1 + SindenBorder.SHOT_BOOST)), SindenBorder.SHOT_BOOST_MS);
+    }
+
+    // =========================================================================
+    // FLASHES
+    // =========================================================================
+
+    /**
+     * Flash the screen without hiding the border from the gun
+     * @param {string} [color] - Flash color
+     * @param {number} [durationMs] - Flash length
+     */
+    flash(color = '#ffffff', durationMs = 80) {
+        if (!this.flashElement) {
+            this.flashElement = document.createElement('div');
+            this.flashElement.id = 'sinden-flash';
+            this.element?.parentNode?.insertBefore(this.flashElement, this.element);
+        }
+
+        this.flashElement.style.background = color;
+        this.flashElement.style.display = 'block';
+        this.flashColor = color;
+        this.update();
+
+        clearTimeout(this._flashTimer);
+        this._flashTimer = setTimeout(() => {
+            this.flashElement.style.display = 'none';
+            this.flashColor = null;
+            this.update();
+        }, durationMs);
+    }
+
+    // =========================================================================
+    // RENDERING
+    // =========================================================================
+
+    /**
+     * Apply the current config, requests and flash state to the page
+     */
+    update() {
+        const root = document.documentElement;
+        const config = this.getConfig();
+        const visible = this.isVisible();
+
+        let thickness = 0;
+        if (visible) {
+            thickness = Math.max(config.thickness, ...this.requests.values());
+        }
+
+        let color = config.autoContrast ? this.contrastColor : config.color;
+        if (this.flashColor) {
+            color = SindenBorder.contrastFor(SindenBorder.luminance(this.flashColor));
+        }
+
+        root.style.setProperty('--sinden-border-width', `${thickness}px`);
+        root.style.setProperty('--sinden-border-color', color);
+
+        // Outer placement reserves the base thickness only; requests grow inwards
+        const inset = visible && config.placement === 'outer' ? config.thickness : 0;
+        root.style.setProperty('--sinden-inset', `${inset}px`);
+        if (inset !== this._inset) {
+            this._inset = inset;
+            if (this.onInsetChange) this.onInsetChange(inset);
+        }
+
+        if (visible && config.autoContrast) {
+            this._startSampling();
+        } else {
+            this._stopSampling();
+        }
+    }
+
+    _startSampling() {
+        if (this._sampleTimer) return;
+        this._sampleTimer = setInterval(() => this.sampleCanvas(), SindenBorder.SAMPLE_INTERVAL);
+        this.sampleCanvas();
+    }
+
+    _stopSampling() {
+        if (this._sampleTimer) {
+            clearInterval(this._sampleTimer);
+            this._sampleTimer = null;
+        }
+    }
+
+    /**
+     * Measure the scene just inside the border and pick a contrasting border color
+     */
+    sampleCanvas() {
+        const canvas = this.canvas;
+        if (!canvas || canvas.width === 0 || canvas.height === 0) return;
+
+        const ctx = canvas.getContext('2d');
+        const depth = SindenBorder.SAMPLE_DEPTH;
+
+        // An inner border covers the canvas edge - sample just inside it
+        const rect = canvas.getBoundingClientRect();
+        const scale = rect.width > 0 ? canvas.width / rect.width : 1;
+        const offset = this._inset > 0 ? 0 : Math.round(this.getConfig().thickness * scale);
+        const w = canvas.width - offset * 2;
+        const h = canvas.height - offset * 2;
+        if (w <= depth * 2 || h <= depth * 2) return;
+
+        const strips = [
+            [offset, offset, w, depth],                 // Top
+            [offset, offset + h - depth, w, depth],     // Bottom
+            [offset, offset, depth, h],                 // Left
+            [offset + w - depth, offset, depth, h]      // Right
+        ];
+
+        let total = 0;
+        let count = 0;
+        try {
+            for (const [x, y, sw, sh] of strips) {
+                const data = ctx.getImageData(x, y, sw, sh).data;
+                // Every 4th pixel is plenty for an average
+                for (let i = 0; i < data.length; i += 16) {
+                    total += (0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2]) / 255;
+                    count++;
+                }
+            }
+        } catch (e) {
+            // Tainted canvas (cross-origin images) - keep the last color
+            return;
+        }
+
+        const color = SindenBorder.contrastFor(count > 0 ? total / count : 0);
+        if (color !== this.contrastColor) {
+            this.contrastColor = color;
+            this.update();
+        }
+    }
+
+    /**
+     * Border color that stands out against a scene of the given brightness
+     * @param {number} luminance - 0 (black) to 1 (white)
+     * @returns {string}
+     */
+    static contrastFor(luminance) {
+        return luminance < 0.5 ? '#ffffff' : '#000000';
+    }
+
+    /**
+     * Relative luminance of a #rrggbb color
+     * @param {string} hex
+     * @returns {number} 0 to 1
+     */
+    static luminance(hex) {
+        const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+        if (!match) return 1;
+        const [r, g, b] = match.slice(1).map(part => parseInt(part, 16) / 255);
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+
+    /**
+     * Stop timers and listeners
+     */
+    destroy() {
+        this._stopSampling();
+        clearTimeout(this._flashTimer);
+        this.gunManager?.off('triggerDown', this._handleShot);
+        if (this.flashElement) {
+            this.flashElement.remove();
+            this.flashElement = null;
+        }
+    }
+}
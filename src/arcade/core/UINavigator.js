@@ -0,0 +1,504 @@
+/**
+ * UINavigator class
+ * Makes every menu screen usable with nothing but a lightgun (or a D-pad / keyboard)
+ *
+ * - Hover: the element under each gun's aim is highlighted in that gun's color
+ * - Hit areas: if the aim is not over anything clickable, it snaps to the nearest
+ *   clickable element within SNAP_RADIUS, so small buttons and fields are easy to hit
+ * - Dwell-to-select (optional): holding the aim on an element for `dwellTime` ms clicks it
+ * - Back: shooting offscreen, the gun's BACK button or Escape presses the screen's back button
+ * - Focus traversal: D-pad actions or arrow keys move a focus ring between elements,
+ *   START / Enter activates it
+ *
+ * Only the topmost layer is navigable: when an overlay (e.g. a dialog) is open,
+ * elements underneath it are ignored.
+ */
+export class UINavigator {
+    // Elements that can be hovered, focused and clicked
+    static CLICKABLE_SELECTOR = [
+        'button', 'a[href]', 'input', 'select', 'textarea', '[onclick]', '[data-nav]',
+        '.clickable', '.game-card', '.menu-item', '.player-slot-chip', '.user-profile-widget',
+        '.avatar-option', '.tab', '[data-action]'
+    ].join(', ');
+
+    // Elements that cover the screen and take over navigation while open (last one wins)
+    static LAYER_SELECTOR = '.detection-overlay, #pause-overlay, .osk-overlay';
+
+    // The SDK pause menu (OverlayBuilder.showPauseMenu) - the game handles START there
+    static PAUSE_MENU_SELECTOR = '#pause-overlay';
+
+    // Elements that act as "back" on a screen, in order of preference
+    static BACK_SELECTOR = '[data-nav-back], [id$="-back"], [id^="btn-back"], [id^="btn-cancel"], [id^="btn-close"]';
+    static BACK_LABELS = ['BACK', 'CANCEL', 'CLOSE'];
+
+    // Input types that take typed text
+    static TEXT_TYPES = ['text', 'email', 'password', 'search', 'number', 'tel', 'url'];
+
+    // How far (px) outside an element the aim still counts as pointing at it
+    static SNAP_RADIUS = 48;
+
+    // Minimum time (ms) between hover hit tests per gun
+    static HOVER_INTERVAL = 16;
+
+    // Aim must move this far (px) after a dwell click before another dwell can start
+    static DWELL_REARM_DISTANCE = 30;
+
+    /**
+     * @param {GunCursorManager} cursorManager
+     */
+    constructor(cursorManager) {
+        this.cursorManager = cursorManager;
+        this.gunManager = cursorManager.gunManager;
+
+        this.hovers = new Map(); // gunIndex -> { element, dwellTimer, anchor, lastUpdate }
+        this.focused = null;
+
+        this.dwellEnabled = false;
+        this.dwellTime = 1200;
+
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleGunButton = this.handleGunButton.bind(this);
+    }
+
+    /**
+     * Start listening for keyboard and gun button navigation
+     */
+    init() {
+        window.addEventListener('keydown', this.handleKeyDown);
+        this.gunManager.on('buttonDown', this.handleGunButton);
+    }
+
+    /**
+     * Navigation only applies outside active gameplay
+     * @returns {boolean}
+     */
+    isActive() {
+        return !this.cursorManager.inGame;
+    }
+
+    // =========================================================================
+    // TARGETING
+    // =========================================================================
+
+    /**
+     * Get the element navigation is currently confined to
+     * @returns {Element}
+     */
+    getScope() {
+        const layers = [...document.querySelectorAll(UINavigator.LAYER_SELECTOR)]
+            .filter(layer => UINavigator.isVisible(layer) && layer.querySelector(UINavigator.CLICKABLE_SELECTOR));
+        return layers[layers.length - 1] || document.body;
+    }
+
+    /**
+     * Get all visible, enabled clickable elements in the current scope
+     * @returns {Element[]}
+     */
+    getCandidates() {
+        const candidates = [...this.getScope().querySelectorAll(UINavigator.CLICKABLE_SELECTOR)]
+            .filter(el => !el.disabled && UINavigator.isVisible(el));
+
+        // Keep the outermost match (e.g. a card, not the heading inside it)
+        return candidates.filter(el => !candidates.some(other => other !== el && other.contains(el)));
+    }
+
+    /**
+     * Find what a gun aimed at (x, y) is pointing at
+     * @param {number} x - Screen X
+     * @param {number} y - Screen Y
+     * @returns {Element|null}
+     */
+    resolveTarget(x, y) {
+        const scope = this.getScope();
+        // Cursors are pointer-events: none, so they never get in the way here
+        const element = document.elementFromPoint(x, y);
+
+        if (element && scope.contains(element)) {
+            const direct = UINavigator.findClickable(element);
+            if (direct && !direct.disabled) return direct;
+        }
+
+        // Snap to the nearest element within reach
+        let best = null;
+        let bestDistance = UINavigator.SNAP_RADIUS;
+        for (const candidate of this.getCandidates()) {
+            const distance = UINavigator.distanceToRect(x, y, candidate.getBoundingClientRect());
+            if (distance <= bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Walk up from an element to the first clickable ancestor (including itself)
+     * @param {Element} element
+     * @returns {Element|null}
+     */
+    static findClickable(element) {
+        for (let el = element; el && el !== document.body; el = el.parentElement) {
+            if (el.matches(UINavigator.CLICKABLE_SELECTOR) || typeof el.onclick === 'function') {
+                return el;
+            }
+        }
+        return null;
+    }
+
+    // =========================================================================
+    // HOVER & DWELL
+    // =========================================================================
+
+    /**
+     * Update a gun's hover target (called on every aim update)
+     * @param {number} gunIndex
+     * @param {{x: number, y: number}|null} point - Aim position, or null if the gun can't point at UI
+     */
+    updateHover(gunIndex, point) {
+        let hover = this.hovers.get(gunIndex);
+        if (!hover) {
+            hover = { element: null, dwellTimer: null, anchor: null, lastUpdate: 0 };
+            this.hovers.set(gunIndex, hover);
+        }
+
+        // Guns report far faster than the screen refreshes - one hit test per frame is plenty
+        const now = performance.now();
+        if (point && now - hover.lastUpdate < UINavigator.HOVER_INTERVAL) return;
+        hover.lastUpdate = now;
+
+        const target = point && this.isActive() ? this.resolveTarget(point.x, point.y) : null;
+
+        // Re-arm dwell once the aim has moved away from where it last clicked
+        if (hover.anchor && point &&
+            Math.hypot(point.x - hover.anchor.x, point.y - hover.anchor.y) > UINavigator.DWELL_REARM_DISTANCE) {
+            hover.anchor = null;
+        }
+
+        if (target === hover.element) return;
+
+        this.clearHover(gunIndex);
+        if (!target) return;
+
+        const gun = this.gunManager.guns[gunIndex];
+        hover.element = target;
+        target.classList.add('gun-hover');
+        target.style.setProperty('--gun-hover-color', gun?.color || '#fff');
+
+        if (this.dwellEnabled && !hover.anchor) {
+            target.classList.add('gun-dwell');
+            target.style.setProperty('--gun-dwell-time', `${this.dwellTime}ms`);
+            hover.dwellTimer = setTimeout(() => {
+                hover.dwellTimer = null;
+                hover.anchor = point;
+                target.classList.remove('gun-dwell');
+                this.activate(target, { x: point.x, y: point.y, color: gun?.color });
+            }, this.dwellTime);
+        }
+    }
+
+    /**
+     * Remove a gun's hover highlight and cancel its dwell
+     * @param {number} gunIndex
+     */
+    clearHover(gunIndex) {
+        const hover = this.hovers.get(gunIndex);
+        if (!hover) return;
+
+        if (hover.dwellTimer) {
+            clearTimeout(hover.dwellTimer);
+            hover.dwellTimer = null;
+        }
+
+        const element = hover.element;
+        hover.element = null;
+        if (!element) return;
+
+        element.classList.remove('gun-dwell');
+        // Another gun may still be hovering the same element
+        const stillHovered = [...this.hovers.values()].some(other => other.element === element);
+        if (!stillHovered) {
+            element.classList.remove('gun-hover');
+            element.style.removeProperty('--gun-hover-color');
+        }
+    }
+
+    /**
+     * Clear every gun's hover (e.g. when gameplay starts)
+     */
+    clearAllHovers() {
+        this.hovers.forEach((hover, gunIndex) => this.clearHover(gunIndex));
+    }
+
+    /**
+     * Turn dwell-to-select on or off
+     * @param {boolean} enabled
+     * @param {number} [dwellTime] - Milliseconds the aim must rest on an element
+     */
+    setDwell(enabled, dwellTime = this.dwellTime) {
+        this.dwellEnabled = enabled;
+        this.dwellTime = dwellTime;
+        this.clearAllHovers();
+    }
+
+    // =========================================================================
+    // ACTIVATION
+    // =========================================================================
+
+    /**
+     * Click an element on behalf of a gun, D-pad or keyboard.
+     * Form controls get gun-friendly behavior: text fields are focused, sliders jump
+     * to the aimed position and selects cycle to their next option.
+     * @param {Element} target
+     * @param {Object} [options]
+     * @param {number} [options.x] - Aim X (defaults to the element's center)
+     * @param {number} [options.y] - Aim Y
+     * @param {string} [options.color] - Click effect color
+     * @returns {boolean} True if the element was activated
+     */
+    activate(target, options = {}) {
+        if (!target || target.disabled) return false;
+
+        const rect = target.getBoundingClientRect();
+        const x = options.x ?? rect.left + rect.width / 2;
+        const y = options.y ?? rect.top + rect.height / 2;
+
+        console.log('Gun click: clicking', target.tagName, target.className || target.id);
+        this.cursorManager.showClickEffect(x, y, options.color || '#fff');
+
+        const tag = target.tagName;
+        const type = (target.type || '').toLowerCase();
+
+        if (tag === 'TEXTAREA' || (tag === 'INPUT' && UINavigator.TEXT_TYPES.includes(type))) {
+            target.focus();
+            this.setFocus(target);
+            return true;
+        }
+
+        if (tag === 'INPUT' && type === 'range') {
+            const min = parseFloat(target.min || 0);
+            const max = parseFloat(target.max || 100);
+            const ratio = Math.min(1, Math.max(0, (x - rect.left) / rect.width));
+            target.value = min + ratio * (max - min);
+            target.dispatchEvent(new Event('input', { bubbles: true }));
+            target.dispatchEvent(new Event('change', { bubbles: true }));
+            return true;
+        }
+
+        if (tag === 'SELECT') {
+            if (target.options.length > 0) {
+                target.selectedIndex = (target.selectedIndex + 1) % target.options.length;
+                target.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+            return true;
+        }
+
+        // Fullscreen can't be entered from a synthetic event, but exiting works
+        // and some browsers allow entering anyway
+        if (target.id === 'btn-fullscreen') {
+            if (document.fullscreenElement) {
+                document.exitFullscreen().then(() => {
+                    target.classList.remove('active');
+                    target.textContent = 'OFF';
+                }).catch(err => {
+                    console.warn('Exit fullscreen failed:', err);
+                });
+            } else {
+                document.documentElement.requestFullscreen().then(() => {
+                    target.classList.add('active');
+                    target.textContent = 'ON';
+                }).catch(err => {
+                    console.warn('Fullscreen requires mouse/keyboard click:', err);
+                    // Flash the button to indicate it didn't work
+                    target.style.background = '#ff4444';
+                    setTimeout(() => {
+                        target.style.background = '';
+                    }, 200);
+                });
+            }
+            return true;
+        }
+
+        // Dispatch a proper mouse event for better compatibility
+        target.dispatchEvent(new MouseEvent('click', {
+            bubbles: true,
+            cancelable: true,
+            view: window,
+            clientX: x,
+            clientY: y
+        }));
+        return true;
+    }
+
+    /**
+     * Press the current screen's back button
+     * @returns {boolean} True if a back button was found
+     */
+    back() {
+        if (!this.isActive()) return false;
+
+        const candidates = this.getCandidates();
+        const target = candidates.find(el => el.matches(UINavigator.BACK_SELECTOR)) ||
+            candidates.find(el => UINavigator.BACK_LABELS.includes(el.textContent.trim().toUpperCase()));
+
+        if (!target) return false;
+        return this.activate(target);
+    }
+
+    // =========================================================================
+    // FOCUS TRAVERSAL
+    // =========================================================================
+
+    /**
+     * Move the focus ring to an element
+     * @param {Element|null} element
+     */
+    setFocus(element) {
+        if (this.focused) {
+            this.focused.classList.remove('nav-focus');
+        }
+        this.focused = element;
+        if (element) {
+            element.classList.add('nav-focus');
+            element.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        }
+    }
+
+    /**
+     * Move focus to the nearest element in a direction
+     * @param {'up'|'down'|'left'|'right'} direction
+     */
+    moveFocus(direction) {
+        const candidates = this.getCandidates();
+        if (candidates.length === 0) return;
+
+        // Start from the first element if nothing (still on screen) has focus
+        if (!this.focused || !candidates.includes(this.focused)) {
+            this.setFocus(candidates[0]);
+            return;
+        }
+
+        const from = UINavigator.center(this.focused.getBoundingClientRect());
+        let best = null;
+        let bestScore = Infinity;
+
+        for (const candidate of candidates) {
+            if (candidate === this.focused) continue;
+            const to = UINavigator.center(candidate.getBoundingClientRect());
+            const dx = to.x - from.x;
+            const dy = to.y - from.y;
+
+            // Distance along the direction must be positive; sideways drift is penalised
+            let along, across;
+            switch (direction) {
+                case 'up': along = -dy; across = dx; break;
+                case 'down': along = dy; across = dx; break;
+                case 'left': along = -dx; across = dy; break;
+                case 'right': along = dx; across = dy; break;
+            }
+            if (along <= 1) continue;
+
+            const score = along + Math.abs(across) * 2;
+            if (score < bestScore) {
+                best = candidate;
+                bestScore = score;
+            }
+        }
+
+        if (best) {
+            this.setFocus(best);
+            if (best.matches('input, textarea')) {
+                best.focus();
+            } else if (document.activeElement?.matches('input, textarea')) {
+                document.activeElement.blur();
+            }
+        }
+    }
+
+    /**
+     * Activate the focused element
+     * @returns {boolean} True if something was focused
+     */
+    activateFocus() {
+        if (!this.focused || !document.contains(this.focused)) {
+            this.setFocus(null);
+            return false;
+        }
+        return this.activate(this.focused);
+    }
+
+    /**
+     * Keyboard navigation: arrows move focus, Enter activates, Escape goes back
+     * @param {KeyboardEvent} e
+     */
+    handleKeyDown(e) {
+        if (!this.isActive()) return;
+
+        // Text fields and sliders keep their own left/right (and Enter) handling
+        const active = document.activeElement;
+        const editing = active && active.matches('input, textarea, select');
+
+        const directions = { ArrowUp: 'up', ArrowDown: 'down', ArrowLeft: 'left', ArrowRight: 'right' };
+        const direction = directions[e.key];
+
+        if (direction) {
+            if (editing && (direction === 'left' || direction === 'right')) return;
+            e.preventDefault();
+            this.moveFocus(direction);
+        } else if (e.key === 'Enter' && !editing) {
+            if (this.activateFocus()) e.preventDefault();
+        } else if (e.key === 'Escape') {
+            if (this.back()) e.preventDefault();
+        }
+    }
+
+    /**
+     * Gun button navigation: D-pad moves focus, START activates, BACK goes back.
+     * On a game's pause menu START is left to the game (onStartButton resumes), so
+     * one press doesn't both resume and click the focused button.
+     * @param {number} gunIndex
+     * @param {string} action
+     */
+    handleGunButton(gunIndex, action) {
+        if (!this.isActive()) return;
+
+        const directions = { dpadUp: 'up', dpadDown: 'down', dpadLeft: 'left', dpadRight: 'right' };
+        if (directions[action]) {
+            this.moveFocus(directions[action]);
+        } else if (action === 'start') {
+            if (this.getScope().matches(UINavigator.PAUSE_MENU_SELECTOR)) return;
+            this.activateFocus();
+        } else if (action === 'back') {
+            this.back();
+        }
+    }
+
+    // =========================================================================
+    // HELPERS
+    // =========================================================================
+
+    static isVisible(el) {
+        if (el.getClientRects().length === 0) return false;
+        const style = getComputedStyle(el);
+        return style.visibility !== 'hidden' && style.display !== 'none';
+    }
+
+    static distanceToRect(x, y, rect) {
+        const dx = Math.max(rect.left - x, 0, x - rect.right);
+        const dy = Math.max(rect.top - y, 0, y - rect.bottom);
+        return Math.hypot(dx, dy);
+    }
+
+    static center(rect) {
+        return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+    }
+
+    /**
+     * Stop listening and clear highlights
+     */
+    destroy() {
+        window.removeEventListener('keydown', this.handleKeyDown);
+        this.gunManager.off('buttonDown', this.handleGunButton);
+        this.clearAllHovers();
+        this.setFocus(null);
+    }
+}
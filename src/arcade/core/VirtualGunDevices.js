@@ -0,0 +1,542 @@
+import { GamepadAim } from './GamepadAim.js';
+
+/**
+ * VirtualGunDevices class
+ * Turns the mouse, touch pointers, the keyboard and gamepads into gun devices
+ *
+ * A gun slot can be assigned a virtual device instead of a WebHID gun
+ * (see GunManager.assignVirtualDevice). Input from these devices is turned into
+ * the same report shape HIDDeviceManager produces and fed through
+ * GunManager.handleHIDInput, so virtual guns get player colors, cursors, button
+ * actions and reloads exactly like real lightguns.
+ *
+ * - Mouse: left button is button 0 (trigger), middle is 1 (start), right is 2 (reload)
+ * - Touch: every assigned touch device owns a column of the screen (left to right
+ *   in player order); any finger in that column is its trigger
+ * - Keyboard: arrows/WASD aim (Shift for fine aim), F fires, Enter is start,
+ *   R reloads. Only active during gameplay, menus keep the keyboard for navigation.
+ *   Space is left to the game (both bundled games pause with it)
+ * - Gamepad (Gamepad API, polled every frame): either stick moves the crosshair
+ *   (see GamepadAim for sensitivity, acceleration and aim assist), buttons use the
+ *   standard layout indices and can be remapped like a lightgun's
+ *
+ * Pointer presses are only trigger pulls when they land on the game canvas -
+ * the browser already delivers clicks on UI elements itself.
+ * Pointers that no gun owns are left to InputManager (gunIndex -1).
+ */
+export class VirtualGunDevices {
+    // Number of touch devices (screen columns) that can be assigned
+    static TOUCH_SLOTS = 4;
+
+    // Keyboard aim speed (px per second) and the Shift fine-aim multiplier
+    static KEYBOARD_AIM_SPEED = 900;
+    static KEYBOARD_FINE_AIM = 0.35;
+
+    // Keyboard codes -> button index (matches the default Gun button map)
+    static KEYBOARD_BUTTONS = { KeyF: 0, Enter: 1, KeyR: 2 };
+
+    // Default action map for gamepads (standard layout button indices)
+    static GAMEPAD_BUTTONS = {
+        trigger: 7,     // Right trigger
+        reload: 2,      // X
+        start: 9,       // Start
+        pedal: 6,       // Left trigger
+        bomb: 3,        // Y
+        pause: null,
+        back: 1,        // B
+        dpadUp: 12,
+        dpadDown: 13,
+        dpadLeft: 14,
+        dpadRight: 15
+    };
+
+    // Keyboard codes -> aim direction
+    static KEYBOARD_AIM = {
+        ArrowLeft: [-1, 0], KeyA: [-1, 0],
+        ArrowRight: [1, 0], KeyD: [1, 0],
+        ArrowUp: [0, -1], KeyW: [0, -1],
+        ArrowDown: [0, 1], KeyS: [0, 1]
+    };
+
+    /**
+     * Every virtual device that can be assigned to a gun slot
+     * @returns {Array<{id: string, type: string, label: string}>}
+     */
+    static getDevices() {
+        const devices = [{ id: 'mouse', type: 'mouse', label: 'MOUSE' }];
+        if (VirtualGunDevices.isTouchSupported()) {
+            for (let i = 0; i < VirtualGunDevices.TOUCH_SLOTS; i++) {
+                devices.push({ id: `touch:${i}`, type: 'touch', label: `TOUCH ${i + 1}` });
+            }
+        }
+        devices.push({ id: 'keyboard', type: 'keyboard', label: 'KEYBOARD' });
+        for (const gamepad of VirtualGunDevices.getGamepads()) {
+            devices.push({ id: `gamepad:${gamepad.index}`, type: 'gamepad', label: `GAMEPAD ${gamepad.index + 1}: ${gamepad.id}` });
+        }
+        return devices;
+    }
+
+    /**
+     * Connected gamepads
+     * @returns {Array<Gamepad>}
+     */
+    static getGamepads() {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return [];
+        return [...navigator.getGamepads()].filter(Boolean);
+    }
+
+    /**
+     * Check whether a virtual device is always present (gamepads come and go)
+     * @param {string} deviceId
+     * @returns {boolean}
+     */
+    static isAlwaysPresent(deviceId) {
+        return VirtualGunDevices.getType(deviceId) !== 'gamepad';
+    }
+
+    /**
+     * Device type of a virtual device ID ('mouse', 'touch' or 'keyboard')
+     * @param {string} deviceId
+     * @returns {string}
+     */
+    static getType(deviceId) {
+        return deviceId.split(':')[0];
+    }
+
+    /**
+     * Check if the screen takes touch input
+     * @returns {boolean}
+     */
+    static isTouchSupported() {
+        return typeof navigator !== 'undefined' && navigator.maxTouchPoints > 0;
+    }
+
+    /**
+     * @param {GunManager} gunManager - Receives the generated reports
+     */
+    constructor(gunManager) {
+        this.gunManager = gunManager;
+        this.targetCanvas = null;
+
+        this.buttonStates = new Map();  // deviceId -> Array<boolean> (last sent)
+        this.touches = new Map();       // pointerId -> deviceId, for fingers down on the canvas
+        this.heldKeys = new Set();      // Aim keys held on the keyboard
+        this.keyboardAim = null;        // { x, y } viewport position of the keyboard gun
+        this.fineAim = false;           // Shift held
+        this._frame = null;
+        this._lastFrameTime = 0;
+
+        this.gamepadAims = new Map();   // deviceId -> { aim: GamepadAim, x, y }
+        this._gamepadFrame = null;
+        this._lastGamepadTime = 0;
+
+        // Returns aim assist targets in canvas coordinates (set by ArcadeSystem)
+        this.aimAssistProvider = null;
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleKeyUp = this.handleKeyUp.bind(this);
+        this.handleBlur = this.handleBlur.bind(this);
+        this._tick = this._tick.bind(this);
+        this.handleGamepadConnected = this.handleGamepadConnected.bind(this);
+        this.handleGamepadDisconnected = this.handleGamepadDisconnected.bind(this);
+        this._pollGamepads = this._pollGamepads.bind(this);
+    }
+
+    /**
+     * Start listening to pointer and keyboard input
+     */
+    init() {
+        window.addEventListener('pointerdown', this.handlePointerDown);
+        window.addEventListener('pointermove', this.handlePointerMove);
+        window.addEventListener('pointerup', this.handlePointerUp);
+        window.addEventListener('pointercancel', this.handlePointerUp);
+        // Capture phase so keys used by the keyboard gun don't also reach the game
+        window.addEventListener('keydown', this.handleKeyDown, true);
+        window.addEventListener('keyup', this.handleKeyUp, true);
+        window.addEventListener('blur', this.handleBlur);
+        window.addEventListener('gamepadconnected', this.handleGamepadConnected);
+        window.addEventListener('gamepaddisconnected', this.handleGamepadDisconnected);
+
+        if (VirtualGunDevices.getGamepads().length > 0) {
+            this._startGamepadLoop();
+        }
+    }
+
+    /**
+     * Set the game canvas (pointer presses on it are trigger pulls)
+     * @param {HTMLCanvasElement} canvas
+     */
+    setTargetCanvas(canvas) {
+        this.targetCanvas = canvas;
+    }
+
+    // =========================================================================
+    // POINTERS
+    // =========================================================================
+
+    /**
+     * Touch devices assigned to guns, in player order (one screen column each)
+     * @returns {Array<string>}
+     */
+    getAssignedTouchDevices() {
+        return this.gunManager.guns
+            .map(gun => gun.config.virtualDevice)
+            .filter(deviceId => deviceId && VirtualGunDevices.getType(deviceId) === 'touch');
+    }
+
+    /**
+     * Find the virtual device that owns a pointer
+     * @param {string} pointerType - 'mouse', 'pen' or 'touch'
+     * @param {number} clientX - Pointer X (picks the touch column)
+     * @returns {string|null} Device ID, or null if no gun owns this pointer
+     */
+    getDeviceForPointer(pointerType, clientX) {
+        if (pointerType === 'touch') {
+            const devices = this.getAssignedTouchDevices();
+            if (devices.length === 0) return null;
+            const column = Math.floor(clientX / (window.innerWidth / devices.length));
+            return devices[Math.max(0, Math.min(devices.length - 1, column))];
+        }
+        return this.gunManager.getGunByVirtualDevice('mouse') ? 'mouse' : null;
+    }
+
+    /**
+     * Check if a pointer event landed on the game canvas
+     * @param {PointerEvent} e
+     * @returns {boolean}
+     */
+    isOnCanvas(e) {
+        return !!this.targetCanvas && e.target === this.targetCanvas;
+    }
+
+    handlePointerDown(e) {
+        if (e.pointerType === 'touch') {
+            const deviceId = this.getDeviceForPointer('touch', e.clientX);
+            if (!deviceId || !this.isOnCanvas(e)) return;
+            this.touches.set(e.pointerId, deviceId);
+            this.sendTouch(deviceId, e);
+            return;
+        }
+
+        this.sendMouse(e);
+    }
+
+    handlePointerMove(e) {
+        if (e.pointerType === 'touch') {
+            const deviceId = this.touches.get(e.pointerId);
+            if (deviceId) this.sendTouch(deviceId, e);
+            return;
+        }
+
+        this.sendMouse(e);
+    }
+
+    handlePointerUp(e) {
+        if (e.pointerType === 'touch') {
+            const deviceId = this.touches.get(e.pointerId);
+            if (!deviceId) return;
+            this.touches.delete(e.pointerId);
+            this.sendTouch(deviceId, e);
+            return;
+        }
+
+        this.sendMouse(e);
+    }
+
+    /**
+     * Report the mouse position and buttons to the mouse gun
+     * New presses only count when they land on the canvas
+     * @param {PointerEvent} e
+     */
+    sendMouse(e) {
+        if (!this.getDeviceForPointer('mouse', e.clientX)) return;
+
+        // PointerEvent.buttons bits: 1 left, 2 right, 4 middle
+        const onCanvas = this.isOnCanvas(e);
+        const previous = this.buttonStates.get('mouse') || [];
+        const states = [!!(e.buttons & 1), !!(e.buttons & 4), !!(e.buttons & 2)]
+            .map((down, i) => down && (onCanvas || !!previous[i]));
+
+        this.send('mouse', { x: e.clientX, y: e.clientY }, states, e.timeStamp, true);
+    }
+
+    /**
+     * Report a touch device: its trigger is down while any of its fingers is
+     * @param {string} deviceId
+     * @param {PointerEvent} e - The finger that changed (its position becomes the aim)
+     */
+    sendTouch(deviceId, e) {
+        const down = [...this.touches.values()].includes(deviceId);
+        this.send(deviceId, { x: e.clientX, y: e.clientY }, [down], e.timeStamp, true);
+    }
+
+    // =========================================================================
+    // KEYBOARD
+    // =========================================================================
+
+    /**
+     * Check if the keyboard currently drives a gun
+     * @param {KeyboardEvent} e
+     * @returns {boolean}
+     */
+    isKeyboardActive(e) {
+        if (!this.gunManager.getGunByVirtualDevice('keyboard')) return false;
+        if (!this.gunManager.isInGame()) return false;
+        return !(e.target instanceof Element && e.target.matches('input, textarea, select'));
+    }
+
+    handleKeyDown(e) {
+        this.fineAim = e.shiftKey;
+        const button = VirtualGunDevices.KEYBOARD_BUTTONS[e.code];
+        const isAimKey = e.code in VirtualGunDevices.KEYBOARD_AIM;
+        if ((button === undefined && !isAimKey) || !this.isKeyboardActive(e)) return;
+
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        if (e.repeat) return;
+
+        if (isAimKey) {
+            this.heldKeys.add(e.code);
+            this._startAimLoop();
+        } else {
+            const states = (this.buttonStates.get('keyboard') || [false, false, false]).slice();
+            states[button] = true;
+            this.send('keyboard', this.getKeyboardAim(), states, e.timeStamp, false);
+        }
+    }
+
+    handleKeyUp(e) {
+        this.fineAim = e.shiftKey;
+        if (this.heldKeys.delete(e.code)) return;
+
+        // Releases always go through so a key held while leaving gameplay doesn't stick
+        const button = VirtualGunDevices.KEYBOARD_BUTTONS[e.code];
+        const states = this.buttonStates.get('keyboard');
+        if (button === undefined || !states?.[button]) return;
+
+        const next = states.slice();
+        next[button] = false;
+        this.send('keyboard', this.getKeyboardAim(), next, e.timeStamp, false);
+    }
+
+    /**
+     * Current keyboard aim (starts in the middle of the screen)
+     * @returns {{x: number, y: number}}
+     */
+    getKeyboardAim() {
+        if (!this.keyboardAim) {
+            this.keyboardAim = { x: window.innerWidth / 2, y: window.innerHeight / 2 };
+        }
+        return this.keyboardAim;
+    }
+
+    _startAimLoop() {
+        if (this._frame) return;
+        this._lastFrameTime = performance.now();
+        this._frame = requestAnimationFrame(this._tick);
+    }
+
+    /**
+     * Move the keyboard aim while aim keys are held
+     * @private
+     */
+    _tick(now) {
+        if (this.heldKeys.size === 0) {
+            this._frame = null;
+            return;
+        }
+
+        const dt = Math.min(0.1, (now - this._lastFrameTime) / 1000);
+        this._lastFrameTime = now;
+
+        let dx = 0;
+        let dy = 0;
+        for (const code of this.heldKeys) {
+            const [x, y] = VirtualGunDevices.KEYBOARD_AIM[code];
+            dx += x;
+            dy += y;
+        }
+
+        const speed = VirtualGunDevices.KEYBOARD_AIM_SPEED * (this.fineAim ? VirtualGunDevices.KEYBOARD_FINE_AIM : 1);
+        const aim = this.getKeyboardAim();
+        aim.x = Math.max(0, Math.min(window.innerWidth, aim.x + dx * speed * dt));
+        aim.y = Math.max(0, Math.min(window.innerHeight, aim.y + dy * speed * dt));
+
+        const states = this.buttonStates.get('keyboard') || [false, false, false];
+        this.send('keyboard', aim, states, now, false);
+
+        this._frame = requestAnimationFrame(this._tick);
+    }
+
+    // =========================================================================
+    // GAMEPADS
+    // =========================================================================
+
+    handleGamepadConnected(e) {
+        console.log('Gamepad connected:', e.gamepad.index, e.gamepad.id);
+        this._startGamepadLoop();
+    }
+
+    handleGamepadDisconnected(e) {
+        const deviceId = `gamepad:${e.gamepad.index}`;
+        console.log('Gamepad disconnected:', e.gamepad.index, e.gamepad.id);
+        this.buttonStates.delete(deviceId);
+        this.gamepadAims.get(deviceId)?.aim.reset();
+        this.gunManager.handleVirtualDeviceDisconnected(deviceId);
+    }
+
+    _startGamepadLoop() {
+        if (this._gamepadFrame) return;
+        this._lastGamepadTime = performance.now();
+        this._gamepadFrame = requestAnimationFrame(this._pollGamepads);
+    }
+
+    /**
+     * Read every assigned gamepad once per frame (the Gamepad API has no input events)
+     * @private
+     */
+    _pollGamepads(now) {
+        const gamepads = VirtualGunDevices.getGamepads();
+        if (gamepads.length === 0) {
+            this._gamepadFrame = null;
+            return;
+        }
+
+        const dt = Math.min(0.1, (now - this._lastGamepadTime) / 1000);
+        this._lastGamepadTime = now;
+
+        let targets = null;
+        for (const gamepad of gamepads) {
+            const deviceId = `gamepad:${gamepad.index}`;
+            const gun = this.gunManager.getGunByVirtualDevice(deviceId);
+            if (!gun) continue;
+
+            let entry = this.gamepadAims.get(deviceId);
+            if (!entry) {
+                entry = { aim: new GamepadAim(), x: window.innerWidth / 2, y: window.innerHeight / 2 };
+                this.gamepadAims.set(deviceId, entry);
+            }
+
+            // Whichever stick is pushed further aims
+            const [lx = 0, ly = 0, rx = 0, ry = 0] = gamepad.axes;
+            const [stickX, stickY] = Math.hypot(rx, ry) > Math.hypot(lx, ly) ? [rx, ry] : [lx, ly];
+
+            const settings = gun.config.gamepad;
+            if (settings.aimAssist && targets === null) {
+                targets = this.getAimAssistTargets();
+            }
+            const next = entry.aim.update(entry, stickX, stickY, dt, settings, settings.aimAssist ? targets : []);
+            const moved = next.x !== entry.x || next.y !== entry.y;
+            entry.x = Math.max(0, Math.min(window.innerWidth, next.x));
+            entry.y = Math.max(0, Math.min(window.innerHeight, next.y));
+
+            const states = gamepad.buttons.map(button => button.pressed);
+            const previous = this.buttonStates.get(deviceId);
+            const changed = !previous || states.some((down, i) => down !== !!previous[i]);
+
+            // First report after (re)connecting also marks the gun connected
+            if (moved || changed || !gun.state.isConnected) {
+                this.send(deviceId, entry, states, now, false);
+            }
+        }
+
+        this._gamepadFrame = requestAnimationFrame(this._pollGamepads);
+    }
+
+    /**
+     * Aim assist targets from the running game, in viewport coordinates
+     * Only offered during gameplay.
+     * @returns {Array<{x: number, y: number, radius: number}>}
+     */
+    getAimAssistTargets() {
+        if (!this.aimAssistProvider || !this.targetCanvas || !this.gunManager.isInGame()) return [];
+
+        let targets;
+        try {
+            targets = this.aimAssistProvider() || [];
+        } catch (e) {
+            console.warn('Aim assist targets failed:', e);
+            return [];
+        }
+
+        const canvas = this.targetCanvas;
+        const rect = canvas.getBoundingClientRect();
+        const scale = canvas.width > 0 ? rect.width / canvas.width : 1;
+        return targets.map(target => ({
+            x: rect.left + target.x * scale,
+            y: rect.top + target.y * scale,
+            radius: (target.radius || 0) * scale
+        }));
+    }
+
+    // =========================================================================
+    // REPORTS
+    // =========================================================================
+
+    /**
+     * Build a report in HIDDeviceManager's shape and hand it to GunManager
+     * @param {string} deviceId - Virtual device ID
+     * @param {{x: number, y: number}} position - Viewport coordinates
+     * @param {Array<boolean>} states - Pressed state per button index
+     * @param {number} reportTime - performance.now() time of the input
+     * @param {boolean} nativePointer - The browser already delivers this pointer's UI clicks
+     */
+    send(deviceId, position, states, reportTime, nativePointer) {
+        const previous = this.buttonStates.get(deviceId) || [];
+        const pressed = [];
+        const released = [];
+        states.forEach((down, i) => {
+            if (down && !previous[i]) pressed.push(i);
+            else if (!down && previous[i]) released.push(i);
+        });
+        this.buttonStates.set(deviceId, states);
+
+        this.gunManager.handleHIDInput({
+            deviceId,
+            virtual: true,
+            nativePointer,
+            buttons: { states, pressed, released },
+            position: { x: position.x, y: position.y, isAbsolute: true },
+            timestamp: Date.now(),
+            reportTime: reportTime || performance.now()
+        });
+    }
+
+    /**
+     * Release every held button (focus lost - the releases would be missed)
+     */
+    handleBlur() {
+        this.touches.clear();
+        this.heldKeys.clear();
+        for (const [deviceId, states] of this.buttonStates) {
+            // Gamepads are polled, their next frame has the real state
+            const type = VirtualGunDevices.getType(deviceId);
+            const gun = this.gunManager.getGunByVirtualDevice(deviceId);
+            if (!gun || type === 'gamepad' || !states.some(Boolean)) continue;
+            const position = { x: gun.state.x, y: gun.state.y };
+            this.send(deviceId, position, states.map(() => false), performance.now(), type !== 'keyboard');
+        }
+    }
+
+    /**
+     * Stop listening
+     */
+    destroy() {
+        window.removeEventListener('pointerdown', this.handlePointerDown);
+        window.removeEventListener('pointermove', this.handlePointerMove);
+        window.removeEventListener('pointerup', this.handlePointerUp);
+        window.removeEventListener('pointercancel', this.handlePointerUp);
+        window.removeEventListener('keydown', this.handleKeyDown, true);
+        window.removeEventListener('keyup', this.handleKeyUp, true);
+        window.removeEventListener('blur', this.handleBlur);
+        window.removeEventListener('gamepadconnected', this.handleGamepadConnected);
+        window.removeEventListener('gamepaddisconnected', this.handleGamepadDisconnected);
+        if (this._frame) cancelAnimationFrame(this._frame);
+        if (this._gamepadFrame) cancelAnimationFrame(this._gamepadFrame);
+        this._frame = null;
+        this._gamepadFrame = null;
+    }
+}
@@ -0,0 +1,166 @@
+/**
+ * ZipReader class
+ * Minimal zip extractor for game packages - stored and deflated entries, no
+ * encryption or zip64, which covers what OS "compress folder" tools and build
+ * scripts produce for game-sized archives.
+ *
+ * Deflate uses the browser's DecompressionStream('deflate-raw').
+ *
+ *   const files = await ZipReader.read(file, { maxSize });   // Map of path -> Blob
+ *
+ * Sizes come from the central directory and are enforced before and while
+ * inflating, so a small archive can't expand into gigabytes (a zip bomb).
+ */
+export class ZipReader {
+    static EOCD_SIGNATURE = 0x06054b50;     // End of central directory
+    static CENTRAL_SIGNATURE = 0x02014b50;  // Central directory entry
+    static LOCAL_SIGNATURE = 0x04034b50;    // Local file header
+
+    static METHOD_STORED = 0;
+    static METHOD_DEFLATE = 8;
+
+    /**
+     * Extract every file in a zip
+     * @param {Blob|ArrayBuffer} zip
+     * @param {Object} [options]
+     * @param {number} [options.maxSize] - Largest total unpacked size, in bytes
+     * @returns {Promise<Map<string, Blob>>} File path (with '/' separators) -> contents
+     * @throws {Error} If the archive is damaged, too large or uses unsupported features
+     */
+    static async read(zip, { maxSize = Infinity } = {}) {
+        const buffer = zip instanceof ArrayBuffer ? zip : await zip.arrayBuffer();
+        const view = new DataView(buffer);
+        const files = new Map();
+
+        // Directories have no data
+        const entries = ZipReader.readEntries(view).filter(entry => !entry.name.endsWith('/'));
+
+        // Check the declared sizes before inflating anything (inflate() holds entries to them)
+        const total = entries.reduce((sum, entry) => sum + entry.size, 0);
+        if (total > maxSize) {
+            throw new Error(`The zip unpacks to ${Math.round(total / 1024 / 1024)}MB - the limit is ${Math.round(maxSize / 1024 / 1024)}MB`);
+        }
+
+        for (const entry of entries) {
+            const data = new Uint8Array(buffer, ZipReader.getDataOffset(view, entry), entry.compressedSize);
+            files.set(entry.name, await ZipReader.inflate(data, entry));
+        }
+        return files;
+    }
+
+    /**
+     * List the entries in the central directory
+     * @param {DataView} view
+     * @returns {Array<{name: string, method: number, compressedSize: number, size: number, offset: number}>}
+     */
+    static readEntries(view) {
+        const eocd = ZipReader.findEndOfCentralDirectory(view);
+        const count = view.getUint16(eocd + 10, true);
+        let pos = view.getUint32(eocd + 16, true);
+
+        if (count === 0xffff || pos === 0xffffffff) {
+            throw new Error('Zip64 archives are not supported - the package is too large');
+        }
+
+        const decoder = new TextDecoder();
+        const entries = [];
+        for (let i = 0; i < count; i++) {
+            if (pos + 46 > view.byteLength || view.getUint32(pos, true) !== ZipReader.CENTRAL_SIGNATURE) {
+                throw new Error('Damaged zip: bad central directory');
+            }
+
+            const flags = view.getUint16(pos + 8, true);
+            const nameLength = view.getUint16(pos + 28, true);
+            const extraLength = view.getUint16(pos + 30, true);
+            const commentLength = view.getUint16(pos + 32, true);
+            const name = decoder.decode(new Uint8Array(view.buffer, pos + 46, nameLength));
+
+            if (flags & 0x1) {
+                throw new Error(`${name} is encrypted - zip the package without a password`);
+            }
+
+            entries.push({
+                name: name.replace(/\\/g, '/'),
+                method: view.getUint16(pos + 10, true),
+                compressedSize: view.getUint32(pos + 20, true),
+                size: view.getUint32(pos + 24, true),
+                offset: view.getUint32(pos + 42, true)
+            });
+            pos += 46 + nameLength + extraLength + commentLength;
+        }
+        return entries;
+    }
+
+    /**
+     * Find the end of central directory record (it ends the file, before an optional comment)
+     * @param {DataView} view
+     * @returns {number} Byte offset
+     */
+    static findEndOfCentralDirectory(view) {
+        const last = view.byteLength - 22;
+        const first = Math.max(0, last - 0xffff);
+        for (let pos = last; pos >= first; pos--) {
+            if (view.getUint32(pos, true) === ZipReader.EOCD_SIGNATURE) {
+                return pos;
+            }
+        }
+        throw new Error('Not a zip file');
+    }
+
+    /**
+     * Find where an entry's data starts (the local header has its own name and extra lengths)
+     * @param {DataView} view
+     * @param {Object} entry
+     * @returns {number} Byte offset
+     */
+    static getDataOffset(view, entry) {
+        const pos = entry.offset;
+        if (pos + 30 > view.byteLength || view.getUint32(pos, true) !== ZipReader.LOCAL_SIGNATURE) {
+            throw new Error(`Damaged zip: bad header for ${entry.name}`);
+        }
+        const start = pos + 30 + view.getUint16(pos + 26, true) + view.getUint16(pos + 28, true);
+        if (start + entry.compressedSize > view.byteLength) {
+            throw new Error(`Damaged zip: ${entry.name} is cut short`);
+        }
+        return start;
+    }
+
+    /**
+     * Decompress an entry's data, stopping as soon as it grows past its declared size
+     * @param {Uint8Array} data
+     * @param {Object} entry
+     * @returns {Promise<Blob>}
+     */
+    static async inflate(data, entry) {
+        if (entry.method === ZipReader.METHOD_STORED) {
+            if (data.byteLength !== entry.size) {
+                throw new Error(`Damaged zip: ${entry.name} has the wrong size`);
+            }
+            return new Blob([data]);
+        }
+        if (entry.method !== ZipReader.METHOD_DEFLATE) {
+            throw new Error(`${entry.name} uses an unsupported compression method (${entry.method})`);
+        }
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser can\'t unzip packages - install from a folder instead');
+        }
+
+        const reader = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+        const chunks = [];
+        let size = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            size += value.byteLength;
+            if (size > entry.size) {
+                await reader.cancel();
+                throw new Error(`Damaged zip: ${entry.name} is larger than its header says`);
+            }
+            chunks.push(value);
+        }
+        if (size !== entry.size) {
+            throw new Error(`Damaged zip: ${entry.name} has the wrong size`);
+        }
+        return new Blob(chunks);
+    }
+}
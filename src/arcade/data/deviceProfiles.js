@@ -0,0 +1,149 @@
+/**
+ * Built-in HID Device Profiles
+ *
+ * A device profile tells HIDDeviceManager how to recognise a lightgun and
+ * how to decode its input reports. Profiles are plain JSON-compatible objects
+ * so users can add new guns by importing a .json file (see HIDDeviceProfiles).
+ *
+ * Profile format:
+ * {
+ *   "id": "gun4ir",                  // Unique profile ID
+ *   "name": "Gun4IR",                // Display name (also used as the device type)
+ *   "match": [                       // Any entry matching selects this profile
+ *     { "vendorId": 9025, "productIds": [32834] },   // Vendor + product IDs
+ *     { "usagePage": 1, "usage": 2 }                 // Or a top-level HID collection usage
+ *   ],
+ *   "reports": [                     // Report layouts, first matching layout wins
+ *     {
+ *       "reportId": 7,               // Optional - only match this report ID
+ *       "minLength": 8,              // Optional - only match reports at least this long
+ *       "mode": "absolute",          // "absolute" (raw axes for calibration) or "relative" (mouse deltas)
+ *       "buttons": {
+ *         "bytes": [0, 1],           // Candidate button bytes, first non-zero byte is used
+ *         "size": 1,                 // Optional - bytes per button field (1, 2 or 4, little-endian)
+ *         "masks": [1, 2, 4]         // Bit mask per button index (0 = left/trigger, 1 = right, 2 = middle, ...) - down when any of its bits is set
+ *       },
+ *       "axes": [                    // Axis 1 then axis 2
+ *         { "offset": 4, "bits": 16, "endian": "little", "signed": false },
+ *         { "offset": 6, "bits": 16, "endian": "little", "signed": false }
+ *       ]
+ *     }
+ *   ],
+ *   "output": {                      // Optional - commands the gun accepts (recoil, rumble, LEDs)
+ *     "recoil": {                    // One solenoid pulse
+ *       "reportId": 1,
+ *       "type": "output",            // "output" (sendReport) or "feature" (sendFeatureReport)
+ *       "length": 8,                 // Optional - pad the report with zeros to this length
+ *       "bytes": [1, "strength", { "param": "duration", "scale": 0.1 }]
+ *     },
+ *     "rumble": { ... },             // Rumble motor for `duration` ms at `strength`
+ *     "led": { ... },                // LED color: params r, g, b
+ *     "stop": { ... }                // Stop recoil and rumble immediately
+ *   }
+ * }
+ *
+ * Offsets are byte offsets into the report data (the report ID byte is not included).
+ * Output bytes are literal numbers or parameters: a parameter name, or
+ * { "param", "scale", "bits" } where bits is 8 (default) or 16 (little-endian).
+ * Parameters: strength (0-255), duration (ms), r, g, b (0-255).
+ */
+
+// Standard HID mouse report: buttons in byte 0, signed 8-bit X/Y deltas in bytes 1-2
+const RELATIVE_MOUSE_LAYOUT = {
+    minLength: 3,
+    mode: 'relative',
+    buttons: { bytes: [0], masks: [0x01, 0x02, 0x04, 0x08, 0x10] },
+    axes: [
+        { offset: 1, bits: 8, endian: 'little', signed: true },
+        { offset: 2, bits: 8, endian: 'little', signed: true }
+    ]
+};
+
+// Absolute-pointer mouse report: buttons in byte 0, 16-bit X/Y in bytes 1-4
+const ABSOLUTE_MOUSE_LAYOUT = {
+    minLength: 5,
+    mode: 'absolute',
+    buttons: { bytes: [0], masks: [0x01, 0x02, 0x04, 0x08, 0x10] },
+    axes: [
+        { offset: 1, bits: 16, endian: 'little', signed: false },
+        { offset: 3, bits: 16, endian: 'little', signed: false }
+    ]
+};
+
+export const BUILT_IN_DEVICE_PROFILES = [
+    {
+        id: 'gun4ir',
+        name: 'Gun4IR',
+        match: [
+            {
+                vendorId: 0x2341,  // Arduino SA
+                productIds: [
+                    0x8042,  // GUN4IR Pro Micro P1
+                    0x8043,  // GUN4IR Pro Micro P2
+                    0x8036,  // Arduino Leonardo (common for DIY)
+                    0x8037,  // Arduino Micro
+                ]
+            }
+        ],
+        reports: [
+            {
+                // Joystick mode (reportId 7 for 15-byte reports)
+                // Byte 0: Buttons (trigger=bit0, A=bit1, B=bit2, etc.)
+                // Some Gun4IR configs report buttons in byte 1 instead
+                // Bytes 4-5 / 6-7: Axes (little-endian 16-bit)
+                minLength: 8,
+                mode: 'absolute',
+                buttons: { bytes: [0, 1], masks: [0x01, 0x02, 0x04, 0x08, 0x10, 0x20, 0x40, 0x80] },
+                axes: [
+                    { offset: 4, bits: 16, endian: 'little', signed: false },
+                    { offset: 6, bits: 16, endian: 'little', signed: false }
+                ]
+            },
+            RELATIVE_MOUSE_LAYOUT
+        ],
+        // Output report: command byte followed by its arguments. Firmware builds differ -
+        // import a profile with the same id to override this layout.
+        output: {
+            recoil: { reportId: 1, type: 'output', length: 8, bytes: [0x01, 'strength', { param: 'duration', bits: 16 }] },
+            rumble: { reportId: 1, type: 'output', length: 8, bytes: [0x02, 'strength', { param: 'duration', bits: 16 }] },
+            led: { reportId: 1, type: 'output', length: 8, bytes: [0x03, 'r', 'g', 'b'] },
+            stop: { reportId: 1, type: 'output', length: 8, bytes: [0x00] }
+        }
+    },
+    {
+        id: 'sinden',
+        name: 'Sinden',
+        match: [
+            {
+                vendorId: 0x16c0,
+                productIds: [
+                    0x0f01,  // Blue
+                    0x0f02,  // Red
+                    0x0f38,  // Black
+                    0x0f39,  // Player 2
+                ]
+            }
+        ],
+        reports: [ABSOLUTE_MOUSE_LAYOUT, RELATIVE_MOUSE_LAYOUT]
+    },
+    {
+        id: 'aimtrak',
+        name: 'AimTrak',
+        match: [
+            {
+                vendorId: 0xd209,  // Ultimarc
+                productIds: [0x1601, 0x1602, 0x1603, 0x1604, 0x1605, 0x1606, 0x1607, 0x1608]
+            }
+        ],
+        reports: [ABSOLUTE_MOUSE_LAYOUT, RELATIVE_MOUSE_LAYOUT]
+    },
+    {
+        // Fallback for any mouse-class device (lightguns in mouse mode, trackballs, etc.)
+        id: 'generic-mouse',
+        name: 'Mouse',
+        match: [
+            { usagePage: 0x01, usage: 0x02 }  // Generic Desktop / Mouse
+        ],
+        reports: [RELATIVE_MOUSE_LAYOUT]
+    }
+];
@@ -19,7 +19,7 @@ import { GameServices } from '../sdk/GameServices.js';
  * - this.sound - SoundManager for audio
  * - this.highScores - Per-game high score manager (local)
  * - this.settings - User settings reference
- * - this.ui - UI component builders (menu, hud, overlay, highScores)
+ * - this.ui - UI component builders (menu, hud, overlay, highScores, keyboard)
  * - this.assets - AssetLoader for loading images, audio, JSON
  * - this.services - GameServices for online scores, leaderboards, sessions
  * - Convenience methods for system integration
@@ -46,7 +46,13 @@ export class BaseGame {
 
         // Phase 2: Provide shared services via SDK
         this.input = new InputManager(canvas, system.gunManager);
+        if (typeof manifest.features?.autoFireRate === 'number') {
+            this.input.setAutoFireRate(manifest.features.autoFireRate);
+        }
+        this.input.setRightClickReload(manifest.features?.requiresReload === true);
+        system.gunManager.setCursorPolicy(manifest.features?.cursorPolicy || 'default');
         this.sound = system.soundManager; // Shared SoundManager
+        this.time = system.time; // Shared GameClock (time scale, hit-stop)
         this.highScores = new GameHighScores(this._gameId);
         this.settings = system.settings;
 
@@ -55,17 +61,21 @@ export class BaseGame {
         this._keydownHandler = null;
         this._keyupHandler = null;
         this._isPaused = false;
+        this._gunHotplugHandlers = null;
+        this._recoilOnShotHandler = null;
+        this._missingGuns = new Set(); // Gun indices unplugged mid-game
 
         // SDK UI Components
         this.ui = {
             menu: new MenuBuilder(uiLayer),
             hud: new HUDBuilder(uiLayer),
             overlay: new OverlayBuilder(uiLayer),
-            highScores: new HighScoreDisplay(uiLayer)
+            highScores: new HighScoreDisplay(uiLayer),
+            keyboard: system.keyboard // Shared on-screen keyboard
         };
 
-        // Asset loader (per-game instance)
-        this.assets = new AssetLoader();
+        // Asset loader (per game - holds what the loading screen preloaded)
+        this.assets = system.getAssetLoader ? system.getAssetLoader(this._gameId) : new AssetLoader();
 
         // Online services (scores, leaderboards, sessions, activity)
         this.services = new GameServices(system);
@@ -92,8 +102,8 @@ export class BaseGame {
     }
 
     /**
-     * Called every frame to update game logic.
-     * @param {number} dt - Delta time in seconds since last frame
+     * Called at a fixed rate (GameClock.STEP) to update game logic.
+     * @param {number} dt - Seconds to simulate (the step times the time scale; 0 while frozen)
      */
     update(dt) {
         throw new Error("Method 'update(dt)' must be implemented.");
@@ -102,8 +112,10 @@ export class BaseGame {
     /**
      * Called every frame to draw the game.
      * @param {CanvasRenderingContext2D} ctx - The canvas 2D context
+     * @param {number} alpha - How far (0-1) this frame is between the last update and the next;
+     *   games that keep their previous positions can interpolate with it
      */
-    draw(ctx) {
+    draw(ctx, alpha) {
         throw new Error("Method 'draw(ctx)' must be implemented.");
     }
 
@@ -136,6 +148,15 @@ export class BaseGame {
         // Optional override
     }
 
+    /**
+     * Called when the arcade is hidden (tab switch, minimized window) during a game.
+     * The clock is already paused; the default also pauses the game so the player
+     * comes back to a pause menu. Override if your game has its own pause flow.
+     */
+    onHidden() {
+        this.pause();
+    }
+
     /**
      * Called when the window is resized.
      * Default implementation resizes canvas to window size.
@@ -175,6 +196,37 @@ export class BaseGame {
         // Optional override - default does nothing
     }
 
+    /**
+     * Called when a player's gun is unplugged during gameplay (requires enableGunHotplug()).
+     * The SDK shows the "gun disconnected" overlay; the default pauses the game.
+     * Override if your game has its own pause flow.
+     * @param {number} gunIndex - Index of the gun that was unplugged
+     */
+    onGunDisconnected(gunIndex) {
+        this.pause();
+    }
+
+    /**
+     * Called when a gun unplugged mid-game is back and its player has pulled the trigger
+     * (requires enableGunHotplug()). The default resumes once no guns are missing.
+     * @param {number} gunIndex - Index of the gun that came back
+     */
+    onGunReconnected(gunIndex) {
+        if (!this.hasMissingGuns()) {
+            this.resume();
+        }
+    }
+
+    /**
+     * Called each frame while a gamepad player with aim assist enabled is aiming.
+     * Override to return the shootable targets; aim assist slows the crosshair over them
+     * and nudges it towards their center. Lightguns, mouse and touch are never assisted.
+     * @returns {Array<{x: number, y: number, radius: number}>} Targets in canvas coordinates
+     */
+    getAimAssistTargets() {
+        return [];
+    }
+
     /**
      * Called when the game is being destroyed/exited.
      * The SDK automatically cleans up input, event listeners, etc.
@@ -203,6 +255,24 @@ export class BaseGame {
             this._startButtonHandler = null;
         }
 
+        // Remove gun hot-plug handlers
+        if (this._gunHotplugHandlers) {
+            const { disconnected, input } = this._gunHotplugHandlers;
+            this.system.gunManager.off('gunDisconnected', disconnected);
+            this.system.gunManager.off('buttonUp', input);
+            this._gunHotplugHandlers = null;
+        }
+        this._missingGuns.clear();
+        this.ui.overlay.hideGunDisconnected();
+
+        // Stop recoil and give the guns their own LED colors back
+        if (this._recoilOnShotHandler) {
+            this.system.gunManager.off('triggerDown', this._recoilOnShotHandler);
+            this._recoilOnShotHandler = null;
+        }
+        this.system.gunManager.resetOutputs();
+        this.system.gunManager.setCursorPolicy('default');
+
         // Remove keyboard handlers
         if (this._keydownHandler) {
             window.removeEventListener('keydown', this._keydownHandler);
@@ -227,6 +297,134 @@ export class BaseGame {
         this.system.gunManager.setInGame(inGame);
     }
 
+    /**
+     * Change which in-game cursors are shown (menus always show cursors).
+     * Games usually set this once with the manifest's features.cursorPolicy.
+     * @param {string} policy - 'default', 'hidden', 'miss' (show a gun's cursor briefly
+     *   after markMiss()) or 'mouse' (only mouse, keyboard and gamepad players)
+     */
+    setCursorPolicy(policy) {
+        this.system.gunManager.setCursorPolicy(policy);
+    }
+
+    /**
+     * Report a hit: flashes the player's hit marker (if they have it turned on).
+     * @param {number} gunIndex - Gun index from an input event (-1 for mouse is ignored)
+     * @param {number} x - Canvas X
+     * @param {number} y - Canvas Y
+     */
+    markHit(gunIndex, x, y) {
+        if (gunIndex < 0) return;
+        const point = this._canvasToScreen(x, y);
+        this.system.gunManager.showHitMarker(gunIndex, point.x, point.y);
+    }
+
+    /**
+     * Report a miss: with the 'miss' cursor policy, shows the gun's cursor for a moment.
+     * @param {number} gunIndex - Gun index from an input event (-1 for mouse is ignored)
+     */
+    markMiss(gunIndex) {
+        if (gunIndex < 0) return;
+        this.system.gunManager.revealCursorOnMiss(gunIndex);
+    }
+
+    /**
+     * Convert canvas coordinates to screen coordinates (internal)
+     * @private
+     */
+    _canvasToScreen(x, y) {
+        const rect = this.canvas.getBoundingClientRect();
+        const scale = this.canvas.width > 0 ? rect.width / this.canvas.width : 1;
+        return { x: rect.left + x * scale, y: rect.top + y * scale };
+    }
+
+    /**
+     * Ask for a thicker Sinden border, e.g. while a dark scene is on screen.
+     * Has no effect when the player has the border turned off.
+     * @param {number} thickness - Minimum border thickness in pixels
+     * @param {number} [durationMs] - Release automatically after this long (0 = until released)
+     * @returns {Function} Call to release the request
+     */
+    requestSindenBorder(thickness, durationMs = 0) {
+        if (!this.system.sindenBorder) return () => {};
+        return this.system.sindenBorder.requestThickness(thickness, durationMs);
+    }
+
+    /**
+     * Flash the screen (explosions, hits) without breaking Sinden tracking.
+     * The flash is drawn under the border and the border switches to a contrasting color.
+     * @param {string} [color] - Flash color (#rrggbb)
+     * @param {number} [durationMs] - Flash length
+     */
+    flashScreen(color = '#ffffff', durationMs = 80) {
+        this.system.sindenBorder?.flash(color, durationMs);
+    }
+
+    /**
+     * Kick a gun with recoil (or rumble, on guns without a solenoid).
+     * Does nothing for guns without force feedback or when the player turned it off.
+     * @param {number} gunIndex - Gun index from an input event (-1 for mouse is ignored)
+     * @param {string|Array<Object>} [pattern] - 'single', 'light', 'double', 'burst', 'heavy',
+     *   'hit', 'rumble', or a list of pulses (see GunOutput)
+     */
+    recoil(gunIndex, pattern = 'single') {
+        if (gunIndex < 0) return;
+        this.system.gunManager.recoil(gunIndex, pattern);
+    }
+
+    /**
+     * Recoil automatically on every shot during gameplay.
+     * Call this in init(). Games with ammo that want no kick on an empty
+     * gun should call recoil() from their shoot handler instead.
+     * @param {string|Array<Object>} [pattern] - Recoil pattern (see recoil())
+     */
+    enableRecoilOnShot(pattern = 'single') {
+        if (this._recoilOnShotHandler) {
+            this.system.gunManager.off('triggerDown', this._recoilOnShotHandler);
+        }
+
+        this._recoilOnShotHandler = (gunIndex) => {
+            if (!this.system.gunManager.isInGame() || this.isPaused()) return;
+            if (this.isMultiplayer() ? !this.getPlayerByGun(gunIndex) : !this.isGunInputAllowed(gunIndex)) return;
+            this.recoil(gunIndex, pattern);
+        };
+        this.system.gunManager.on('triggerDown', this._recoilOnShotHandler);
+    }
+
+    /**
+     * Set a gun's LED color (guns with LEDs only).
+     * LEDs go back to each gun's own color when the game exits.
+     * @param {number} gunIndex
+     * @param {string} color - '#rrggbb'
+     */
+    setGunLED(gunIndex, color) {
+        if (gunIndex < 0) return;
+        this.system.gunManager.setLED(gunIndex, color);
+    }
+
+    /**
+     * Light each player's gun in that player's color.
+     * Call after players.initSession() so guns match the HUD. In single player the
+     * locked gun (or every gun, if none is locked) gets player 1's color.
+     */
+    showPlayerColorsOnGuns() {
+        if (!this.isMultiplayer()) {
+            const color = this.players.players[0]?.colors.primary;
+            if (!color) return;
+            const guns = this._activeGunIndex !== null
+                ? [this._activeGunIndex]
+                : this.system.gunManager.guns.map(gun => gun.index);
+            guns.forEach(gunIndex => this.setGunLED(gunIndex, color));
+            return;
+        }
+
+        for (const player of this.players.players) {
+            if (player.gunIndex !== null && player.gunIndex >= 0) {
+                this.setGunLED(player.gunIndex, player.colors.primary);
+            }
+        }
+    }
+
     /**
      * Save a score to the global arcade high scores (local only).
      * For online scores, use this.services.submitScore() instead.
@@ -395,12 +593,106 @@ export class BaseGame {
         this.system.gunManager.on('startButton', this._startButtonHandler);
     }
 
+    /**
+     * Enable gun hot-plug handling.
+     * Call this in init() so unplugging a player's gun mid-game shows a
+     * "pull trigger to reconnect" overlay and calls onGunDisconnected().
+     * Once that gun sends input again, onGunReconnected() is called.
+     */
+    enableGunHotplug() {
+        if (this._gunHotplugHandlers) return; // Already enabled
+
+        this._gunHotplugHandlers = {
+            disconnected: (gunIndex) => this._handleGunDisconnected(gunIndex),
+            // Released, not pressed, so the reconnecting trigger pull never lands as a shot
+            input: (gunIndex) => this._handleMissingGunInput(gunIndex)
+        };
+        this.system.gunManager.on('gunDisconnected', this._gunHotplugHandlers.disconnected);
+        this.system.gunManager.on('buttonUp', this._gunHotplugHandlers.input);
+    }
+
+    /**
+     * Check if any player's gun is still unplugged (see enableGunHotplug())
+     * @returns {boolean}
+     */
+    hasMissingGuns() {
+        return this._missingGuns.size > 0;
+    }
+
+    /**
+     * Check if a gun belongs to someone playing right now
+     * @param {number} gunIndex
+     * @returns {boolean}
+     */
+    isGunInUse(gunIndex) {
+        if (this.isMultiplayer()) {
+            return !!this.getPlayerByGun(gunIndex);
+        }
+        if (this._activeGunIndex !== null) {
+            return gunIndex === this._activeGunIndex;
+        }
+        return gunIndex === this.getLastTriggerGunIndex();
+    }
+
+    /**
+     * A gun dropped - only matters if it is in use during gameplay
+     * @private
+     */
+    _handleGunDisconnected(gunIndex) {
+        if (!this.isGunInUse(gunIndex)) return;
+        // Menus and pause screens keep working; once the overlay is up, more guns can join it
+        if (!this.system.gunManager.isInGame() && !this.hasMissingGuns()) return;
+
+        this._missingGuns.add(gunIndex);
+        this._showGunDisconnectedOverlay();
+        this.onGunDisconnected(gunIndex);
+    }
+
+    /**
+     * Any button from a missing gun means its player has it back in hand
+     * @private
+     */
+    _handleMissingGunInput(gunIndex) {
+        if (!this._missingGuns.delete(gunIndex)) return;
+
+        if (this.hasMissingGuns()) {
+            this._showGunDisconnectedOverlay();
+        } else {
+            this.ui.overlay.hideGunDisconnected();
+        }
+        this.onGunReconnected(gunIndex);
+    }
+
+    /**
+     * Show the overlay listing every missing gun
+     * @private
+     */
+    _showGunDisconnectedOverlay() {
+        const guns = [...this._missingGuns].map(gunIndex => {
+            const gun = this.system.gunManager.guns[gunIndex];
+            const label = this.isMultiplayer()
+                ? `Player ${this.getPlayerIndexFromGun(gunIndex) + 1}`
+                : gun?.name || 'Player 1';
+            return { label, color: gun?.color || '#fff' };
+        });
+
+        this.ui.overlay.showGunDisconnected({
+            guns,
+            // Give up on the missing guns (e.g. to carry on with the mouse)
+            onContinue: () => {
+                const missing = [...this._missingGuns];
+                missing.forEach(gunIndex => this._handleMissingGunInput(gunIndex));
+            }
+        });
+    }
+
     // =========================================================================
     // PAUSE MANAGEMENT HELPERS
     // =========================================================================
 
     /**
-     * Check if the game is currently paused.
+     * Check if the game is currently paused (the arcade stops triggerHeld repeats meanwhile).
+     * Games with their own pause state instead of pause()/resume() override this.
      * @returns {boolean}
      */
     isPaused() {
@@ -641,6 +933,15 @@ export class BaseGame {
         return gunIndex === this._activeGunIndex;
     }
 
+    /**
+     * Check if this game uses a reload mechanic (manifest features.requiresReload).
+     * Games that return true should listen for the input 'reload' event.
+     * @returns {boolean}
+     */
+    requiresReload() {
+        return this.constructor.getManifest().features?.requiresReload === true;
+    }
+
     /**
      * Get the gun that last fired (for determining which gun started the game)
      * @returns {number} Last trigger gun index (-1 for mouse/none)
@@ -1,9 +1,20 @@
 /**
  * AssetLoader - Utility for loading and caching game assets
  * Supports images, audio, and JSON data
+ *
+ * Installed game packages get a loader with a base path: relative paths
+ * ('assets/duck.png') resolve inside the package, absolute ones ('/sounds/x.mp3')
+ * still come from the arcade. Assets are cached under the path the game asked for.
  */
 export class AssetLoader {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.basePath] - Prefix for relative paths, e.g. 'packages/my-game/'
+     * @param {Map<string, string>} [options.files] - Full path -> URL, for files that aren't on the server (package blobs)
+     */
+    constructor({ basePath = '', files = null } = {}) {
+        this.basePath = basePath;
+        this.files = files;
         this.cache = {
             images: new Map(),
             audio: new Map(),
@@ -12,6 +23,20 @@ export class AssetLoader {
         this.loading = new Map();
     }
 
+    /**
+     * Get the URL a path loads from
+     * @param {string} path - Asset path as the game uses it
+     * @returns {string}
+     */
+    resolve(path) {
+        // Absolute paths, and URLs with a scheme (https:, data:, blob:), are used as they are
+        if (!this.basePath || /^([a-z][a-z0-9+.-]*:|\/)/i.test(path)) {
+            return path;
+        }
+        const fullPath = this.basePath + path.replace(/^\.\//, '');
+        return this.files?.get(fullPath) ?? fullPath;
+    }
+
     /**
      * Load an image
      * @param {string} path - Path to the image
@@ -40,7 +65,7 @@ export class AssetLoader {
                 this.loading.delete(path);
                 reject(new Error(`Failed to load image: ${path}`));
             };
-            img.src = path;
+            img.src = this.resolve(path);
         });
 
         this.loading.set(path, promise);
@@ -91,7 +116,7 @@ export class AssetLoader {
                 this.loading.delete(path);
                 reject(new Error(`Failed to load audio: ${path}`));
             };
-            audio.src = path;
+            audio.src = this.resolve(path);
             audio.load();
         });
 
@@ -116,7 +141,7 @@ export class AssetLoader {
         }
 
         // Load the JSON
-        const promise = fetch(path)
+        const promise = fetch(this.resolve(path))
             .then(response => {
                 if (!response.ok) {
                     throw new Error(`Failed to load JSON: ${path}`);
@@ -144,7 +169,7 @@ export class AssetLoader {
      * @param {Array<string>} manifest.audio - Audio paths
      * @param {Array<string>} manifest.json - JSON paths
      * @param {Function} onProgress - Called with (loaded, total)
-     * @returns {Promise<Object>} Loaded assets
+     * @returns {Promise<Object>} Loaded assets, plus the paths that failed to load in `failed`
      */
     async preload(manifest, onProgress = null) {
         const { images = [], audio = [], json = [] } = manifest;
@@ -154,7 +179,8 @@ export class AssetLoader {
         const results = {
             images: new Map(),
             audio: new Map(),
-            json: new Map()
+            json: new Map(),
+            failed: []
         };
 
         const updateProgress = () => {
@@ -176,6 +202,7 @@ export class AssetLoader {
                     })
                     .catch(err => {
                         console.warn(err.message);
+                        results.failed.push(path);
                         updateProgress();
                     })
             );
@@ -190,6 +217,7 @@ export class AssetLoader {
                     })
                     .catch(err => {
                         console.warn(err.message);
+                        results.failed.push(path);
                         updateProgress();
                     })
             );
@@ -204,6 +232,7 @@ export class AssetLoader {
                     })
                     .catch(err => {
                         console.warn(err.message);
+                        results.failed.push(path);
                         updateProgress();
                     })
             );
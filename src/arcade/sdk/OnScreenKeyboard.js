@@ -0,0 +1,424 @@
+/**
+ * OnScreenKeyboard - Big, shootable keyboard for cabinets without a real keyboard
+ *
+ * Modes:
+ * - 'initials' - arcade-style 3-letter entry (A-Z, one big slot per letter)
+ * - 'text'     - full keyboard with shift, digits and space
+ * - 'email'    - full keyboard plus @ . _ - and a .COM key, no space
+ * - 'password' - full keyboard plus symbols, with a SHOW/HIDE toggle
+ *
+ * Keys type straight into the target <input>/<textarea> (firing 'input' events), so
+ * existing forms keep working unchanged. DONE behaves like pressing Enter in the field.
+ *
+ * With enableAutoOpen(), any text field in the arcade opens the keyboard when it gets
+ * focus and the player isn't using a mouse (a gun was used last, or the input method
+ * setting isn't 'mouse'). Add data-osk="off" to a field to opt out, or
+ * data-osk="initials" to get initials mode.
+ *
+ * Usage from a game:
+ *   this.ui.keyboard.open(inputElement, { mode: 'initials', onSubmit: (value) => {...} });
+ */
+export class OnScreenKeyboard {
+    static LAYOUTS = {
+        letters: [
+            ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0'],
+            ['q', 'w', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p'],
+            ['a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l'],
+            ['z', 'x', 'c', 'v', 'b', 'n', 'm']
+        ],
+        symbols: [
+            ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0'],
+            ['!', '@', '#', '$', '%', '^', '&', '*', '(', ')'],
+            ['-', '_', '=', '+', '[', ']', '{', '}', ';', ':'],
+            ['.', ',', '?', '/', '\'', '"', '~']
+        ],
+        initials: [
+            ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I'],
+            ['J', 'K', 'L', 'M', 'N', 'O', 'P', 'Q', 'R'],
+            ['S', 'T', 'U', 'V', 'W', 'X', 'Y', 'Z', '.']
+        ]
+    };
+
+    static EMAIL_KEYS = ['@', '.', '_', '-', '.com'];
+    static INITIALS_LENGTH = 3;
+
+    /**
+     * @param {Object} settings - Settings instance (for inputMethod)
+     * @param {GunManager} gunManager - Used to tell whether a gun was used last
+     */
+    constructor(settings, gunManager) {
+        this.settings = settings;
+        this.gunManager = gunManager;
+
+        this.element = null;
+        this.input = null;
+        this.options = null;
+        this.shift = false;
+        this.symbols = false;
+        this.showPassword = false;
+        this._watchFrame = null;
+
+        // Last input came from a gun (vs. a real mouse/touch/keyboard)
+        this.lastInputWasGun = false;
+
+        this._handleFocusIn = this._handleFocusIn.bind(this);
+        this._handleGunInput = () => { this.lastInputWasGun = true; };
+        this._handleDeviceInput = (e) => {
+            // Ignore events we synthesise ourselves (gun clicks, DONE key)
+            if (e.isTrusted) this.lastInputWasGun = false;
+        };
+    }
+
+    // =========================================================================
+    // AUTO-OPEN
+    // =========================================================================
+
+    /**
+     * Open the keyboard automatically for any text field that gets focus
+     * while the player isn't using a mouse
+     */
+    enableAutoOpen() {
+        document.addEventListener('focusin', this._handleFocusIn);
+        window.addEventListener('pointerdown', this._handleDeviceInput, true);
+        window.addEventListener('keydown', this._handleDeviceInput, true);
+        this.gunManager?.on('buttonDown', this._handleGunInput);
+    }
+
+    /**
+     * Stop opening automatically
+     */
+    disableAutoOpen() {
+        document.removeEventListener('focusin', this._handleFocusIn);
+        window.removeEventListener('pointerdown', this._handleDeviceInput, true);
+        window.removeEventListener('keydown', this._handleDeviceInput, true);
+        this.gunManager?.off('buttonDown', this._handleGunInput);
+    }
+
+    /**
+     * Whether the player is currently using something other than a mouse
+     * @returns {boolean}
+     */
+    isMouseFree() {
+        return this.lastInputWasGun || (this.settings && this.settings.inputMethod !== 'mouse');
+    }
+
+    _handleFocusIn(e) {
+        const field = e.target;
+        if (!OnScreenKeyboard.isTextField(field) || field === this.input) return;
+        if (field.dataset.osk === 'off' || !this.isMouseFree()) return;
+
+        this.open(field, { mode: OnScreenKeyboard.modeFor(field) });
+    }
+
+    /**
+     * Check if an element takes typed text
+     * @param {Element} el
+     * @returns {boolean}
+     */
+    static isTextField(el) {
+        if (!el || el.disabled || el.readOnly) return false;
+        if (el.tagName === 'TEXTAREA') return true;
+        return el.tagName === 'INPUT' &&
+            ['text', 'email', 'password', 'search', 'tel', 'url'].includes(el.type);
+    }
+
+    /**
+     * Pick a keyboard mode for a field
+     * @param {HTMLInputElement|HTMLTextAreaElement} field
+     * @returns {string}
+     */
+    static modeFor(field) {
+        if (field.dataset.osk === 'initials') return 'initials';
+        if (field.type === 'password' || field.dataset.oskPassword === 'true') return 'password';
+        if (field.type === 'email') return 'email';
+        return 'text';
+    }
+
+    // =========================================================================
+    // OPEN / CLOSE
+    // =========================================================================
+
+    /**
+     * Open the keyboard for a field
+     * @param {HTMLInputElement|HTMLTextAreaElement} input - Field to type into
+     * @param {Object} options
+     * @param {string} options.mode - 'initials', 'text', 'email' or 'password' (default: from the field)
+     * @param {Function} options.onSubmit - Called with the value when DONE is pressed
+     * @param {Function} options.onClose - Called when the keyboard closes (DONE or CLOSE)
+     */
+    open(input, options = {}) {
+        this.close();
+
+        this.input = input;
+        this.options = { mode: OnScreenKeyboard.modeFor(input), ...options };
+        this.shift = false;
+        this.symbols = false;
+        this.showPassword = input.type === 'text' && input.dataset.oskPassword === 'true';
+
+        if (this.options.mode === 'initials') {
+            input.value = input.value.toUpperCase().slice(0, this.getMaxLength());
+        }
+
+        this.element = document.createElement('div');
+        this.element.className = `osk-overlay osk-${this.options.mode}`;
+        // Keep focus (and the caret) in the field when keys are clicked with a real mouse
+        this.element.onpointerdown = (e) => e.preventDefault();
+        document.body.appendChild(this.element);
+
+        this.render();
+        this._watchInput();
+    }
+
+    /**
+     * Close the keyboard
+     */
+    close() {
+        if (!this.element) return;
+
+        if (this._watchFrame) {
+            cancelAnimationFrame(this._watchFrame);
+            this._watchFrame = null;
+        }
+
+        this.element.remove();
+        this.element = null;
+
+        const onClose = this.options?.onClose;
+        this.input = null;
+        this.options = null;
+        if (onClose) onClose();
+    }
+
+    /**
+     * Check if the keyboard is open
+     * @returns {boolean}
+     */
+    isOpen() {
+        return !!this.element;
+    }
+
+    /**
+     * Close automatically if the field's screen is torn down
+     * @private
+     */
+    _watchInput() {
+        this._watchFrame = requestAnimationFrame(() => {
+            if (!this.input || !this.input.isConnected) {
+                this.close();
+            } else {
+                this._watchInput();
+            }
+        });
+    }
+
+    // =========================================================================
+    // RENDERING
+    // =========================================================================
+
+    /**
+     * Rebuild the keys (after open, shift or layout changes)
+     */
+    render() {
+        if (!this.element) return;
+
+        const mode = this.options.mode;
+        const rows = mode === 'initials'
+            ? OnScreenKeyboard.LAYOUTS.initials
+            : OnScreenKeyboard.LAYOUTS[this.symbols ? 'symbols' : 'letters'];
+
+        const keyHtml = (value, label = value, className = '') =>
+            `<button class="osk-key ${className}" data-key="${OnScreenKeyboard.escape(value)}">${OnScreenKeyboard.escape(label)}</button>`;
+
+        const rowsHtml = rows.map(row => `
+            <div class="osk-row">
+                ${row.map(key => {
+                    const value = this.shift && !this.symbols ? key.toUpperCase() : key;
+                    return keyHtml(value);
+                }).join('')}
+            </div>
+        `).join('');
+
+        let extraRow = '';
+        if (mode === 'email') {
+            extraRow = `<div class="osk-row">${OnScreenKeyboard.EMAIL_KEYS.map(key => keyHtml(key, key.toUpperCase())).join('')}</div>`;
+        }
+
+        const controls = [];
+        if (mode !== 'initials') {
+            controls.push(`<button class="osk-key osk-wide ${this.shift ? 'active' : ''}" data-action="shift">SHIFT</button>`);
+        }
+        if (mode === 'password' || mode === 'text') {
+            controls.push(`<button class="osk-key osk-wide" data-action="symbols">${this.symbols ? 'ABC' : '#+='}</button>`);
+        }
+        if (mode === 'text') {
+            controls.push('<button class="osk-key osk-space" data-action="space">SPACE</button>');
+        }
+        if (mode === 'password') {
+            controls.push(`<button class="osk-key osk-wide" data-action="reveal">${this.showPassword ? 'HIDE' : 'SHOW'}</button>`);
+        }
+        controls.push('<button class="osk-key osk-wide" data-action="delete">DEL</button>');
+        controls.push(`<button class="osk-key osk-wide osk-done" data-action="done">${mode === 'initials' ? 'END' : 'DONE'}</button>`);
+        controls.push('<button class="osk-key osk-wide" data-action="close" data-nav-back>CLOSE</button>');
+
+        this.element.innerHTML = `
+            <div class="osk-panel">
+                <div class="osk-preview">${this._renderPreview()}</div>
+                ${rowsHtml}
+                ${extraRow}
+                <div class="osk-row">${controls.join('')}</div>
+            </div>
+        `;
+
+        this.element.querySelectorAll('[data-key]').forEach(btn => {
+            btn.onclick = () => this.type(btn.dataset.key);
+        });
+        this.element.querySelectorAll('[data-action]').forEach(btn => {
+            btn.onclick = () => this._handleAction(btn.dataset.action);
+        });
+    }
+
+    /**
+     * Show what has been typed (the field may be hidden under the keyboard)
+     * @private
+     */
+    _renderPreview() {
+        const value = this.input.value;
+
+        if (this.options.mode === 'initials') {
+            const length = this.getMaxLength();
+            let slots = '';
+            for (let i = 0; i < length; i++) {
+                const active = i === Math.min(value.length, length - 1) ? 'active' : '';
+                slots += `<span class="osk-slot ${active}">${OnScreenKeyboard.escape(value[i] || '_')}</span>`;
+            }
+            return slots;
+        }
+
+        const hidden = this.options.mode === 'password' && !this.showPassword;
+        const shown = hidden ? '•'.repeat(value.length) : OnScreenKeyboard.escape(value);
+        return shown || `<span class="osk-placeholder">${OnScreenKeyboard.escape(this.input.placeholder || '')}</span>`;
+    }
+
+    _updatePreview() {
+        const preview = this.element?.querySelector('.osk-preview');
+        if (preview) preview.innerHTML = this._renderPreview();
+    }
+
+    // =========================================================================
+    // TYPING
+    // =========================================================================
+
+    /**
+     * Max characters for the field
+     * @returns {number}
+     */
+    getMaxLength() {
+        const fieldMax = this.input.maxLength > 0 ? this.input.maxLength : Infinity;
+        if (this.options.mode === 'initials') {
+            return Math.min(OnScreenKeyboard.INITIALS_LENGTH, fieldMax);
+        }
+        return fieldMax;
+    }
+
+    /**
+     * Type text into the field
+     * @param {string} text
+     */
+    type(text) {
+        if (!this.input) return;
+
+        const room = this.getMaxLength() - this.input.value.length;
+        if (room <= 0) return;
+
+        this.input.value += text.slice(0, room);
+        this.input.dispatchEvent(new Event('input', { bubbles: true }));
+
+        // One-shot shift, like a phone keyboard
+        if (this.shift) {
+            this.shift = false;
+            this.render();
+        } else {
+            this._updatePreview();
+        }
+    }
+
+    /**
+     * Delete the last character
+     */
+    backspace() {
+        if (!this.input || this.input.value.length === 0) return;
+
+        this.input.value = this.input.value.slice(0, -1);
+        this.input.dispatchEvent(new Event('input', { bubbles: true }));
+        this._updatePreview();
+    }
+
+    /**
+     * Finish entry: acts like pressing Enter in the field, then closes
+     */
+    submit() {
+        const input = this.input;
+        const onSubmit = this.options.onSubmit;
+        const value = input.value;
+
+        // Leave the field a normal password field again
+        if (input.dataset.oskPassword === 'true') {
+            input.type = 'password';
+            delete input.dataset.oskPassword;
+        }
+
+        this.close();
+
+        input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', code: 'Enter', bubbles: true }));
+        input.dispatchEvent(new KeyboardEvent('keypress', { key: 'Enter', code: 'Enter', bubbles: true }));
+        if (onSubmit) onSubmit(value);
+    }
+
+    _handleAction(action) {
+        switch (action) {
+            case 'shift':
+                this.shift = !this.shift;
+                this.render();
+                break;
+            case 'symbols':
+                this.symbols = !this.symbols;
+                this.render();
+                break;
+            case 'space':
+                this.type(' ');
+                break;
+            case 'reveal':
+                // Toggle the real field too, so the player can check it on screen
+                this.showPassword = !this.showPassword;
+                this.input.type = this.showPassword ? 'text' : 'password';
+                if (this.showPassword) {
+                    this.input.dataset.oskPassword = 'true';
+                } else {
+                    delete this.input.dataset.oskPassword;
+                }
+                this.render();
+                break;
+            case 'delete':
+                this.backspace();
+                break;
+            case 'done':
+                this.submit();
+                break;
+            case 'close':
+                if (this.input.dataset.oskPassword === 'true') {
+                    this.input.type = 'password';
+                    delete this.input.dataset.oskPassword;
+                }
+                this.close();
+                break;
+        }
+    }
+
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
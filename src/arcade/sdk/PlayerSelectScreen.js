@@ -108,7 +108,7 @@ export class PlayerSelectScreen {
         const guns = this.gunManager.guns;
         for (let i = 0; i < this.maxPlayers; i++) {
             const gun = guns[i];
-            if (gun && (gun.config.hidDeviceId || gun.config.pointerId)) {
+            if (gun && gun.isAssigned()) {
                 this.gunAssignments.push(i);
             } else {
                 this.gunAssignments.push(null); // No gun assigned
@@ -221,7 +221,7 @@ export class PlayerSelectScreen {
     _isGunConnected(gunIndex) {
         if (!this.gunManager) return false;
         const gun = this.gunManager.guns[gunIndex];
-        return gun && (gun.config.hidDeviceId || gun.config.pointerId);
+        return !!gun && gun.isAssigned();
     }
 
     /**
@@ -0,0 +1,392 @@
+/**
+ * SandboxRuntime class
+ * The page a sandboxed game runs in (see SandboxHost)
+ *
+ * The iframe is sandboxed without allow-same-origin, so the game gets an opaque
+ * origin: no arcade storage, cookies or auth tokens, and its CSP blocks network
+ * access. Inside it, the game gets a BaseGame with the SDK surface that works
+ * over messages:
+ *
+ * - this.canvas / this.ctx - an OffscreenCanvas the arcade shows in place of its own
+ * - this.input - on(event, cb) for shoot, reload, trigger*, aim, button* (as InputManager)
+ * - this.sound - the SoundManager effects (playShoot(), playHit(), ...) and playFile(path)
+ * - this.assets - loadImage / loadJSON / loadAudio / getImage / getJSON (package files and arcade assets)
+ * - this.time - setScale(), hitStop()
+ * - submitScore(), completeGame(), startGameSession(), endGameSession()
+ * - requestPermission(name), getCurrentUser(), recoil(), setGunLED(), this.services.getLeaderboard(), postActivity()
+ *   - these need a permission the player grants (see SandboxProtocol.PERMISSIONS)
+ *
+ * There is no DOM: UI builders, the player select screen and settings are not available.
+ */
+export class SandboxRuntime {
+    /**
+     * Build the iframe document
+     * @returns {string} HTML for the iframe's srcdoc
+     */
+    static getDocument() {
+        // No network, no plugins, no frames: the game's own code comes in as a blob
+        const csp = [
+            "default-src 'none'",
+            "script-src 'unsafe-inline' blob:",
+            'img-src blob: data:',
+            "style-src 'unsafe-inline'"
+        ].join('; ');
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="${csp}">
+<style>html, body { margin: 0; background: transparent; }</style>
+</head>
+<body><script>(${runtime.toString()})();</script></body>
+</html>`;
+    }
+}
+
+/**
+ * Runs inside the iframe. Serialized with toString(), so it must not use anything
+ * from outside its own body - the sound list, SDK version and everything else
+ * arrive in the init message.
+ */
+function runtime() {
+    const CHANNEL = 'pbs-sandbox';
+
+    let game = null;
+    let canvas = null;
+    let ctx = null;
+    let manifest = null;
+    let user = null;
+    let sounds = [];
+    let nextId = 1;
+    const pending = new Map();  // Request ID -> { resolve, reject }
+    const images = new Map();   // Path -> ImageBitmap
+    const json = new Map();     // Path -> data
+
+    const send = (type, payload = {}, transfer = []) => {
+        parent.postMessage({ channel: CHANNEL, type, payload }, '*', transfer);
+    };
+
+    const request = (type, payload = {}) => new Promise((resolve, reject) => {
+        const id = nextId++;
+        pending.set(id, { resolve, reject });
+        parent.postMessage({ channel: CHANNEL, type, payload, id }, '*');
+    });
+
+    const reportError = (error) => {
+        send('error', {
+            message: String((error && error.message) || error),
+            stack: typeof error?.stack === 'string' ? error.stack : undefined
+        });
+    };
+
+    /**
+     * Input events forwarded by the arcade (same events and payloads as InputManager)
+     */
+    class SandboxInput {
+        constructor() {
+            this.listeners = {};
+            this.aims = new Map();  // gunIndex -> last aim event
+        }
+
+        on(event, callback) {
+            if (!this.listeners[event]) {
+                this.listeners[event] = [];
+            }
+            this.listeners[event].push(callback);
+        }
+
+        off(event, callback) {
+            if (!this.listeners[event]) return;
+            this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+        }
+
+        emit(event, data) {
+            if (event === 'aim') {
+                this.aims.set(data.gunIndex, data);
+            }
+            (this.listeners[event] || []).forEach(callback => callback(data));
+        }
+
+        getAim(gunIndex) {
+            return this.aims.get(gunIndex) || null;
+        }
+
+        getAllAims() {
+            return Array.from(this.aims.values());
+        }
+    }
+
+    /**
+     * Base class for sandboxed games - the part of the arcade BaseGame that works over messages
+     */
+    class BaseGame {
+        constructor() {
+            if (this.constructor === BaseGame) {
+                throw new Error('BaseGame is an abstract class and cannot be instantiated directly.');
+            }
+
+            this.canvas = canvas;
+            this.ctx = ctx;
+            this.uiLayer = null;   // No DOM in the sandbox
+            this.system = null;
+            this.input = new SandboxInput();
+            this._isPaused = false;
+
+            this.sound = { playFile: (path) => send('sound.playFile', { path }) };
+            sounds.forEach(name => {
+                this.sound[name] = () => send('sound.play', { name });
+            });
+
+            this.assets = {
+                loadImage: async (path) => {
+                    if (!images.has(path)) {
+                        images.set(path, await request('assets.load', { type: 'image', path }));
+                    }
+                    return images.get(path);
+                },
+                loadJSON: async (path) => {
+                    if (!json.has(path)) {
+                        json.set(path, await request('assets.load', { type: 'json', path }));
+                    }
+                    return json.get(path);
+                },
+                // Audio plays in the arcade - the handle just names the file
+                loadAudio: async (path) => {
+                    await request('assets.load', { type: 'audio', path });
+                    return { path, play: () => send('sound.playFile', { path }) };
+                },
+                getImage: (path) => images.get(path) || null,
+                getJSON: (path) => (json.has(path) ? json.get(path) : null)
+            };
+
+            this.time = {
+                setScale: (scale, durationMs = 0) => send('time.setScale', { scale, durationMs }),
+                hitStop: (durationMs = 60) => send('time.setScale', { scale: 0, durationMs })
+            };
+
+            // Always this game's leaderboards and activity - the gameId argument is ignored,
+            // and activity only keeps data.metadata
+            this.services = {
+                getLeaderboard: (gameId, options = {}) => request('leaderboard.get', { options }),
+                postActivity: (type, data = {}) => request('activity.post', { type, data }),
+                getCurrentUser: () => this.getCurrentUser(),
+                isGuest: () => this.isGuest()
+            };
+        }
+
+        static getManifest() {
+            return manifest;
+        }
+
+        async init() {}
+        update(dt) {}
+        draw(ctx, alpha) {}
+        onPause() {}
+        onResume() {}
+        onHidden() {
+            this.pause();
+        }
+        onResize(width, height) {}
+        onKeyDown(event) {}
+        onKeyUp(event) {}
+        onStartButton(gunIndex) {}
+        destroy() {}
+
+        // Keyboard and start button input is always forwarded in the sandbox
+        enableKeyboardEvents() {}
+        enableStartButton() {}
+
+        isPaused() {
+            return this._isPaused;
+        }
+
+        pause() {
+            if (this._isPaused) return;
+            this._isPaused = true;
+            this.setInGame(false);
+            this.onPause();
+        }
+
+        resume() {
+            if (!this._isPaused) return;
+            this._isPaused = false;
+            this.setInGame(true);
+            this.onResume();
+        }
+
+        togglePause() {
+            if (this._isPaused) {
+                this.resume();
+            } else {
+                this.pause();
+            }
+        }
+
+        setInGame(inGame) {
+            send('game.setInGame', { inGame });
+        }
+
+        setCursorPolicy(policy) {
+            send('game.setCursorPolicy', { policy });
+        }
+
+        markHit(gunIndex, x, y) {
+            send('game.markHit', { gunIndex, x, y });
+        }
+
+        markMiss(gunIndex) {
+            send('game.markMiss', { gunIndex });
+        }
+
+        recoil(gunIndex, pattern = 'single') {
+            if (gunIndex < 0) return;
+            send('gun.recoil', { gunIndex, pattern });
+        }
+
+        setGunLED(gunIndex, color) {
+            if (gunIndex < 0) return;
+            send('gun.setLED', { gunIndex, color });
+        }
+
+        submitScore(score, options = {}) {
+            return request('score.submit', { score, options });
+        }
+
+        completeGame(score, options = {}) {
+            return request('score.complete', { score, options });
+        }
+
+        startGameSession(options = {}) {
+            return request('session.start', { options });
+        }
+
+        endGameSession(results = {}) {
+            return request('session.end', { results });
+        }
+
+        /**
+         * Ask the player for a permission (the arcade remembers the answer)
+         * @param {string} permission - 'playerName', 'leaderboards', 'activity' or 'gunOutput'
+         * @returns {Promise<boolean>}
+         */
+        requestPermission(permission) {
+            return request('permission.request', { permission });
+        }
+
+        getCurrentUser() {
+            return user ? { ...user } : { name: 'Player', isGuest: true };
+        }
+
+        isGuest() {
+            return !user || !!user.isGuest;
+        }
+
+        returnToArcade() {
+            send('game.exit');
+        }
+    }
+
+    const handlers = {
+        async init(payload) {
+            manifest = payload.manifest;
+            user = payload.user;
+            sounds = payload.sounds;
+            canvas = payload.canvas;
+            canvas.width = payload.width;
+            canvas.height = payload.height;
+            ctx = canvas.getContext('2d');
+            payload.images.forEach(([path, bitmap]) => images.set(path, bitmap));
+            payload.json.forEach(([path, data]) => json.set(path, data));
+
+            const module = await import(URL.createObjectURL(payload.entry));
+            let GameClass = module.Game || module.default;
+
+            // A factory, rather than the class itself
+            if (typeof GameClass === 'function' && !(GameClass.prototype instanceof BaseGame)) {
+                GameClass = GameClass({ BaseGame, SDK_VERSION: payload.sdkVersion, sandboxed: true }, manifest);
+            }
+            if (typeof GameClass !== 'function' || !(GameClass.prototype instanceof BaseGame)) {
+                throw new Error('The game must export a class extending sdk.BaseGame, or a factory returning one');
+            }
+
+            game = new GameClass();
+            await game.init();
+            send('initialized');
+        },
+
+        frame({ steps, alpha }) {
+            if (!game) return;
+            steps.forEach(dt => game.update(dt));
+            game.draw(ctx, alpha);
+            if (typeof game.getAimAssistTargets === 'function') {
+                send('aimAssistTargets', { targets: game.getAimAssistTargets() || [] });
+            }
+        },
+
+        input({ event, data }) {
+            if (!game) return;
+            if (event === 'startButton') {
+                game.onStartButton(data.gunIndex);
+            } else if (event === 'keydown') {
+                game.onKeyDown(data);
+            } else if (event === 'keyup') {
+                game.onKeyUp(data);
+            } else {
+                game.input.emit(event, data);
+            }
+        },
+
+        resize({ width, height }) {
+            if (!canvas) return;
+            canvas.width = width;
+            canvas.height = height;
+            if (game) game.onResize(width, height);
+        },
+
+        hidden() {
+            if (game) game.onHidden();
+        },
+
+        player(payload) {
+            user = payload.user;
+        },
+
+        response({ id, ok, result, error }) {
+            const entry = pending.get(id);
+            if (!entry) return;
+            pending.delete(id);
+            if (ok) {
+                entry.resolve(result);
+            } else {
+                entry.reject(new Error(error));
+            }
+        },
+
+        destroy() {
+            if (game) game.destroy();
+            game = null;
+        }
+    };
+
+    window.addEventListener('message', (event) => {
+        const message = event.data;
+        if (event.source !== parent || !message || message.channel !== CHANNEL) return;
+        if (!Object.prototype.hasOwnProperty.call(handlers, message.type)) return;
+
+        // Handlers run in arrival order; async ones (init) report their own failures
+        try {
+            const result = handlers[message.type](message.payload || {});
+            if (result && typeof result.catch === 'function') {
+                result.catch(reportError);
+            }
+        } catch (error) {
+            reportError(error);
+        }
+    });
+
+    window.addEventListener('error', (event) => reportError(event.error || event.message));
+    window.addEventListener('unhandledrejection', (event) => reportError(event.reason));
+
+    send('ready');
+}
@@ -1,6 +1,6 @@
 /**
  * SettingsScreen - Centralized settings UI component
- * Handles fullscreen, Sinden border, and gun setup
+ * Handles fullscreen, Sinden border, dwell-to-select, and gun setup
  * Can be used by both ArcadeSystem and individual games
  */
 export class SettingsScreen {
@@ -32,6 +32,13 @@ export class SettingsScreen {
     show() {
         const isFullscreen = !!document.fullscreenElement;
         const sindenEnabled = this.settings.sindenEnabled;
+        const sindenOuter = this.settings.sindenPlacement === 'outer';
+        const sindenInGame = this.settings.sindenVisibility === 'in-game';
+        const sindenAuto = this.settings.sindenAutoContrast;
+        const dwellSelect = this.settings.dwellSelect;
+        const gunFeedback = this.settings.gunFeedback;
+        const showGunCursors = this.settings.showGunCursors;
+        const canvasCursors = this.settings.cursorRenderMode === 'canvas';
 
         this.uiLayer.innerHTML = `
             <div class="screen">
@@ -55,6 +62,41 @@ export class SettingsScreen {
                         <label>Border Color:</label>
                         <input type="color" id="sinden-color" value="${this.settings.sindenColor}">
                     </div>
+                    <div class="setting-row ${sindenEnabled ? '' : 'hidden'}" id="sinden-auto-row">
+                        <label>Auto Contrast:</label>
+                        <button id="btn-sinden-auto" class="toggle-btn ${sindenAuto ? 'active' : ''}">${sindenAuto ? 'ON' : 'OFF'}</button>
+                    </div>
+                    <div class="setting-row ${sindenEnabled ? '' : 'hidden'}" id="sinden-placement-row">
+                        <label>Border Placement:</label>
+                        <button id="btn-sinden-placement" class="toggle-btn ${sindenOuter ? 'active' : ''}">${sindenOuter ? 'OUTER' : 'INNER'}</button>
+                    </div>
+                    <div class="setting-row ${sindenEnabled ? '' : 'hidden'}" id="sinden-visibility-row">
+                        <label>Show Border:</label>
+                        <button id="btn-sinden-visibility" class="toggle-btn ${sindenInGame ? 'active' : ''}">${sindenInGame ? 'IN GAME' : 'ALWAYS'}</button>
+                    </div>
+                </div>
+                
+                <div class="setting-row">
+                    <label>Dwell to Select:</label>
+                    <button id="btn-dwell" class="toggle-btn ${dwellSelect ? 'active' : ''}">${dwellSelect ? 'ON' : 'OFF'}</button>
+                </div>
+                <div class="setting-row ${dwellSelect ? '' : 'hidden'}" id="dwell-time-row">
+                    <label>Dwell Time: <span id="dwell-time-value">${(this.settings.dwellTime / 1000).toFixed(1)}s</span></label>
+                    <input type="range" id="dwell-time" min="500" max="3000" step="100" value="${this.settings.dwellTime}">
+                </div>
+
+                <div class="setting-row">
+                    <label>In-Game Cursors:</label>
+                    <button id="btn-game-cursors" class="toggle-btn ${showGunCursors ? 'active' : ''}">${showGunCursors ? 'ON' : 'OFF'}</button>
+                </div>
+                <div class="setting-row">
+                    <label>Cursor Drawing:</label>
+                    <button id="btn-cursor-render" class="toggle-btn ${canvasCursors ? 'active' : ''}">${canvasCursors ? 'CANVAS' : 'OVERLAY'}</button>
+                </div>
+
+                <div class="setting-row">
+                    <label>Recoil &amp; Gun LEDs:</label>
+                    <button id="btn-gun-feedback" class="toggle-btn ${gunFeedback ? 'active' : ''}">${gunFeedback ? 'ON' : 'OFF'}</button>
                 </div>
                 
                 ${this.options.showGunSetup ? '<button id="btn-gun-setup" class="btn-primary" style="margin-top: 1rem;">GUN SETUP</button>' : ''}
@@ -75,6 +117,17 @@ export class SettingsScreen {
         this.elements.sindenColor = document.getElementById('sinden-color');
         this.elements.sindenThicknessRow = document.getElementById('sinden-thickness-row');
         this.elements.sindenColorRow = document.getElementById('sinden-color-row');
+        this.elements.sindenAutoBtn = document.getElementById('btn-sinden-auto');
+        this.elements.sindenPlacementBtn = document.getElementById('btn-sinden-placement');
+        this.elements.sindenVisibilityBtn = document.getElementById('btn-sinden-visibility');
+        this.elements.sindenDetailRows = ['sinden-thickness-row', 'sinden-color-row', 'sinden-auto-row',
+            'sinden-placement-row', 'sinden-visibility-row'].map(id => document.getElementById(id));
+        this.elements.dwellBtn = document.getElementById('btn-dwell');
+        this.elements.dwellTime = document.getElementById('dwell-time');
+        this.elements.dwellTimeRow = document.getElementById('dwell-time-row');
+        this.elements.gameCursorsBtn = document.getElementById('btn-game-cursors');
+        this.elements.cursorRenderBtn = document.getElementById('btn-cursor-render');
+        this.elements.gunFeedbackBtn = document.getElementById('btn-gun-feedback');
         this.elements.gunSetupBtn = document.getElementById('btn-gun-setup');
         this.elements.backBtn = document.getElementById('btn-back');
 
@@ -108,6 +161,86 @@ export class SettingsScreen {
             };
         }
 
+        // Auto-contrast toggle (border color follows the scene)
+        if (this.elements.sindenAutoBtn) {
+            this.elements.sindenAutoBtn.onclick = () => {
+                const newState = !this.settings.sindenAutoContrast;
+                this.settings.setSindenAutoContrast(newState);
+                this.elements.sindenAutoBtn.classList.toggle('active', newState);
+                this.elements.sindenAutoBtn.textContent = newState ? 'ON' : 'OFF';
+            };
+        }
+
+        // Border placement: over the game edge (inner) or around a shrunken game (outer)
+        if (this.elements.sindenPlacementBtn) {
+            this.elements.sindenPlacementBtn.onclick = () => {
+                const outer = this.settings.sindenPlacement !== 'outer';
+                this.settings.setSindenPlacement(outer ? 'outer' : 'inner');
+                this.elements.sindenPlacementBtn.classList.toggle('active', outer);
+                this.elements.sindenPlacementBtn.textContent = outer ? 'OUTER' : 'INNER';
+            };
+        }
+
+        // Border visibility: always, or only while a game is running
+        if (this.elements.sindenVisibilityBtn) {
+            this.elements.sindenVisibilityBtn.onclick = () => {
+                const inGame = this.settings.sindenVisibility !== 'in-game';
+                this.settings.setSindenVisibility(inGame ? 'in-game' : 'always');
+                this.elements.sindenVisibilityBtn.classList.toggle('active', inGame);
+                this.elements.sindenVisibilityBtn.textContent = inGame ? 'IN GAME' : 'ALWAYS';
+            };
+        }
+
+        // Dwell-to-select toggle (aim at a menu item and hold still to click it)
+        if (this.elements.dwellBtn) {
+            this.elements.dwellBtn.onclick = () => {
+                const newState = !this.settings.dwellSelect;
+                this.settings.setDwellSelect(newState);
+                this.elements.dwellBtn.classList.toggle('active', newState);
+                this.elements.dwellBtn.textContent = newState ? 'ON' : 'OFF';
+                this.elements.dwellTimeRow.classList.toggle('hidden', !newState);
+            };
+        }
+
+        // Dwell time slider
+        if (this.elements.dwellTime) {
+            this.elements.dwellTime.oninput = (e) => {
+                const ms = parseInt(e.target.value);
+                this.settings.setDwellTime(ms);
+                document.getElementById('dwell-time-value').textContent = `${(ms / 1000).toFixed(1)}s`;
+            };
+        }
+
+        // In-game cursor visibility toggle (cursors always show in menus)
+        if (this.elements.gameCursorsBtn) {
+            this.elements.gameCursorsBtn.onclick = () => {
+                const newState = !this.settings.showGunCursors;
+                this.settings.setShowGunCursors(newState);
+                this.elements.gameCursorsBtn.classList.toggle('active', newState);
+                this.elements.gameCursorsBtn.textContent = newState ? 'ON' : 'OFF';
+            };
+        }
+
+        // Cursor rendering: DOM overlay, or drawn on the game canvas during gameplay
+        if (this.elements.cursorRenderBtn) {
+            this.elements.cursorRenderBtn.onclick = () => {
+                const canvas = this.settings.cursorRenderMode !== 'canvas';
+                this.settings.setCursorRenderMode(canvas ? 'canvas' : 'dom');
+                this.elements.cursorRenderBtn.classList.toggle('active', canvas);
+                this.elements.cursorRenderBtn.textContent = canvas ? 'CANVAS' : 'OVERLAY';
+            };
+        }
+
+        // Recoil, rumble and LED output toggle
+        if (this.elements.gunFeedbackBtn) {
+            this.elements.gunFeedbackBtn.onclick = () => {
+                const newState = !this.settings.gunFeedback;
+                this.settings.setGunFeedback(newState);
+                this.elements.gunFeedbackBtn.classList.toggle('active', newState);
+                this.elements.gunFeedbackBtn.textContent = newState ? 'ON' : 'OFF';
+            };
+        }
+
         // Gun setup button
         if (this.elements.gunSetupBtn && this.options.onGunSetup) {
             this.elements.gunSetupBtn.onclick = () => {
@@ -162,12 +295,8 @@ export class SettingsScreen {
         btn.classList.toggle('active', newState);
         btn.textContent = newState ? 'ON' : 'OFF';
         
-        if (newState) {
-            this.elements.sindenThicknessRow.classList.remove('hidden');
-            this.elements.sindenColorRow.classList.remove('hidden');
-        } else {
-            this.elements.sindenThicknessRow.classList.add('hidden');
-            this.elements.sindenColorRow.classList.add('hidden');
+        for (const row of this.elements.sindenDetailRows) {
+            row?.classList.toggle('hidden', !newState);
         }
     }
 
@@ -530,6 +530,48 @@ export class OverlayBuilder {
         if (overlay) overlay.remove();
     }
 
+    /**
+     * Show (or update) the gun disconnected overlay
+     * @param {Object} config
+     * @param {Array<{label: string, color: string}>} config.guns - Guns that are missing
+     * @param {Function} config.onContinue - Called when CONTINUE WITHOUT GUN is clicked
+     */
+    showGunDisconnected(config = {}) {
+        const { guns = [], onContinue } = config;
+
+        let overlay = document.getElementById('gun-disconnected-overlay');
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.id = 'gun-disconnected-overlay';
+            overlay.className = 'detection-overlay';
+            this.uiLayer.appendChild(overlay);
+        }
+
+        overlay.innerHTML = `
+            <div class="detection-message">
+                <h2>GUN DISCONNECTED</h2>
+                ${guns.map(gun => `
+                    <p style="color: ${gun.color}">${gun.label} gun disconnected — pull trigger to reconnect</p>
+                `).join('')}
+                <button id="btn-gun-continue">CONTINUE WITHOUT GUN</button>
+            </div>
+        `;
+
+        if (onContinue) {
+            overlay.querySelector('#btn-gun-continue').onclick = onContinue;
+        }
+
+        return overlay;
+    }
+
+    /**
+     * Hide the gun disconnected overlay
+     */
+    hideGunDisconnected() {
+        const overlay = document.getElementById('gun-disconnected-overlay');
+        if (overlay) overlay.remove();
+    }
+
     /**
      * Show a round/stage intro screen
      * @param {Object} config
@@ -778,18 +820,23 @@ export class OverlayBuilder {
      * @param {Object} config
      * @param {number} config.score - The score achieved
      * @param {string} config.defaultName - Default player name
+     * @param {boolean} config.initials - Arcade-style 3-letter initials instead of a name
      * @param {Function} config.onSubmit - Called with (name, score)
      */
     showNameEntry(config = {}) {
-        const { score = 0, defaultName = 'PLAYER', onSubmit } = config;
+        const { score = 0, initials = false, onSubmit } = config;
+        const defaultName = initials
+            ? (config.defaultName || 'AAA').toUpperCase().slice(0, 3)
+            : config.defaultName || 'PLAYER';
 
         this.uiLayer.innerHTML = `
             <div class="screen">
                 <h1>NEW HIGH SCORE!</h1>
                 <h2>SCORE: ${score}</h2>
                 <div class="name-entry">
-                    <label>ENTER YOUR NAME:</label>
-                    <input type="text" id="player-name" maxlength="10" value="${defaultName}" autocomplete="off">
+                    <label>${initials ? 'ENTER YOUR INITIALS:' : 'ENTER YOUR NAME:'}</label>
+                    <input type="text" id="player-name" maxlength="${initials ? 3 : 10}" value="${defaultName}" autocomplete="off"
+                           ${initials ? 'data-osk="initials"' : ''}>
                 </div>
                 <button id="btn-submit">SUBMIT</button>
             </div>
@@ -10,6 +10,7 @@
 
 // Core game interface
 export { BaseGame } from '../interfaces/BaseGame.js';
+export { SDK_VERSION } from './version.js';
 
 // UI Components
 export { 
@@ -25,6 +26,9 @@ export { GameStateMachine } from './GameStateMachine.js';
 // Settings
 export { SettingsScreen } from './SettingsScreen.js';
 
+// On-screen keyboard
+export { OnScreenKeyboard } from './OnScreenKeyboard.js';
+
 // Asset Loading
 export { AssetLoader, assetLoader } from './AssetLoader.js';
 
@@ -0,0 +1,9 @@
+/**
+ * Arcade SDK version
+ *
+ * Games declare the SDK version they were built against as manifest.sdkVersion;
+ * the arcade won't launch games that need a newer SDK than this one.
+ * Bump the minor version when the SDK gains features, the major version when
+ * games written against the old SDK would break.
+ */
+export const SDK_VERSION = '1.4.0';
@@ -0,0 +1,81 @@
+import { supabase, isSupabaseConfigured } from '../../platform/supabase.js';
+
+/**
+ * GunProfileSyncService - Stores gun profiles in the user's account
+ *
+ * Handles:
+ * - One row per device fingerprint (model + report layout), so a gun's
+ *   button map, filter and calibration follow it to any cabinet
+ * - Each row holds a GunProfileBundle with the guns of that fingerprint
+ *
+ * Merging the rows into the local setup is done by GunManager.
+ */
+export class GunProfileSyncService {
+    constructor(authService) {
+        this.auth = authService;
+    }
+
+    /**
+     * Check if profiles can be synced (signed in and online)
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return isSupabaseConfigured() && this.auth.isAuthenticated();
+    }
+
+    /**
+     * Fetch all synced profiles for the current user
+     * @returns {Promise<{profiles: Array<{fingerprint: string, bundle: Object, updatedAt: string}>, error: Error}>}
+     */
+    async fetchProfiles() {
+        if (!this.isAvailable()) {
+            return { profiles: [], error: new Error('Not signed in') };
+        }
+
+        const profile = this.auth.getCurrentUser();
+        const { data, error } = await supabase
+            .from('gun_profiles')
+            .select('fingerprint, bundle, updated_at')
+            .eq('user_id', profile.id);
+
+        if (error) {
+            return { profiles: [], error };
+        }
+
+        return {
+            profiles: data.map(row => ({
+                fingerprint: row.fingerprint,
+                bundle: row.bundle,
+                updatedAt: row.updated_at
+            })),
+            error: null
+        };
+    }
+
+    /**
+     * Save profiles, replacing the stored row for each fingerprint
+     * @param {Object<string, Object>} bundlesByFingerprint - fingerprint -> GunProfileBundle
+     * @returns {Promise<{error: Error}>}
+     */
+    async saveProfiles(bundlesByFingerprint) {
+        if (!this.isAvailable()) {
+            return { error: new Error('Not signed in') };
+        }
+
+        const profile = this.auth.getCurrentUser();
+        const rows = Object.entries(bundlesByFingerprint).map(([fingerprint, bundle]) => ({
+            user_id: profile.id,
+            fingerprint,
+            bundle
+        }));
+        if (rows.length === 0) {
+            return { error: null };
+        }
+
+        const { error } = await supabase
+            .from('gun_profiles')
+            .upsert(rows, { onConflict: 'user_id,fingerprint' });
+
+        return { error };
+    }
+}
@@ -7,6 +7,8 @@
  * - Comment on activities
  * - Filter by game
  */
+import { escapeHTML } from './escapeHTML.js';
+
 export class ActivityFeedScreen {
     constructor(container, options = {}) {
         this.container = container;
@@ -71,7 +73,7 @@ export class ActivityFeedScreen {
                         <option value="">All Games</option>
                         ${games.map(g => `
                             <option value="${g.id}" ${this.filterGame === g.id ? 'selected' : ''}>
-                                ${g.name}
+                                ${escapeHTML(g.name)}
                             </option>
                         `).join('')}
                     </select>
@@ -108,7 +110,7 @@ export class ActivityFeedScreen {
     _renderActivity(activity) {
         const timeAgo = this._formatTimeAgo(activity.createdAt);
         const game = this.gameRegistry?.getGame(activity.gameId);
-        const gameName = game?.name || activity.gameId;
+        const gameName = escapeHTML(game?.name || activity.gameId);
 
         let content = '';
         let icon = '🎮';
@@ -120,7 +122,7 @@ export class ActivityFeedScreen {
                     <span class="activity-text">
                         scored <strong>${activity.data.score?.toLocaleString()}</strong> in ${gameName}
                     </span>
-                    ${activity.data.difficulty ? `<span class="difficulty-badge">${activity.data.difficulty}</span>` : ''}
+                    ${activity.data.difficulty ? `<span class="difficulty-badge">${escapeHTML(activity.data.difficulty)}</span>` : ''}
                 `;
                 break;
 
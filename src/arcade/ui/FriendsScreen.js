@@ -8,6 +8,8 @@
  * - Recent players (people you've played with)
  * - Block/unblock users
  */
+import { escapeHTML } from './escapeHTML.js';
+
 export class FriendsScreen {
     constructor(container, options = {}) {
         this.container = container;
@@ -174,7 +176,8 @@ export class FriendsScreen {
             return 'Offline';
         }
         if (onlineStatus.status === 'playing' && onlineStatus.currentGameName) {
-            return `Playing ${onlineStatus.currentGameName}`;
+            // Game names come from manifests (installed packages too) via presence
+            return `Playing ${escapeHTML(onlineStatus.currentGameName)}`;
         }
         if (onlineStatus.status === 'away') {
             return 'Away';
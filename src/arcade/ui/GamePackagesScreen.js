@@ -0,0 +1,123 @@
+/**
+ * GamePackagesScreen - Install and remove third-party game packages
+ *
+ * Features:
+ * - Install from a .zip or a local folder (see GamePackageLoader for the layout)
+ * - List installed packages with size and version
+ * - Uninstall
+ */
+export class GamePackagesScreen {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.packageLoader = options.packageLoader;
+        this.onBack = options.onBack || (() => {});
+
+        this.isBusy = false;
+        this.message = null;   // { text, isError }
+    }
+
+    show() {
+        this.render();
+    }
+
+    render() {
+        const packages = this.packageLoader.getInstalled();
+        const supported = this.packageLoader.constructor.isSupported();
+
+        this.container.innerHTML = `
+            <div class="screen game-packages-screen">
+                <h1>GAME PACKAGES</h1>
+                <p class="package-hint">Install games shared as a .zip or a folder with a manifest.json</p>
+
+                ${packages.length === 0
+                    ? '<div class="no-scores">No games installed</div>'
+                    : `<div class="package-list">
+                        ${packages.map(pkg => `
+                            <div class="package-row" data-package-id="${pkg.id}">
+                                <span class="package-name"></span>
+                                <span class="package-info">v${pkg.version} • ${this._formatSize(pkg.size)}</span>
+                                <button class="btn-uninstall danger-btn" ${this.isBusy ? 'disabled' : ''}>REMOVE</button>
+                            </div>
+                        `).join('')}
+                    </div>`
+                }
+
+                <div class="package-status ${this.message?.isError ? 'error-message' : ''}" id="package-status"></div>
+
+                <div class="arcade-buttons">
+                    <button id="btn-install-zip" class="btn-primary" ${!supported || this.isBusy ? 'disabled' : ''}>INSTALL ZIP</button>
+                    <button id="btn-install-folder" ${!supported || this.isBusy ? 'disabled' : ''}>INSTALL FOLDER</button>
+                </div>
+                <input type="file" id="package-zip-input" accept=".zip,application/zip" hidden>
+                <input type="file" id="package-folder-input" webkitdirectory hidden>
+
+                <button id="btn-back" class="back-btn">BACK</button>
+            </div>
+        `;
+
+        // Names and messages come from package files, so they go in as text
+        this.container.querySelectorAll('.package-row').forEach(row => {
+            const pkg = packages.find(p => p.id === row.dataset.packageId);
+            row.querySelector('.package-name').textContent = pkg.name;
+        });
+        const status = document.getElementById('package-status');
+        status.textContent = !supported
+            ? 'This browser can\'t store games (no IndexedDB)'
+            : (this.isBusy ? 'Installing...' : this.message?.text || '');
+
+        this._attachEventListeners();
+    }
+
+    _attachEventListeners() {
+        const zipInput = document.getElementById('package-zip-input');
+        const folderInput = document.getElementById('package-folder-input');
+
+        document.getElementById('btn-install-zip').onclick = () => zipInput.click();
+        document.getElementById('btn-install-folder').onclick = () => folderInput.click();
+        zipInput.onchange = () => zipInput.files.length > 0 && this._install(zipInput.files[0]);
+        folderInput.onchange = () => folderInput.files.length > 0 && this._install(folderInput.files);
+
+        this.container.querySelectorAll('.package-row').forEach(row => {
+            row.querySelector('.btn-uninstall').onclick = () => this._uninstall(row.dataset.packageId);
+        });
+
+        document.getElementById('btn-back').onclick = () => this.onBack();
+    }
+
+    async _install(source) {
+        if (this.isBusy) return;
+        this.isBusy = true;
+        this.render();
+
+        try {
+            const pkg = await this.packageLoader.install(source);
+            this.message = { text: `Installed ${pkg.name} v${pkg.version}`, isError: false };
+        } catch (error) {
+            console.error('Failed to install game package:', error);
+            this.message = { text: error.message, isError: true };
+        }
+
+        this.isBusy = false;
+        this.render();
+    }
+
+    async _uninstall(id) {
+        if (this.isBusy) return;
+        const pkg = this.packageLoader.getInstalled().find(p => p.id === id);
+        if (!pkg || !confirm(`Remove ${pkg.name}? Its local high scores are kept.`)) return;
+
+        try {
+            await this.packageLoader.uninstall(id);
+            this.message = { text: `Removed ${pkg.name}`, isError: false };
+        } catch (error) {
+            console.error('Failed to uninstall game package:', error);
+            this.message = { text: error.message, isError: true };
+        }
+        this.render();
+    }
+
+    _formatSize(bytes) {
+        if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    }
+}
@@ -0,0 +1,100 @@
+/**
+ * GunReconnectPrompt class
+ * Banner shown over everything (including a running game) while guns need attention:
+ * - an assigned gun's device dropped ("plug it back in")
+ * - identical guns came back and must be re-paired ("pull the trigger on Player 1's gun")
+ *
+ * Driven entirely by GunManager events, so it works from any screen.
+ */
+export class GunReconnectPrompt {
+    constructor(gunManager) {
+        this.gunManager = gunManager;
+        this.element = null;
+
+        // Guns that dropped this session (guns simply not plugged in at startup aren't nagged about)
+        this.disconnected = new Set();
+
+        this.render = this.render.bind(this);
+        this.handleDisconnected = (gunIndex) => {
+            this.disconnected.add(gunIndex);
+            this.render();
+        };
+        this.handleReconnected = (gunIndex) => {
+            this.disconnected.delete(gunIndex);
+            this.render();
+        };
+
+        this.gunManager.on('gunDisconnected', this.handleDisconnected);
+        this.gunManager.on('gunReconnected', this.handleReconnected);
+        this.gunManager.on('repairNeeded', this.render);
+        this.gunManager.on('repairComplete', this.render);
+
+        // Re-pairing may already be pending from devices found during startup
+        this.render();
+    }
+
+    /**
+     * Rebuild the banner from GunManager state
+     */
+    render() {
+        const guns = this.gunManager.guns;
+        const repairQueue = this.gunManager.repairQueue;
+
+        const lines = [];
+        repairQueue.forEach((gunIndex, i) => {
+            const gun = guns[gunIndex];
+            if (!gun) return;
+            lines.push(i === 0
+                ? `<div class="gun-reconnect-line active" style="border-color: ${gun.color}">PULL THE TRIGGER ON ${gun.name.toUpperCase()}'S GUN</div>`
+                : `<div class="gun-reconnect-line" style="border-color: ${gun.color}">THEN ${gun.name.toUpperCase()}</div>`);
+        });
+
+        this.disconnected.forEach(gunIndex => {
+            const gun = guns[gunIndex];
+            if (!gun || !gun.config.hidDeviceId || repairQueue.includes(gunIndex)) return;
+            lines.push(`<div class="gun-reconnect-line" style="border-color: ${gun.color}">${gun.name.toUpperCase()} GUN DISCONNECTED - PLUG IT BACK IN</div>`);
+        });
+
+        if (lines.length === 0) {
+            this.hide();
+            return;
+        }
+
+        if (!this.element) {
+            this.element = document.createElement('div');
+            this.element.className = 'gun-reconnect-banner';
+            document.body.appendChild(this.element);
+        }
+
+        this.element.innerHTML = `
+            ${lines.join('')}
+            ${repairQueue.length > 0 ? '<button id="btn-skip-repair">SKIP</button>' : ''}
+        `;
+
+        const skipBtn = this.element.querySelector('#btn-skip-repair');
+        if (skipBtn) {
+            skipBtn.onclick = () => this.gunManager.skipRepair();
+        }
+    }
+
+    /**
+     * Remove the banner
+     */
+    hide() {
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+    }
+
+    /**
+     * Stop listening to GunManager
+     */
+    destroy() {
+        this.gunManager.off('gunDisconnected', this.handleDisconnected);
+        this.gunManager.off('gunReconnected', this.handleReconnected);
+        this.gunManager.off('repairNeeded', this.render);
+        this.gunManager.off('repairComplete', this.render);
+        this.hide();
+    }
+}
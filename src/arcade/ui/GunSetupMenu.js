@@ -6,6 +6,12 @@
  * 1. WebHID mode: For Gun4IR/Sinden - can distinguish multiple devices
  * 2. Pointer mode: Fallback for single mouse/touchscreen
  */
+import { Gun } from '../core/Gun.js';
+import { GunCalibration } from '../core/GunCalibration.js';
+import { AimFilter } from '../core/AimFilter.js';
+import { GamepadAim } from '../core/GamepadAim.js';
+import { Crosshair } from '../core/Crosshair.js';
+
 export class GunSetupMenu {
     constructor(arcadeManager) {
         this.arcade = arcadeManager;
@@ -91,7 +97,7 @@ export class GunSetupMenu {
         const webHIDSupported = this.gunManager.shouldUseWebHID();
         
         const gunsHtml = this.gunManager.guns.map(gun => {
-            const isConnected = gun.config.pointerId !== null || gun.config.hidDeviceId !== null;
+            const isConnected = gun.isAssigned();
             const isCalibrated = this.gunManager.isGunCalibrated(gun.index);
             const statusClass = isConnected ? 'connected' : 'disconnected';
             let statusText = isConnected ? 'CONNECTED' : 'NOT ASSIGNED';
@@ -105,12 +111,21 @@ export class GunSetupMenu {
             if (gun.config.hidDeviceId) {
                 deviceId = gun.config.deviceName || gun.config.hidDeviceId.substring(0, 12) + '...';
                 deviceType = gun.config.deviceType || 'gun4ir';
+            } else if (gun.config.virtualDevice) {
+                deviceId = gun.config.deviceName || gun.config.virtualDevice;
             } else if (gun.config.pointerId !== null) {
                 deviceId = `Pointer ${gun.config.pointerId}`;
                 deviceType = 'mouse';
             }
 
             const showCursor = gun.config.showCursor !== false;
+            const isGamepad = gun.config.deviceType === 'gamepad' && !!gun.config.virtualDevice;
+
+            // Summarise optional actions that have a button mapped
+            const extraActions = Gun.ACTIONS
+                .filter(action => !action.required && gun.config.buttons[action.id] !== null && gun.config.buttons[action.id] !== undefined)
+                .map(action => `${action.id} (Btn ${gun.config.buttons[action.id]})`)
+                .join(', ');
             
             // Get player assignment from LocalPlayersManager
             const assignedSlot = this.arcade.localPlayers?.getSlotForGun(gun.index);
@@ -150,7 +165,7 @@ export class GunSetupMenu {
             </div>
             <div class="detail-row">
               <label>Device:</label>
-              <span title="${gun.config.hidDeviceId || gun.config.pointerId || ''}">${deviceId}</span>
+              <span title="${gun.config.hidDeviceId || gun.config.virtualDevice || gun.config.pointerId || ''}">${deviceId}</span>
             </div>
             <div class="detail-row">
               <label>Trigger:</label>
@@ -160,6 +175,19 @@ export class GunSetupMenu {
               <label>Reload:</label>
               <span>Btn ${gun.config.buttons.reload}</span>
             </div>
+            ${extraActions ? `
+            <div class="detail-row">
+              <label>Extra:</label>
+              <span>${extraActions}</span>
+            </div>` : ''}
+            <div class="detail-row">
+              <label>Reload Mode:</label>
+              <select class="reload-mode-select" data-index="${gun.index}">
+                ${Gun.RELOAD_MODES.map(mode => `
+                  <option value="${mode.id}" ${gun.config.reloadMode === mode.id ? 'selected' : ''}>${mode.label}</option>
+                `).join('')}
+              </select>
+            </div>
             <div class="detail-row">
               <label>Show Cursor:</label>
               <input type="checkbox" class="cursor-toggle" data-index="${gun.index}" ${showCursor ? 'checked' : ''}>
@@ -167,8 +195,14 @@ export class GunSetupMenu {
           </div>
           <div class="gun-actions">
             ${isConnected ?
-                    `<button class="btn-calibrate" data-index="${gun.index}">CALIBRATE</button>
-                     <button class="btn-map" data-index="${gun.index}">MAP BUTTONS</button>
+                    `${gun.config.virtualDevice ? '' : `<button class="btn-calibrate" data-index="${gun.index}">CALIBRATE</button>`}
+                     ${!gun.config.virtualDevice || isGamepad ? `<button class="btn-map" data-index="${gun.index}">MAP BUTTONS</button>` : ''}
+                     ${isGamepad ? `<button class="btn-stick" data-index="${gun.index}">STICK & AIM ASSIST</button>` : ''}
+                     ${gun.config.hidDeviceId ? `<button class="btn-filter" data-index="${gun.index}">SMOOTHING</button>
+                     <button class="btn-latency" data-index="${gun.index}">LATENCY TEST</button>` : ''}
+                     <button class="btn-crosshair" data-index="${gun.index}">CROSSHAIR</button>
+                     ${this.gunManager.output.hasFeedback(gun) ? `<button class="btn-recoil" data-index="${gun.index}">TEST RECOIL</button>` : ''}
+                     ${this.gunManager.isGunCalibrated(gun.index) ? `<button class="btn-accuracy" data-index="${gun.index}">TEST ACCURACY</button>` : ''}
                      <button class="btn-unassign" data-index="${gun.index}">UNASSIGN</button>` :
                     `<button class="btn-assign-manual" data-index="${gun.index}">ASSIGN DEVICE</button>`
                 }
@@ -204,6 +238,7 @@ export class GunSetupMenu {
             <p class="warning">⚠️ For lightgun support, please use Chrome or Edge browser.</p>
             <p>Mouse input works automatically without configuration.</p>
           `}
+          <p>Use "ASSIGN DEVICE" to give a player the mouse, a touch zone, the keyboard or a gamepad instead of a lightgun.</p>
         </div>
 
         ${availableDevicesHtml}
@@ -215,6 +250,17 @@ export class GunSetupMenu {
         <div class="setup-controls">
           ${webHIDSupported ? `
             <button id="btn-add-hid-devices" class="primary">ADD LIGHTGUNS</button>
+            <button id="btn-import-device-profile">IMPORT DEVICE PROFILE</button>
+            <input type="file" id="input-device-profile" accept=".json,application/json" style="display: none;">
+          ` : ''}
+          <button id="btn-export-gun-profiles">EXPORT PROFILES</button>
+          <button id="btn-import-gun-profiles">IMPORT PROFILES</button>
+          <input type="file" id="input-gun-profiles" accept=".json,application/json" style="display: none;">
+          <button id="btn-record-input" class="${this.gunManager.recorder.isRecording ? 'active' : ''}">${this.gunManager.recorder.isRecording ? 'STOP RECORDING' : 'RECORD INPUT'}</button>
+          <button id="btn-replay-input" class="${this.gunManager.replay ? 'active' : ''}">${this.gunManager.replay ? 'STOP REPLAY' : 'REPLAY RECORDING'}</button>
+          <input type="file" id="input-replay-recording" accept=".json,application/json" style="display: none;">
+          ${this.gunManager.profileSync?.isAvailable() ? `
+            <button id="btn-sync-gun-profiles" class="toggle-btn ${this.arcade.settings.syncGunProfiles ? 'active' : ''}">ACCOUNT SYNC: ${this.arcade.settings.syncGunProfiles ? 'ON' : 'OFF'}</button>
           ` : ''}
           <button id="btn-reset-guns" class="danger">RESET ALL</button>
           <button id="btn-back-arcade">BACK</button>
@@ -239,6 +285,68 @@ export class GunSetupMenu {
             addHIDBtn.onclick = () => this.addHIDDevices();
         }
 
+        // WebHID: Import a JSON device profile for guns without a built-in profile
+        const importProfileBtn = document.getElementById('btn-import-device-profile');
+        const profileInput = document.getElementById('input-device-profile');
+        if (importProfileBtn && profileInput) {
+            importProfileBtn.onclick = () => profileInput.click();
+            profileInput.onchange = async () => {
+                const file = profileInput.files[0];
+                profileInput.value = '';
+                if (file) {
+                    await this.importDeviceProfile(file);
+                }
+            };
+        }
+
+        // Export / import every gun's assignment, buttons, filter and calibration
+        document.getElementById('btn-export-gun-profiles').onclick = () => this.exportGunProfiles();
+        const gunProfilesInput = document.getElementById('input-gun-profiles');
+        document.getElementById('btn-import-gun-profiles').onclick = () => gunProfilesInput.click();
+        gunProfilesInput.onchange = async () => {
+            const file = gunProfilesInput.files[0];
+            gunProfilesInput.value = '';
+            if (file) {
+                await this.importGunProfiles(file);
+            }
+        };
+
+        // Record input for a bug report, or replay a recording
+        document.getElementById('btn-record-input').onclick = () => this.toggleInputRecording();
+        const replayInput = document.getElementById('input-replay-recording');
+        document.getElementById('btn-replay-input').onclick = () => {
+            if (this.gunManager.replay) {
+                this.gunManager.stopReplay();
+            } else {
+                replayInput.click();
+            }
+        };
+        replayInput.onchange = async () => {
+            const file = replayInput.files[0];
+            replayInput.value = '';
+            if (file) {
+                await this.replayInputRecording(file);
+            }
+        };
+
+        // Sync gun profiles to the signed-in account
+        const syncBtn = document.getElementById('btn-sync-gun-profiles');
+        if (syncBtn) {
+            syncBtn.onclick = async () => {
+                const enabled = !this.arcade.settings.syncGunProfiles;
+                syncBtn.classList.toggle('active', enabled);
+                syncBtn.textContent = `ACCOUNT SYNC: ${enabled ? 'ON' : 'OFF'}`;
+                const { applied, error } = await this.arcade.settings.setSyncGunProfiles(enabled);
+                if (error) {
+                    this.showToast(`Sync failed: ${error.message}`, 5000);
+                } else if (applied > 0) {
+                    this.showToast(`Applied ${applied} gun profile(s) from your account`);
+                    this.render();
+                    this.attachListeners();
+                }
+            };
+        }
+
         // Reset button
         document.getElementById('btn-reset-guns').onclick = async () => {
             if (confirm('Are you sure you want to reset all gun assignments?')) {
@@ -265,6 +373,58 @@ export class GunSetupMenu {
             };
         });
 
+        // Aim smoothing
+        document.querySelectorAll('.btn-filter').forEach(btn => {
+            btn.onclick = (e) => {
+                const index = parseInt(e.target.dataset.index);
+                this.showFilterSettings(index);
+            };
+        });
+
+        // Gamepad stick settings
+        document.querySelectorAll('.btn-stick').forEach(btn => {
+            btn.onclick = (e) => {
+                const index = parseInt(e.target.dataset.index);
+                this.showGamepadSettings(index);
+            };
+        });
+
+        // Crosshair style
+        document.querySelectorAll('.btn-crosshair').forEach(btn => {
+            btn.onclick = (e) => {
+                const index = parseInt(e.target.dataset.index);
+                this.showCrosshairSettings(index);
+            };
+        });
+
+        // Force feedback check (works even with recoil turned off in settings)
+        document.querySelectorAll('.btn-recoil').forEach(btn => {
+            btn.onclick = (e) => {
+                const index = parseInt(e.target.dataset.index);
+                const output = this.gunManager.output;
+                const enabled = output.enabled;
+                output.enabled = true;
+                output.recoil(index, 'double');
+                output.enabled = enabled;
+            };
+        });
+
+        // Latency diagnostic
+        document.querySelectorAll('.btn-latency').forEach(btn => {
+            btn.onclick = (e) => {
+                const index = parseInt(e.target.dataset.index);
+                this.showLatencyTest(index);
+            };
+        });
+
+        // Calibration accuracy test
+        document.querySelectorAll('.btn-accuracy').forEach(btn => {
+            btn.onclick = (e) => {
+                const index = parseInt(e.target.dataset.index);
+                this.showAccuracyTest(index);
+            };
+        });
+
         // Unassign buttons
         document.querySelectorAll('.btn-unassign').forEach(btn => {
             btn.onclick = async (e) => {
@@ -297,6 +457,21 @@ export class GunSetupMenu {
             };
         });
         
+        // Reload mode dropdowns
+        document.querySelectorAll('.reload-mode-select').forEach(select => {
+            select.onchange = async (e) => {
+                const index = parseInt(e.target.dataset.index);
+                const gun = this.gunManager.guns[index];
+                if (gun) {
+                    gun.config.reloadMode = e.target.value;
+                    await this.gunManager.saveProfiles();
+                    if (gun.config.reloadMode === 'pedal' && gun.config.buttons.pedal === null) {
+                        this.showToast('Map a PEDAL button in MAP BUTTONS to use pedal reload');
+                    }
+                }
+            };
+        });
+
         // Player assignment dropdowns
         document.querySelectorAll('.player-assign-select').forEach(select => {
             select.onchange = (e) => {
@@ -354,6 +529,145 @@ export class GunSetupMenu {
         }
     }
 
+    /**
+     * Import a device profile from a JSON file
+     * @param {File} file
+     */
+    async importDeviceProfile(file) {
+        try {
+            const text = await file.text();
+            const profile = await this.gunManager.hidManager.addDeviceProfile(text);
+            this.showToast(`Device profile added: ${profile.name}\n\nClick "ADD LIGHTGUNS" to select the device.`);
+            this.availableHIDDevices = this.gunManager.getAvailableHIDDevices();
+            this.render();
+            this.attachListeners();
+        } catch (error) {
+            console.error('Error importing device profile:', error);
+            this.showToast(error.message, 5000);
+        }
+    }
+
+    /**
+     * Download all gun profiles as a JSON file
+     */
+    exportGunProfiles() {
+        const bundle = this.gunManager.exportProfiles();
+        const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `gun-profiles-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Start recording input, or stop and save the recording
+     * Recording carries on while games are played, with a REC badge on screen.
+     */
+    toggleInputRecording() {
+        const recorder = this.gunManager.recorder;
+        if (recorder.isRecording) {
+            this.gunManager.stopRecording();
+            return;
+        }
+
+        // Also runs when the recording fills up and stops by itself
+        recorder.onStop = (recording) => {
+            document.querySelector('.input-recording-badge')?.remove();
+            this.saveInputRecording(recording);
+            this.refreshIfVisible();
+        };
+
+        if (!this.gunManager.startRecording()) {
+            this.showToast('Stop the replay before recording');
+            return;
+        }
+
+        const badge = document.createElement('div');
+        badge.className = 'input-recording-badge';
+        badge.textContent = '● REC';
+        document.body.appendChild(badge);
+
+        this.showToast('Recording input.\nPlay until the problem happens, then come back and press STOP RECORDING.', 5000);
+        this.refreshIfVisible();
+    }
+
+    /**
+     * Download a recording as a JSON file
+     * @param {Object} recording
+     */
+    saveInputRecording(recording) {
+        const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `input-recording-${recording.recordedAt.replace(/[:.]/g, '-')}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Replay a recording file through the normal input path
+     * @param {File} file
+     */
+    async replayInputRecording(file) {
+        let text;
+        try {
+            text = await file.text();
+        } catch (error) {
+            this.showToast(`Could not read recording: ${error.message}`, 5000);
+            return;
+        }
+
+        const useRecordedProfiles = confirm('Also load the gun setup and calibration saved in the recording? This replaces your current setup.');
+        const replay = this.gunManager.replayRecording(text, { useRecordedProfiles });
+        this.refreshIfVisible();
+
+        try {
+            const player = await replay;
+            if (document.getElementById('btn-record-input')) {
+                const warning = player.checkViewport();
+                this.showToast(warning ? `Replay finished\n${warning}` : 'Replay finished');
+            }
+        } catch (error) {
+            console.error('Error replaying input recording:', error);
+            this.showToast(`Replay failed: ${error.message}`, 5000);
+        }
+        this.refreshIfVisible();
+    }
+
+    /**
+     * Re-render the menu if it is on screen
+     */
+    refreshIfVisible() {
+        if (document.getElementById('btn-record-input')) {
+            this.availableHIDDevices = this.gunManager.getAvailableHIDDevices();
+            this.render();
+            this.attachListeners();
+        }
+    }
+
+    /**
+     * Replace the gun setup with an exported JSON file
+     * @param {File} file
+     */
+    async importGunProfiles(file) {
+        try {
+            const text = await file.text();
+            const count = await this.gunManager.importProfiles(text);
+            this.showToast(`Imported ${count} gun profile(s)`);
+            this.availableHIDDevices = this.gunManager.getAvailableHIDDevices();
+            this.render();
+            this.attachListeners();
+        } catch (error) {
+            console.error('Error importing gun profiles:', error);
+            this.showToast(error.message, 5000);
+        }
+    }
+
     /**
      * Unassign a gun from its player slot
      */
@@ -363,13 +677,14 @@ export class GunSetupMenu {
 
         gun.config.pointerId = null;
         gun.config.hidDeviceId = null;
+        gun.config.virtualDevice = null;
+        gun.config.deviceFingerprint = null;
         gun.config.deviceType = 'mouse';
         gun.config.deviceName = '';
         gun.state.isConnected = false;
+        this.gunManager.repairQueue = this.gunManager.repairQueue.filter(index => index !== gunIndex);
 
-        this.gunManager.activeGunCount = this.gunManager.guns.filter(g => 
-            g.config.hidDeviceId !== null || g.config.pointerId !== null
-        ).length;
+        this.gunManager.activeGunCount = this.gunManager.guns.filter(g => g.isAssigned()).length;
 
         await this.gunManager.saveProfiles();
         
@@ -382,6 +697,7 @@ export class GunSetupMenu {
 
     /**
      * Start calibration for a gun
+     * Asks for a calibration mode first (2-point, 4-point or 9-point)
      */
     startCalibration(gunIndex) {
         const gun = this.gunManager.guns[gunIndex];
@@ -390,11 +706,55 @@ export class GunSetupMenu {
             return;
         }
 
+        const modes = GunCalibration.MODES;
+        const overlay = document.createElement('div');
+        overlay.className = 'detection-overlay';
+        overlay.innerHTML = `
+            <div class="detection-message">
+                <h2>CALIBRATE ${gun.name}</h2>
+                <p>Use 4-POINT or 9-POINT for CRTs, projectors, or when the gun is not square to the screen.</p>
+                <div class="device-list">
+                    ${Object.entries(modes).map(([mode, info]) => `
+                        <button class="calibration-mode-option" data-mode="${mode}">${info.label}</button>
+                    `).join('')}
+                </div>
+                <button id="btn-cancel-cal-mode">CANCEL</button>
+            </div>
+        `;
+        document.querySelector('.gun-setup-screen').appendChild(overlay);
+
+        overlay.querySelectorAll('.calibration-mode-option').forEach(btn => {
+            btn.onclick = () => {
+                overlay.remove();
+                this.runCalibration(gunIndex, btn.dataset.mode);
+            };
+        });
+
+        document.getElementById('btn-cancel-cal-mode').onclick = () => {
+            overlay.remove();
+        };
+    }
+
+    /**
+     * Run the calibration wizard and report the per-point residual error
+     * @param {number} gunIndex
+     * @param {string} mode - '2point', '4point' or '9point'
+     */
+    runCalibration(gunIndex, mode) {
+        const gun = this.gunManager.guns[gunIndex];
+
         this.gunManager.startCalibration(
             gunIndex,
             (result) => {
-                // Calibration complete
-                this.showToast(`Calibration complete for ${gun.name}!\n\nThe cursor should now track accurately.`);
+                // Calibration complete - residuals are only meaningful for an over-determined fit
+                let report = '';
+                if (result.residuals && result.residuals.length > 4) {
+                    const perPoint = result.residuals
+                        .map(r => `${r.label}: ${r.error.toFixed(1)}px`)
+                        .join('\n');
+                    report = `\n\n${perPoint}\n\nMean: ${result.meanError.toFixed(1)}px, Max: ${result.maxError.toFixed(1)}px`;
+                }
+                this.showToast(`Calibration complete for ${gun.name}!${report}\n\nThe cursor should now track accurately.`, report ? 5000 : 3000);
                 this.render();
                 this.attachListeners();
             },
@@ -402,7 +762,8 @@ export class GunSetupMenu {
                 // Calibration cancelled
                 this.render();
                 this.attachListeners();
-            }
+            },
+            mode
         );
     }
 
@@ -411,8 +772,9 @@ export class GunSetupMenu {
      */
     showDeviceSelector(gunIndex) {
         const availableDevices = this.gunManager.getAvailableHIDDevices();
+        const virtualDevices = this.gunManager.getAvailableVirtualDevices();
         
-        if (availableDevices.length === 0) {
+        if (availableDevices.length === 0 && virtualDevices.length === 0) {
             // No HID devices available, prompt to add or use pointer detection
             const webHIDSupported = this.gunManager.shouldUseWebHID();
             if (webHIDSupported) {
@@ -436,6 +798,12 @@ export class GunSetupMenu {
                             <span class="device-type">${device.type}</span>
                         </button>
                     `).join('')}
+                    ${virtualDevices.map(device => `
+                        <button class="device-option" data-virtual-id="${device.id}">
+                            <span class="device-name">${device.label}</span>
+                            <span class="device-type">${device.type}</span>
+                        </button>
+                    `).join('')}
                 </div>
                 <button id="btn-cancel-select">CANCEL</button>
             </div>
@@ -447,7 +815,9 @@ export class GunSetupMenu {
             btn.onclick = async () => {
                 const deviceId = btn.dataset.deviceId;
                 const device = availableDevices.find(d => d.id === deviceId);
-                if (device) {
+                if (btn.dataset.virtualId) {
+                    await this.gunManager.assignVirtualDevice(btn.dataset.virtualId, gunIndex);
+                } else if (device) {
                     await this.gunManager.assignHIDDevice(device, gunIndex);
                     this.availableHIDDevices = this.gunManager.getAvailableHIDDevices();
                 }
@@ -465,26 +835,90 @@ export class GunSetupMenu {
 
     /**
      * Start button mapping flow for a gun
+     * Shows every logical action with its current button so any of them can be (re)mapped
      * @param {number} gunIndex 
      */
-    async startMapping(gunIndex) {
+    startMapping(gunIndex) {
         const gun = this.gunManager.guns[gunIndex];
+        if (!gun) return;
 
-        try {
-            // Step 1: Trigger
-            await this.mapSingleButton(gunIndex, 'TRIGGER', (btn) => {
-                gun.config.buttons.trigger = btn;
-            });
+        const formatButton = (btn) => (btn === null || btn === undefined ? '-' : `Btn ${btn}`);
 
-            // Step 2: Reload
-            await this.mapSingleButton(gunIndex, 'RELOAD (or Side Button)', (btn) => {
-                gun.config.buttons.reload = btn;
-            });
+        const overlay = document.createElement('div');
+        overlay.className = 'detection-overlay';
+        overlay.innerHTML = `
+            <div class="detection-message button-map-panel">
+                <h2>BUTTONS - ${gun.name}</h2>
+                <div class="button-map-list">
+                    ${Gun.ACTIONS.map(action => `
+                        <div class="detail-row button-map-row">
+                            <label>${action.label}</label>
+                            <span>${formatButton(gun.config.buttons[action.id])}</span>
+                            <button class="btn-map-action" data-action="${action.id}">MAP</button>
+                            ${action.required ? '' : `<button class="btn-clear-action" data-action="${action.id}">CLEAR</button>`}
+                        </div>
+                    `).join('')}
+                </div>
+                <button id="btn-map-required" class="primary">MAP TRIGGER / RELOAD / START</button>
+                <button id="btn-map-done">DONE</button>
+            </div>
+        `;
+        document.querySelector('.gun-setup-screen').appendChild(overlay);
 
-            // Step 3: Start
-            await this.mapSingleButton(gunIndex, 'START / PAUSE', (btn) => {
-                gun.config.buttons.start = btn;
-            });
+        const reopen = () => {
+            overlay.remove();
+            this.startMapping(gunIndex);
+        };
+
+        overlay.querySelectorAll('.btn-map-action').forEach(btn => {
+            btn.onclick = async () => {
+                const action = Gun.ACTIONS.find(a => a.id === btn.dataset.action);
+                overlay.style.display = 'none';
+                try {
+                    await this.mapSingleButton(gunIndex, action.label, (btnIndex) => {
+                        gun.config.buttons[action.id] = btnIndex;
+                    });
+                    await this.gunManager.saveProfiles();
+                } catch (e) {
+                    console.log('Mapping cancelled');
+                }
+                reopen();
+            };
+        });
+
+        overlay.querySelectorAll('.btn-clear-action').forEach(btn => {
+            btn.onclick = async () => {
+                gun.config.buttons[btn.dataset.action] = null;
+                await this.gunManager.saveProfiles();
+                reopen();
+            };
+        });
+
+        document.getElementById('btn-map-required').onclick = async () => {
+            overlay.remove();
+            await this.mapRequiredButtons(gunIndex);
+        };
+
+        document.getElementById('btn-map-done').onclick = () => {
+            overlay.remove();
+            this.render();
+            this.attachListeners();
+        };
+    }
+
+    /**
+     * Map the required actions (trigger, reload, start) in sequence
+     * @param {number} gunIndex 
+     */
+    async mapRequiredButtons(gunIndex) {
+        const gun = this.gunManager.guns[gunIndex];
+
+        try {
+            for (const action of Gun.ACTIONS.filter(a => a.required)) {
+                await this.mapSingleButton(gunIndex, action.label, (btn) => {
+                    gun.config.buttons[action.id] = btn;
+                });
+            }
 
             // Save and refresh
             await this.gunManager.saveProfiles();
@@ -499,6 +933,548 @@ export class GunSetupMenu {
         }
     }
 
+    /**
+     * Show aim smoothing settings for a gun
+     * Changes apply immediately so the cursor can be checked while adjusting
+     * @param {number} gunIndex
+     */
+    showFilterSettings(gunIndex) {
+        const gun = this.gunManager.guns[gunIndex];
+        if (!gun) return;
+
+        const filter = { ...AimFilter.DEFAULTS, ...gun.config.filter };
+        const sliders = [
+            { key: 'minCutoff', label: 'Smoothing (lower = smoother)', min: 0.1, max: 5, step: 0.1, unit: 'Hz' },
+            { key: 'beta', label: 'Responsiveness', min: 0, max: 0.1, step: 0.001, unit: '' },
+            { key: 'deadZone', label: 'Dead Zone', min: 0, max: 10, step: 1, unit: 'px' },
+            { key: 'prediction', label: 'Prediction', min: 0, max: 50, step: 1, unit: 'ms' },
+            { key: 'rewindMs', label: 'Shot Rewind', min: 0, max: 100, step: 5, unit: 'ms' }
+        ];
+
+        const overlay = document.createElement('div');
+        overlay.className = 'detection-overlay';
+        overlay.innerHTML = `
+            <div class="detection-message filter-panel">
+                <h2>AIM SMOOTHING - ${gun.name}</h2>
+                <p>Smoothing only affects the cursor. Shots use the unsmoothed position.</p>
+                <div class="detail-row">
+                    <label>Enabled:</label>
+                    <input type="checkbox" id="filter-enabled" ${filter.enabled ? 'checked' : ''}>
+                </div>
+                ${sliders.map(slider => `
+                    <div class="detail-row">
+                        <label>${slider.label}:</label>
+                        <input type="range" class="filter-slider" data-key="${slider.key}"
+                               min="${slider.min}" max="${slider.max}" step="${slider.step}" value="${filter[slider.key]}">
+                        <span id="filter-value-${slider.key}">${filter[slider.key]}${slider.unit}</span>
+                    </div>
+                `).join('')}
+                <div class="detail-row">
+                    <label>Shot Position:</label>
+                    <select id="filter-shot-position">
+                        <option value="raw" ${filter.shotPosition === 'raw' ? 'selected' : ''}>AT TRIGGER</option>
+                        <option value="rewind" ${filter.shotPosition === 'rewind' ? 'selected' : ''}>REWOUND (undo trigger jerk)</option>
+                    </select>
+                </div>
+                <button id="btn-filter-defaults">DEFAULTS</button>
+                <button id="btn-filter-done" class="primary">DONE</button>
+            </div>
+        `;
+        document.querySelector('.gun-setup-screen').appendChild(overlay);
+
+        overlay.querySelectorAll('.filter-slider').forEach(input => {
+            input.oninput = async () => {
+                const slider = sliders.find(s => s.key === input.dataset.key);
+                const value = parseFloat(input.value);
+                document.getElementById(`filter-value-${slider.key}`).textContent = `${value}${slider.unit}`;
+                await this.gunManager.setGunFilter(gunIndex, { [slider.key]: value });
+            };
+        });
+
+        document.getElementById('filter-enabled').onchange = async (e) => {
+            await this.gunManager.setGunFilter(gunIndex, { enabled: e.target.checked });
+        };
+
+        document.getElementById('filter-shot-position').onchange = async (e) => {
+            await this.gunManager.setGunFilter(gunIndex, { shotPosition: e.target.value });
+        };
+
+        document.getElementById('btn-filter-defaults').onclick = async () => {
+            // Reset the tuning, but leave smoothing on or off as the player chose
+            await this.gunManager.setGunFilter(gunIndex, { ...AimFilter.DEFAULTS, enabled: gun.config.filter.enabled });
+            overlay.remove();
+            this.showFilterSettings(gunIndex);
+        };
+
+        document.getElementById('btn-filter-done').onclick = () => {
+            overlay.remove();
+        };
+    }
+
+    /**
+     * Show stick aim settings for a gamepad gun
+     * @param {number} gunIndex
+     */
+    showGamepadSettings(gunIndex) {
+        const gun = this.gunManager.guns[gunIndex];
+        if (!gun) return;
+
+        const settings = { ...GamepadAim.DEFAULTS, ...gun.config.gamepad };
+        const sliders = [
+            { key: 'sensitivity', label: 'Sensitivity', min: 0.2, max: 3, step: 0.1, unit: 'x' },
+            { key: 'acceleration', label: 'Acceleration', min: 0, max: 3, step: 0.1, unit: 'x' },
+            { key: 'deadZone', label: 'Dead Zone', min: 0, max: 0.5, step: 0.01, unit: '' }
+        ];
+
+        const overlay = document.createElement('div');
+        overlay.className = 'detection-overlay';
+        overlay.innerHTML = `
+            <div class="detection-message filter-panel">
+                <h2>STICK AIM - ${gun.name}</h2>
+                <p>Either stick moves the crosshair. Acceleration speeds it up while the stick is held all the way.</p>
+                ${sliders.map(slider => `
+                    <div class="detail-row">
+                        <label>${slider.label}:</label>
+                        <input type="range" class="gamepad-slider" data-key="${slider.key}"
+                               min="${slider.min}" max="${slider.max}" step="${slider.step}" value="${settings[slider.key]}">
+                        <span id="gamepad-value-${slider.key}">${settings[slider.key]}${slider.unit}</span>
+                    </div>
+                `).join('')}
+                <div class="detail-row">
+                    <label>Invert Y:</label>
+                    <input type="checkbox" id="gamepad-invert-y" ${settings.invertY ? 'checked' : ''}>
+                </div>
+                <div class="detail-row">
+                    <label>Aim Assist:</label>
+                    <input type="checkbox" id="gamepad-aim-assist" ${settings.aimAssist ? 'checked' : ''}>
+                </div>
+                <p>Aim assist slows the crosshair over targets and nudges it towards them. It only applies to gamepads.</p>
+                <button id="btn-gamepad-defaults">DEFAULTS</button>
+                <button id="btn-gamepad-done" class="primary">DONE</button>
+            </div>
+        `;
+        document.querySelector('.gun-setup-screen').appendChild(overlay);
+
+        overlay.querySelectorAll('.gamepad-slider').forEach(input => {
+            input.oninput = async () => {
+                const slider = sliders.find(s => s.key === input.dataset.key);
+                const value = parseFloat(input.value);
+                document.getElementById(`gamepad-value-${slider.key}`).textContent = `${value}${slider.unit}`;
+                await this.gunManager.setGunGamepad(gunIndex, { [slider.key]: value });
+            };
+        });
+
+        document.getElementById('gamepad-invert-y').onchange = async (e) => {
+            await this.gunManager.setGunGamepad(gunIndex, { invertY: e.target.checked });
+        };
+
+        document.getElementById('gamepad-aim-assist').onchange = async (e) => {
+            await this.gunManager.setGunGamepad(gunIndex, { aimAssist: e.target.checked });
+        };
+
+        document.getElementById('btn-gamepad-defaults').onclick = async () => {
+            await this.gunManager.setGunGamepad(gunIndex, { ...GamepadAim.DEFAULTS });
+            overlay.remove();
+            this.showGamepadSettings(gunIndex);
+        };
+
+        document.getElementById('btn-gamepad-done').onclick = () => {
+            overlay.remove();
+        };
+    }
+
+    /**
+     * Show crosshair settings for a gun (shape, size, color, trail, hit markers)
+     * @param {number} gunIndex
+     */
+    showCrosshairSettings(gunIndex) {
+        const gun = this.gunManager.guns[gunIndex];
+        if (!gun) return;
+
+        const style = Crosshair.getStyle(gun);
+        const color = Crosshair.getColor(gun);
+
+        const overlay = document.createElement('div');
+        overlay.className = 'detection-overlay';
+        overlay.innerHTML = `
+            <div class="detection-message filter-panel">
+                <h2>CROSSHAIR - ${gun.name}</h2>
+                <div class="crosshair-shapes">
+                    ${Object.entries(Crosshair.SHAPES).map(([id, shape]) => `
+                        <button class="toggle-btn crosshair-shape ${style.shape === id ? 'active' : ''}" data-shape="${id}">
+                            ${Crosshair.toSVG(shape.parts, 32, color)}
+                            ${shape.label}
+                        </button>
+                    `).join('')}
+                </div>
+                <div class="detail-row">
+                    <label>Size:</label>
+                    <input type="range" id="crosshair-size" min="${Crosshair.SIZE_MIN}" max="${Crosshair.SIZE_MAX}" step="2" value="${style.size}">
+                    <span id="crosshair-size-value">${style.size}px</span>
+                </div>
+                <div class="detail-row">
+                    <label>Color:</label>
+                    <input type="color" id="crosshair-color" value="${color.toLowerCase()}">
+                    <button id="btn-crosshair-gun-color" ${style.color ? '' : 'disabled'}>GUN COLOR</button>
+                </div>
+                <div class="detail-row">
+                    <label>Trail:</label>
+                    <input type="checkbox" id="crosshair-trail" ${style.trail ? 'checked' : ''}>
+                </div>
+                <div class="detail-row">
+                    <label>Hit Markers:</label>
+                    <input type="checkbox" id="crosshair-hit-marker" ${style.hitMarker ? 'checked' : ''}>
+                </div>
+                <p>Games decide whether cursors show during play - some hide them, or only show them after a miss.</p>
+                <button id="btn-crosshair-defaults">DEFAULTS</button>
+                <button id="btn-crosshair-done" class="primary">DONE</button>
+            </div>
+        `;
+        document.querySelector('.gun-setup-screen').appendChild(overlay);
+
+        // Rebuild the panel so the previews pick up the change
+        const update = async (settings, rebuild = false) => {
+            await this.gunManager.setGunCrosshair(gunIndex, settings);
+            if (rebuild) {
+                overlay.remove();
+                this.showCrosshairSettings(gunIndex);
+            }
+        };
+
+        overlay.querySelectorAll('.crosshair-shape').forEach(btn => {
+            btn.onclick = () => update({ shape: btn.dataset.shape }, true);
+        });
+
+        document.getElementById('crosshair-size').oninput = async (e) => {
+            const size = parseInt(e.target.value);
+            document.getElementById('crosshair-size-value').textContent = `${size}px`;
+            await update({ size });
+        };
+
+        document.getElementById('crosshair-color').onchange = (e) => update({ color: e.target.value }, true);
+        document.getElementById('btn-crosshair-gun-color').onclick = () => update({ color: '' }, true);
+
+        document.getElementById('crosshair-trail').onchange = async (e) => {
+            await update({ trail: e.target.checked });
+        };
+
+        document.getElementById('crosshair-hit-marker').onchange = async (e) => {
+            await update({ hitMarker: e.target.checked });
+        };
+
+        document.getElementById('btn-crosshair-defaults').onclick = () => update({ ...Crosshair.DEFAULTS }, true);
+
+        document.getElementById('btn-crosshair-done').onclick = () => {
+            overlay.remove();
+        };
+    }
+
+    /**
+     * Show the latency diagnostic for a gun
+     * - Flash-and-shoot reaction test (gun trigger, or mouse click for comparison)
+     * - Live report rate, inter-report jitter and report-to-frame delay for the device
+     * - Latency offset setting games use to judge hits in the past
+     * @param {number} gunIndex
+     */
+    showLatencyTest(gunIndex) {
+        const gun = this.gunManager.guns[gunIndex];
+        if (!gun) return;
+
+        const TRIALS = 5;
+        const latencyStats = this.gunManager.hidManager.latencyStats;
+        latencyStats.reset(gun.config.hidDeviceId);
+        latencyStats.setFrameTracking(true);
+
+        const results = { gun: [], mouse: [] };
+        let phase = 'idle'; // 'idle', 'waiting', 'flash'
+        let flashTime = 0;
+        let flashTimer = null;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'detection-overlay';
+        overlay.innerHTML = `
+            <div class="detection-message latency-panel">
+                <h2>LATENCY TEST - ${gun.name}</h2>
+                <div id="latency-target" class="latency-target" style="height: 200px; display: flex; align-items: center; justify-content: center; background: #222; font-size: 2rem; cursor: pointer;">
+                    PULL THE TRIGGER TO START
+                </div>
+                <p>Shoot as soon as the box flashes. Click the box with a mouse to compare.</p>
+                <div id="latency-results"></div>
+                <div id="latency-stats"></div>
+                <div class="detail-row">
+                    <label>Latency Offset:</label>
+                    <input type="range" id="latency-offset" min="0" max="100" step="1" value="${gun.config.latencyOffset || 0}">
+                    <span id="latency-offset-value">${gun.config.latencyOffset || 0}ms</span>
+                </div>
+                <button id="btn-latency-estimate">USE ESTIMATE</button>
+                <button id="btn-latency-done" class="primary">DONE</button>
+            </div>
+        `;
+        document.querySelector('.gun-setup-screen').appendChild(overlay);
+
+        const target = document.getElementById('latency-target');
+        const average = (list) => list.reduce((sum, v) => sum + v, 0) / list.length;
+
+        const estimate = () => {
+            const stats = this.gunManager.getLatencyStats(gunIndex);
+            if (!stats || stats.frameDelay === null) return null;
+            // On average a movement waits half a report interval to be sent, then for the next frame
+            return stats.meanInterval / 2 + stats.frameDelay;
+        };
+
+        const renderStats = () => {
+            const stats = this.gunManager.getLatencyStats(gunIndex);
+            const statsEl = document.getElementById('latency-stats');
+            if (!statsEl) return;
+            if (!stats) {
+                statsEl.innerHTML = '<p>Move the gun to collect report timing...</p>';
+                return;
+            }
+            const est = estimate();
+            statsEl.innerHTML = `
+                <div class="detail-row"><label>Report Rate:</label><span>${stats.reportRate.toFixed(0)} Hz</span></div>
+                <div class="detail-row"><label>Interval:</label><span>${stats.meanInterval.toFixed(1)}ms (max ${stats.maxInterval.toFixed(1)}ms)</span></div>
+                <div class="detail-row"><label>Jitter:</label><span>±${stats.jitter.toFixed(1)}ms</span></div>
+                ${stats.frameDelay !== null ? `
+                <div class="detail-row"><label>Report to Frame:</label><span>${stats.frameDelay.toFixed(1)}ms (max ${stats.maxFrameDelay.toFixed(1)}ms)</span></div>` : ''}
+                ${est !== null ? `
+                <div class="detail-row"><label>Estimated Latency:</label><span class="${est > 16 ? 'warning' : ''}">${est.toFixed(1)}ms (target &lt; 16ms)</span></div>` : ''}
+            `;
+        };
+
+        const renderResults = () => {
+            const rows = ['gun', 'mouse']
+                .filter(source => results[source].length > 0)
+                .map(source => {
+                    const list = results[source];
+                    return `<div class="detail-row"><label>${source === 'gun' ? 'Gun' : 'Mouse'} Reaction:</label>
+                        <span>${average(list).toFixed(0)}ms avg, ${Math.min(...list).toFixed(0)}ms best (${list.length}/${TRIALS})</span></div>`;
+                });
+            if (results.gun.length > 0 && results.mouse.length > 0) {
+                const difference = average(results.gun) - average(results.mouse);
+                rows.push(`<div class="detail-row"><label>Gun vs Mouse:</label><span>${difference >= 0 ? '+' : ''}${difference.toFixed(0)}ms</span></div>`);
+            }
+            document.getElementById('latency-results').innerHTML = rows.join('');
+        };
+
+        const startTrial = () => {
+            phase = 'waiting';
+            target.style.background = '#222';
+            target.textContent = 'WAIT...';
+            flashTimer = setTimeout(() => {
+                phase = 'flash';
+                target.style.background = '#fff';
+                target.style.color = '#000';
+                target.textContent = 'SHOOT!';
+                // The flash is painted in this frame
+                requestAnimationFrame(frameTime => { flashTime = frameTime; });
+            }, 1500 + Math.random() * 2000);
+        };
+
+        const handleShot = (source, shotTime) => {
+            if (phase === 'idle') {
+                startTrial();
+                return;
+            }
+            if (phase === 'waiting') {
+                clearTimeout(flashTimer);
+                target.textContent = 'TOO EARLY!';
+                phase = 'idle';
+                setTimeout(() => { if (overlay.isConnected) startTrial(); }, 1000);
+                return;
+            }
+
+            // phase === 'flash'
+            phase = 'idle';
+            target.style.background = '#222';
+            target.style.color = '';
+            if (results[source].length < TRIALS && flashTime > 0) {
+                results[source].push(Math.max(0, shotTime - flashTime));
+            }
+            flashTime = 0;
+            renderResults();
+
+            const done = results[source].length >= TRIALS;
+            target.textContent = done ? 'DONE - SHOOT TO TEST AGAIN' : 'NICE! GET READY...';
+            if (done) {
+                results[source] = [];
+            } else {
+                setTimeout(() => { if (overlay.isConnected) startTrial(); }, 1000);
+            }
+        };
+
+        // Gun trigger - use the HID report's arrival time, not when the handler ran
+        const onButtonDown = (index, action) => {
+            if (index === gunIndex && action === 'trigger') {
+                handleShot('gun', gun.state.lastReportTime || performance.now());
+            }
+        };
+        this.gunManager.on('buttonDown', onButtonDown);
+
+        target.onmousedown = (e) => handleShot('mouse', e.timeStamp);
+
+        const statsTimer = setInterval(renderStats, 250);
+        renderStats();
+
+        const offsetInput = document.getElementById('latency-offset');
+        const setOffset = async (value) => {
+            offsetInput.value = value;
+            document.getElementById('latency-offset-value').textContent = `${Math.round(value)}ms`;
+            await this.gunManager.setGunLatencyOffset(gunIndex, value);
+        };
+        offsetInput.oninput = () => setOffset(parseFloat(offsetInput.value));
+
+        document.getElementById('btn-latency-estimate').onclick = async () => {
+            const est = estimate();
+            if (est === null) {
+                this.showToast('Move the gun around the screen first to collect timing data');
+                return;
+            }
+            await setOffset(Math.round(est));
+        };
+
+        document.getElementById('btn-latency-done').onclick = () => {
+            clearTimeout(flashTimer);
+            clearInterval(statsTimer);
+            this.gunManager.off('buttonDown', onButtonDown);
+            latencyStats.setFrameTracking(false);
+            overlay.remove();
+            this.render();
+            this.attachListeners();
+        };
+    }
+
+    /**
+     * Calibration accuracy test
+     * Shows a 3x3 grid of targets one at a time and measures where each shot lands.
+     * Results show the error vector per region, mean/max error, drift since the last
+     * test, and offer an offset correction (or recalibration if an offset won't help).
+     * Cursors are hidden so the player aims with the gun's sights, not the cursor.
+     */
+    showAccuracyTest(gunIndex) {
+        const gun = this.gunManager.guns[gunIndex];
+        if (!gun) return;
+
+        const targets = this.gunManager.calibration.getCalibrationPoints('9point', 90);
+        const samples = [];
+
+        const overlay = document.createElement('div');
+        overlay.className = 'detection-overlay accuracy-test-overlay';
+        document.body.appendChild(overlay);
+
+        this.gunManager.setCursorsEnabled(false);
+
+        const finish = (recalibrate = false) => {
+            this.gunManager.off('buttonDown', onButtonDown);
+            this.gunManager.setCursorsEnabled(true);
+            overlay.remove();
+            if (recalibrate) {
+                this.startCalibration(gunIndex);
+            } else {
+                this.render();
+                this.attachListeners();
+            }
+        };
+
+        const renderTarget = () => {
+            const target = targets[samples.length];
+            overlay.innerHTML = `
+                <div class="accuracy-test-info">
+                    <h2>ACCURACY TEST - ${gun.name}</h2>
+                    <p>Aim at the ${target.label} target with the gun's sights and pull the trigger (${samples.length + 1}/${targets.length})</p>
+                    <button id="btn-cancel-accuracy">CANCEL</button>
+                </div>
+                <div class="accuracy-target" style="left: ${target.x}px; top: ${target.y}px;"></div>
+            `;
+            document.getElementById('btn-cancel-accuracy').onclick = () => finish();
+        };
+
+        const renderResults = () => {
+            const { result, previous } = this.gunManager.recordGunAccuracy(gunIndex, samples);
+            const threshold = GunCalibration.ACCURACY_THRESHOLD;
+            const offsetSize = Math.hypot(result.offsetX, result.offsetY);
+
+            let verdict;
+            if (result.needsRecalibration) {
+                verdict = `<p class="warning">Error varies across the screen (${result.correctedMeanError.toFixed(1)}px after offset) - recalibration recommended.</p>`;
+            } else if (result.meanError > threshold) {
+                verdict = `<p class="warning">Shots are consistently off by ${offsetSize.toFixed(1)}px - apply the offset correction.</p>`;
+            } else {
+                verdict = '<p>Calibration is accurate.</p>';
+            }
+
+            const drift = previous
+                ? `<div class="detail-row"><label>Since Last Test:</label><span>${result.meanError - previous.meanError >= 0 ? '+' : ''}${(result.meanError - previous.meanError).toFixed(1)}px mean error</span></div>`
+                : '';
+
+            overlay.innerHTML = `
+                <svg class="accuracy-vectors" width="${window.innerWidth}" height="${window.innerHeight}">
+                    ${result.samples.map(r => `
+                        <circle cx="${r.targetX}" cy="${r.targetY}" r="6" fill="none" stroke="#888" stroke-width="2"/>
+                        <line x1="${r.targetX}" y1="${r.targetY}" x2="${r.x}" y2="${r.y}" stroke="${r.error > threshold ? '#ff4444' : '#00ff00'}" stroke-width="3"/>
+                        <circle cx="${r.x}" cy="${r.y}" r="4" fill="${gun.color}"/>
+                        <text x="${r.targetX + 10}" y="${r.targetY - 10}" fill="#fff" font-size="12">${r.error.toFixed(1)}px</text>
+                    `).join('')}
+                </svg>
+                <div class="detection-message accuracy-results">
+                    <h2>ACCURACY - ${gun.name}</h2>
+                    <div class="detail-row"><label>Mean Error:</label><span class="${result.meanError > threshold ? 'warning' : ''}">${result.meanError.toFixed(1)}px</span></div>
+                    <div class="detail-row"><label>Max Error:</label><span>${result.maxError.toFixed(1)}px</span></div>
+                    <div class="detail-row"><label>Average Offset:</label><span>${result.offsetX.toFixed(1)}, ${result.offsetY.toFixed(1)}px</span></div>
+                    ${drift}
+                    ${verdict}
+                    ${offsetSize >= 1 ? '<button id="btn-accuracy-correct">APPLY OFFSET CORRECTION</button>' : ''}
+                    ${result.needsRecalibration ? '<button id="btn-accuracy-recalibrate" class="primary">RECALIBRATE</button>' : ''}
+                    <button id="btn-accuracy-retest">TEST AGAIN</button>
+                    <button id="btn-accuracy-done" class="primary">DONE</button>
+                </div>
+            `;
+
+            const correctBtn = document.getElementById('btn-accuracy-correct');
+            if (correctBtn) {
+                correctBtn.onclick = () => {
+                    this.gunManager.applyGunOffsetCorrection(gunIndex, result.offsetX, result.offsetY);
+                    correctBtn.remove();
+                    this.showToast(`Offset correction saved for ${gun.name}.\n\nTest again to check the result.`);
+                };
+            }
+            const recalibrateBtn = document.getElementById('btn-accuracy-recalibrate');
+            if (recalibrateBtn) {
+                recalibrateBtn.onclick = () => finish(true);
+            }
+            document.getElementById('btn-accuracy-retest').onclick = () => {
+                samples.length = 0;
+                renderTarget();
+            };
+            document.getElementById('btn-accuracy-done').onclick = () => finish();
+        };
+
+        // Record the unfiltered calibrated position - the same one shots use
+        const onButtonDown = (index, action) => {
+            if (index !== gunIndex || action !== 'trigger' || samples.length >= targets.length) return;
+            if (gun.state.offscreen) return;
+
+            const target = targets[samples.length];
+            samples.push({
+                name: target.name,
+                label: target.label,
+                targetX: target.x,
+                targetY: target.y,
+                x: gun.state.rawX,
+                y: gun.state.rawY
+            });
+
+            if (samples.length >= targets.length) {
+                renderResults();
+            } else {
+                renderTarget();
+            }
+        };
+        this.gunManager.on('buttonDown', onButtonDown);
+
+        renderTarget();
+    }
+
     /**
      * Map a single button with UI feedback
      */
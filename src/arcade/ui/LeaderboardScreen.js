@@ -8,6 +8,8 @@
  * - Personal rank display
  * - Add friend from leaderboard
  */
+import { escapeHTML } from './escapeHTML.js';
+
 export class LeaderboardScreen {
     constructor(container, options = {}) {
         this.container = container;
@@ -107,7 +109,7 @@ export class LeaderboardScreen {
                         <select id="game-select" class="filter-select">
                             ${games.map(g => `
                                 <option value="${g.id}" ${this.selectedGame === g.id ? 'selected' : ''}>
-                                    ${g.name}
+                                    ${escapeHTML(g.name)}
                                 </option>
                             `).join('')}
                         </select>
@@ -201,7 +203,7 @@ export class LeaderboardScreen {
                     }
                     <span class="entry-name">${entry.user?.displayName || entry.user?.username || 'Unknown'}</span>
                 </div>
-                <span class="entry-difficulty" title="${entry.difficulty || 'normal'}">${difficultyIcon}</span>
+                <span class="entry-difficulty" title="${escapeHTML(entry.difficulty || 'normal')}">${difficultyIcon}</span>
                 <span class="entry-score">${entry.score.toLocaleString()}</span>
                 ${canAddFriend ? `
                     <div class="entry-actions">
@@ -8,6 +8,8 @@
  * - Friend actions (add, remove, block)
  * - Online status
  */
+import { escapeHTML } from './escapeHTML.js';
+
 export class ProfileViewScreen {
     constructor(container, options = {}) {
         this.container = container;
@@ -166,7 +168,8 @@ export class ProfileViewScreen {
             return 'Offline';
         }
         if (onlineStatus.status === 'playing' && onlineStatus.currentGameName) {
-            return `Playing ${onlineStatus.currentGameName}`;
+            // Game names come from manifests (installed packages too) via presence
+            return `Playing ${escapeHTML(onlineStatus.currentGameName)}`;
         }
         if (onlineStatus.status === 'away') {
             return 'Away';
@@ -0,0 +1,61 @@
+/**
+ * SandboxPermissionPrompt class
+ * Asks the player whether a sandboxed game may use something beyond the basic SDK
+ * (see SandboxProtocol.PERMISSIONS). Shown over the running game.
+ */
+export class SandboxPermissionPrompt {
+    /**
+     * @param {string} gameName - From the game's manifest (untrusted - shown as text)
+     * @param {string} description - What the permission allows
+     */
+    constructor(gameName, description) {
+        this.gameName = gameName;
+        this.description = description;
+        this.element = null;
+        this._resolve = null;
+    }
+
+    /**
+     * Show the prompt
+     * @returns {Promise<boolean>} True if the player allowed it
+     */
+    show() {
+        this.element = document.createElement('div');
+        this.element.className = 'detection-overlay sandbox-permission-prompt';
+        this.element.innerHTML = `
+            <div class="detection-message">
+                <h2 class="sandbox-permission-game"></h2>
+                <p>wants to:</p>
+                <p class="sandbox-permission-description"></p>
+                <div class="arcade-buttons">
+                    <button class="btn-allow btn-primary">ALLOW</button>
+                    <button class="btn-deny">DENY</button>
+                </div>
+            </div>
+        `;
+        this.element.querySelector('.sandbox-permission-game').textContent = this.gameName;
+        this.element.querySelector('.sandbox-permission-description').textContent = this.description;
+        document.body.appendChild(this.element);
+
+        return new Promise(resolve => {
+            this._resolve = resolve;
+            this.element.querySelector('.btn-allow').onclick = () => this.close(true);
+            this.element.querySelector('.btn-deny').onclick = () => this.close(false);
+        });
+    }
+
+    /**
+     * Remove the prompt (closing without an answer counts as deny)
+     * @param {boolean} [allowed]
+     */
+    close(allowed = false) {
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+        if (this._resolve) {
+            this._resolve(allowed);
+            this._resolve = null;
+        }
+    }
+}
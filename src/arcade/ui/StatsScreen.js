@@ -7,6 +7,8 @@
  * - Score progression charts
  * - Play activity heatmap
  */
+import { escapeHTML } from './escapeHTML.js';
+
 export class StatsScreen {
     constructor(container, options = {}) {
         this.container = container;
@@ -136,7 +138,7 @@ export class StatsScreen {
             <div class="game-stat-item" data-game-id="${game.id}">
                 <div class="game-icon">🎯</div>
                 <div class="game-info">
-                    <span class="game-name">${game.name}</span>
+                    <span class="game-name">${escapeHTML(game.name)}</span>
                 </div>
                 <button class="btn-small" data-action="view-game" data-game-id="${game.id}">
                     View Stats
@@ -156,7 +158,7 @@ export class StatsScreen {
 
         return `
             <div class="game-stats-detail">
-                <h2>${gameName}</h2>
+                <h2>${escapeHTML(gameName)}</h2>
                 
                 <div class="stats-grid">
                     <div class="stat-card">
@@ -219,7 +221,7 @@ export class StatsScreen {
                 <div class="breakdown-list">
                     ${breakdown.map(m => `
                         <div class="breakdown-item">
-                            <span class="mode-name">${m.mode} (${m.difficulty})</span>
+                            <span class="mode-name">${escapeHTML(m.mode)} (${escapeHTML(m.difficulty)})</span>
                             <span class="mode-stats">
                                 ${m.count} plays • Best: ${m.bestScore.toLocaleString()}
                             </span>
@@ -0,0 +1,15 @@
+/**
+ * Escape text for an HTML template string
+ * Manifest fields of installed packages (name, description, ...) are untrusted -
+ * put them in with textContent, or through this where a template is simpler.
+ * @param {*} text
+ * @returns {string}
+ */
+export function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
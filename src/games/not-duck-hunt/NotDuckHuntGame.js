@@ -1,6 +1,7 @@
 import { BaseGame } from '../../arcade/interfaces/BaseGame.js';
 import { RoundManager } from './RoundManager.js';
 import { BackgroundManager } from './BackgroundManager.js';
+import { manifest } from './manifest.js';
 
 export class Game extends BaseGame {
     constructor(canvas, uiLayer, system) {
@@ -12,6 +13,7 @@ export class Game extends BaseGame {
 
         this.state = "MENU"; // MENU, MODE_SELECT, DIFFICULTY_SELECT, PLAYING, ROUND_INTRO, ROUND_RESULT, GAME_OVER
         this.lastTime = 0;
+        this.pausedForGun = false; // Paused because a player's gun was unplugged
 
         // Particle effects
         this.hitEffects = [];
@@ -37,38 +39,19 @@ export class Game extends BaseGame {
 
         // Bind input via SDK-provided InputManager
         this.input.on("shoot", (coords) => this.handleShoot(coords));
+        this.input.on("reload", (data) => this.handleReload(data));
     }
 
     static getManifest() {
-        return {
-            id: 'not-duck-hunt',
-            name: 'Not Duck Hunt',
-            version: '1.0.0',
-            author: 'Lightgun Arcade',
-            description: 'Classic shooting gallery inspired by the NES classic',
-            isAvailable: true,
-            modes: ['campaign', 'endless'],
-            difficulties: ['normal'],
-            multiplayer: {
-                minPlayers: 1,
-                maxPlayers: 2,
-                supportedModes: [
-                    { id: 'coop', name: 'Co-op', type: 'cooperative', simultaneous: true },
-                    { id: 'versus', name: 'Versus', type: 'competitive', simultaneous: true },
-                    { id: 'duel', name: 'Duel', type: 'competitive', simultaneous: true }
-                ]
-            },
-            features: {
-                requiresReload: false,
-                hasAchievements: false
-            }
-        };
+        return manifest;
     }
 
     async init() {
         // Enable SDK event handling for keyboard and start button
         this.enableKeyboardEvents();
         this.enableStartButton();
+        this.enableGunHotplug();
+        this.enableRecoilOnShot();
         
         this.showMenu();
     }
@@ -88,9 +71,51 @@ export class Game extends BaseGame {
         if (event.code === "Space" && (this.state === "PLAYING" || this.state === "PAUSED")) {
             event.preventDefault();
             this.togglePause();
+        } else if (event.code === "KeyR" && this.state === "PLAYING") {
+            // Keyboard reload for mouse players (right click also works)
+            this.handleReload({ gunIndex: -1 });
         }
     }
 
+    // SDK lifecycle hook: the arcade was hidden - come back to the pause menu
+    onHidden() {
+        if (this.state === "PLAYING") {
+            this.togglePause();
+        }
+    }
+
+    // SDK lifecycle hook: a player's gun was unplugged (SDK shows the reconnect overlay)
+    onGunDisconnected(gunIndex) {
+        if (this.state === "PLAYING") {
+            this.pausedForGun = true;
+            this.togglePause();
+        }
+    }
+
+    // SDK lifecycle hook: a missing gun is back - resume if we paused for it
+    onGunReconnected(gunIndex) {
+        if (this.hasMissingGuns() || !this.pausedForGun) return;
+
+        this.pausedForGun = false;
+        if (this.state === "PAUSED") {
+            this.togglePause();
+        }
+    }
+
+    // SDK lifecycle hook: targets for gamepad aim assist
+    getAimAssistTargets() {
+        if (this.state !== "PLAYING") return [];
+        return this.roundManager.activeTargets
+            .filter(t => !t.isHit && !t.isEscaped)
+            .map(t => ({ x: t.x, y: t.y, radius: (t.size / 2) * t.hitboxMultiplier }));
+    }
+
+    // SDK lifecycle hook: paused while the pause menu (or settings from it) is up - the arcade
+    // stops auto-fire repeats while this is true
+    isPaused() {
+        return this.state === "PAUSED" || this.state === "PAUSED_SETTINGS";
+    }
+
     togglePause() {
         if (this.state === "PLAYING") {
             this.state = "PAUSED";
@@ -118,19 +143,42 @@ export class Game extends BaseGame {
 
     // SDK handles resize via onResize() hook - no manual handling needed
 
-    handleShoot({ x, y, gunIndex }) {
+    handleShoot({ x, y, gunIndex, offscreen = false }) {
         if (this.state === "PLAYING") {
             // Use SDK method to check if this gun is allowed (single player filtering)
             if (!this.isGunInputAllowed(gunIndex)) {
                 return;
             }
             
-            this.sound.playShoot();
-            
             // Get player index from gun (0 for single player/mouse)
             const playerIndex = this.getPlayerIndexFromGun(gunIndex);
+
+            // Empty magazine - dry fire until the player reloads
+            if (this.roundManager.needsReload(playerIndex)) {
+                this.sound.playEmpty();
+                this.showReloadPrompt(playerIndex);
+                return;
+            }
+            
+            this.sound.playShoot();
             
-            this.roundManager.handleShoot(x, y, playerIndex);
+            const hit = this.roundManager.handleShoot(x, y, playerIndex, offscreen);
+            if (hit) {
+                this.markHit(gunIndex, x, y);
+            } else if (hit === false) {
+                this.markMiss(gunIndex);
+            }
+        }
+    }
+
+    handleReload({ gunIndex }) {
+        if (this.state !== "PLAYING" || !this.isGunInputAllowed(gunIndex)) {
+            return;
+        }
+
+        const playerIndex = this.getPlayerIndexFromGun(gunIndex);
+        if (this.roundManager.reload(playerIndex)) {
+            this.sound.playReload();
         }
     }
 
@@ -184,7 +232,7 @@ export class Game extends BaseGame {
         }
     }
 
-    draw(ctx) {
+    draw(ctx, alpha = 1) {
         // Only draw game background when playing or in round-related states
         if (this.state === "PLAYING" || this.state === "PAUSED" || this.state === "ROUND_INTRO" || this.state === "ROUND_RESULT") {
             this.backgroundManager.draw(ctx, this.canvas.width, this.canvas.height);
@@ -195,7 +243,8 @@ export class Game extends BaseGame {
         }
 
         if (this.state === "PLAYING" || this.state === "PAUSED") {
-            this.roundManager.draw(ctx);
+            // Targets don't move while paused, so there's nothing to interpolate
+            this.roundManager.draw(ctx, this.state === "PLAYING" ? alpha : 1);
             this.drawHitEffects(ctx);
             this.drawFloatingScores(ctx);
             this.drawComboDisplay(ctx);
@@ -391,6 +440,9 @@ export class Game extends BaseGame {
         
         // Reset the multiplayer flag
         this._startingMultiplayer = false;
+
+        // Light each gun in its player's color (SDK method)
+        this.showPlayerColorsOnGuns();
         
         this.multiplayerMode = multiplayerMode;
         this.roundManager.startGame(mode, multiplayerMode);
@@ -531,6 +583,7 @@ export class Game extends BaseGame {
 
     showRoundResult(success, hits, total, roundBonuses, callback) {
         this.setInGame(false);
+        this.hideReloadPrompt();
         this.state = "ROUND_RESULT";
         
         // Build stats array with bonuses
@@ -782,6 +835,29 @@ export class Game extends BaseGame {
         this.uiLayer.appendChild(dogOverlay);
     }
 
+    showReloadPrompt(playerIndex = 0) {
+        const id = `reload-prompt-${playerIndex}`;
+        if (document.getElementById(id)) return;
+
+        const prompt = document.createElement('div');
+        prompt.id = id;
+        prompt.className = 'reload-prompt';
+        prompt.style.position = 'absolute';
+        prompt.style.bottom = '160px';
+        prompt.style.left = this.isMultiplayer() ? (playerIndex === 0 ? '25%' : '75%') : '50%';
+        prompt.style.transform = 'translateX(-50%)';
+        prompt.style.fontSize = '36px';
+        prompt.style.color = '#ff4444';
+        prompt.style.textShadow = '2px 2px 0 #000';
+        prompt.textContent = this.isMultiplayer() ? `P${playerIndex + 1} RELOAD!` : 'RELOAD!';
+        this.uiLayer.appendChild(prompt);
+    }
+
+    hideReloadPrompt(playerIndex = null) {
+        const selector = playerIndex === null ? '.reload-prompt' : `#reload-prompt-${playerIndex}`;
+        this.uiLayer.querySelectorAll(selector).forEach(el => el.remove());
+    }
+
     spawnHitEffect(x, y, scoringResult = null) {
         // Determine particle color based on scoring
         let particleColor = '#fff';
@@ -912,6 +988,7 @@ export class Game extends BaseGame {
 
     gameOver() {
         this.state = "GAME_OVER";
+        this.hideReloadPrompt();
         this.sound.playGameOver();
         this.handleGameOver(false);
     }
@@ -28,6 +28,8 @@ export class RoundManager {
         this.activeTargets = [];
         this.shotsRemaining = 3;
         this.playerAmmo = [3, 3]; // Per-player ammo for multiplayer
+        this.magazineSize = 3;
+        this.reloadEnabled = false; // Set from manifest features.requiresReload in startGame
         this.waitingForNewTarget = false;
         this.newTargetDelay = 1.5; // seconds
         this.newTargetTimer = 0;
@@ -38,6 +40,12 @@ export class RoundManager {
         // Bonus round tracking
         this.isBonusRound = false;
         this.bonusTargetsRemaining = 0;
+        this.clayWaveTimer = 0;     // Seconds until the next clay pigeon (0 = none due)
+        this.bonusClearTimer = 0;   // Seconds until checking the bonus round is clear (0 = not ending)
+
+        // Game time in seconds, advanced by update() - spawn times and the quick kill
+        // bonus use it so they stop when the game clock does and follow its time scale
+        this.gameTime = 0;
 
         // Target pool
         this.targetTypes = [Duck, Pheasant, Pigeon];
@@ -102,8 +110,12 @@ export class RoundManager {
         this.activeTargets = [];
         this.shotsRemaining = 3;
         this.playerAmmo = [3, 3];
+        this.reloadEnabled = this.game.requiresReload();
         this.waitingForNewTarget = false;
         this.isBonusRound = false;
+        this.clayWaveTimer = 0;
+        this.bonusClearTimer = 0;
+        this.gameTime = 0;
         this.targetHistory = [];
         this.nextDuelPlayer = 0; // Reset duel target assignment
 
@@ -155,8 +167,10 @@ export class RoundManager {
         this.targetsMissed = 0;
         this.activeTargets = [];
         this.shotsRemaining = 3;
+        this.playerAmmo = [3, 3]; // Every round starts with a full magazine
         this.waitingForNewTarget = false;
         this.targetHistory = [];
+        this.game.hideReloadPrompt();
         
         // Reset round stats but keep combo going between rounds
         this.resetRoundStats();
@@ -202,6 +216,8 @@ export class RoundManager {
     startBonusRound() {
         this.isBonusRound = true;
         this.bonusTargetsRemaining = 15;
+        this.clayWaveTimer = 0;
+        this.bonusClearTimer = 0;
         this.targetsHit = 0;
         this.activeTargets = [];
 
@@ -222,24 +238,41 @@ export class RoundManager {
         this.activeTargets.push(clay);
         this.bonusTargetsRemaining--;
 
-        // Continue spawning at intervals
-        if (this.bonusTargetsRemaining > 0) {
-            setTimeout(() => this.spawnClayPigeonWave(), 800);
-        }
+        // Continue spawning at intervals (the wave after the last one ends the round)
+        this.clayWaveTimer = 0.8;
     }
 
     endBonusRound() {
-        // Wait for all targets to clear
-        const checkClear = () => {
-            if (this.activeTargets.length === 0) {
-                this.game.showBonusRoundResult(this.targetsHit, () => {
-                    this.startNewRound();
-                });
-            } else {
-                setTimeout(checkClear, 100);
+        // Wait for all targets to clear (see updateBonusRound)
+        this.bonusClearTimer = 1.0;
+    }
+
+    /**
+     * Run the bonus round's clay pigeon waves and wait for the last ones to clear
+     * @param {number} dt
+     */
+    updateBonusRound(dt) {
+        if (this.clayWaveTimer > 0) {
+            this.clayWaveTimer -= dt;
+            if (this.clayWaveTimer <= 0) {
+                this.clayWaveTimer = 0;
+                this.spawnClayPigeonWave();
             }
-        };
-        setTimeout(checkClear, 1000);
+        }
+
+        if (this.bonusClearTimer > 0) {
+            this.bonusClearTimer -= dt;
+            if (this.bonusClearTimer <= 0) {
+                if (this.activeTargets.length === 0) {
+                    this.bonusClearTimer = 0;
+                    this.game.showBonusRoundResult(this.targetsHit, () => {
+                        this.startNewRound();
+                    });
+                } else {
+                    this.bonusClearTimer = 0.1;
+                }
+            }
+        }
     }
 
     spawnNewTarget() {
@@ -268,17 +301,21 @@ export class RoundManager {
         }
 
         this.currentTargetIndex += numTargets;
-        this.shotsRemaining = 3;
-        this.playerAmmo = [3, 3]; // Reset per-player ammo
+        if (!this.reloadEnabled) {
+            // Classic rules: 3 shots per target set
+            // With reload enabled ammo carries over until the player reloads
+            this.shotsRemaining = 3;
+            this.playerAmmo = [3, 3]; // Reset per-player ammo
+        }
         this.waitingForNewTarget = false;
         this.currentSetHits = 0;  // Track hits in this target set for chain bonus
         
         // Update ammo display
         if (this.game.isMultiplayer()) {
-            this.game.updateAmmoDisplay(3, 0);
-            this.game.updateAmmoDisplay(3, 1);
+            this.game.updateAmmoDisplay(this.playerAmmo[0], 0);
+            this.game.updateAmmoDisplay(this.playerAmmo[1], 1);
         } else {
-            this.game.updateAmmoDisplay(3);
+            this.game.updateAmmoDisplay(this.shotsRemaining);
         }
 
         // Add pending entries to history for new targets
@@ -343,7 +380,7 @@ export class RoundManager {
         }
         
         // Track spawn time for quick kill bonus
-        target.spawnTime = performance.now();
+        target.spawnTime = this.gameTime;
         
         // For duel mode: assign target to a player (alternate across ALL targets, not just within set)
         if (this.multiplayerMode === 'duel' && this.game.isMultiplayer()) {
@@ -355,11 +392,54 @@ export class RoundManager {
         return target;
     }
 
-    handleShoot(x, y, playerIndex = 0) {
+    /**
+     * Get the ammo left for a player (shared ammo in single player)
+     * @param {number} playerIndex
+     * @returns {number}
+     */
+    getAmmo(playerIndex = 0) {
+        return this.game.isMultiplayer()
+            ? this.playerAmmo[playerIndex]
+            : this.shotsRemaining;
+    }
+
+    /**
+     * Check whether a player has to reload before they can shoot again
+     * @param {number} playerIndex
+     * @returns {boolean}
+     */
+    needsReload(playerIndex = 0) {
+        return this.reloadEnabled && !this.isBonusRound && this.getAmmo(playerIndex) <= 0;
+    }
+
+    /**
+     * Refill a player's magazine
+     * @param {number} playerIndex
+     * @returns {boolean} True if any ammo was added
+     */
+    reload(playerIndex = 0) {
+        if (!this.reloadEnabled || this.isBonusRound) return false;
+        if (this.getAmmo(playerIndex) >= this.magazineSize) return false;
+
+        if (this.game.isMultiplayer()) {
+            this.playerAmmo[playerIndex] = this.magazineSize;
+            this.game.updateAmmoDisplay(this.magazineSize, playerIndex);
+        } else {
+            this.shotsRemaining = this.magazineSize;
+            this.game.updateAmmoDisplay(this.magazineSize);
+        }
+        this.game.hideReloadPrompt(playerIndex);
+        return true;
+    }
+
+    /**
+     * Handle a shot
+     * @returns {boolean|null} Whether the shot hit (null if no shot was taken)
+     */
+    handleShoot(x, y, playerIndex = 0, offscreen = false) {
         if (this.isBonusRound) {
             // Unlimited shots in bonus round
-            this.checkHits(x, y, playerIndex);
-            return;
+            return !offscreen && this.checkHits(x, y, playerIndex).hit;
         }
 
         // Check ammo - per-player in multiplayer, shared in single player
@@ -368,7 +448,7 @@ export class RoundManager {
             : this.shotsRemaining;
             
         if (ammoRemaining <= 0 || this.waitingForNewTarget) {
-            return;
+            return null;
         }
 
         // Deduct ammo
@@ -380,7 +460,8 @@ export class RoundManager {
             this.game.updateAmmoDisplay(this.shotsRemaining);
         }
 
-        const hitResult = this.checkHits(x, y, playerIndex);
+        // Offscreen shots spend ammo but can never hit
+        const hitResult = offscreen ? { hit: false } : this.checkHits(x, y, playerIndex);
 
         if (!hitResult.hit) {
             // Miss - break combo
@@ -399,7 +480,12 @@ export class RoundManager {
             ? this.playerAmmo.reduce((a, b) => a + b, 0)
             : this.shotsRemaining;
             
-        if (totalAmmoRemaining <= 0 && liveTargets.length > 0) {
+        if (this.reloadEnabled) {
+            // Out of ammo - prompt a reload and let the targets keep flying
+            if (this.getAmmo(playerIndex) <= 0 && liveTargets.length > 0) {
+                this.game.showReloadPrompt(playerIndex);
+            }
+        } else if (totalAmmoRemaining <= 0 && liveTargets.length > 0) {
             // All shots used and there are still live targets - show dog laugh
             this.game.showDogLaugh();
 
@@ -410,6 +496,8 @@ export class RoundManager {
             this.waitingForNewTarget = true;
             this.newTargetTimer = this.newTargetDelay;
         }
+
+        return hitResult.hit;
     }
 
     checkHits(x, y, playerIndex = 0) {
@@ -569,7 +657,7 @@ export class RoundManager {
         }
         
         // Quick kill bonus (hit within 1.5 seconds of spawn)
-        const timeSinceSpawn = (performance.now() - target.spawnTime) / 1000;
+        const timeSinceSpawn = this.gameTime - target.spawnTime;
         if (timeSinceSpawn < 1.5) {
             this.roundStats.quickKills++;
             const quickBonus = Math.floor(50 * (1.5 - timeSinceSpawn));
@@ -596,7 +684,7 @@ export class RoundManager {
     incrementCombo() {
         this.combo++;
         this.comboTimer = this.comboTimeout;
-        this.lastHitTime = performance.now();
+        this.lastHitTime = this.gameTime;
         
         if (this.combo > this.maxCombo) {
             this.maxCombo = this.combo;
@@ -626,6 +714,8 @@ export class RoundManager {
     }
 
     update(dt) {
+        this.gameTime += dt;
+
         // Update combo timer
         if (this.comboTimer > 0) {
             this.comboTimer -= dt;
@@ -661,6 +751,10 @@ export class RoundManager {
             }
         }
 
+        if (this.isBonusRound) {
+            this.updateBonusRound(dt);
+        }
+
         // Check if need to spawn new target
         if (this.waitingForNewTarget) {
             this.newTargetTimer -= dt;
@@ -680,10 +774,10 @@ export class RoundManager {
         }
     }
 
-    draw(ctx) {
+    draw(ctx, alpha = 1) {
         // Draw all active targets
         this.activeTargets.forEach(target => {
-            target.draw(ctx);
+            target.draw(ctx, alpha);
         });
 
         // Draw target progress bar at bottom of screen
@@ -16,6 +16,8 @@ export class Target {
         this.y = 0;
         this.vx = 0;
         this.vy = 0;
+        this.prevX = null;  // Position before the last update (null until the first), for interpolated drawing
+        this.prevY = null;
         this.isHit = false;
         this.isEscaped = false;
         this.isOffScreen = false;
@@ -120,6 +122,9 @@ export class Target {
     }
 
     update(dt) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+
         if (this.isHit) {
             // Fall animation
             this.y += 400 * dt;
@@ -180,11 +185,26 @@ export class Target {
         }
     }
 
-    draw(ctx) {
+    /**
+     * Where to draw this frame - between the positions before and after the last update,
+     * so movement stays smooth when the display and the fixed update rate don't line up
+     * @param {number} alpha - How far (0-1) the frame is between the last update and the next
+     * @returns {{x: number, y: number}}
+     */
+    getDrawPosition(alpha) {
+        if (this.prevX === null) return { x: this.x, y: this.y };
+        return {
+            x: this.prevX + (this.x - this.prevX) * alpha,
+            y: this.prevY + (this.y - this.prevY) * alpha
+        };
+    }
+
+    draw(ctx, alpha = 1) {
         if (this.isOffScreen) return;
 
+        const { x, y } = this.getDrawPosition(alpha);
         ctx.save();
-        ctx.translate(this.x, this.y);
+        ctx.translate(x, y);
         ctx.rotate(this.rotation);
 
         if (this.spriteLoaded && this.sprite) {
@@ -0,0 +1,49 @@
+/**
+ * Game manifest - kept apart from the game code so the arcade menu can list the
+ * game without downloading it (see GameRegistry)
+ */
+export const manifest = {
+    id: 'not-duck-hunt',
+    name: 'Not Duck Hunt',
+    version: '1.0.0',
+    sdkVersion: '1.4.0',
+    author: 'Lightgun Arcade',
+    description: 'Classic shooting gallery inspired by the NES classic',
+    isAvailable: true,
+    modes: ['campaign', 'endless'],
+    difficulties: ['normal'],
+    multiplayer: {
+        minPlayers: 1,
+        maxPlayers: 2,
+        supportedModes: [
+            { id: 'coop', name: 'Co-op', type: 'cooperative', simultaneous: true },
+            { id: 'versus', name: 'Versus', type: 'competitive', simultaneous: true },
+            { id: 'duel', name: 'Duel', type: 'competitive', simultaneous: true }
+        ]
+    },
+    // Preloaded while the loading screen shows
+    assets: {
+        images: [
+            '/not-duck-hunt/backgrounds/background_manga_ref.png',
+            '/not-duck-hunt/targets/target_duck_sheet_v2.png',
+            '/not-duck-hunt/targets/target_crow_sheet.png',
+            '/not-duck-hunt/targets/target_pigeon_sheet_final.png',
+            '/not-duck-hunt/targets/clay_pigeon.png'
+        ]
+    },
+    // Plays with anything that aims - mouse and touch included
+    capabilities: {
+        minGuns: 0,
+        requiresWebHID: false,
+        supportsMouse: true
+    },
+    features: {
+        requiresReload: true,
+        hasAchievements: false
+    },
+    // Dark backgrounds - keep the border thick enough and contrasting
+    sinden: {
+        minThickness: 15,
+        autoContrast: true
+    }
+};
@@ -38,25 +38,26 @@ export class ClayPigeon extends Target {
         }
     }
 
-    draw(ctx) {
+    draw(ctx, alpha = 1) {
         if (this.isHit) {
             // Draw shattered pieces
-            this.drawShattered(ctx);
+            this.drawShattered(ctx, alpha);
         } else {
-            super.draw(ctx);
+            super.draw(ctx, alpha);
         }
     }
 
-    drawShattered(ctx) {
+    drawShattered(ctx, alpha = 1) {
         // Draw 4-5 orange fragments falling
+        const center = this.getDrawPosition(alpha);
         ctx.save();
         ctx.fillStyle = '#ff6600';
 
         for (let i = 0; i < 5; i++) {
             const angle = (i / 5) * Math.PI * 2;
             const distance = this.size * 0.5;
-            const x = this.x + Math.cos(angle + this.rotation) * distance;
-            const y = this.y + Math.sin(angle + this.rotation) * distance + (this.rotation * 50);
+            const x = center.x + Math.cos(angle + this.rotation) * distance;
+            const y = center.y + Math.sin(angle + this.rotation) * distance + (this.rotation * 50);
 
             ctx.save();
             ctx.translate(x, y);
@@ -41,11 +41,12 @@ export class Decoy extends Target {
         return { hit: false };
     }
 
-    draw(ctx) {
+    draw(ctx, alpha = 1) {
         if (this.isOffScreen) return;
 
+        const { x, y } = this.getDrawPosition(alpha);
         ctx.save();
-        ctx.translate(this.x, this.y);
+        ctx.translate(x, y);
         ctx.rotate(this.rotation);
 
         if (this.spriteLoaded && this.sprite) {
@@ -64,11 +64,12 @@ export class GoldenPheasant extends Target {
         }
     }
 
-    draw(ctx) {
+    draw(ctx, alpha = 1) {
         if (this.isOffScreen) return;
 
+        const { x, y } = this.getDrawPosition(alpha);
         ctx.save();
-        ctx.translate(this.x, this.y);
+        ctx.translate(x, y);
         ctx.rotate(this.rotation);
 
         // Strong golden glow
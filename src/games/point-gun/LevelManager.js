@@ -5,6 +5,15 @@ import { QuickDraw } from './minigames/QuickDraw.js';
 // Import other games as they are created
 
 export class LevelManager {
+    // Mini-games by class name (the practice menu picks them by name)
+    static MINI_GAMES = {
+        ClassicTarget,
+        ColorMatch,
+        BombPanic,
+        QuickDraw
+        // Add others here
+    };
+
     constructor(game) {
         this.game = game;
         this.difficulty = 'beginner';
@@ -15,13 +24,7 @@ export class LevelManager {
         this.currentGame = null;
 
         // Pool of available games
-        this.gamePool = [
-            ClassicTarget,
-            ColorMatch,
-            BombPanic,
-            QuickDraw
-            // Add others here
-        ];
+        this.gamePool = Object.values(LevelManager.MINI_GAMES);
         
         // Track recently played games to avoid repeats
         this.recentGames = [];
@@ -109,16 +112,24 @@ export class LevelManager {
         }
     }
 
-    draw(ctx) {
+    draw(ctx, alpha = 1) {
         if (this.currentGame && this.game.state === "PLAYING") {
-            this.currentGame.draw(ctx);
+            this.currentGame.draw(ctx, alpha);
         }
     }
 
+    /**
+     * Pass a shot to the current mini-game
+     * @returns {boolean|null} Whether the shot hit (null if no mini-game is running)
+     */
     handleInput(x, y, playerIndex = 0) {
         if (this.currentGame && this.game.state === "PLAYING") {
-            this.currentGame.handleInput(x, y, playerIndex);
+            const game = this.currentGame;
+            const hitsBefore = game.stats.hits;
+            game.handleInput(x, y, playerIndex);
+            return game.stats.hits > hitsBefore;
         }
+        return null;
     }
     
     /**
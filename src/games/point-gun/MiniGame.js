@@ -24,6 +24,10 @@ export class MiniGame {
             baseScore: 0,
             totalAccuracyFactor: 0 // Sum of (1.0 = center, 0.5 = edge)
         };
+
+        // Game time since start() in ms - spawn and tick timers use it rather than
+        // Date.now(), so they stop when the game clock does and follow its time scale
+        this.elapsed = 0;
         
         // Per-player stats for multiplayer
         this.playerStats = [
@@ -82,11 +86,14 @@ export class MiniGame {
     start() {
         // Initialize game state
         this.stats.startTime = Date.now();
+        this.elapsed = 0;
         this.explosions = [];
         this.shotIndicators = [];
     }
 
     update(dt) {
+        this.elapsed += dt * 1000;
+
         // Decrement time limit
         if (this.timeLimit > 0) {
             this.timeLimit -= dt;
@@ -120,10 +127,27 @@ export class MiniGame {
         }
     }
 
-    draw(ctx) {
+    draw(ctx, alpha = 1) {
         // Render game
     }
 
+    /**
+     * Where to draw a moving target this frame - between its positions before and after
+     * the last update (prevX/prevY), so movement stays smooth when the display and the
+     * fixed update rate don't line up
+     * @param {{x: number, y: number, prevX?: number, prevY?: number}} entity
+     * @param {number} alpha - How far (0-1) the frame is between the last update and the next
+     * @returns {{x: number, y: number}}
+     */
+    lerpPosition(entity, alpha) {
+        const prevX = entity.prevX ?? entity.x;
+        const prevY = entity.prevY ?? entity.y;
+        return {
+            x: prevX + (entity.x - prevX) * alpha,
+            y: prevY + (entity.y - prevY) * alpha
+        };
+    }
+
     drawParticles(ctx) {
         // Draw Explosions
         this.explosions.forEach(ex => {
@@ -179,6 +203,11 @@ export class MiniGame {
         });
     }
 
+    // Targets for gamepad aim assist: [{ x, y, radius }] in canvas coordinates
+    getAimAssistTargets() {
+        return [];
+    }
+
     handleInput(x, y, playerIndex = 0) {
         // Handle shots
         this.stats.shots++;
@@ -1,6 +1,7 @@
 import { BaseGame } from '../../arcade/interfaces/BaseGame.js';
 import { LevelManager } from './LevelManager.js';
 import { ComboSystem, FloatingScoreManager, ComboDisplay } from '../../arcade/sdk/index.js';
+import { manifest } from './manifest.js';
 
 export class Game extends BaseGame {
     constructor(canvas, uiLayer, system) {
@@ -11,6 +12,7 @@ export class Game extends BaseGame {
 
         this.state = "MENU"; // MENU, PLAYING, GAMEOVER, INTRO, RESULT
         this.lastTime = 0;
+        this.pausedForGun = false; // Paused because a player's gun was unplugged
 
         // Combo system (SDK)
         this.combo = new ComboSystem();
@@ -29,34 +31,15 @@ export class Game extends BaseGame {
     }
 
     static getManifest() {
-        return {
-            id: 'point-gun',
-            name: 'Point Gun',
-            version: '1.0.0',
-            author: 'Lightgun Arcade',
-            description: 'Fast-paced mini-game collection inspired by Point Blank',
-            isAvailable: true,
-            modes: ['arcade', 'practice'],
-            difficulties: ['beginner', 'medium', 'hard'],
-            multiplayer: {
-                minPlayers: 1,
-                maxPlayers: 2,
-                supportedModes: [
-                    { id: 'versus', name: 'Versus', type: 'competitive', simultaneous: true },
-                    { id: 'coop', name: 'Co-op', type: 'cooperative', simultaneous: true }
-                ]
-            },
-            features: {
-                requiresReload: false,
-                hasAchievements: false
-            }
-        };
+        return manifest;
     }
 
     async init() {
         // Enable SDK event handling for keyboard and start button
         this.enableKeyboardEvents();
         this.enableStartButton();
+        this.enableGunHotplug();
+        this.enableRecoilOnShot();
         
         this.showMenu();
     }
@@ -79,6 +62,43 @@ export class Game extends BaseGame {
         }
     }
 
+    // SDK lifecycle hook: the arcade was hidden - come back to the pause menu
+    onHidden() {
+        if (this.state === "PLAYING") {
+            this.togglePause();
+        }
+    }
+
+    // SDK lifecycle hook: a player's gun was unplugged (SDK shows the reconnect overlay)
+    onGunDisconnected(gunIndex) {
+        if (this.state === "PLAYING") {
+            this.pausedForGun = true;
+            this.togglePause();
+        }
+    }
+
+    // SDK lifecycle hook: a missing gun is back - resume if we paused for it
+    onGunReconnected(gunIndex) {
+        if (this.hasMissingGuns() || !this.pausedForGun) return;
+
+        this.pausedForGun = false;
+        if (this.state === "PAUSED") {
+            this.togglePause();
+        }
+    }
+
+    // SDK lifecycle hook: targets for gamepad aim assist (from the running mini-game)
+    getAimAssistTargets() {
+        if (this.state !== "PLAYING" || !this.levelManager.currentGame) return [];
+        return this.levelManager.currentGame.getAimAssistTargets();
+    }
+
+    // SDK lifecycle hook: paused while the pause menu (or settings from it) is up - the arcade
+    // stops auto-fire repeats while this is true
+    isPaused() {
+        return this.state === "PAUSED" || this.state === "PAUSED_SETTINGS";
+    }
+
     togglePause() {
         if (this.state === "PLAYING") {
             this.state = "PAUSED";
@@ -135,7 +155,12 @@ export class Game extends BaseGame {
             // Get player index from gun (0 for single player/mouse)
             const playerIndex = this.getPlayerIndexFromGun(gunIndex);
             
-            this.levelManager.handleInput(x, y, playerIndex);
+            const hit = this.levelManager.handleInput(x, y, playerIndex);
+            if (hit) {
+                this.markHit(gunIndex, x, y);
+            } else if (hit === false) {
+                this.markMiss(gunIndex);
+            }
         }
     }
 
@@ -161,13 +186,13 @@ export class Game extends BaseGame {
         this.floatingScores.update(dt);
     }
 
-    draw(ctx) {
+    draw(ctx, alpha = 1) {
         // Clear background
         ctx.fillStyle = "#222";
         ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
         if (this.state === "PLAYING" || this.state === "PAUSED") {
-            this.levelManager.draw(ctx);
+            this.levelManager.draw(ctx, alpha);
             
             // Draw floating scores
             this.floatingScores.draw(ctx);
@@ -289,6 +314,9 @@ export class Game extends BaseGame {
         
         // Reset multiplayer flag
         this._startingMultiplayer = false;
+
+        // Light each gun in its player's color (SDK method)
+        this.showPlayerColorsOnGuns();
         
         // Reset combo for new game
         this.combo.reset();
@@ -681,7 +709,7 @@ export class Game extends BaseGame {
         this.setInGame(false);
         
         // Define mini-games and difficulties
-        const miniGames = ['ClassicTarget', 'ColorMatch', 'BombPanic', 'QuickDraw'];
+        const miniGames = Object.keys(LevelManager.MINI_GAMES);
         const difficulties = ['beginner', 'medium', 'hard'];
         
         // Build sections for SDK grid menu
@@ -708,29 +736,27 @@ export class Game extends BaseGame {
         this.levelManager.isPracticeMode = true;
         this.setInGame(true);
 
-        // Import the game class dynamically
-        import(`./minigames/${gameName}.js`).then(module => {
-            const GameClass = module[gameName];
-
-            // Reset state
-            this.state = "PLAYING";
-            this.levelManager.score = 0;
-            this.levelManager.currentGame = new GameClass(this, difficulty);
-
-            // Use SDK HUDBuilder for practice mode HUD
-            const displayName = gameName.replace(/([A-Z])/g, ' $1').trim();
-            this.ui.hud.create({
-                score: 0,
-                custom: {
-                    practiceLabel: {
-                        position: 'top: 20px; left: 20px;',
-                        text: `PRACTICE: ${displayName} (${difficulty})`
-                    }
+        // Mini-games load with the rest of Point Gun (the arcade loads the game lazily)
+        const GameClass = LevelManager.MINI_GAMES[gameName];
+
+        // Reset state
+        this.state = "PLAYING";
+        this.levelManager.score = 0;
+        this.levelManager.currentGame = new GameClass(this, difficulty);
+
+        // Use SDK HUDBuilder for practice mode HUD
+        const displayName = gameName.replace(/([A-Z])/g, ' $1').trim();
+        this.ui.hud.create({
+            score: 0,
+            custom: {
+                practiceLabel: {
+                    position: 'top: 20px; left: 20px;',
+                    text: `PRACTICE: ${displayName} (${difficulty})`
                 }
-            });
-
-            this.levelManager.currentGame.start();
+            }
         });
+
+        this.levelManager.currentGame.start();
     }
     
     // =========================================================================
@@ -0,0 +1,46 @@
+/**
+ * Game manifest - kept apart from the game code so the arcade menu can list the
+ * game without downloading it (see GameRegistry)
+ */
+export const manifest = {
+    id: 'point-gun',
+    name: 'Point Gun',
+    version: '1.0.0',
+    sdkVersion: '1.4.0',
+    author: 'Lightgun Arcade',
+    description: 'Fast-paced mini-game collection inspired by Point Blank',
+    isAvailable: true,
+    modes: ['arcade', 'practice'],
+    difficulties: ['beginner', 'medium', 'hard'],
+    multiplayer: {
+        minPlayers: 1,
+        maxPlayers: 2,
+        supportedModes: [
+            { id: 'versus', name: 'Versus', type: 'competitive', simultaneous: true },
+            { id: 'coop', name: 'Co-op', type: 'cooperative', simultaneous: true }
+        ]
+    },
+    // Preloaded while the loading screen shows
+    assets: {
+        images: [
+            '/backgrounds/classic_target.png',
+            '/backgrounds/bomb_panic.png',
+            '/backgrounds/quick_draw.png'
+        ]
+    },
+    // Plays with anything that aims - mouse and touch included
+    capabilities: {
+        minGuns: 0,
+        requiresWebHID: false,
+        supportsMouse: true
+    },
+    features: {
+        requiresReload: false,
+        hasAchievements: false
+    },
+    // Dark backgrounds - keep the border thick enough and contrasting
+    sinden: {
+        minThickness: 15,
+        autoContrast: true
+    }
+};
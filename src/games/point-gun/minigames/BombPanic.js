@@ -28,8 +28,8 @@ export class BombPanic extends MiniGame {
             this.spawnRate = 450;
         }
 
-        this.lastTickTime = 0;
-        this.lastSpawn = 0;
+        this.lastTickTime = -Infinity;
+        this.lastSpawn = -Infinity;  // First target spawns right away
 
         // Load background
         this.loadBackground('/backgrounds/bomb_panic.png');
@@ -67,9 +67,9 @@ export class BombPanic extends MiniGame {
 
         // Play tick sound in last 5 seconds
         if (this.timeLimit <= 5 && this.timeLimit > 0) {
-            if (Date.now() - this.lastTickTime > 1000) {
+            if (this.elapsed - this.lastTickTime > 1000) {
                 this.game.sound.playTick();
-                this.lastTickTime = Date.now();
+                this.lastTickTime = this.elapsed;
             }
         }
 
@@ -79,14 +79,16 @@ export class BombPanic extends MiniGame {
         }
 
         // Spawn new targets if below quota
-        if (Date.now() - this.lastSpawn > this.spawnRate && this.entities.filter(e => e.type === 'target').length < 5) {
+        if (this.elapsed - this.lastSpawn > this.spawnRate && this.entities.filter(e => e.type === 'target').length < 5) {
             this.spawnEntity('target');
-            this.lastSpawn = Date.now();
+            this.lastSpawn = this.elapsed;
         }
 
         for (let i = this.entities.length - 1; i >= 0; i--) {
             const e = this.entities[i];
 
+            e.prevX = e.x;
+            e.prevY = e.y;
             e.x += e.vx * dt;
             e.y += e.vy * dt;
 
@@ -101,13 +103,14 @@ export class BombPanic extends MiniGame {
         super.update(dt);
     }
 
-    draw(ctx) {
+    draw(ctx, alpha = 1) {
         // Draw background first
         this.drawBackground(ctx);
 
         this.entities.forEach(e => {
+            const { x, y } = this.lerpPosition(e, alpha);
             ctx.save();
-            ctx.translate(e.x, e.y);
+            ctx.translate(x, y);
 
             if (e.type === 'target') {
                 // 3D Military Target with depth
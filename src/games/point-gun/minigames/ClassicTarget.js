@@ -34,8 +34,8 @@ export class ClassicTarget extends MiniGame {
             this.minLifetime = 1.5;
             this.maxLifetimeRange = 1.0;
         }
-        this.lastSpawn = 0;
-        this.lastTickTime = 0;
+        this.lastSpawn = -Infinity;  // First target spawns right away
+        this.lastTickTime = -Infinity;
 
         // Load background
         this.loadBackground('/backgrounds/classic_target.png');
@@ -67,14 +67,18 @@ export class ClassicTarget extends MiniGame {
         });
     }
 
+    getAimAssistTargets() {
+        return this.targets.map(t => ({ x: t.x, y: t.y, radius: t.size }));
+    }
+
     update(dt) {
         // this.timeLimit -= dt; // Handled in MiniGame.js
 
         // Play tick sound in last 5 seconds
         if (this.timeLimit <= 5 && this.timeLimit > 0) {
-            if (Date.now() - this.lastTickTime > 1000) {
+            if (this.elapsed - this.lastTickTime > 1000) {
                 this.game.sound.playTick();
-                this.lastTickTime = Date.now();
+                this.lastTickTime = this.elapsed;
             }
         }
 
@@ -84,9 +88,9 @@ export class ClassicTarget extends MiniGame {
         }
 
         // Spawn new targets
-        if (Date.now() - this.lastSpawn > this.spawnRate && this.targets.length < this.maxTargets) {
+        if (this.elapsed - this.lastSpawn > this.spawnRate && this.targets.length < this.maxTargets) {
             this.spawnTarget();
-            this.lastSpawn = Date.now();
+            this.lastSpawn = this.elapsed;
         }
 
         // Update targets
@@ -94,6 +98,8 @@ export class ClassicTarget extends MiniGame {
             const t = this.targets[i];
 
             // Update position
+            t.prevX = t.x;
+            t.prevY = t.y;
             t.x += t.vx * dt;
             t.y += t.vy * dt;
 
@@ -120,7 +126,7 @@ export class ClassicTarget extends MiniGame {
         super.update(dt);
     }
 
-    draw(ctx) {
+    draw(ctx, alpha = 1) {
         // Draw background first
         this.drawBackground(ctx);
 
@@ -129,13 +135,15 @@ export class ClassicTarget extends MiniGame {
 
         // Draw targets
         this.targets.forEach(t => {
+            const { x, y } = this.lerpPosition(t, alpha);
+
             // Apply opacity for fade-out
             ctx.save();
             ctx.globalAlpha = t.opacity;
 
             // Outer white ring
             ctx.beginPath();
-            ctx.arc(t.x, t.y, t.size, 0, Math.PI * 2);
+            ctx.arc(x, y, t.size, 0, Math.PI * 2);
             ctx.fillStyle = "#ffffff";
             ctx.fill();
             ctx.lineWidth = 3;
@@ -144,19 +152,19 @@ export class ClassicTarget extends MiniGame {
 
             // Red ring
             ctx.beginPath();
-            ctx.arc(t.x, t.y, t.size * 0.75, 0, Math.PI * 2);
+            ctx.arc(x, y, t.size * 0.75, 0, Math.PI * 2);
             ctx.fillStyle = "#ff0000";
             ctx.fill();
 
             // White ring
             ctx.beginPath();
-            ctx.arc(t.x, t.y, t.size * 0.5, 0, Math.PI * 2);
+            ctx.arc(x, y, t.size * 0.5, 0, Math.PI * 2);
             ctx.fillStyle = "#ffffff";
             ctx.fill();
 
             // Red bullseye
             ctx.beginPath();
-            ctx.arc(t.x, t.y, t.size * 0.25, 0, Math.PI * 2);
+            ctx.arc(x, y, t.size * 0.25, 0, Math.PI * 2);
             ctx.fillStyle = "#ff0000";
             ctx.fill();
 
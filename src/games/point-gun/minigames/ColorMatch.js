@@ -49,8 +49,8 @@ export class ColorMatch extends MiniGame {
             this.availableColors[this.colorsInPlay - 1] = this.targetColor;
         }
 
-        this.lastSpawn = 0;
-        this.lastTickTime = 0;
+        this.lastSpawn = -Infinity;  // First target spawns right away
+        this.lastTickTime = -Infinity;
         this.isCountingDown = true;
         this.countdownTime = 3;
 
@@ -163,7 +163,7 @@ export class ColorMatch extends MiniGame {
             this.countdownTime -= dt;
             if (this.countdownTime <= 0) {
                 this.isCountingDown = false;
-                this.lastSpawn = Date.now();
+                this.lastSpawn = this.elapsed;
             }
             return;
         }
@@ -172,9 +172,9 @@ export class ColorMatch extends MiniGame {
 
         // Play tick sound in last 5 seconds
         if (this.timeLimit <= 5 && this.timeLimit > 0) {
-            if (Date.now() - this.lastTickTime > 1000) {
+            if (this.elapsed - this.lastTickTime > 1000) {
                 this.game.sound.playTick();
-                this.lastTickTime = Date.now();
+                this.lastTickTime = this.elapsed;
             }
         }
 
@@ -183,14 +183,16 @@ export class ColorMatch extends MiniGame {
             return;
         }
 
-        if (Date.now() - this.lastSpawn > this.spawnRate && this.targets.length < 8) {
+        if (this.elapsed - this.lastSpawn > this.spawnRate && this.targets.length < 8) {
             this.spawnTarget();
-            this.lastSpawn = Date.now();
+            this.lastSpawn = this.elapsed;
         }
 
         for (let i = this.targets.length - 1; i >= 0; i--) {
             const t = this.targets[i];
 
+            t.prevX = t.x;
+            t.prevY = t.y;
             t.x += t.vx * dt;
             t.y += t.vy * dt;
 
@@ -228,7 +230,7 @@ export class ColorMatch extends MiniGame {
         super.update(dt);
     }
 
-    draw(ctx) {
+    draw(ctx, alpha = 1) {
         const w = this.game.canvas.width;
         const h = this.game.canvas.height;
         const time = Date.now() * 0.001;
@@ -392,12 +394,13 @@ export class ColorMatch extends MiniGame {
 
         // --- FURRY MONSTERS ---
         this.targets.forEach(t => {
+            const { x, y } = this.lerpPosition(t, alpha);
             ctx.save();
             ctx.globalAlpha = t.opacity;
-            ctx.translate(t.x, t.y);
+            ctx.translate(x, y);
 
             // Bobbing animation
-            const bob = Math.sin(time * 5 + t.x * 0.01) * 5;
+            const bob = Math.sin(time * 5 + x * 0.01) * 5;
             ctx.translate(0, bob);
 
             const color = t.colorObj.hex;
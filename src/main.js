@@ -1,7 +1,7 @@
 import './style.css';
 import { ArcadeSystem } from './arcade/core/ArcadeSystem.js';
-import { Game as PointGunGame } from './games/point-gun/PointGunGame.js';
-import { Game as NotDuckHuntGame } from './games/not-duck-hunt/NotDuckHuntGame.js';
+import { manifest as pointGunManifest } from './games/point-gun/manifest.js';
+import { manifest as notDuckHuntManifest } from './games/not-duck-hunt/manifest.js';
 
 const canvas = document.getElementById('game-canvas');
 const uiLayer = document.getElementById('ui-layer');
@@ -9,9 +9,9 @@ const uiLayer = document.getElementById('ui-layer');
 // Initialize arcade system
 const arcade = new ArcadeSystem(canvas, uiLayer);
 
-// Register Games
-arcade.registerGame(PointGunGame);
-arcade.registerGame(NotDuckHuntGame);
+// Register Games - each game's code downloads when it is first launched
+arcade.registerGame({ manifest: pointGunManifest, load: () => import('./games/point-gun/PointGunGame.js') });
+arcade.registerGame({ manifest: notDuckHuntManifest, load: () => import('./games/not-duck-hunt/NotDuckHuntGame.js') });
 
 // Wait for init to complete before showing menu
 async function start() {
@@ -27,16 +27,5 @@ async function start() {
 
 start();
 
-// Game loop
-let lastTime = 0;
-function gameLoop(currentTime) {
-  const dt = (currentTime - lastTime) / 1000;
-  lastTime = currentTime;
-
-  arcade.update(dt);
-  arcade.draw();
-
-  requestAnimationFrame(gameLoop);
-}
-
-requestAnimationFrame(gameLoop);
+// Game loop (fixed-step updates, see GameClock)
+arcade.start();
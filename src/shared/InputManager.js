@@ -1,71 +1,424 @@
 /**
  * InputManager class
  * Handles input from multiple sources: mouse, touch, and WebHID lightguns
+ *
+ * Mouse and touch input that isn't assigned to a gun slot arrives as gunIndex -1.
+ * Once the mouse, a touch zone or the keyboard is assigned to a slot (see
+ * VirtualGunDevices) it arrives through GunManager like a lightgun, with that
+ * slot's gunIndex and source 'mouse', 'touch' or 'keyboard'.
+ *
+ * Events:
+ * - shoot: { x, y, gunIndex, source, offscreen, latencyOffset } - offscreen is true when a gun fired outside the screen,
+ *   latencyOffset is the gun's configured delay in ms (judge hits against targets that long ago)
+ * - reload: { gunIndex, method, source } - method is 'button', 'offscreen', 'pedal' or 'mouse'
+ *   ('mouse' is right click, only sent when setRightClickReload(true) - otherwise right click shoots)
+ * - triggerDown: { x, y, gunIndex, source, offscreen } - trigger/mouse button pressed (sent with shoot)
+ * - triggerHeld: { x, y, gunIndex, source, offscreen, heldTime, count } - repeats at the auto-fire rate while held
+ * - triggerUp: { x, y, gunIndex, source, offscreen, heldTime } - trigger/mouse button released
+ *   (heldTime is game time in seconds - see update())
+ * - aim: { x, y, gunIndex, source, offscreen } - a gun or the mouse moved
+ * - buttonDown / buttonUp: { gunIndex, action, button, source } - logical gun actions
+ *   (trigger, reload, start, pedal, bomb, pause, back, dpadUp/Down/Left/Right)
  */
 export class InputManager {
+    // Default triggerHeld repeat rate (events per second)
+    static DEFAULT_AUTO_FIRE_RATE = 10;
+
     constructor(canvas, gunManager = null) {
         this.canvas = canvas;
         this.gunManager = gunManager;
         this.listeners = {};
 
+        // Held triggers keyed by gunIndex (-1 = mouse/touch)
+        this.heldTriggers = new Map();
+        this.autoFireRate = InputManager.DEFAULT_AUTO_FIRE_RATE;
+        this.rightClickReloads = false;
+        this.mousePosition = { x: 0, y: 0 };
+        this.hasMousePosition = false;
+
         // Bind methods
         this.handleClick = this.handleClick.bind(this);
         this.handleGunShoot = this.handleGunShoot.bind(this);
+        this.handleGunButtonDown = this.handleGunButtonDown.bind(this);
+        this.handleGunButtonUp = this.handleGunButtonUp.bind(this);
+        this.handleGunReload = this.handleGunReload.bind(this);
+        this.handleContextMenu = this.handleContextMenu.bind(this);
+        this.handleTouchStart = this.handleTouchStart.bind(this);
+        this.handleMouseUp = this.handleMouseUp.bind(this);
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleBlur = this.handleBlur.bind(this);
+        this.handleGunTriggerDown = this.handleGunTriggerDown.bind(this);
+        this.handleGunTriggerUp = this.handleGunTriggerUp.bind(this);
+        this.handleGunAim = this.handleGunAim.bind(this);
 
         // Attach mouse/touch listeners
+        // Release and movement are tracked on window so a drag off the canvas still ends the hold
         this.canvas.addEventListener("mousedown", this.handleClick);
-        this.canvas.addEventListener("touchstart", (e) => {
-            e.preventDefault();
-            const touch = e.changedTouches[0];
-            const mouseEvent = new MouseEvent("mousedown", {
-                clientX: touch.clientX,
-                clientY: touch.clientY
-            });
-            this.handleClick(mouseEvent);
-        }, { passive: false });
+        this.canvas.addEventListener("contextmenu", this.handleContextMenu);
+        this.canvas.addEventListener("touchstart", this.handleTouchStart, { passive: false });
+        this.canvas.addEventListener("touchend", this.handleMouseUp);
+        this.canvas.addEventListener("touchcancel", this.handleMouseUp);
+        window.addEventListener("mouseup", this.handleMouseUp);
+        window.addEventListener("mousemove", this.handleMouseMove);
+        window.addEventListener("blur", this.handleBlur);
 
         // Integrate with GunManager if provided
         if (this.gunManager) {
             this.gunManager.onShoot = this.handleGunShoot;
+            this.gunManager.on('buttonDown', this.handleGunButtonDown);
+            this.gunManager.on('buttonUp', this.handleGunButtonUp);
+            this.gunManager.on('reload', this.handleGunReload);
+            this.gunManager.on('triggerDown', this.handleGunTriggerDown);
+            this.gunManager.on('triggerUp', this.handleGunTriggerUp);
+            this.gunManager.on('aim', this.handleGunAim);
         }
     }
 
     /**
-     * Handle mouse/touch click
+     * Convert client (screen) coordinates to canvas coordinates
+     * @param {number} clientX
+     * @param {number} clientY
+     * @returns {{x: number, y: number}}
      */
-    handleClick(e) {
+    toCanvasCoords(clientX, clientY) {
         const rect = this.canvas.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
 
         // Scale coordinates if canvas display size differs from internal resolution
         const scaleX = this.canvas.width / rect.width;
         const scaleY = this.canvas.height / rect.height;
 
-        const gameX = x * scaleX;
-        const gameY = y * scaleY;
+        return {
+            x: (clientX - rect.left) * scaleX,
+            y: (clientY - rect.top) * scaleY
+        };
+    }
+
+    /**
+     * Handle mouse/touch click
+     * Right click reloads in games that use reloading (see setRightClickReload),
+     * any other button shoots
+     */
+    handleClick(e) {
+        if (this.isVirtualGunPointer('mouse', e.clientX)) return;
+
+        if (e.button === 2 && this.rightClickReloads) {
+            this.emit("reload", { gunIndex: -1, method: 'mouse', source: 'mouse' });
+            return;
+        }
+
+        const { x, y } = this.toCanvasCoords(e.clientX, e.clientY);
+        this.mousePosition = { x, y };
+        this.hasMousePosition = true;
 
-        this.emit("shoot", { x: gameX, y: gameY, gunIndex: -1, source: 'mouse' });
+        this.emit("shoot", { x, y, gunIndex: -1, source: 'mouse', offscreen: false, latencyOffset: 0 });
+        this.startTrigger(-1, 'mouse', x, y, false);
+    }
+
+    /**
+     * Handle touch start - every new finger is a left click
+     */
+    handleTouchStart(e) {
+        e.preventDefault();
+        for (const touch of e.changedTouches) {
+            if (this.isVirtualGunPointer('touch', touch.clientX)) continue;
+
+            const { x, y } = this.toCanvasCoords(touch.clientX, touch.clientY);
+            this.mousePosition = { x, y };
+            this.hasMousePosition = true;
+
+            this.emit("shoot", { x, y, gunIndex: -1, source: 'touch', offscreen: false, latencyOffset: 0 });
+            this.startTrigger(-1, 'touch', x, y, false);
+        }
+    }
+
+    /**
+     * Handle mouse button release / touch end
+     */
+    handleMouseUp(e) {
+        if (e.button === 2 && this.rightClickReloads) return;
+        if (e.changedTouches) {
+            const touch = e.changedTouches[0];
+            this.mousePosition = this.toCanvasCoords(touch.clientX, touch.clientY);
+            // The trigger stays held while another unassigned finger is down
+            const stillDown = [...e.touches].some(t => !this.isVirtualGunPointer('touch', t.clientX));
+            if (stillDown) return;
+        }
+        this.endTrigger(-1);
+    }
+
+    /**
+     * Check whether a pointer belongs to a gun slot (it then arrives through GunManager)
+     * @param {string} pointerType - 'mouse' or 'touch'
+     * @param {number} clientX
+     * @returns {boolean}
+     */
+    isVirtualGunPointer(pointerType, clientX) {
+        return !!this.gunManager?.virtualDevices.getDeviceForPointer(pointerType, clientX);
+    }
+
+    /**
+     * Get the source name for a gun slot's input
+     * @param {number} gunIndex
+     * @returns {string} 'gun', or 'mouse' / 'touch' / 'keyboard' for virtual devices
+     */
+    getSource(gunIndex) {
+        const virtualDevice = this.gunManager?.guns[gunIndex]?.config.virtualDevice;
+        return virtualDevice ? virtualDevice.split(':')[0] : 'gun';
+    }
+
+    /**
+     * Track the mouse for aim and held-trigger events
+     */
+    handleMouseMove(e) {
+        if (this.isVirtualGunPointer('mouse', e.clientX)) return;
+
+        this.mousePosition = this.toCanvasCoords(e.clientX, e.clientY);
+        this.hasMousePosition = true;
+
+        const { x, y } = this.mousePosition;
+        this.emit("aim", { x, y, gunIndex: -1, source: 'mouse', offscreen: !this.isOnCanvas(x, y) });
+    }
+
+    /**
+     * Release everything when the window loses focus (the release would be missed)
+     */
+    handleBlur() {
+        for (const gunIndex of [...this.heldTriggers.keys()]) {
+            this.endTrigger(gunIndex);
+        }
+    }
+
+    /**
+     * Keep the browser menu from opening on right click (a shot, or a reload)
+     */
+    handleContextMenu(e) {
+        e.preventDefault();
     }
 
     /**
      * Handle shoot from WebHID gun
      */
-    handleGunShoot(gunIndex, x, y) {
-        const rect = this.canvas.getBoundingClientRect();
-        
+    handleGunShoot(gunIndex, x, y, offscreen = false) {
         // Convert screen coordinates to canvas coordinates
-        const canvasX = x - rect.left;
-        const canvasY = y - rect.top;
+        const canvasPos = this.toCanvasCoords(x, y);
 
-        // Scale coordinates if canvas display size differs from internal resolution
-        const scaleX = this.canvas.width / rect.width;
-        const scaleY = this.canvas.height / rect.height;
+        this.emit("shoot", {
+            x: canvasPos.x,
+            y: canvasPos.y,
+            gunIndex,
+            source: this.getSource(gunIndex),
+            offscreen,
+            latencyOffset: this.getLatencyOffset(gunIndex)
+        });
+    }
+
+    /**
+     * Get a gun's latency offset (set in Gun Setup's latency test)
+     * @param {number} gunIndex - Gun index (-1 for mouse)
+     * @returns {number} Milliseconds (0 for mouse or unknown guns)
+     */
+    getLatencyOffset(gunIndex) {
+        return this.gunManager?.guns[gunIndex]?.config.latencyOffset || 0;
+    }
+
+    /**
+     * Handle aim movement from WebHID gun
+     */
+    handleGunAim(gunIndex, x, y, offscreen) {
+        const canvasPos = this.toCanvasCoords(x, y);
+        this.emit("aim", { x: canvasPos.x, y: canvasPos.y, gunIndex, source: this.getSource(gunIndex), offscreen });
+    }
+
+    /**
+     * Get where a gun (or the mouse) is pointing right now
+     * @param {number} gunIndex - Gun index, or -1 for the mouse
+     * @returns {{x: number, y: number, gunIndex: number, source: string, offscreen: boolean}|null}
+     *          Canvas coordinates, or null if that input has no position yet
+     */
+    getAim(gunIndex) {
+        if (gunIndex < 0) {
+            if (!this.hasMousePosition) return null;
+            const { x, y } = this.mousePosition;
+            return { x, y, gunIndex: -1, source: 'mouse', offscreen: !this.isOnCanvas(x, y) };
+        }
+
+        const gun = this.gunManager?.guns[gunIndex];
+        if (!gun || !gun.state.isConnected) return null;
+
+        const { x, y } = this.toCanvasCoords(gun.state.x, gun.state.y);
+        return { x, y, gunIndex, source: this.getSource(gunIndex), offscreen: !!gun.state.offscreen };
+    }
+
+    /**
+     * Get the aim of every connected gun plus the mouse
+     * @returns {Array<Object>} See getAim()
+     */
+    getAllAims() {
+        const aims = (this.gunManager?.guns || []).map(gun => this.getAim(gun.index));
+        aims.push(this.getAim(-1));
+        return aims.filter(aim => aim !== null);
+    }
+
+    /**
+     * Check whether canvas coordinates are inside the canvas
+     * @param {number} x
+     * @param {number} y
+     * @returns {boolean}
+     */
+    isOnCanvas(x, y) {
+        return x >= 0 && y >= 0 && x <= this.canvas.width && y <= this.canvas.height;
+    }
 
-        const gameX = canvasX * scaleX;
-        const gameY = canvasY * scaleY;
+    /**
+     * Handle trigger pull from WebHID gun (after the shoot callback)
+     */
+    handleGunTriggerDown(gunIndex, x, y, offscreen) {
+        const canvasPos = this.toCanvasCoords(x, y);
+        this.startTrigger(gunIndex, this.getSource(gunIndex), canvasPos.x, canvasPos.y, offscreen);
+    }
+
+    /**
+     * Handle trigger release from WebHID gun
+     */
+    handleGunTriggerUp(gunIndex) {
+        this.endTrigger(gunIndex);
+    }
+
+    /**
+     * Start tracking a held trigger and emit triggerDown
+     * @param {number} gunIndex - Gun index (-1 for mouse)
+     * @param {string} source - 'mouse', 'touch', 'keyboard' or 'gun'
+     * @param {number} x - Canvas X
+     * @param {number} y - Canvas Y
+     * @param {boolean} offscreen
+     */
+    startTrigger(gunIndex, source, x, y, offscreen) {
+        if (this.heldTriggers.has(gunIndex)) {
+            this.endTrigger(gunIndex);
+        }
+
+        // time: game seconds held, untilRepeat: game seconds to the next triggerHeld
+        const held = { source, time: 0, untilRepeat: this._getRepeatInterval(), count: 0 };
+        this.heldTriggers.set(gunIndex, held);
+        this.emit("triggerDown", { x, y, gunIndex, source, offscreen });
+    }
+
+    /**
+     * Stop tracking a held trigger and emit triggerUp
+     * @param {number} gunIndex - Gun index (-1 for mouse)
+     */
+    endTrigger(gunIndex) {
+        const held = this.heldTriggers.get(gunIndex);
+        if (!held) return;
+
+        this.heldTriggers.delete(gunIndex);
+
+        const { x, y, offscreen } = this.getTriggerPosition(gunIndex);
+        this.emit("triggerUp", { x, y, gunIndex, source: held.source, offscreen, heldTime: held.time });
+    }
+
+    /**
+     * Check whether a trigger (or the mouse button for gunIndex -1) is held
+     * @param {number} gunIndex
+     * @returns {boolean}
+     */
+    isTriggerDown(gunIndex) {
+        return this.heldTriggers.has(gunIndex);
+    }
+
+    /**
+     * Set how often triggerHeld repeats while a trigger is held
+     * @param {number} rate - Events per second (0 disables triggerHeld)
+     */
+    setAutoFireRate(rate) {
+        this.autoFireRate = Math.max(0, rate || 0);
 
-        this.emit("shoot", { x: gameX, y: gameY, gunIndex, source: 'gun' });
+        // Triggers that are already held repeat at the new rate from now
+        this.heldTriggers.forEach(held => {
+            held.untilRepeat = this._getRepeatInterval();
+        });
+    }
+
+    /**
+     * Choose what right click does: reload (games with features.requiresReload) or shoot
+     * @param {boolean} enabled - True to send reload instead of shoot
+     */
+    setRightClickReload(enabled) {
+        this.rightClickReloads = enabled;
+    }
+
+    /**
+     * Advance held triggers by one engine step, sending the triggerHeld repeats that are due.
+     * ArcadeSystem calls this before the game's update(), so auto-fire follows the
+     * game clock: it stops while the game is paused or hidden and slows with the time scale.
+     * @param {number} dt - Scaled step in seconds (0 while frozen)
+     */
+    update(dt) {
+        if (dt <= 0) return;
+
+        this.heldTriggers.forEach((held, gunIndex) => {
+            held.time += dt;
+            if (this.autoFireRate <= 0) return;
+
+            held.untilRepeat -= dt;
+            while (held.untilRepeat <= 0 && this.heldTriggers.get(gunIndex) === held) {
+                held.untilRepeat += this._getRepeatInterval();
+                held.count++;
+                const { x, y, offscreen } = this.getTriggerPosition(gunIndex);
+                this.emit("triggerHeld", { x, y, gunIndex, source: held.source, offscreen, heldTime: held.time, count: held.count });
+            }
+        });
+    }
+
+    /**
+     * Current aim of a held trigger in canvas coordinates
+     * @param {number} gunIndex - Gun index (-1 for mouse)
+     * @returns {{x: number, y: number, offscreen: boolean}}
+     */
+    getTriggerPosition(gunIndex) {
+        const aim = this.getAim(gunIndex);
+        if (!aim) return { ...this.mousePosition, offscreen: false };
+        return { x: aim.x, y: aim.y, offscreen: aim.offscreen };
+    }
+
+    /**
+     * Seconds of game time between triggerHeld repeats
+     * @private
+     */
+    _getRepeatInterval() {
+        return this.autoFireRate > 0 ? 1 / this.autoFireRate : Infinity;
+    }
+
+    /**
+     * Handle a reload from WebHID gun (reload button, offscreen shot or pedal)
+     */
+    handleGunReload(gunIndex, method) {
+        this.emit("reload", { gunIndex, method, source: this.getSource(gunIndex) });
+    }
+
+    /**
+     * Handle a mapped gun button being pressed
+     */
+    handleGunButtonDown(gunIndex, action, button) {
+        this.emit("buttonDown", { gunIndex, action, button, source: this.getSource(gunIndex) });
+    }
+
+    /**
+     * Handle a mapped gun button being released
+     */
+    handleGunButtonUp(gunIndex, action, button) {
+        this.emit("buttonUp", { gunIndex, action, button, source: this.getSource(gunIndex) });
+    }
+
+    /**
+     * Check whether a logical action is currently held on a gun
+     * @param {number} gunIndex - Gun index
+     * @param {string} action - Action ID (e.g. 'pedal', 'bomb')
+     * @returns {boolean}
+     */
+    isActionDown(gunIndex, action) {
+        const gun = this.gunManager?.guns[gunIndex];
+        return gun ? gun.isActionDown(action) : false;
     }
 
     /**
@@ -101,8 +454,22 @@ export class InputManager {
      */
     destroy() {
         this.canvas.removeEventListener("mousedown", this.handleClick);
+        this.canvas.removeEventListener("contextmenu", this.handleContextMenu);
+        this.canvas.removeEventListener("touchstart", this.handleTouchStart);
+        this.canvas.removeEventListener("touchend", this.handleMouseUp);
+        this.canvas.removeEventListener("touchcancel", this.handleMouseUp);
+        window.removeEventListener("mouseup", this.handleMouseUp);
+        window.removeEventListener("mousemove", this.handleMouseMove);
+        window.removeEventListener("blur", this.handleBlur);
+        this.heldTriggers.clear();
         if (this.gunManager) {
             this.gunManager.onShoot = null;
+            this.gunManager.off('buttonDown', this.handleGunButtonDown);
+            this.gunManager.off('buttonUp', this.handleGunButtonUp);
+            this.gunManager.off('reload', this.handleGunReload);
+            this.gunManager.off('triggerDown', this.handleGunTriggerDown);
+            this.gunManager.off('triggerUp', this.handleGunTriggerUp);
+            this.gunManager.off('aim', this.handleGunAim);
         }
     }
 }
@@ -3,13 +3,25 @@ export class Settings {
         this.sindenEnabled = false;
         this.sindenColor = "#ffffff";
         this.sindenThickness = 10; // pixels
+        this.sindenPlacement = "inner"; // 'inner' (over the game) or 'outer' (around it)
+        this.sindenVisibility = "always"; // 'always' or 'in-game'
+        this.sindenAutoContrast = false; // Pick white/black from the scene edges
         this.inputMethod = "mouse"; // 'mouse', 'sinden', 'gun4ir'
         this.isFullscreen = false;
         this.showGunCursors = true; // Show virtual cursors for WebHID guns
+        this.cursorRenderMode = 'dom'; // 'dom' (overlay elements) or 'canvas' (drawn on the game canvas in game)
+        this.dwellSelect = false; // Click menu items by resting the aim on them
+        this.dwellTime = 1200; // ms
+        this.syncGunProfiles = false; // Sync gun profiles to the signed-in account
+        this.gunFeedback = true; // Recoil, rumble and LED output on guns that support it
+        this.sandboxPermissions = {}; // Game ID -> { permission: true/false } answers to sandbox prompts
         
         // Reference to gunManager (set by ArcadeSystem)
         this.gunManager = null;
 
+        // Reference to the SindenBorder manager (set by ArcadeSystem)
+        this.sindenBorder = null;
+
         this.borderElement = document.getElementById("sinden-border");
 
         this.load();
@@ -29,9 +41,18 @@ export class Settings {
             this.sindenEnabled = data.sindenEnabled || false;
             this.sindenColor = data.sindenColor || '#ffffff';
             this.sindenThickness = data.sindenThickness || 10;
+            this.sindenPlacement = data.sindenPlacement || 'inner';
+            this.sindenVisibility = data.sindenVisibility || 'always';
+            this.sindenAutoContrast = data.sindenAutoContrast || false;
             this.inputMethod = data.inputMethod || 'mouse';
             this.isFullscreen = data.isFullscreen || false;
             this.showGunCursors = data.showGunCursors !== false; // Default true
+            this.cursorRenderMode = data.cursorRenderMode === 'canvas' ? 'canvas' : 'dom';
+            this.dwellSelect = data.dwellSelect || false;
+            this.dwellTime = data.dwellTime || 1200;
+            this.syncGunProfiles = data.syncGunProfiles || false;
+            this.gunFeedback = data.gunFeedback !== false; // Default true
+            this.sandboxPermissions = data.sandboxPermissions || {};
         }
     }
 
@@ -40,9 +61,18 @@ export class Settings {
             sindenEnabled: this.sindenEnabled,
             sindenColor: this.sindenColor,
             sindenThickness: this.sindenThickness,
+            sindenPlacement: this.sindenPlacement,
+            sindenVisibility: this.sindenVisibility,
+            sindenAutoContrast: this.sindenAutoContrast,
             inputMethod: this.inputMethod,
             isFullscreen: this.isFullscreen,
             showGunCursors: this.showGunCursors,
+            cursorRenderMode: this.cursorRenderMode,
+            dwellSelect: this.dwellSelect,
+            dwellTime: this.dwellTime,
+            syncGunProfiles: this.syncGunProfiles,
+            gunFeedback: this.gunFeedback,
+            sandboxPermissions: this.sandboxPermissions,
         };
         localStorage.setItem("pbs_settings", JSON.stringify(data));
     }
@@ -50,7 +80,10 @@ export class Settings {
     apply() {
         const root = document.documentElement;
 
-        if (this.sindenEnabled) {
+        if (this.sindenBorder) {
+            // Border manager handles placement, game overrides and auto-contrast
+            this.sindenBorder.update();
+        } else if (this.sindenEnabled) {
             root.style.setProperty("--sinden-border-width", `${this.sindenThickness}px`);
             root.style.setProperty("--sinden-border-color", this.sindenColor);
         } else {
@@ -86,6 +119,24 @@ export class Settings {
         this.save();
     }
 
+    setSindenPlacement(placement) {
+        this.sindenPlacement = placement;
+        this.apply();
+        this.save();
+    }
+
+    setSindenVisibility(visibility) {
+        this.sindenVisibility = visibility;
+        this.apply();
+        this.save();
+    }
+
+    setSindenAutoContrast(enabled) {
+        this.sindenAutoContrast = enabled;
+        this.apply();
+        this.save();
+    }
+
     setInputMethod(method) {
         this.inputMethod = method;
 
@@ -153,4 +204,72 @@ export class Settings {
         }
         this.save();
     }
+
+    setCursorRenderMode(mode) {
+        this.cursorRenderMode = mode;
+        if (this.gunManager) {
+            this.gunManager.setCursorRenderMode(mode);
+        }
+        this.save();
+    }
+
+    setDwellSelect(enabled) {
+        this.dwellSelect = enabled;
+        if (this.gunManager) {
+            this.gunManager.setDwellSelect(enabled, this.dwellTime);
+        }
+        this.save();
+    }
+
+    setDwellTime(ms) {
+        this.dwellTime = ms;
+        if (this.gunManager) {
+            this.gunManager.setDwellSelect(this.dwellSelect, ms);
+        }
+        this.save();
+    }
+
+    setGunFeedback(enabled) {
+        this.gunFeedback = enabled;
+        if (this.gunManager) {
+            this.gunManager.setOutputEnabled(enabled);
+        }
+        this.save();
+    }
+
+    /**
+     * Remember a player's answer to a sandboxed game's permission prompt
+     * @param {string} gameId
+     * @param {string} permission - See SandboxProtocol.PERMISSIONS
+     * @param {boolean|null} granted - null forgets the answer (the game asks again)
+     */
+    setSandboxPermission(gameId, permission, granted) {
+        const answers = { ...(this.sandboxPermissions[gameId] || {}) };
+        if (granted === null) {
+            delete answers[permission];
+        } else {
+            answers[permission] = granted;
+        }
+        this.sandboxPermissions = { ...this.sandboxPermissions, [gameId]: answers };
+        this.save();
+    }
+
+    /**
+     * Forget every permission answer for a game (e.g. when it is uninstalled)
+     * @param {string} gameId
+     */
+    clearSandboxPermissions(gameId) {
+        const { [gameId]: removed, ...rest } = this.sandboxPermissions;
+        this.sandboxPermissions = rest;
+        this.save();
+    }
+
+    setSyncGunProfiles(enabled) {
+        this.syncGunProfiles = enabled;
+        this.save();
+        if (this.gunManager) {
+            return this.gunManager.setProfileSyncEnabled(enabled);
+        }
+        return { applied: 0, error: null };
+    }
 }
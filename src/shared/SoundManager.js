@@ -213,6 +213,49 @@ export class SoundManager {
         osc.stop(this.ctx.currentTime + 0.25);
     }
 
+    playReload() {
+        if (this.ctx.state === 'suspended') this.ctx.resume();
+
+        // Two short clicks - shell in, slide back
+        [0, 0.12].forEach((delay, i) => {
+            const osc = this.ctx.createOscillator();
+            const gain = this.ctx.createGain();
+            const start = this.ctx.currentTime + delay;
+
+            osc.type = 'square';
+            osc.frequency.setValueAtTime(i === 0 ? 300 : 500, start);
+
+            gain.gain.setValueAtTime(0.2, start);
+            gain.gain.exponentialRampToValueAtTime(0.01, start + 0.05);
+
+            osc.connect(gain);
+            gain.connect(this.ctx.destination);
+
+            osc.start(start);
+            osc.stop(start + 0.05);
+        });
+    }
+
+    playEmpty() {
+        if (this.ctx.state === 'suspended') this.ctx.resume();
+
+        // Dry click of an empty gun
+        const osc = this.ctx.createOscillator();
+        const gain = this.ctx.createGain();
+
+        osc.type = 'triangle';
+        osc.frequency.setValueAtTime(1200, this.ctx.currentTime);
+
+        gain.gain.setValueAtTime(0.15, this.ctx.currentTime);
+        gain.gain.exponentialRampToValueAtTime(0.01, this.ctx.currentTime + 0.03);
+
+        osc.connect(gain);
+        gain.connect(this.ctx.destination);
+
+        osc.start();
+        osc.stop(this.ctx.currentTime + 0.03);
+    }
+
     playCombo() {
         if (this.ctx.state === 'suspended') this.ctx.resume();
 
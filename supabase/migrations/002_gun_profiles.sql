@@ -0,0 +1,29 @@
+-- ============================================
+-- Lightgun Arcade - Gun Profile Sync
+-- Version: 1.1
+-- ============================================
+
+-- One row per user and device fingerprint (model + report layout).
+-- bundle is a GunProfileBundle (see src/arcade/core/GunProfileBundle.js)
+CREATE TABLE IF NOT EXISTS gun_profiles (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  fingerprint VARCHAR(200) NOT NULL,
+  bundle JSONB NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, fingerprint)
+);
+
+CREATE INDEX IF NOT EXISTS idx_gun_profiles_user ON gun_profiles(user_id);
+
+ALTER TABLE gun_profiles ENABLE ROW LEVEL SECURITY;
+
+-- Gun profiles are private to their owner
+CREATE POLICY "Users can manage own gun profiles"
+  ON gun_profiles FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE TRIGGER update_gun_profiles_updated_at
+  BEFORE UPDATE ON gun_profiles
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();